@@ -3,6 +3,7 @@ import { AuthProvider } from './context/AuthContext';
 import { DevicesProvider } from './context/DevicesContext';
 import { NotificationProvider } from './context/NotificationContext';
 import { WebSocketProvider } from './context/WebSocketContext';
+import { StepUpProvider } from './context/StepUpContext';
 import { AppRoutes } from './routes/AppRoutes';
 import { UISettingsProvider } from './context/UISettingsContext';
 
@@ -11,11 +12,13 @@ function App() {
     <AuthProvider>
       <DevicesProvider>
         <NotificationProvider>
-          <WebSocketProvider>
-            <UISettingsProvider>
-              <AppRoutes />
-            </UISettingsProvider>
-          </WebSocketProvider>
+          <StepUpProvider>
+            <WebSocketProvider>
+              <UISettingsProvider>
+                <AppRoutes />
+              </UISettingsProvider>
+            </WebSocketProvider>
+          </StepUpProvider>
         </NotificationProvider>
       </DevicesProvider>
     </AuthProvider>
@@ -0,0 +1,21 @@
+import axiosClient from './axiosClient';
+
+export const apiKeysApi = {
+  // List the current user's API keys and the scopes they can grant
+  getApiKeys: async () => {
+    const response = await axiosClient.get('/keys');
+    return response;
+  },
+
+  // Create a key (name, scopes, deviceIds, expiresInDays) - the response holds the key once
+  createApiKey: async (keyData) => {
+    const response = await axiosClient.post('/keys', keyData);
+    return response;
+  },
+
+  // Revoke a key
+  revokeApiKey: async (keyId) => {
+    const response = await axiosClient.delete(`/keys/${keyId}`);
+    return response;
+  },
+};
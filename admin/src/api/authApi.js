@@ -6,6 +6,41 @@ export const authApi = {
     return response;
   },
 
+  forgotPassword: async (email) => {
+    const response = await axiosClient.post('/auth/forgot-password', { email });
+    return response;
+  },
+
+  resetPassword: async (token, password) => {
+    const response = await axiosClient.post('/auth/reset-password', { token, password });
+    return response;
+  },
+
+  passkeyLoginOptions: async () => {
+    const response = await axiosClient.post('/auth/passkeys/login/options');
+    return response;
+  },
+
+  loginWithPasskey: async (payload) => {
+    const response = await axiosClient.post('/auth/passkeys/login', payload);
+    return response;
+  },
+
+  getOidcConfig: async () => {
+    const response = await axiosClient.get('/auth/oidc/config');
+    return response;
+  },
+
+  oidcAuthorize: async () => {
+    const response = await axiosClient.post('/auth/oidc/authorize');
+    return response;
+  },
+
+  oidcCallback: async (payload) => {
+    const response = await axiosClient.post('/auth/oidc/callback', payload);
+    return response;
+  },
+
   getCurrentUser: async () => {
     const response = await axiosClient.get('/auth/me');
     return response;
@@ -20,4 +55,100 @@ export const authApi = {
     const response = await axiosClient.post('/auth/register', userData);
     return response;
   },
+
+  verifyTwoFactor: async (payload) => {
+    const response = await axiosClient.post('/auth/2fa/verify', payload);
+    return response;
+  },
+
+  getTwoFactorStatus: async () => {
+    const response = await axiosClient.get('/auth/2fa');
+    return response;
+  },
+
+  // Pass { challengeToken } when enrolling from the login screen
+  setupTwoFactor: async (payload = {}) => {
+    const response = await axiosClient.post('/auth/2fa/setup', payload);
+    return response;
+  },
+
+  enableTwoFactor: async (payload) => {
+    const response = await axiosClient.post('/auth/2fa/enable', payload);
+    return response;
+  },
+
+  disableTwoFactor: async (payload) => {
+    const response = await axiosClient.post('/auth/2fa/disable', payload);
+    return response;
+  },
+
+  regenerateRecoveryCodes: async (payload) => {
+    const response = await axiosClient.post('/auth/2fa/recovery-codes', payload);
+    return response;
+  },
+
+  getSecurityPolicy: async () => {
+    const response = await axiosClient.get('/auth/security-policy');
+    return response;
+  },
+
+  updateSecurityPolicy: async (policy) => {
+    const response = await axiosClient.put('/auth/security-policy', policy);
+    return response;
+  },
+
+  getStepUpStatus: async () => {
+    const response = await axiosClient.get('/auth/step-up');
+    return response;
+  },
+
+  stepUpPasskeyOptions: async () => {
+    const response = await axiosClient.post('/auth/step-up/passkey-options');
+    return response;
+  },
+
+  stepUp: async (credentials) => {
+    const response = await axiosClient.post('/auth/step-up', credentials);
+    return response;
+  },
+
+  getSessions: async () => {
+    const response = await axiosClient.get('/auth/sessions');
+    return response;
+  },
+
+  revokeSession: async (sessionId) => {
+    const response = await axiosClient.delete(`/auth/sessions/${sessionId}`);
+    return response;
+  },
+
+  revokeOtherSessions: async () => {
+    const response = await axiosClient.delete('/auth/sessions');
+    return response;
+  },
+
+  getPasskeys: async () => {
+    const response = await axiosClient.get('/auth/passkeys');
+    return response;
+  },
+
+  passkeyRegistrationOptions: async () => {
+    const response = await axiosClient.post('/auth/passkeys/register/options');
+    return response;
+  },
+
+  registerPasskey: async (payload) => {
+    const response = await axiosClient.post('/auth/passkeys/register', payload);
+    return response;
+  },
+
+  deletePasskey: async (passkeyId) => {
+    const response = await axiosClient.delete(`/auth/passkeys/${passkeyId}`);
+    return response;
+  },
+
+  getLoginHistory: async (limit = 20) => {
+    const response = await axiosClient.get('/auth/login-history', { params: { limit } });
+    return response;
+  },
 };
@@ -1,8 +1,17 @@
 import axios from 'axios';
-import { getToken, removeToken } from '../utils/storage';
+import {
+  getToken,
+  setToken,
+  removeToken,
+  getRefreshToken,
+  setRefreshToken,
+  removeRefreshToken,
+} from '../utils/storage';
+
+const baseURL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
 
 const axiosClient = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || 'http://localhost:3000/api',
+  baseURL,
   timeout: 30000,
   headers: {
     'Content-Type': 'application/json',
@@ -23,20 +32,93 @@ axiosClient.interceptors.request.use(
   }
 );
 
+// Single in-flight refresh shared by every request that hit a 401
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ * @returns {Promise<string>} New access token
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = getRefreshToken();
+
+    refreshPromise = axios.post(`${baseURL}/auth/refresh`, { refreshToken })
+      .then(({ data }) => {
+        setToken(data.data.token);
+        setRefreshToken(data.data.refreshToken);
+        return data.data.token;
+      })
+      .catch((error) => {
+        // Another tab may have rotated the token in the meantime
+        const latest = getRefreshToken();
+        if (latest && latest !== refreshToken) {
+          return getToken();
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Prompts the user to re-authenticate; registered by StepUpProvider
+let stepUpHandler = null;
+
+/**
+ * Register the function that asks the user to confirm their identity
+ * @param {Function|null} handler - Returns a promise that resolves once confirmed
+ */
+export const setStepUpHandler = (handler) => {
+  stepUpHandler = handler;
+};
+
 // Response interceptor
 axiosClient.interceptors.response.use(
   (response) => {
     return response.data;
   },
-  (error) => {
+  async (error) => {
+    const config = error.config;
+    const isAuthRequest = ['/auth/login', '/auth/register', '/auth/2fa/verify', '/auth/passkeys/login', '/auth/oidc']
+      .some(path => config?.url?.startsWith(path));
+
+    // Access token expired - refresh once and replay the request
+    if (error.response?.status === 401 && config && !config._retried && !isAuthRequest && getRefreshToken()) {
+      config._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        config.headers.Authorization = `Bearer ${token}`;
+        return axiosClient(config);
+      } catch {
+        // Fall through to sign out
+      }
+    }
+
+    // Sensitive action without a recent re-authentication - prompt and replay
+    if (error.response?.status === 403 && error.response.data?.errors?.code === 'STEP_UP_REQUIRED'
+      && stepUpHandler && config && !config._steppedUp) {
+      config._steppedUp = true;
+      try {
+        await stepUpHandler(error.response.data.message);
+        return axiosClient(config);
+      } catch {
+        // Cancelled - reject with the original error
+      }
+    }
+
     if (error.response?.status === 401) {
       removeToken();
+      removeRefreshToken();
       // Only redirect if not already on login page to prevent infinite loop
       if (!window.location.pathname.includes('/login')) {
         window.location.href = '/login';
       }
     }
-    
+
     const message = error.response?.data?.message || error.message || 'An error occurred';
     return Promise.reject({
       message,
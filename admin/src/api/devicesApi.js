@@ -44,8 +44,25 @@ export const devicesApi = {
   },
 
   // Send command to device (lock_door, unlock_door, etc.)
-  sendDeviceCommand: async (deviceId, command, payload = {}) => {
-    const response = await axiosClient.post(`/device/${deviceId}/command`, { command, payload });
+  // With { wait: '10s' } the response comes once the device has executed it (or the wait ran out)
+  sendDeviceCommand: async (deviceId, command, payload = {}, { wait } = {}) => {
+    const response = await axiosClient.post(`/device/${deviceId}/command`, { command, payload }, {
+      params: wait ? { wait } : undefined,
+    });
+    return response;
+  },
+
+  // Status and history of a single command
+  getCommand: async (commandId, { wait } = {}) => {
+    const response = await axiosClient.get(`/commands/${commandId}`, {
+      params: wait ? { wait } : undefined,
+    });
+    return response;
+  },
+
+  // Commands sent to a device (filters: status, command, from, to, page, limit)
+  getDeviceCommands: async (deviceId, params = {}) => {
+    const response = await axiosClient.get(`/device/${deviceId}/commands`, { params });
     return response;
   },
 
@@ -66,9 +83,153 @@ export const devicesApi = {
     return response;
   },
 
-  // Get device QR code
-  getDeviceQR: async (deviceId) => {
-    const response = await axiosClient.get(`/device/${deviceId}/qr`);
+  // Issue a new device token and onboarding QR (the old token works for graceSeconds)
+  rotateDeviceToken: async (deviceId, graceSeconds) => {
+    const response = await axiosClient.post(`/device/${deviceId}/rotate-token`, { graceSeconds });
+    return response;
+  },
+
+  // Get door locks paired with a device
+  getPairedLocks: async (deviceId) => {
+    const response = await axiosClient.get(`/device/${deviceId}/locks`);
+    return response;
+  },
+
+  // Pair a door lock with a device
+  pairLock: async (deviceId, lockId) => {
+    const response = await axiosClient.post(`/device/${deviceId}/locks`, { lockId });
+    return response;
+  },
+
+  // Unpair a door lock from a device
+  unpairLock: async (deviceId, lockId) => {
+    const response = await axiosClient.delete(`/device/${deviceId}/locks/${lockId}`);
+    return response;
+  },
+
+  // Get access schedules (auto-approval windows) of a device
+  getSchedules: async (deviceId) => {
+    const response = await axiosClient.get(`/device/${deviceId}/schedules`);
+    return response;
+  },
+
+  // Create access schedule
+  createSchedule: async (deviceId, scheduleData) => {
+    const response = await axiosClient.post(`/device/${deviceId}/schedules`, scheduleData);
+    return response;
+  },
+
+  // Update access schedule
+  updateSchedule: async (deviceId, scheduleId, scheduleData) => {
+    const response = await axiosClient.put(`/device/${deviceId}/schedules/${scheduleId}`, scheduleData);
+    return response;
+  },
+
+  // Delete access schedule
+  deleteSchedule: async (deviceId, scheduleId) => {
+    const response = await axiosClient.delete(`/device/${deviceId}/schedules/${scheduleId}`);
+    return response;
+  },
+
+  // Get scheduled commands (one-off and weekly) of a device
+  getCommandSchedules: async (deviceId) => {
+    const response = await axiosClient.get(`/device/${deviceId}/command-schedules`);
+    return response;
+  },
+
+  // Create command schedule
+  createCommandSchedule: async (deviceId, scheduleData) => {
+    const response = await axiosClient.post(`/device/${deviceId}/command-schedules`, scheduleData);
+    return response;
+  },
+
+  // Update command schedule
+  updateCommandSchedule: async (deviceId, scheduleId, scheduleData) => {
+    const response = await axiosClient.put(`/device/${deviceId}/command-schedules/${scheduleId}`, scheduleData);
+    return response;
+  },
+
+  // Delete command schedule
+  deleteCommandSchedule: async (deviceId, scheduleId) => {
+    const response = await axiosClient.delete(`/device/${deviceId}/command-schedules/${scheduleId}`);
+    return response;
+  },
+
+  // Get guest passes of a device (with redemption history)
+  getGuestPasses: async (deviceId) => {
+    const response = await axiosClient.get(`/device/${deviceId}/passes`);
+    return response;
+  },
+
+  // Issue guest pass - response contains the plain code (only returned once)
+  createGuestPass: async (deviceId, passData) => {
+    const response = await axiosClient.post(`/device/${deviceId}/passes`, passData);
+    return response;
+  },
+
+  // Revoke guest pass
+  revokeGuestPass: async (deviceId, passId) => {
+    const response = await axiosClient.post(`/device/${deviceId}/passes/${passId}/revoke`);
+    return response;
+  },
+
+  // Get escalation chain, on-call rotation and pageable users
+  getEscalation: async (deviceId) => {
+    const response = await axiosClient.get(`/device/${deviceId}/escalation`);
+    return response;
+  },
+
+  // Update escalation chain and on-call rotation
+  updateEscalation: async (deviceId, escalation) => {
+    const response = await axiosClient.put(`/device/${deviceId}/escalation`, escalation);
+    return response;
+  },
+
+  // Get people with access and pending invitations
+  getShares: async (deviceId) => {
+    const response = await axiosClient.get(`/device/${deviceId}/shares`);
+    return response;
+  },
+
+  // Invite a user by email or username
+  inviteUser: async (deviceId, invitation) => {
+    const response = await axiosClient.post(`/device/${deviceId}/shares`, invitation);
+    return response;
+  },
+
+  // Change permission or expiry of a share
+  updateShare: async (deviceId, userId, changes) => {
+    const response = await axiosClient.put(`/device/${deviceId}/shares/${userId}`, changes);
+    return response;
+  },
+
+  // Revoke a user's access (or leave a shared device)
+  revokeShare: async (deviceId, userId) => {
+    const response = await axiosClient.delete(`/device/${deviceId}/shares/${userId}`);
+    return response;
+  },
+
+  // Cancel a pending invitation
+  cancelInvitation: async (deviceId, invitationId) => {
+    const response = await axiosClient.delete(`/device/${deviceId}/invitations/${invitationId}`);
+    return response;
+  },
+
+  // Get share invitations addressed to the current user
+  getMyInvitations: async () => {
+    const response = await axiosClient.get('/device/invitations');
+    return response;
+  },
+
+  // Accept a share invitation
+  acceptInvitation: async (invitationId) => {
+    const response = await axiosClient.post(`/device/invitations/${invitationId}/accept`);
+    return response;
+  },
+
+  // Decline a share invitation
+  declineInvitation: async (invitationId) => {
+    const response = await axiosClient.post(`/device/invitations/${invitationId}/decline`);
     return response;
   },
 
@@ -0,0 +1,27 @@
+import axiosClient from './axiosClient';
+
+export const rolesApi = {
+  // List roles and the permission catalog
+  getRoles: async () => {
+    const response = await axiosClient.get('/roles');
+    return response;
+  },
+
+  // Create a custom role
+  createRole: async (roleData) => {
+    const response = await axiosClient.post('/roles', roleData);
+    return response;
+  },
+
+  // Change a role's description or permissions
+  updateRole: async (name, changes) => {
+    const response = await axiosClient.put(`/roles/${name}`, changes);
+    return response;
+  },
+
+  // Delete a custom role
+  deleteRole: async (name) => {
+    const response = await axiosClient.delete(`/roles/${name}`);
+    return response;
+  },
+};
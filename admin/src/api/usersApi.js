@@ -0,0 +1,39 @@
+import axiosClient from './axiosClient';
+
+export const usersApi = {
+  // List users (params: search, role, isActive)
+  getUsers: async (params = {}) => {
+    const response = await axiosClient.get('/users', { params });
+    return response;
+  },
+
+  // Get a user with their owned and shared devices
+  getUser: async (userId) => {
+    const response = await axiosClient.get(`/users/${userId}`);
+    return response;
+  },
+
+  // Create a user
+  createUser: async (userData) => {
+    const response = await axiosClient.post('/users', userData);
+    return response;
+  },
+
+  // Change role and/or isActive
+  updateUser: async (userId, changes) => {
+    const response = await axiosClient.patch(`/users/${userId}`, changes);
+    return response;
+  },
+
+  // Reset a user's two-factor authentication
+  resetTwoFactor: async (userId) => {
+    const response = await axiosClient.delete(`/users/${userId}/2fa`);
+    return response;
+  },
+
+  // Lift a sign-in lockout
+  unlockUser: async (userId) => {
+    const response = await axiosClient.post(`/users/${userId}/unlock`);
+    return response;
+  },
+};
@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { Switch } from '../ui/Switch';
+import { devicesApi } from '../../api/devicesApi';
+import { useNotification } from '../../context/NotificationContext';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none';
+
+const emptyForm = () => ({
+  name: '',
+  daysOfWeek: [1, 2, 3, 4, 5],
+  startTime: '08:00',
+  endTime: '18:00',
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+});
+
+const formatDays = (days) => {
+  const sorted = [...days].sort();
+  if (sorted.length === 7) return 'Every day';
+  if (sorted.join() === '1,2,3,4,5') return 'Weekdays';
+  if (sorted.join() === '0,6') return 'Weekends';
+  return sorted.map(day => DAYS[day]).join(', ');
+};
+
+export const AccessSchedules = ({ device }) => {
+  const deviceId = device._id || device.id;
+  const notification = useNotification();
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+
+  const fetchSchedules = useCallback(async () => {
+    try {
+      const response = await devicesApi.getSchedules(deviceId);
+      setSchedules(response.data || []);
+    } catch (err) {
+      console.error('Failed to load access schedules:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    fetchSchedules();
+  }, [fetchSchedules]);
+
+  const toggleDay = (day) => {
+    setForm(prev => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day)
+        ? prev.daysOfWeek.filter(d => d !== day)
+        : [...prev.daysOfWeek, day],
+    }));
+  };
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await devicesApi.createSchedule(deviceId, form);
+      notification.success('Access schedule created');
+      setForm(emptyForm());
+      setShowForm(false);
+      await fetchSchedules();
+    } catch (err) {
+      notification.error(err.message || 'Failed to create schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (schedule, enabled) => {
+    try {
+      await devicesApi.updateSchedule(deviceId, schedule._id, { enabled });
+      setSchedules(prev => prev.map(s => s._id === schedule._id ? { ...s, enabled } : s));
+    } catch (err) {
+      notification.error(err.message || 'Failed to update schedule');
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Delete schedule "${schedule.name}"?`)) return;
+    try {
+      await devicesApi.deleteSchedule(deviceId, schedule._id);
+      notification.success('Access schedule deleted');
+      await fetchSchedules();
+    } catch (err) {
+      notification.error(err.message || 'Failed to delete schedule');
+    }
+  };
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-lg font-semibold text-gray-900">Access Schedules</h3>
+        {!showForm && (
+          <Button size="sm" variant="secondary" onClick={() => setShowForm(true)}>
+            Add Schedule
+          </Button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Visitors arriving inside an enabled window are approved automatically.
+      </p>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : schedules.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No schedules yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 mb-4">
+          {schedules.map(schedule => (
+            <li key={schedule._id} className="flex items-center justify-between py-2">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{schedule.name}</p>
+                <p className="text-xs text-gray-500">
+                  {formatDays(schedule.daysOfWeek)} · {schedule.startTime}–{schedule.endTime} ({schedule.timezone})
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                <Switch
+                  size="sm"
+                  checked={schedule.enabled}
+                  onChange={(enabled) => handleToggle(schedule, enabled)}
+                />
+                <Button variant="ghost" size="sm" onClick={() => handleDelete(schedule)}>
+                  Delete
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="space-y-3 border-t border-gray-200 pt-4">
+          <input
+            name="name"
+            required
+            maxLength={100}
+            value={form.name}
+            onChange={handleChange}
+            placeholder="e.g., Cleaner weekdays"
+            className={inputClassName}
+          />
+          <div className="flex flex-wrap gap-2">
+            {DAYS.map((label, day) => (
+              <button
+                key={label}
+                type="button"
+                onClick={() => toggleDay(day)}
+                className={`px-3 py-1 rounded-full text-xs font-medium border ${
+                  form.daysOfWeek.includes(day)
+                    ? 'bg-green-600 border-green-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-700'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="grid grid-cols-3 gap-2">
+            <input type="time" name="startTime" required value={form.startTime} onChange={handleChange} className={inputClassName} />
+            <input type="time" name="endTime" required value={form.endTime} onChange={handleChange} className={inputClassName} />
+            <input name="timezone" required value={form.timezone} onChange={handleChange} placeholder="Timezone" className={inputClassName} />
+          </div>
+          <div className="flex justify-end space-x-2">
+            <Button type="button" size="sm" variant="ghost" onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" size="sm" loading={saving} disabled={form.daysOfWeek.length === 0}>
+              Save Schedule
+            </Button>
+          </div>
+        </form>
+      )}
+    </Card>
+  );
+};
@@ -50,7 +50,8 @@ export const AddDeviceModal = ({ isOpen, onClose, onDeviceAdded }) => {
         setSuccess({
           deviceId: response.data.id,
             espId: response.data.espId,
-            deviceToken: response.data.deviceToken,
+            activationCode: response.data.activationCode,
+            activationCodeExpiresAt: response.data.activationCodeExpiresAt,
             name: response.data.name,
         });
         if (response.data.qrCode && response.data.onboardingURL) {
@@ -63,6 +64,8 @@ export const AddDeviceModal = ({ isOpen, onClose, onDeviceAdded }) => {
             onboardingURL: response.data.onboardingURL,
             activated: response.data.activated,
             activatedAt: response.data.activatedAt,
+            activationCode: response.data.activationCode,
+            activationCodeExpiresAt: response.data.activationCodeExpiresAt,
           });
         }
         if (onDeviceAdded) onDeviceAdded(response.data);
@@ -141,7 +144,7 @@ export const AddDeviceModal = ({ isOpen, onClose, onDeviceAdded }) => {
                   </div>
                 </div>
                 <div className="space-y-3">
-                  <p className="text-sm text-gray-700 font-medium">Please save these credentials for your ESP32 device:</p>
+                  <p className="text-sm text-gray-700 font-medium">Use these details to activate your device:</p>
                   <div className="bg-gray-50 rounded-lg p-4 border border-gray-200">
                     <label className="block text-xs font-semibold text-gray-600 mb-1">DEVICE ID</label>
                     <div className="flex items-center justify-between">
@@ -161,10 +164,12 @@ export const AddDeviceModal = ({ isOpen, onClose, onDeviceAdded }) => {
                     </div>
                   </div>
                   <div className="bg-yellow-50 rounded-lg p-4 border border-yellow-200">
-                    <label className="block text-xs font-semibold text-yellow-800 mb-1">DEVICE TOKEN (Save this!)</label>
+                    <label className="block text-xs font-semibold text-yellow-800 mb-1">
+                      ACTIVATION CODE (single use, expires {new Date(success.activationCodeExpiresAt).toLocaleTimeString()})
+                    </label>
                     <div className="flex items-center justify-between">
-                      <code className="text-sm font-mono text-yellow-900 break-all">{success.deviceToken}</code>
-                      <button onClick={() => copyToClipboard(success.deviceToken)} className="ml-2 p-1 text-yellow-600 hover:text-yellow-800" title="Copy">
+                      <code className="text-sm font-mono text-yellow-900 break-all">{success.activationCode}</code>
+                      <button onClick={() => copyToClipboard(success.activationCode)} className="ml-2 p-1 text-yellow-600 hover:text-yellow-800" title="Copy">
                         <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" /></svg>
                       </button>
                     </div>
@@ -173,7 +178,7 @@ export const AddDeviceModal = ({ isOpen, onClose, onDeviceAdded }) => {
                     <div className="shrink-0">
                       <svg className="h-5 w-5 text-blue-400" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clipRule="evenodd" /></svg>
                     </div>
-                    <p className="ml-3 text-sm text-blue-800">Configure your ESP32 device with these credentials.</p>
+                    <p className="ml-3 text-sm text-blue-800">Scan the QR code with the device, or have your ESP32 post the device ID and activation code to <code>/api/device/activate</code> to receive its token.</p>
                   </div>
                 </div>
               </div>
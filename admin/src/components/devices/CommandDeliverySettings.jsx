@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { Card } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { devicesApi } from '../../api/devicesApi';
+import { useNotification } from '../../context/NotificationContext';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none';
+
+export const CommandDeliverySettings = ({ device }) => {
+  const deviceId = device._id || device.id;
+  const notification = useNotification();
+  const [preferredChannel, setPreferredChannel] = useState(device.commandDelivery?.preferredChannel || 'websocket');
+  const [fallbackEnabled, setFallbackEnabled] = useState(device.commandDelivery?.fallbackEnabled ?? true);
+  const [fallbackAfterMs, setFallbackAfterMs] = useState(device.commandDelivery?.fallbackAfterMs ?? 3000);
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await devicesApi.updateDevice(deviceId, {
+        commandDelivery: {
+          preferredChannel,
+          fallbackEnabled,
+          fallbackAfterMs: Number(fallbackAfterMs),
+        },
+      });
+      notification.success('Command delivery saved');
+    } catch (err) {
+      notification.error(err.message || 'Failed to save command delivery');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Command Delivery</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Commands go out on one channel so they only run once. If the device doesn't acknowledge in time, they are resent on the other.
+      </p>
+      <form onSubmit={handleSave} className="grid grid-cols-1 sm:grid-cols-4 gap-2 items-end">
+        <label className="text-xs text-gray-600">
+          Preferred channel
+          <select value={preferredChannel} onChange={(e) => setPreferredChannel(e.target.value)} className={inputClassName}>
+            <option value="websocket">WebSocket</option>
+            <option value="mqtt">MQTT</option>
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Fall back after (ms)
+          <input
+            type="number"
+            min={500}
+            max={20000}
+            step={100}
+            required
+            disabled={!fallbackEnabled}
+            value={fallbackAfterMs}
+            onChange={(e) => setFallbackAfterMs(e.target.value)}
+            className={inputClassName}
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700 pb-2">
+          <input
+            type="checkbox"
+            checked={fallbackEnabled}
+            onChange={(e) => setFallbackEnabled(e.target.checked)}
+          />
+          Use fallback
+        </label>
+        <Button type="submit" size="sm" loading={saving}>
+          Save
+        </Button>
+      </form>
+    </Card>
+  );
+};
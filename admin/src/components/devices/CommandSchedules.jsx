@@ -0,0 +1,251 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { Switch } from '../ui/Switch';
+import { devicesApi } from '../../api/devicesApi';
+import { useNotification } from '../../context/NotificationContext';
+import { formatDateTime } from '../../utils/format';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const COMMANDS = {
+  lock_door: 'Lock door',
+  request_snapshot: 'Take snapshot',
+  restart_device: 'Restart device',
+};
+
+const LAST_STATUS_STYLES = {
+  sent: 'bg-green-100 text-green-700',
+  queued: 'bg-yellow-100 text-yellow-700',
+  failed: 'bg-red-100 text-red-700',
+  skipped: 'bg-gray-100 text-gray-700',
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none';
+
+const emptyForm = () => ({
+  name: '',
+  command: 'lock_door',
+  repeat: 'weekly',
+  daysOfWeek: [0, 1, 2, 3, 4, 5, 6],
+  time: '22:00',
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+  runAt: '',
+});
+
+const formatDays = (days) => {
+  const sorted = [...days].sort();
+  if (sorted.length === 7) return 'Every day';
+  if (sorted.join() === '1,2,3,4,5') return 'Weekdays';
+  if (sorted.join() === '0,6') return 'Weekends';
+  return sorted.map(day => DAYS[day]).join(', ');
+};
+
+const formatTiming = (schedule) => {
+  if (schedule.runAt) return `Once · ${formatDateTime(schedule.runAt)}`;
+  return `${formatDays(schedule.daysOfWeek)} · ${schedule.time} (${schedule.timezone})`;
+};
+
+/**
+ * Commands sent to the device automatically, once or every week
+ */
+export const CommandSchedules = ({ device }) => {
+  const deviceId = device._id || device.id;
+  const notification = useNotification();
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+
+  const fetchSchedules = useCallback(async () => {
+    try {
+      const response = await devicesApi.getCommandSchedules(deviceId);
+      setSchedules(response.data || []);
+    } catch (err) {
+      console.error('Failed to load command schedules:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    fetchSchedules();
+  }, [fetchSchedules]);
+
+  const toggleDay = (day) => {
+    setForm(prev => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day)
+        ? prev.daysOfWeek.filter(d => d !== day)
+        : [...prev.daysOfWeek, day],
+    }));
+  };
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const { repeat, runAt, daysOfWeek, time, timezone, ...rest } = form;
+      await devicesApi.createCommandSchedule(deviceId, repeat === 'once'
+        ? { ...rest, runAt: new Date(runAt).toISOString() }
+        : { ...rest, daysOfWeek, time, timezone });
+      notification.success('Command schedule created');
+      setForm(emptyForm());
+      setShowForm(false);
+      await fetchSchedules();
+    } catch (err) {
+      notification.error(err.message || 'Failed to create schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (schedule, enabled) => {
+    try {
+      const response = await devicesApi.updateCommandSchedule(deviceId, schedule._id, { enabled });
+      setSchedules(prev => prev.map(s => s._id === schedule._id ? { ...s, ...response.data } : s));
+    } catch (err) {
+      notification.error(err.message || 'Failed to update schedule');
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Delete schedule "${schedule.name}"?`)) return;
+    try {
+      await devicesApi.deleteCommandSchedule(deviceId, schedule._id);
+      notification.success('Command schedule deleted');
+      await fetchSchedules();
+    } catch (err) {
+      notification.error(err.message || 'Failed to delete schedule');
+    }
+  };
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-lg font-semibold text-gray-900">Scheduled Commands</h3>
+        {!showForm && (
+          <Button size="sm" variant="secondary" onClick={() => setShowForm(true)}>
+            Add Schedule
+          </Button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Send a command automatically, e.g. lock the door every night. Lock commands wait for an offline device to reconnect.
+      </p>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : schedules.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No scheduled commands yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 mb-4">
+          {schedules.map(schedule => (
+            <li key={schedule._id} className="flex items-center justify-between py-2">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {schedule.name}
+                  <span className="ml-2 text-xs font-normal text-gray-500">{COMMANDS[schedule.command] || schedule.command}</span>
+                </p>
+                <p className="text-xs text-gray-500">{formatTiming(schedule)}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {schedule.nextRunAt ? `Next run ${formatDateTime(schedule.nextRunAt)}` : 'No upcoming run'}
+                  {schedule.lastRunAt && ` · Last run ${formatDateTime(schedule.lastRunAt)}`}
+                  {schedule.lastStatus && (
+                    <span
+                      className={`ml-2 px-2 py-0.5 rounded-full ${LAST_STATUS_STYLES[schedule.lastStatus] || LAST_STATUS_STYLES.skipped}`}
+                      title={schedule.lastError || undefined}
+                    >
+                      {schedule.lastStatus}
+                    </span>
+                  )}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                <Switch
+                  size="sm"
+                  checked={schedule.enabled}
+                  onChange={(enabled) => handleToggle(schedule, enabled)}
+                />
+                <Button variant="ghost" size="sm" onClick={() => handleDelete(schedule)}>
+                  Delete
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="space-y-3 border-t border-gray-200 pt-4">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+            <input
+              name="name"
+              required
+              maxLength={100}
+              value={form.name}
+              onChange={handleChange}
+              placeholder="e.g., Nightly lock"
+              className={inputClassName}
+            />
+            <select name="command" value={form.command} onChange={handleChange} className={inputClassName}>
+              {Object.entries(COMMANDS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select name="repeat" value={form.repeat} onChange={handleChange} className={inputClassName}>
+              <option value="weekly">Every week</option>
+              <option value="once">Once</option>
+            </select>
+          </div>
+          {form.repeat === 'once' ? (
+            <input
+              type="datetime-local"
+              name="runAt"
+              required
+              value={form.runAt}
+              onChange={handleChange}
+              className={inputClassName}
+            />
+          ) : (
+            <>
+              <div className="flex flex-wrap gap-2">
+                {DAYS.map((label, day) => (
+                  <button
+                    key={label}
+                    type="button"
+                    onClick={() => toggleDay(day)}
+                    className={`px-3 py-1 rounded-full text-xs font-medium border ${
+                      form.daysOfWeek.includes(day)
+                        ? 'bg-green-600 border-green-600 text-white'
+                        : 'bg-white border-gray-300 text-gray-700'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <input type="time" name="time" required value={form.time} onChange={handleChange} className={inputClassName} />
+                <input name="timezone" required value={form.timezone} onChange={handleChange} placeholder="Timezone" className={inputClassName} />
+              </div>
+            </>
+          )}
+          <div className="flex justify-end space-x-2">
+            <Button type="button" size="sm" variant="ghost" onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" size="sm" loading={saving} disabled={form.repeat === 'weekly' && form.daysOfWeek.length === 0}>
+              Save Schedule
+            </Button>
+          </div>
+        </form>
+      )}
+    </Card>
+  );
+};
@@ -1,9 +1,10 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Card } from '../ui/Card';
 import { Button } from '../ui/Button';
 import { QRCodeModal } from './QRCodeModal';
 import { devicesApi } from '../../api/devicesApi';
+import { useDeviceReprovision } from '../../hooks/useDeviceReprovision';
 import { timeAgo } from '../../utils/format';
 import { QrCode, Eye, Lock, Unlock } from 'lucide-react';
 import { useUISettings } from '../../context/UISettingsContext';
@@ -12,43 +13,43 @@ export const DoorLockCard = ({ device }) => {
   const navigate = useNavigate();
   const { density } = useUISettings();
   const [loading, setLoading] = useState(false);
-  const [showQRModal, setShowQRModal] = useState(false);
-  const [qrData, setQrData] = useState(null);
-  const [loadingQR, setLoadingQR] = useState(false);
+  const { qrData, reprovisioning, reprovision, closeQR } = useDeviceReprovision();
 
-  const isLocked = device.lockState === 'locked' || device.locked || device.status === 'locked';
+  // Lock state the device confirmed by executing our last command, until the device data catches up
+  const [confirmedLocked, setConfirmedLocked] = useState(null);
+  // Outcome of the last command while it's still on its way (e.g. queued for an offline device)
+  const [commandMessage, setCommandMessage] = useState(null);
+
+  useEffect(() => {
+    setConfirmedLocked(null);
+    setCommandMessage(null);
+  }, [device.lockState, device.locked, device.status]);
+
+  const reportedLocked = device.lockState === 'locked' || device.locked || device.status === 'locked';
+  const isLocked = confirmedLocked ?? reportedLocked;
   const isOnline = device.status === 'online' || device.online !== false;
 
   const handleToggleLock = async () => {
     setLoading(true);
+    setCommandMessage(null);
     try {
       const command = isLocked ? 'unlock_door' : 'lock_door';
-      // Send command via REST API
-      await devicesApi.sendDeviceCommand(device._id || device.id, command, {});
-      // Show success feedback
-      console.log(`Command '${command}' sent successfully to ${device.name}`);
-    } catch (error) {
-      console.error('Failed to send command:', error);
-      alert(`Failed to send command: ${error.response?.data?.message || error.message}`);
-    } finally {
-      // Keep loading state for 2 seconds to show visual feedback
-      setTimeout(() => setLoading(false), 2000);
-    }
-  };
+      // Wait for the device to execute it so the button shows the real state
+      const response = await devicesApi.sendDeviceCommand(device._id || device.id, command, {}, { wait: '10s' });
+      const result = response.data || {};
 
-  const handleViewQR = async () => {
-    try {
-      setLoadingQR(true);
-      const response = await devicesApi.getDeviceQR(device._id || device.id);
-      if (response.data) {
-        setQrData(response.data);
-        setShowQRModal(true);
+      if (result.status === 'executed') {
+        setConfirmedLocked(command === 'lock_door');
+      } else if (result.status === 'failed' || result.status === 'timeout') {
+        alert(`${device.name}: ${response.message}${result.errorMessage ? ` (${result.errorMessage})` : ''}`);
+      } else {
+        setCommandMessage(response.message);
       }
     } catch (error) {
-      console.error('Failed to fetch QR code:', error);
-      alert('Failed to load QR code');
+      console.error('Failed to send command:', error);
+      alert(`Failed to send command: ${error.response?.data?.message || error.message}`);
     } finally {
-      setLoadingQR(false);
+      setLoading(false);
     }
   };
 
@@ -123,6 +124,9 @@ export const DoorLockCard = ({ device }) => {
             </>
           )}
         </Button>
+        {commandMessage && (
+          <p className={`mt-1 text-gray-500 ${density === 'compact' ? 'text-[11px]' : 'text-xs'}`}>{commandMessage}</p>
+        )}
       </div>
 
       {/* Actions Row */}
@@ -130,11 +134,12 @@ export const DoorLockCard = ({ device }) => {
         <Button
           variant="outline"
           size="sm"
-          onClick={handleViewQR}
-          loading={loadingQR}
+          onClick={() => reprovision(device)}
+          loading={reprovisioning}
+          title="Issue a new device token and onboarding QR"
           className={`flex items-center gap-1 px-2 py-1 ${density === 'compact' ? 'text-[11px]' : 'text-xs'}`}
         >
-          <QrCode className="w-4 h-4" /> QR
+          <QrCode className="w-4 h-4" /> Re-provision
         </Button>
         <Button
           variant="secondary"
@@ -149,11 +154,8 @@ export const DoorLockCard = ({ device }) => {
       {/* QR Code Modal */}
       {qrData && (
         <QRCodeModal
-          isOpen={showQRModal}
-          onClose={() => {
-            setShowQRModal(false);
-            setQrData(null);
-          }}
+          isOpen
+          onClose={closeQR}
           qrData={qrData}
         />
       )}
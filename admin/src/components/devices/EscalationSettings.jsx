@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { Switch } from '../ui/Switch';
+import { devicesApi } from '../../api/devicesApi';
+import { useNotification } from '../../context/NotificationContext';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none';
+
+const toForm = (escalation = {}) => ({
+  enabled: !!escalation.enabled,
+  stepSeconds: escalation.stepSeconds ?? 30,
+  timezone: escalation.timezone || 'UTC',
+  chain: (escalation.chain || []).map(String),
+  onCallRotation: (escalation.onCallRotation || []).map(shift => ({
+    userId: String(shift.userId),
+    daysOfWeek: shift.daysOfWeek || [],
+    startTime: shift.startTime,
+    endTime: shift.endTime,
+  })),
+});
+
+export const EscalationSettings = ({ device }) => {
+  const deviceId = device._id || device.id;
+  const notification = useNotification();
+  const [form, setForm] = useState(toForm);
+  const [candidates, setCandidates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const fetchEscalation = useCallback(async () => {
+    try {
+      const response = await devicesApi.getEscalation(deviceId);
+      setForm(toForm(response.data?.escalation));
+      setCandidates(response.data?.candidates || []);
+    } catch (err) {
+      console.error('Failed to load escalation settings:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    fetchEscalation();
+  }, [fetchEscalation]);
+
+  const userName = (userId) => candidates.find(user => user._id === userId)?.username || 'Unknown user';
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const addToChain = (userId) => {
+    if (!userId) return;
+    setForm(prev => ({ ...prev, chain: [...prev.chain, userId] }));
+  };
+
+  const moveUp = (index) => {
+    setForm(prev => {
+      const chain = [...prev.chain];
+      [chain[index - 1], chain[index]] = [chain[index], chain[index - 1]];
+      return { ...prev, chain };
+    });
+  };
+
+  const removeFromChain = (index) => {
+    setForm(prev => ({ ...prev, chain: prev.chain.filter((_, i) => i !== index) }));
+  };
+
+  const addShift = () => {
+    setForm(prev => ({
+      ...prev,
+      onCallRotation: [
+        ...prev.onCallRotation,
+        { userId: candidates[0]?._id || '', daysOfWeek: [1, 2, 3, 4, 5], startTime: '09:00', endTime: '17:00' },
+      ],
+    }));
+  };
+
+  const updateShift = (index, changes) => {
+    setForm(prev => ({
+      ...prev,
+      onCallRotation: prev.onCallRotation.map((shift, i) => i === index ? { ...shift, ...changes } : shift),
+    }));
+  };
+
+  const toggleShiftDay = (index, day) => {
+    const days = form.onCallRotation[index].daysOfWeek;
+    updateShift(index, {
+      daysOfWeek: days.includes(day) ? days.filter(d => d !== day) : [...days, day],
+    });
+  };
+
+  const removeShift = (index) => {
+    setForm(prev => ({ ...prev, onCallRotation: prev.onCallRotation.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await devicesApi.updateEscalation(deviceId, {
+        ...form,
+        stepSeconds: Number(form.stepSeconds),
+      });
+      setForm(toForm(response.data));
+      notification.success('Escalation settings saved');
+    } catch (err) {
+      notification.error(err.message || 'Failed to save escalation settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const available = candidates.filter(user => !form.chain.includes(user._id));
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-lg font-semibold text-gray-900">Visitor Escalation</h3>
+        <Switch
+          size="sm"
+          checked={form.enabled}
+          onChange={(enabled) => setForm(prev => ({ ...prev, enabled }))}
+        />
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Page one person at a time instead of everyone. Whoever is on call goes first, then the chain in order;
+        if nobody answers, all admins are notified.
+      </p>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : (
+        <form onSubmit={handleSave} className="space-y-4">
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-gray-600">
+              Seconds per step
+              <input
+                type="number"
+                name="stepSeconds"
+                min={5}
+                max={3600}
+                required
+                value={form.stepSeconds}
+                onChange={handleChange}
+                className={inputClassName}
+              />
+            </label>
+            <label className="text-xs text-gray-600">
+              Rotation timezone
+              <input name="timezone" required value={form.timezone} onChange={handleChange} className={inputClassName} />
+            </label>
+          </div>
+
+          {/* Escalation chain */}
+          <div>
+            <p className="text-sm font-medium text-gray-900 mb-2">Chain</p>
+            {form.chain.length === 0 ? (
+              <p className="text-xs text-gray-500 mb-2">Empty - the owner is paged when nobody is on call.</p>
+            ) : (
+              <ol className="divide-y divide-gray-200 mb-2">
+                {form.chain.map((userId, index) => (
+                  <li key={userId} className="flex items-center justify-between py-1">
+                    <span className="text-sm text-gray-700">{index + 1}. {userName(userId)}</span>
+                    <div className="flex items-center space-x-1">
+                      {index > 0 && (
+                        <Button type="button" variant="ghost" size="sm" onClick={() => moveUp(index)}>
+                          Up
+                        </Button>
+                      )}
+                      <Button type="button" variant="ghost" size="sm" onClick={() => removeFromChain(index)}>
+                        Remove
+                      </Button>
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            )}
+            {available.length > 0 && (
+              <select value="" onChange={(e) => addToChain(e.target.value)} className={inputClassName}>
+                <option value="">Add user to chain...</option>
+                {available.map(user => (
+                  <option key={user._id} value={user._id}>
+                    {user.username} ({user.role})
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          {/* On-call rotation */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-medium text-gray-900">On-call rotation</p>
+              <Button type="button" size="sm" variant="secondary" onClick={addShift} disabled={candidates.length === 0}>
+                Add Shift
+              </Button>
+            </div>
+            {form.onCallRotation.length === 0 && (
+              <p className="text-xs text-gray-500">No shifts - only the chain is used.</p>
+            )}
+            <div className="space-y-3">
+              {form.onCallRotation.map((shift, index) => (
+                <div key={index} className="p-3 rounded-lg border border-gray-200 space-y-2">
+                  <div className="flex items-center space-x-2">
+                    <select
+                      value={shift.userId}
+                      onChange={(e) => updateShift(index, { userId: e.target.value })}
+                      className={inputClassName}
+                    >
+                      {candidates.map(user => (
+                        <option key={user._id} value={user._id}>{user.username}</option>
+                      ))}
+                    </select>
+                    <Button type="button" variant="ghost" size="sm" onClick={() => removeShift(index)}>
+                      Remove
+                    </Button>
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {DAYS.map((label, day) => (
+                      <button
+                        key={label}
+                        type="button"
+                        onClick={() => toggleShiftDay(index, day)}
+                        className={`px-3 py-1 rounded-full text-xs font-medium border ${
+                          shift.daysOfWeek.includes(day)
+                            ? 'bg-green-600 border-green-600 text-white'
+                            : 'bg-white border-gray-300 text-gray-700'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <input
+                      type="time"
+                      required
+                      value={shift.startTime}
+                      onChange={(e) => updateShift(index, { startTime: e.target.value })}
+                      className={inputClassName}
+                    />
+                    <input
+                      type="time"
+                      required
+                      value={shift.endTime}
+                      onChange={(e) => updateShift(index, { endTime: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <Button type="submit" size="sm" loading={saving}>
+              Save
+            </Button>
+          </div>
+        </form>
+      )}
+    </Card>
+  );
+};
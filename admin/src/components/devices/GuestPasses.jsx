@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { devicesApi } from '../../api/devicesApi';
+import { useNotification } from '../../context/NotificationContext';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none';
+
+// Format a date as a datetime-local input value (local time)
+const toLocalInput = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const emptyForm = () => ({
+  guestName: '',
+  codeType: 'pin',
+  validFrom: toLocalInput(new Date()),
+  validUntil: toLocalInput(new Date(Date.now() + 24 * 60 * 60 * 1000)),
+  maxUses: 1,
+});
+
+const getPassStatus = (pass) => {
+  const now = new Date();
+  if (pass.revoked) return { label: 'Revoked', className: 'bg-gray-100 text-gray-700' };
+  if (new Date(pass.validUntil) < now) return { label: 'Expired', className: 'bg-gray-100 text-gray-700' };
+  if (pass.useCount >= pass.maxUses) return { label: 'Used', className: 'bg-blue-100 text-blue-800' };
+  if (new Date(pass.validFrom) > now) return { label: 'Scheduled', className: 'bg-yellow-100 text-yellow-800' };
+  return { label: 'Active', className: 'bg-green-100 text-green-800' };
+};
+
+export const GuestPasses = ({ device }) => {
+  const deviceId = device._id || device.id;
+  const notification = useNotification();
+  const [passes, setPasses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [issued, setIssued] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const fetchPasses = useCallback(async () => {
+    try {
+      const response = await devicesApi.getGuestPasses(deviceId);
+      setPasses(response.data || []);
+    } catch (err) {
+      console.error('Failed to load guest passes:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    fetchPasses();
+  }, [fetchPasses]);
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await devicesApi.createGuestPass(deviceId, {
+        ...form,
+        validFrom: new Date(form.validFrom).toISOString(),
+        validUntil: new Date(form.validUntil).toISOString(),
+        maxUses: Number(form.maxUses),
+      });
+      setIssued(response.data);
+      setForm(emptyForm());
+      setShowForm(false);
+      notification.success('Guest pass issued');
+      await fetchPasses();
+    } catch (err) {
+      notification.error(err.message || 'Failed to issue guest pass');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (pass) => {
+    if (!window.confirm(`Revoke the guest pass for ${pass.guestName}?`)) return;
+    try {
+      await devicesApi.revokeGuestPass(deviceId, pass._id);
+      notification.success('Guest pass revoked');
+      await fetchPasses();
+    } catch (err) {
+      notification.error(err.message || 'Failed to revoke guest pass');
+    }
+  };
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-lg font-semibold text-gray-900">Guest Passes</h3>
+        {!showForm && (
+          <Button size="sm" variant="secondary" onClick={() => setShowForm(true)}>
+            Issue Pass
+          </Button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Guests enter the PIN or show the QR code at the door camera to unlock.
+      </p>
+
+      {/* Newly issued code - shown once */}
+      {issued && (
+        <div className="mb-4 p-4 rounded-lg border border-green-200 bg-green-50">
+          <div className="flex items-start justify-between">
+            <div>
+              <p className="text-sm font-medium text-green-900">
+                Pass for {issued.pass.guestName}
+              </p>
+              <p className="text-xs text-green-700 mb-2">
+                Share it now - the code cannot be shown again.
+              </p>
+              {issued.pass.codeType === 'pin' && (
+                <p className="text-3xl font-mono font-bold tracking-widest text-gray-900">{issued.code}</p>
+              )}
+            </div>
+            <Button variant="ghost" size="sm" onClick={() => setIssued(null)}>
+              Done
+            </Button>
+          </div>
+          {issued.qrCode && (
+            <img src={issued.qrCode} alt="Guest pass QR code" className="w-40 h-40 mt-2" />
+          )}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : passes.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No guest passes issued.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 mb-4">
+          {passes.map(pass => {
+            const status = getPassStatus(pass);
+            const isExpanded = expandedId === pass._id;
+            return (
+              <li key={pass._id} className="py-2">
+                <div className="flex items-center justify-between">
+                  <button
+                    type="button"
+                    className="text-left"
+                    onClick={() => setExpandedId(isExpanded ? null : pass._id)}
+                  >
+                    <p className="text-sm font-medium text-gray-900">
+                      {pass.guestName}
+                      <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+                        {status.label}
+                      </span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {pass.codeType.toUpperCase()} · {pass.useCount}/{pass.maxUses} used · until {new Date(pass.validUntil).toLocaleString()}
+                    </p>
+                  </button>
+                  {status.label === 'Active' || status.label === 'Scheduled' ? (
+                    <Button variant="ghost" size="sm" onClick={() => handleRevoke(pass)}>
+                      Revoke
+                    </Button>
+                  ) : null}
+                </div>
+
+                {/* Redemption history */}
+                {isExpanded && (
+                  <div className="mt-2 ml-2 text-xs text-gray-600 space-y-1">
+                    {pass.redemptions.length === 0 ? (
+                      <p>Not redeemed yet.</p>
+                    ) : (
+                      pass.redemptions.map(redemption => (
+                        <p key={redemption._id}>
+                          Redeemed {new Date(redemption.redeemedAt).toLocaleString()}
+                          {redemption.ipAddress && ` from ${redemption.ipAddress}`}
+                        </p>
+                      ))
+                    )}
+                    {pass.revoked && (
+                      <p>
+                        Revoked {new Date(pass.revokedAt).toLocaleString()}
+                        {pass.revokedBy?.username && ` by ${pass.revokedBy.username}`}
+                      </p>
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="space-y-3 border-t border-gray-200 pt-4">
+          <input
+            name="guestName"
+            required
+            maxLength={100}
+            value={form.guestName}
+            onChange={handleChange}
+            placeholder="Guest name"
+            className={inputClassName}
+          />
+          <div className="grid grid-cols-2 gap-2">
+            <select name="codeType" value={form.codeType} onChange={handleChange} className={inputClassName}>
+              <option value="pin">6-digit PIN</option>
+              <option value="qr">QR code</option>
+            </select>
+            <input
+              type="number"
+              name="maxUses"
+              min={1}
+              max={100}
+              required
+              value={form.maxUses}
+              onChange={handleChange}
+              title="Number of uses"
+              className={inputClassName}
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-gray-600">
+              Valid from
+              <input type="datetime-local" name="validFrom" required value={form.validFrom} onChange={handleChange} className={inputClassName} />
+            </label>
+            <label className="text-xs text-gray-600">
+              Valid until
+              <input type="datetime-local" name="validUntil" required value={form.validUntil} onChange={handleChange} className={inputClassName} />
+            </label>
+          </div>
+          <div className="flex justify-end space-x-2">
+            <Button type="button" size="sm" variant="ghost" onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" size="sm" loading={saving}>
+              Issue Pass
+            </Button>
+          </div>
+        </form>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,110 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { devicesApi } from '../../api/devicesApi';
+import { useDevices } from '../../hooks/useDevices';
+import { useNotification } from '../../context/NotificationContext';
+
+export const PairedLocks = ({ device }) => {
+  const deviceId = device._id || device.id;
+  const { devices } = useDevices();
+  const notification = useNotification();
+  const [locks, setLocks] = useState([]);
+  const [selectedLockId, setSelectedLockId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const fetchLocks = useCallback(async () => {
+    try {
+      const response = await devicesApi.getPairedLocks(deviceId);
+      setLocks(response.data || []);
+    } catch (err) {
+      console.error('Failed to load paired locks:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    fetchLocks();
+  }, [fetchLocks]);
+
+  const pairedIds = locks.map(lock => lock._id);
+  const availableLocks = devices.filter(d =>
+    (d.deviceType || d.type) === 'door-lock' &&
+    d._id !== deviceId &&
+    !pairedIds.includes(d._id)
+  );
+
+  const handlePair = async () => {
+    if (!selectedLockId) return;
+    setSaving(true);
+    try {
+      await devicesApi.pairLock(deviceId, selectedLockId);
+      notification.success('Lock paired');
+      setSelectedLockId('');
+      await fetchLocks();
+    } catch (err) {
+      notification.error(err.message || 'Failed to pair lock');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUnpair = async (lockId) => {
+    try {
+      await devicesApi.unpairLock(deviceId, lockId);
+      notification.success('Lock unpaired');
+      await fetchLocks();
+    } catch (err) {
+      notification.error(err.message || 'Failed to unpair lock');
+    }
+  };
+
+  return (
+    <Card>
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Paired Door Locks</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Approving a visitor on this device unlocks these locks.
+      </p>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : locks.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No locks paired yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 mb-4">
+          {locks.map(lock => (
+            <li key={lock._id} className="flex items-center justify-between py-2">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{lock.name}</p>
+                <p className="text-xs text-gray-500">
+                  {lock.room || lock.location || lock.espId} · {lock.status || 'offline'}
+                </p>
+              </div>
+              <Button variant="ghost" size="sm" onClick={() => handleUnpair(lock._id)}>
+                Unpair
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex items-center space-x-2">
+        <select
+          value={selectedLockId}
+          onChange={(e) => setSelectedLockId(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none"
+        >
+          <option value="">Select a door lock...</option>
+          {availableLocks.map(lock => (
+            <option key={lock._id} value={lock._id}>{lock.name}</option>
+          ))}
+        </select>
+        <Button size="sm" onClick={handlePair} loading={saving} disabled={!selectedLockId}>
+          Pair
+        </Button>
+      </div>
+    </Card>
+  );
+};
@@ -0,0 +1,90 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { devicesApi } from '../../api/devicesApi';
+import { useDevices } from '../../hooks/useDevices';
+import { useNotification } from '../../context/NotificationContext';
+
+/**
+ * Share invitations addressed to the current user
+ * Renders nothing when there are none
+ */
+export const PendingInvitations = () => {
+  const { devices, fetchDevices } = useDevices();
+  const notification = useNotification();
+  const [invitations, setInvitations] = useState([]);
+  const [respondingId, setRespondingId] = useState(null);
+
+  const fetchInvitations = useCallback(async () => {
+    try {
+      const response = await devicesApi.getMyInvitations();
+      setInvitations(response.data || []);
+    } catch (err) {
+      console.error('Failed to load invitations:', err);
+    }
+  }, []);
+
+  // Refetch whenever the device list changes (e.g. after a share notification)
+  useEffect(() => {
+    fetchInvitations();
+  }, [fetchInvitations, devices]);
+
+  const respond = async (invitation, accept) => {
+    setRespondingId(invitation._id);
+    try {
+      if (accept) {
+        await devicesApi.acceptInvitation(invitation._id);
+        notification.success(`You now have access to ${invitation.deviceId?.name || 'the device'}`);
+        await fetchDevices();
+      } else {
+        await devicesApi.declineInvitation(invitation._id);
+        notification.info('Invitation declined');
+      }
+      await fetchInvitations();
+    } catch (err) {
+      notification.error(err.message || 'Failed to respond to invitation');
+    } finally {
+      setRespondingId(null);
+    }
+  };
+
+  if (invitations.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card>
+      <h3 className="text-lg font-semibold text-gray-900 mb-3">Invitations</h3>
+      <ul className="divide-y divide-gray-200">
+        {invitations.map(invitation => (
+          <li key={invitation._id} className="flex items-center justify-between py-2">
+            <div>
+              <p className="text-sm font-medium text-gray-900">{invitation.deviceId?.name || 'Deleted device'}</p>
+              <p className="text-xs text-gray-500">
+                From {invitation.invitedBy?.username} · {invitation.permission === 'control' ? 'Can control' : 'View only'}
+                {invitation.expiresAt && ` · until ${new Date(invitation.expiresAt).toLocaleString()}`}
+              </p>
+            </div>
+            <div className="flex items-center space-x-2">
+              <Button
+                size="sm"
+                variant="ghost"
+                disabled={respondingId === invitation._id}
+                onClick={() => respond(invitation, false)}
+              >
+                Decline
+              </Button>
+              <Button
+                size="sm"
+                loading={respondingId === invitation._id}
+                onClick={() => respond(invitation, true)}
+              >
+                Accept
+              </Button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </Card>
+  );
+};
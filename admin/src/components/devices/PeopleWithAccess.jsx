@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { devicesApi } from '../../api/devicesApi';
+import { useAuth } from '../../hooks/useAuth';
+import { useNotification } from '../../context/NotificationContext';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none';
+
+const emptyForm = () => ({
+  user: '',
+  permission: 'view',
+  expiresAt: '',
+});
+
+const permissionLabel = (permissions = []) => (
+  permissions.includes('control') ? 'Can control' : 'View only'
+);
+
+export const PeopleWithAccess = ({ device }) => {
+  const deviceId = device._id || device.id;
+  const isOwner = device.userPermissions?.includes('admin');
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const notification = useNotification();
+  const [owner, setOwner] = useState(null);
+  const [shares, setShares] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(isOwner);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+
+  const fetchShares = useCallback(async () => {
+    if (!isOwner) return;
+    try {
+      const response = await devicesApi.getShares(deviceId);
+      setOwner(response.data?.owner || null);
+      setShares(response.data?.shares || []);
+      setInvitations(response.data?.invitations || []);
+    } catch (err) {
+      console.error('Failed to load device shares:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [deviceId, isOwner]);
+
+  useEffect(() => {
+    fetchShares();
+  }, [fetchShares]);
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await devicesApi.inviteUser(deviceId, {
+        ...form,
+        expiresAt: form.expiresAt ? new Date(form.expiresAt).toISOString() : undefined,
+      });
+      notification.success(response.message || 'Invitation sent');
+      setForm(emptyForm());
+      setShowForm(false);
+      await fetchShares();
+    } catch (err) {
+      notification.error(err.message || 'Failed to send invitation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePermissionChange = async (share, permission) => {
+    try {
+      await devicesApi.updateShare(deviceId, share.userId._id, { permission });
+      notification.success('Permission updated');
+      await fetchShares();
+    } catch (err) {
+      notification.error(err.message || 'Failed to update permission');
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    if (!window.confirm(`Remove ${share.userId.username}'s access to ${device.name}?`)) return;
+    try {
+      await devicesApi.revokeShare(deviceId, share.userId._id);
+      notification.success('Access revoked');
+      await fetchShares();
+    } catch (err) {
+      notification.error(err.message || 'Failed to revoke access');
+    }
+  };
+
+  const handleCancelInvitation = async (invitation) => {
+    try {
+      await devicesApi.cancelInvitation(deviceId, invitation._id);
+      notification.success('Invitation cancelled');
+      await fetchShares();
+    } catch (err) {
+      notification.error(err.message || 'Failed to cancel invitation');
+    }
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave ${device.name}? You will need a new invitation to get access back.`)) return;
+    try {
+      await devicesApi.revokeShare(deviceId, user.id);
+      notification.success(`You left ${device.name}`);
+      navigate('/devices');
+    } catch (err) {
+      notification.error(err.message || 'Failed to leave device');
+    }
+  };
+
+  // Shared users only see their own access
+  if (!isOwner) {
+    return (
+      <Card>
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">People with Access</h3>
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-500">
+            This device is shared with you ({permissionLabel(device.userPermissions).toLowerCase()}).
+          </p>
+          <Button variant="ghost" size="sm" onClick={handleLeave}>
+            Leave
+          </Button>
+        </div>
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-lg font-semibold text-gray-900">People with Access</h3>
+        {!showForm && (
+          <Button size="sm" variant="secondary" onClick={() => setShowForm(true)}>
+            Invite
+          </Button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Invited users see this device, its visitors and events. Control lets them answer visitors and unlock.
+      </p>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 mb-4">
+          {owner && (
+            <li className="flex items-center justify-between py-2">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{owner.username}</p>
+                <p className="text-xs text-gray-500">{owner.email}</p>
+              </div>
+              <span className="text-xs text-gray-500">Owner</span>
+            </li>
+          )}
+          {shares.map(share => (
+            <li key={share.userId._id} className="flex items-center justify-between py-2">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{share.userId.username}</p>
+                <p className="text-xs text-gray-500">
+                  {share.userId.email}
+                  {share.expiresAt && ` · until ${new Date(share.expiresAt).toLocaleString()}`}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                <select
+                  value={share.permissions.includes('control') ? 'control' : 'view'}
+                  onChange={(e) => handlePermissionChange(share, e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-lg text-xs outline-none"
+                >
+                  <option value="view">View only</option>
+                  <option value="control">Can control</option>
+                </select>
+                <Button variant="ghost" size="sm" onClick={() => handleRevoke(share)}>
+                  Remove
+                </Button>
+              </div>
+            </li>
+          ))}
+          {invitations.map(invitation => (
+            <li key={invitation._id} className="flex items-center justify-between py-2">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {invitation.inviteeId?.username}
+                  <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                    Invited
+                  </span>
+                </p>
+                <p className="text-xs text-gray-500">
+                  {permissionLabel([invitation.permission])}
+                  {invitation.expiresAt && ` · until ${new Date(invitation.expiresAt).toLocaleString()}`}
+                </p>
+              </div>
+              <Button variant="ghost" size="sm" onClick={() => handleCancelInvitation(invitation)}>
+                Cancel
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleInvite} className="space-y-3 border-t border-gray-200 pt-4">
+          <input
+            name="user"
+            required
+            value={form.user}
+            onChange={handleChange}
+            placeholder="Email or username"
+            className={inputClassName}
+          />
+          <div className="grid grid-cols-2 gap-2">
+            <select name="permission" value={form.permission} onChange={handleChange} className={inputClassName}>
+              <option value="view">View only</option>
+              <option value="control">Can control</option>
+            </select>
+            <label className="text-xs text-gray-600">
+              Access until (optional)
+              <input type="datetime-local" name="expiresAt" value={form.expiresAt} onChange={handleChange} className={inputClassName} />
+            </label>
+          </div>
+          <div className="flex justify-end space-x-2">
+            <Button type="button" size="sm" variant="ghost" onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" size="sm" loading={saving}>
+              Send Invitation
+            </Button>
+          </div>
+        </form>
+      )}
+    </Card>
+  );
+};
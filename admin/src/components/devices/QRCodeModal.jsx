@@ -103,6 +103,19 @@ export const QRCodeModal = ({ isOpen, onClose, qrData }) => {
             </div>
           </div>
 
+          {qrData.activationCode && (
+            <p className="mb-4 sm:mb-5 text-sm text-center text-gray-600">
+              Activation code <code className="font-mono font-semibold text-gray-900">{qrData.activationCode}</code>
+              {qrData.activationCodeExpiresAt && <> · single use, expires {new Date(qrData.activationCodeExpiresAt).toLocaleTimeString()}</>}
+            </p>
+          )}
+
+          {qrData.previousTokenExpiresAt && (
+            <p className="mb-4 sm:mb-5 text-sm text-orange-700 bg-orange-50 border border-orange-200 rounded-lg p-3">
+              This QR replaces the previous one. The old token keeps working until {new Date(qrData.previousTokenExpiresAt).toLocaleString()}.
+            </p>
+          )}
+
           {/* Instructions */}
           <div className="mb-4 sm:mb-5 bg-blue-50 border border-blue-200 rounded-lg p-3 sm:p-4">
             <h3 className="font-semibold text-blue-900 mb-2 text-sm">
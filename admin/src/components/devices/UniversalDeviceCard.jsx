@@ -1,33 +1,16 @@
-import React, { useState } from 'react';
+import React from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Card } from '../ui/Card';
 import { Button } from '../ui/Button';
 import { QRCodeModal } from './QRCodeModal';
-import { devicesApi } from '../../api/devicesApi';
+import { useDeviceReprovision } from '../../hooks/useDeviceReprovision';
 import { QrCode, Eye, Settings } from 'lucide-react';
 import { useUISettings } from '../../context/UISettingsContext';
 
 export const UniversalDeviceCard = ({ device }) => {
   const navigate = useNavigate();
   const { density } = useUISettings();
-  const [showQRModal, setShowQRModal] = useState(false);
-  const [qrData, setQrData] = useState(null);
-  const [loadingQR, setLoadingQR] = useState(false);
-
-  const handleViewQR = async () => {
-    try {
-      setLoadingQR(true);
-      const response = await devicesApi.getDeviceQR(device._id || device.id);
-      if (response.data) {
-        setQrData(response.data);
-        setShowQRModal(true);
-      }
-    } catch (e) {
-      console.error('Failed to fetch QR code', e);
-    } finally {
-      setLoadingQR(false);
-    }
-  };
+  const { qrData, reprovisioning, reprovision, closeQR } = useDeviceReprovision();
 
   const getDeviceIcon = (type) => {
     switch (type) {
@@ -96,11 +79,12 @@ export const UniversalDeviceCard = ({ device }) => {
         <Button
           variant="outline"
           size="sm"
-          onClick={handleViewQR}
-          loading={loadingQR}
+          onClick={() => reprovision(device)}
+          loading={reprovisioning}
+          title="Issue a new device token and onboarding QR"
           className={`flex items-center gap-1 px-2 py-1 ${density === 'compact' ? 'text-[11px]' : 'text-xs'}`}
         >
-          <QrCode className="w-4 h-4" /> QR
+          <QrCode className="w-4 h-4" /> Re-provision
         </Button>
         <div className="flex items-center gap-2">
           <Button
@@ -124,11 +108,8 @@ export const UniversalDeviceCard = ({ device }) => {
 
       {qrData && (
         <QRCodeModal
-          isOpen={showQRModal}
-          onClose={() => {
-            setShowQRModal(false);
-            setQrData(null);
-          }}
+          isOpen
+          onClose={closeQR}
           qrData={qrData}
         />
       )}
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Card } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { devicesApi } from '../../api/devicesApi';
+import { useNotification } from '../../context/NotificationContext';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none';
+
+export const VisitorTimeoutSettings = ({ device }) => {
+  const deviceId = device._id || device.id;
+  const notification = useNotification();
+  const [timeout, setTimeoutValue] = useState(device.settings?.visitorResponseTimeout ?? 0);
+  const [action, setAction] = useState(device.settings?.timeoutAction || 'expire');
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await devicesApi.updateDevice(deviceId, {
+        settings: {
+          visitorResponseTimeout: Number(timeout),
+          timeoutAction: action,
+        },
+      });
+      notification.success('Visitor timeout saved');
+    } catch (err) {
+      notification.error(err.message || 'Failed to save visitor timeout');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Visitor Response Timeout</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Unanswered visitors are resolved automatically so nobody waits at a dead screen. Use 0 to wait forever.
+      </p>
+      <form onSubmit={handleSave} className="grid grid-cols-1 sm:grid-cols-3 gap-2 items-end">
+        <label className="text-xs text-gray-600">
+          Timeout (seconds)
+          <input
+            type="number"
+            min={0}
+            max={3600}
+            required
+            value={timeout}
+            onChange={(e) => setTimeoutValue(e.target.value)}
+            className={inputClassName}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          When it expires
+          <select value={action} onChange={(e) => setAction(e.target.value)} className={inputClassName}>
+            <option value="expire">Mark as expired</option>
+            <option value="deny">Deny access</option>
+          </select>
+        </label>
+        <Button type="submit" size="sm" loading={saving}>
+          Save
+        </Button>
+      </form>
+    </Card>
+  );
+};
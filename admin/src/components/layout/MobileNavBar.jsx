@@ -1,5 +1,7 @@
 import React from 'react';
 import { NavLink } from 'react-router-dom';
+import { useAuth } from '../../hooks/useAuth';
+import { hasPermission, PERMISSIONS } from '../../utils/permissions';
 
 // Shared menu items (minimal to prevent duplication; icons sized for mobile)
 const menuItems = [
@@ -42,6 +44,7 @@ const menuItems = [
   {
     name: 'Users',
     path: '/users',
+    permission: PERMISSIONS.USERS_MANAGE,
     icon: (
       <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" />
@@ -51,10 +54,12 @@ const menuItems = [
 ];
 
 export const MobileNavBar = () => {
+  const { user } = useAuth();
+
   return (
     <nav className="md:hidden fixed bottom-0 inset-x-0 z-40 bg-white/80 backdrop-blur-lg border-t border-gray-200 shadow-sm">
       <ul className="flex justify-around items-center px-2 pt-2 pb-[calc(.5rem+env(safe-area-inset-bottom))]">
-        {menuItems.map(item => (
+        {menuItems.filter(item => !item.permission || hasPermission(user, item.permission)).map(item => (
           <li key={item.path}>
             <NavLink
               to={item.path}
@@ -1,6 +1,7 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
+import { hasPermission, PERMISSIONS } from '../../utils/permissions';
 
 export const menuItems = [
   {
@@ -42,6 +43,7 @@ export const menuItems = [
   {
     name: 'Users',
     path: '/users',
+    permission: PERMISSIONS.USERS_MANAGE,
     icon: (
       <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" />
@@ -90,7 +92,7 @@ export const Sidebar = () => {
 
       {/* Navigation */}
       <nav className="flex-1 px-2 py-4 space-y-1">
-        {menuItems.map((item) => (
+        {menuItems.filter(item => !item.permission || hasPermission(user, item.permission)).map((item) => (
           <Link
             key={item.path}
             to={item.path}
@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import { useNotification } from '../../context/NotificationContext';
 import ConnectionStatus from '../ui/ConnectionStatus';
@@ -13,6 +14,7 @@ export const Topbar = () => {
   const { density, toggleDensity } = useUISettings();
   const [mobileSidebarOpen, setMobileSidebarOpen] = useState(false);
   const notification = useNotification();
+  const navigate = useNavigate();
   
   const [showDropdown, setShowDropdown] = useState(false);
   const [showNotifications, setShowNotifications] = useState(false);
@@ -38,8 +40,12 @@ export const Topbar = () => {
 
   const handleApprove = async (visitorId, note) => {
     // Call REST API endpoint to grant access
-    await dashboardApi.approveVisitor(visitorId, note);
-    notification.success('Access granted successfully');
+    const response = await dashboardApi.approveVisitor(visitorId, note);
+    if (response.data?.noPairedLock) {
+      notification.warning(response.message);
+    } else {
+      notification.success('Access granted successfully');
+    }
   };
 
   const handleReject = async (visitorId, reason) => {
@@ -136,6 +142,12 @@ export const Topbar = () => {
                 <button className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-green-50 hover:text-green-700 transition-colors">
                   Settings
                 </button>
+                <button
+                  onClick={() => { setShowDropdown(false); navigate('/settings/security'); }}
+                  className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-green-50 hover:text-green-700 transition-colors"
+                >
+                  Security
+                </button>
                 <hr className="my-1" />
                 <button
                   onClick={handleLogout}
@@ -0,0 +1,111 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { authApi } from '../../api/authApi';
+import { useNotification } from '../../context/NotificationContext';
+import { formatDateTime, timeAgo, describeUserAgent } from '../../utils/format';
+
+/**
+ * Signed-in sessions of the current user with remote sign-out
+ */
+export const ActiveSessions = () => {
+  const notification = useNotification();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await authApi.getSessions();
+      setSessions(response.data || []);
+    } catch (err) {
+      console.error('Failed to load sessions:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    setRevokingId(session.id);
+    try {
+      await authApi.revokeSession(session.id);
+      notification.success(`Signed out ${describeUserAgent(session.userAgent)}`);
+      await fetchSessions();
+    } catch (err) {
+      notification.error(err.message || 'Failed to sign out session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out every other device? They will need to log in again.')) return;
+
+    setRevokingId('others');
+    try {
+      const response = await authApi.revokeOtherSessions();
+      notification.success(`Signed out ${response.data?.revokedSessions || 0} other session(s)`);
+      await fetchSessions();
+    } catch (err) {
+      notification.error(err.message || 'Failed to sign out sessions');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const hasOtherSessions = sessions.some(session => !session.current);
+
+  return (
+    <Card
+      title="Active sessions"
+      subtitle="Devices currently signed in to your account"
+      padding={false}
+      actions={hasOtherSessions && (
+        <Button
+          size="sm"
+          variant="secondary"
+          loading={revokingId === 'others'}
+          onClick={handleRevokeOthers}
+        >
+          Sign out all others
+        </Button>
+      )}
+    >
+      {loading ? (
+        <p className="px-6 pb-6 text-sm text-gray-500">Loading sessions...</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {sessions.map(session => (
+            <li key={session.id} className="flex items-center justify-between px-6 py-4">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {describeUserAgent(session.userAgent)}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700">This device</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {session.ipAddress || 'Unknown IP'} · Signed in {formatDateTime(session.createdAt)} · Last active {timeAgo(session.lastUsedAt)}
+                </p>
+              </div>
+              {!session.current && (
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  loading={revokingId === session.id}
+                  onClick={() => handleRevoke(session)}
+                >
+                  Sign out
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+};
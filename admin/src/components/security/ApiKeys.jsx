@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { PermissionPicker } from '../users/PermissionPicker';
+import { apiKeysApi } from '../../api/apiKeysApi';
+import { useDevices } from '../../hooks/useDevices';
+import { useNotification } from '../../context/NotificationContext';
+import { formatDateTime, timeAgo } from '../../utils/format';
+
+const EMPTY_KEY = { name: '', scopes: [], deviceIds: [], expiresInDays: '' };
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '30', label: 'Expires in 30 days' },
+  { value: '90', label: 'Expires in 90 days' },
+  { value: '365', label: 'Expires in 1 year' },
+];
+
+const inputClasses = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none';
+
+/**
+ * API keys for scripts and integrations, owned by the current user
+ */
+export const ApiKeys = () => {
+  const notification = useNotification();
+  const { devices } = useDevices();
+  const [apiKeys, setApiKeys] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [adding, setAdding] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_KEY);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchApiKeys = useCallback(async () => {
+    try {
+      const response = await apiKeysApi.getApiKeys();
+      setApiKeys(response.data?.apiKeys || []);
+      setScopes(response.data?.scopes || []);
+    } catch (err) {
+      console.error('Failed to load API keys:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, [fetchApiKeys]);
+
+  const cancel = () => {
+    setAdding(false);
+    setDraft(EMPTY_KEY);
+  };
+
+  const toggleDevice = (deviceId) => {
+    setDraft({
+      ...draft,
+      deviceIds: draft.deviceIds.includes(deviceId)
+        ? draft.deviceIds.filter(id => id !== deviceId)
+        : [...draft.deviceIds, deviceId],
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (draft.scopes.length === 0) {
+      notification.error('Select at least one scope');
+      return;
+    }
+
+    setBusyId('new');
+    try {
+      const response = await apiKeysApi.createApiKey({
+        name: draft.name.trim(),
+        scopes: draft.scopes,
+        deviceIds: draft.deviceIds,
+        expiresInDays: draft.expiresInDays ? Number(draft.expiresInDays) : undefined,
+      });
+      setCreatedKey(response.data.key);
+      cancel();
+      await fetchApiKeys();
+    } catch (err) {
+      notification.error(err.message || 'Failed to create API key');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdKey);
+      notification.success('API key copied');
+    } catch (err) {
+      console.error('Failed to copy API key:', err);
+      notification.error('Could not copy - select the key and copy it manually');
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke the API key "${apiKey.name}"? Anything using it will stop working.`)) return;
+
+    setBusyId(apiKey.id);
+    try {
+      await apiKeysApi.revokeApiKey(apiKey.id);
+      notification.success('API key revoked');
+      await fetchApiKeys();
+    } catch (err) {
+      notification.error(err.message || 'Failed to revoke API key');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const scopeLabel = (key) => scopes.find(scope => scope.key === key)?.label || key;
+  const deviceName = (deviceId) => devices.find(device => device.id === deviceId)?.name || 'Removed device';
+
+  return (
+    <Card
+      title="API keys"
+      subtitle="Let scripts and integrations call the API as you, limited to the scopes you pick"
+      padding={false}
+      actions={!adding && (
+        <Button size="sm" variant="secondary" onClick={() => setAdding(true)}>
+          Create key
+        </Button>
+      )}
+    >
+      {createdKey && (
+        <div className="mx-6 mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-sm font-medium text-green-800">Copy your new API key now - it won't be shown again</p>
+          <code className="block mt-2 p-2 bg-white border border-green-200 rounded text-sm break-all select-all">{createdKey}</code>
+          <div className="flex justify-end gap-2 mt-3">
+            <Button size="sm" variant="secondary" onClick={handleCopy}>Copy</Button>
+            <Button size="sm" variant="ghost" onClick={() => setCreatedKey(null)}>Done</Button>
+          </div>
+        </div>
+      )}
+
+      {adding && (
+        <form onSubmit={handleCreate} className="px-6 pb-6 border-b border-gray-200 space-y-4">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="text"
+              placeholder="Name, e.g. Home Assistant"
+              value={draft.name}
+              maxLength={60}
+              autoFocus
+              required
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              className={inputClasses}
+            />
+            <select
+              value={draft.expiresInDays}
+              onChange={(e) => setDraft({ ...draft, expiresInDays: e.target.value })}
+              className={`${inputClasses} sm:w-56`}
+            >
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Scopes</p>
+            <PermissionPicker
+              catalog={scopes}
+              selected={draft.scopes}
+              onChange={(selected) => setDraft({ ...draft, scopes: selected })}
+            />
+          </div>
+
+          {devices.length > 0 && (
+            <div>
+              <p className="text-sm font-medium text-gray-700">Devices it can send commands to</p>
+              <p className="text-xs text-gray-500 mb-2">Leave empty to allow all of your devices</p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {devices.map(device => (
+                  <label key={device.id} className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={draft.deviceIds.includes(device.id)}
+                      onChange={() => toggleDevice(device.id)}
+                    />
+                    <span className="text-gray-900">{device.name}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" onClick={cancel}>Cancel</Button>
+            <Button type="submit" loading={busyId === 'new'}>Create key</Button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <p className="px-6 py-4 text-sm text-gray-500">Loading API keys...</p>
+      ) : apiKeys.length === 0 ? (
+        <p className="px-6 py-4 text-sm text-gray-500">No API keys yet</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {apiKeys.map(apiKey => (
+            <li key={apiKey.id} className="flex items-center justify-between px-6 py-4">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {apiKey.name}
+                  <code className="ml-2 text-xs text-gray-500">{apiKey.prefix}...</code>
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {apiKey.scopes.map(scopeLabel).join(', ')}
+                  {apiKey.deviceIds.length > 0 && ` · ${apiKey.deviceIds.map(deviceName).join(', ')}`}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Created {formatDateTime(apiKey.createdAt)}
+                  {' · '}{apiKey.lastUsedAt ? `Last used ${timeAgo(apiKey.lastUsedAt)}${apiKey.lastUsedIp ? ` from ${apiKey.lastUsedIp}` : ''}` : 'Never used'}
+                  {apiKey.expiresAt && ` · Expires ${formatDateTime(apiKey.expiresAt)}`}
+                </p>
+              </div>
+              <Button
+                size="sm"
+                variant="ghost"
+                loading={busyId === apiKey.id}
+                onClick={() => handleRevoke(apiKey)}
+              >
+                Revoke
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+import { Card } from '../ui/Card';
+import { authApi } from '../../api/authApi';
+import { formatDateTime, describeUserAgent } from '../../utils/format';
+
+const FAILURE_REASONS = {
+  invalid_password: 'Wrong password',
+  invalid_second_factor: 'Wrong two-factor code',
+  invalid_passkey: 'Passkey not accepted',
+  sso_rejected: 'Single sign-on refused',
+  inactive: 'Account deactivated',
+  locked: 'Account locked',
+};
+
+const METHOD_LABELS = {
+  password: 'Password',
+  totp: 'Authenticator app',
+  recovery_code: 'Recovery code',
+  passkey: 'Passkey',
+  sso: 'Single sign-on',
+};
+
+/**
+ * Recent sign-in attempts on the current user's account
+ */
+export const LoginHistory = () => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    authApi.getLoginHistory()
+      .then(response => setEvents(response.data || []))
+      .catch(err => console.error('Failed to load login history:', err))
+      .finally(() => setLoading(false));
+  }, []);
+
+  return (
+    <Card
+      title="Recent sign-ins"
+      subtitle="Successful and failed attempts to sign in to your account"
+      padding={false}
+    >
+      {loading ? (
+        <p className="px-6 pb-6 text-sm text-gray-500">Loading sign-ins...</p>
+      ) : events.length === 0 ? (
+        <p className="px-6 pb-6 text-sm text-gray-500">No sign-ins recorded yet</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {events.map(event => (
+            <li key={event.id} className="flex items-center justify-between px-6 py-4">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{describeUserAgent(event.userAgent)}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {event.ipAddress || 'Unknown IP'} · {formatDateTime(event.createdAt)}
+                  {event.success && event.method && ` · ${METHOD_LABELS[event.method] || event.method}`}
+                </p>
+              </div>
+              {event.success ? (
+                <span className="px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700">Signed in</span>
+              ) : (
+                <span className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700">
+                  {FAILURE_REASONS[event.reason] || 'Failed'}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { authApi } from '../../api/authApi';
+import { useNotification } from '../../context/NotificationContext';
+import { formatDateTime, timeAgo } from '../../utils/format';
+import { createPasskey, passkeyErrorMessage, passkeysSupported } from '../../utils/passkeys';
+
+const inputClasses = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none';
+
+/**
+ * Passkeys registered by the current user
+ */
+export const PasskeySettings = () => {
+  const notification = useNotification();
+  const [passkeys, setPasskeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [adding, setAdding] = useState(false);
+  const [name, setName] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchPasskeys = useCallback(async () => {
+    try {
+      const response = await authApi.getPasskeys();
+      setPasskeys(response.data || []);
+    } catch (err) {
+      console.error('Failed to load passkeys:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPasskeys();
+  }, [fetchPasskeys]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setBusyId('new');
+    try {
+      const registration = await createPasskey(authApi.passkeyRegistrationOptions);
+      await authApi.registerPasskey({ ...registration, name: name.trim() || undefined });
+      notification.success('Passkey added');
+      setAdding(false);
+      setName('');
+      await fetchPasskeys();
+    } catch (err) {
+      notification.error(passkeyErrorMessage(err, 'Failed to add passkey'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = async (passkey) => {
+    if (!window.confirm(`Remove the passkey "${passkey.name}"? You won't be able to sign in with it anymore.`)) return;
+
+    setBusyId(passkey.id);
+    try {
+      await authApi.deletePasskey(passkey.id);
+      notification.success('Passkey removed');
+      await fetchPasskeys();
+    } catch (err) {
+      notification.error(err.message || 'Failed to remove passkey');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const supported = passkeysSupported();
+
+  return (
+    <Card
+      title="Passkeys"
+      subtitle="Sign in and confirm unlocks with your fingerprint, face or a security key"
+      padding={false}
+      actions={supported && !adding && (
+        <Button size="sm" variant="secondary" onClick={() => setAdding(true)}>
+          Add passkey
+        </Button>
+      )}
+    >
+      {!supported && (
+        <p className="px-6 pb-6 text-sm text-gray-500">This browser does not support passkeys.</p>
+      )}
+
+      {adding && (
+        <form onSubmit={handleAdd} className="px-6 pb-6 border-b border-gray-200 flex flex-col sm:flex-row gap-2">
+          <input
+            type="text"
+            placeholder="Name, e.g. MacBook Touch ID"
+            value={name}
+            maxLength={60}
+            autoFocus
+            onChange={(e) => setName(e.target.value)}
+            className={inputClasses}
+          />
+          <div className="flex gap-2">
+            <Button variant="ghost" onClick={() => { setAdding(false); setName(''); }}>Cancel</Button>
+            <Button type="submit" loading={busyId === 'new'}>Continue</Button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <p className="px-6 py-4 text-sm text-gray-500">Loading passkeys...</p>
+      ) : passkeys.length === 0 ? (
+        supported && <p className="px-6 py-4 text-sm text-gray-500">No passkeys yet</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {passkeys.map(passkey => (
+            <li key={passkey.id} className="flex items-center justify-between px-6 py-4">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {passkey.name}
+                  {passkey.backedUp && (
+                    <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-700">Synced</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Added {formatDateTime(passkey.createdAt)} · {passkey.lastUsedAt ? `Last used ${timeAgo(passkey.lastUsedAt)}` : 'Never used'}
+                </p>
+              </div>
+              <Button
+                size="sm"
+                variant="ghost"
+                loading={busyId === passkey.id}
+                onClick={() => handleRemove(passkey)}
+              >
+                Remove
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+};
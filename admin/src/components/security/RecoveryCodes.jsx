@@ -0,0 +1,42 @@
+import React from 'react';
+import { Button } from '../ui/Button';
+
+/**
+ * One-time display of freshly generated recovery codes
+ *
+ * @param {string[]} codes - Plain-text recovery codes
+ * @param {Function} onDone - Called once the user has saved them
+ */
+export const RecoveryCodes = ({ codes, onDone }) => {
+  const handleDownload = () => {
+    const blob = new Blob([codes.join('\n')], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'smart-home-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Save these recovery codes somewhere safe. Each one lets you sign in once if you lose your
+        phone. They won't be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 border border-gray-200 rounded-lg font-mono text-sm text-gray-900">
+        {codes.map(code => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex space-x-2">
+        <Button variant="secondary" onClick={handleDownload}>
+          Download
+        </Button>
+        <Button variant="primary" fullWidth onClick={onDone}>
+          I've saved my codes
+        </Button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import { Card } from '../ui/Card';
+import { Switch } from '../ui/Switch';
+import { authApi } from '../../api/authApi';
+import { useNotification } from '../../context/NotificationContext';
+
+/**
+ * System-wide security policy (super admins only)
+ */
+export const SecurityPolicySettings = () => {
+  const notification = useNotification();
+  const [policy, setPolicy] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        const response = await authApi.getSecurityPolicy();
+        setPolicy(response.data);
+      } catch (err) {
+        console.error('Failed to load security policy:', err);
+      }
+    };
+    fetchPolicy();
+  }, []);
+
+  const handleToggle = async (requireTwoFactor) => {
+    if (requireTwoFactor && !window.confirm(
+      'Everyone without two-factor authentication will be signed out and must set it up at their next login. Continue?'
+    )) return;
+
+    setSaving(true);
+    try {
+      const response = await authApi.updateSecurityPolicy({ requireTwoFactor });
+      setPolicy(response.data);
+      notification.success(requireTwoFactor
+        ? `Two-factor is now required (${response.data.revokedSessions} session(s) signed out)`
+        : 'Two-factor is now optional');
+    } catch (err) {
+      notification.error(err.message || 'Failed to update security policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!policy) {
+    return null;
+  }
+
+  return (
+    <Card title="Security policy" subtitle="Applies to every account">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-sm font-medium text-gray-900">Require two-factor authentication</p>
+          <p className="text-xs text-gray-500 mt-1">Users must enroll an authenticator app before they can sign in</p>
+        </div>
+        <Switch
+          checked={policy.requireTwoFactor}
+          onChange={handleToggle}
+          disabled={saving}
+        />
+      </div>
+    </Card>
+  );
+};
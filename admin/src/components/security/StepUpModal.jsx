@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '../ui/Button';
+import { authApi } from '../../api/authApi';
+import { getPasskeyAssertion, passkeyErrorMessage, passkeysSupported } from '../../utils/passkeys';
+
+const METHOD_SWITCH_LABELS = {
+  passkey: 'Use a passkey instead',
+  totp: 'Use your authenticator app instead',
+  password: 'Use your password instead',
+};
+
+const inputClasses = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none transition';
+
+/**
+ * Re-authentication prompt shown before unlocking and other sensitive actions
+ *
+ * @param {string} message - Why confirmation is needed
+ * @param {Function} onConfirmed - Called after a successful step-up
+ * @param {Function} onCancel - Called when the user backs out
+ */
+export const StepUpModal = ({ message, onConfirmed, onCancel }) => {
+  const [methods, setMethods] = useState(['password']);
+  const [method, setMethod] = useState('password');
+  const [value, setValue] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await authApi.getStepUpStatus();
+        const available = response.data.methods.filter(m => m !== 'passkey' || passkeysSupported());
+        setMethods(available);
+        setMethod(available[0]);
+      } catch (err) {
+        console.error('Failed to load step-up status:', err);
+      }
+    };
+    fetchStatus();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      if (method === 'passkey') {
+        const passkey = await getPasskeyAssertion(authApi.stepUpPasskeyOptions);
+        await authApi.stepUp({ passkey });
+      } else {
+        await authApi.stepUp(method === 'totp' ? { code: value } : { password: value });
+      }
+      onConfirmed();
+    } catch (err) {
+      setError(passkeyErrorMessage(err, 'Could not confirm your identity'));
+      setValue('');
+      setLoading(false);
+    }
+  };
+
+  const switchMethod = (next) => {
+    setMethod(next);
+    setValue('');
+    setError('');
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] overflow-y-auto">
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 bg-black bg-opacity-50 transition-opacity"
+        onClick={loading ? undefined : onCancel}
+      />
+
+      {/* Modal */}
+      <div className="flex min-h-screen items-center justify-center p-4">
+        <div className="relative bg-white rounded-xl shadow-2xl max-w-sm w-full p-6">
+          <h2 className="text-lg font-bold text-gray-900 mb-1">Confirm it's you</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            {message || 'Unlocking requires recent confirmation of your identity.'}
+          </p>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {method === 'passkey' ? (
+              <p className="text-sm text-gray-600">
+                Use the passkey on this device or your security key.
+              </p>
+            ) : method === 'totp' ? (
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                autoFocus
+                maxLength={6}
+                value={value}
+                onChange={(e) => setValue(e.target.value.replace(/\D/g, ''))}
+                required
+                className={`${inputClasses} text-center text-lg tracking-widest`}
+                placeholder="6-digit code"
+              />
+            ) : (
+              <input
+                type="password"
+                autoComplete="current-password"
+                autoFocus
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                required
+                className={inputClasses}
+                placeholder="Password"
+              />
+            )}
+
+            <div className="flex space-x-2">
+              <Button type="button" variant="ghost" onClick={onCancel} disabled={loading}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary" fullWidth loading={loading}>
+                {method === 'passkey' ? 'Use passkey' : 'Confirm'}
+              </Button>
+            </div>
+          </form>
+
+          <div className="mt-4 flex flex-col items-start space-y-2">
+            {methods.filter(other => other !== method).map(other => (
+              <button
+                key={other}
+                type="button"
+                onClick={() => switchMethod(other)}
+                className="text-sm text-green-600 hover:text-green-700 font-medium"
+              >
+                {METHOD_SWITCH_LABELS[other]}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
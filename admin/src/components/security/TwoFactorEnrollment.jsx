@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '../ui/Button';
+import { authApi } from '../../api/authApi';
+
+/**
+ * TOTP enrollment: QR code, manual secret and confirmation code
+ * Used from the Security page and from the login screen when the
+ * security policy forces 2FA (pass the login `challengeToken` then)
+ *
+ * @param {string} challengeToken - Setup challenge from login (optional)
+ * @param {Function} onEnabled - Called with the enable response data
+ * @param {Function} onCancel - Optional cancel handler
+ */
+export const TwoFactorEnrollment = ({ challengeToken, onEnabled, onCancel }) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    // Each setup call replaces the pending secret - only show the latest one
+    let cancelled = false;
+
+    const start = async () => {
+      try {
+        const response = await authApi.setupTwoFactor(challengeToken ? { challengeToken } : {});
+        if (!cancelled) setEnrollment(response.data);
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to start two-factor setup');
+      }
+    };
+    start();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await authApi.enableTwoFactor({
+        code,
+        ...(challengeToken && { challengeToken }),
+      });
+      onEnabled(response.data);
+    } catch (err) {
+      setError(err.message || 'Invalid verification code');
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      <ol className="text-sm text-gray-600 list-decimal list-inside space-y-1">
+        <li>Install an authenticator app (Google Authenticator, Authy, 1Password...)</li>
+        <li>Scan the QR code, or enter the key by hand</li>
+        <li>Type the 6-digit code the app shows</li>
+      </ol>
+
+      {enrollment ? (
+        <div className="flex flex-col items-center">
+          <img src={enrollment.qrCode} alt="Two-factor QR code" className="w-48 h-48" />
+          <code className="mt-2 px-3 py-1 bg-gray-100 rounded text-xs tracking-wider break-all select-all">
+            {enrollment.secret}
+          </code>
+        </div>
+      ) : (
+        !error && <p className="text-sm text-gray-500 text-center">Generating QR code...</p>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={6}
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+          required
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg text-center text-lg tracking-widest focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none transition"
+          placeholder="123456"
+        />
+        <div className="flex space-x-2">
+          {onCancel && (
+            <Button type="button" variant="ghost" onClick={onCancel}>
+              Cancel
+            </Button>
+          )}
+          <Button
+            type="submit"
+            variant="primary"
+            fullWidth
+            loading={loading}
+            disabled={!enrollment || code.length !== 6}
+          >
+            Enable two-factor
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { TwoFactorEnrollment } from './TwoFactorEnrollment';
+import { RecoveryCodes } from './RecoveryCodes';
+import { authApi } from '../../api/authApi';
+import { useNotification } from '../../context/NotificationContext';
+import { formatDateTime } from '../../utils/format';
+
+const inputClasses = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none';
+
+/**
+ * Two-factor authentication status and management for the current user
+ */
+export const TwoFactorSettings = () => {
+  const notification = useNotification();
+  const [status, setStatus] = useState(null);
+  // null | 'enroll' | 'disable' | 'regenerate'
+  const [mode, setMode] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [form, setForm] = useState({ password: '', code: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await authApi.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (err) {
+      console.error('Failed to load two-factor status:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const closeForm = () => {
+    setMode(null);
+    setForm({ password: '', code: '' });
+  };
+
+  const handleEnabled = (data) => {
+    setMode(null);
+    setRecoveryCodes(data.recoveryCodes);
+    notification.success('Two-factor authentication enabled');
+    fetchStatus();
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await authApi.disableTwoFactor(form);
+      notification.success('Two-factor authentication disabled');
+      closeForm();
+      await fetchStatus();
+    } catch (err) {
+      notification.error(err.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await authApi.regenerateRecoveryCodes({ code: form.code });
+      closeForm();
+      setRecoveryCodes(response.data.recoveryCodes);
+      await fetchStatus();
+    } catch (err) {
+      notification.error(err.message || 'Failed to regenerate recovery codes');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <Card
+      title="Two-factor authentication"
+      subtitle="Require a code from your phone in addition to your password"
+    >
+      {recoveryCodes ? (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      ) : mode === 'enroll' ? (
+        <TwoFactorEnrollment onEnabled={handleEnabled} onCancel={closeForm} />
+      ) : (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-gray-900">
+                {status.enabled ? 'Enabled' : 'Not enabled'}
+                {status.required && (
+                  <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">Required by policy</span>
+                )}
+              </p>
+              {status.enabled && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Since {formatDateTime(status.enabledAt)} · {status.recoveryCodesRemaining} recovery code(s) left
+                </p>
+              )}
+            </div>
+            {!status.enabled && (
+              <Button size="sm" onClick={() => setMode('enroll')}>
+                Set up
+              </Button>
+            )}
+            {status.enabled && !mode && (
+              <div className="flex items-center space-x-2">
+                <Button size="sm" variant="secondary" onClick={() => setMode('regenerate')}>
+                  New recovery codes
+                </Button>
+                {!status.required && (
+                  <Button size="sm" variant="ghost" onClick={() => setMode('disable')}>
+                    Disable
+                  </Button>
+                )}
+              </div>
+            )}
+          </div>
+
+          {mode === 'disable' && (
+            <form onSubmit={handleDisable} className="space-y-3">
+              <input
+                type="password"
+                value={form.password}
+                onChange={(e) => setForm({ ...form, password: e.target.value })}
+                required
+                className={inputClasses}
+                placeholder="Current password"
+              />
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={6}
+                value={form.code}
+                onChange={(e) => setForm({ ...form, code: e.target.value.replace(/\D/g, '') })}
+                required
+                className={inputClasses}
+                placeholder="6-digit code"
+              />
+              <div className="flex justify-end space-x-2">
+                <Button type="button" size="sm" variant="ghost" onClick={closeForm}>
+                  Cancel
+                </Button>
+                <Button type="submit" size="sm" variant="danger" loading={submitting}>
+                  Disable two-factor
+                </Button>
+              </div>
+            </form>
+          )}
+
+          {mode === 'regenerate' && (
+            <form onSubmit={handleRegenerate} className="space-y-3">
+              <p className="text-xs text-gray-500">Your current recovery codes will stop working.</p>
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={6}
+                value={form.code}
+                onChange={(e) => setForm({ ...form, code: e.target.value.replace(/\D/g, '') })}
+                required
+                className={inputClasses}
+                placeholder="6-digit code"
+              />
+              <div className="flex justify-end space-x-2">
+                <Button type="button" size="sm" variant="ghost" onClick={closeForm}>
+                  Cancel
+                </Button>
+                <Button type="submit" size="sm" loading={submitting}>
+                  Generate
+                </Button>
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+};
@@ -108,11 +108,14 @@ export const NotificationDropdown = ({ notifications, onClose, onNotificationCli
                           ? 'bg-yellow-100 text-yellow-800'
                           : notification.status === 'approved'
                           ? 'bg-green-100 text-green-800'
+                          : notification.status === 'expired'
+                          ? 'bg-gray-100 text-gray-700'
                           : 'bg-red-100 text-red-800'
                       }`}>
                         {notification.status === 'pending' && '⏳ Pending'}
                         {notification.status === 'approved' && '✅ Approved'}
-                        {notification.status === 'rejected' && '❌ Rejected'}
+                        {(notification.status === 'rejected' || notification.status === 'denied') && '❌ Rejected'}
+                        {notification.status === 'expired' && '⌛ Expired'}
                       </span>
                     </div>
                   )}
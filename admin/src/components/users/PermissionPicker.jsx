@@ -0,0 +1,32 @@
+import React from 'react';
+
+/**
+ * Checkbox list of the permission catalog
+ */
+export const PermissionPicker = ({ catalog, selected, onChange, disabled = false }) => {
+  const toggle = (key) => {
+    onChange(selected.includes(key)
+      ? selected.filter(permission => permission !== key)
+      : [...selected, key]);
+  };
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+      {catalog.map(permission => (
+        <label key={permission.key} className="flex items-start gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={selected.includes(permission.key)}
+            disabled={disabled}
+            onChange={() => toggle(permission.key)}
+            className="mt-1"
+          />
+          <span>
+            <span className="font-medium text-gray-900">{permission.label}</span>
+            <span className="block text-xs text-gray-500">{permission.description}</span>
+          </span>
+        </label>
+      ))}
+    </div>
+  );
+};
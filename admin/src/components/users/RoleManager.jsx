@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { Card } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { PermissionPicker } from './PermissionPicker';
+import { rolesApi } from '../../api/rolesApi';
+import { useNotification } from '../../context/NotificationContext';
+
+const EMPTY_ROLE = { name: '', description: '', permissions: [] };
+
+const inputClasses = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none text-sm';
+
+/**
+ * Create, edit and delete roles
+ */
+export const RoleManager = ({ roles, catalog, onChange }) => {
+  const notification = useNotification();
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_ROLE);
+  const [saving, setSaving] = useState(false);
+
+  const startEdit = (role) => {
+    setEditing(role.name);
+    setDraft({ name: role.name, description: role.description, permissions: role.permissions });
+  };
+
+  const startCreate = () => {
+    setEditing('new');
+    setDraft(EMPTY_ROLE);
+  };
+
+  const cancel = () => {
+    setEditing(null);
+    setDraft(EMPTY_ROLE);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (editing === 'new') {
+        await rolesApi.createRole(draft);
+        notification.success(`Role ${draft.name} created`);
+      } else {
+        const changes = { description: draft.description };
+        if (editing !== 'super_admin') changes.permissions = draft.permissions;
+        await rolesApi.updateRole(editing, changes);
+        notification.success(`Role ${editing} updated`);
+      }
+      cancel();
+      await onChange();
+    } catch (err) {
+      notification.error(err.message || 'Failed to save role');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the ${role.name} role?`)) return;
+
+    try {
+      await rolesApi.deleteRole(role.name);
+      notification.success(`Role ${role.name} deleted`);
+      await onChange();
+    } catch (err) {
+      notification.error(err.message || 'Failed to delete role');
+    }
+  };
+
+  const renderForm = () => (
+    <form onSubmit={handleSave} className="space-y-4">
+      {editing === 'new' && (
+        <input
+          type="text"
+          placeholder="Role name (e.g. night_guard)"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          className={inputClasses}
+          required
+        />
+      )}
+      <input
+        type="text"
+        placeholder="Description"
+        value={draft.description}
+        onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+        className={inputClasses}
+      />
+      <PermissionPicker
+        catalog={catalog}
+        selected={draft.permissions}
+        disabled={editing === 'super_admin'}
+        onChange={(permissions) => setDraft({ ...draft, permissions })}
+      />
+      {editing === 'super_admin' && (
+        <p className="text-xs text-gray-500">The super_admin role always has every permission.</p>
+      )}
+      <div className="flex justify-end gap-2">
+        <Button variant="ghost" onClick={cancel}>Cancel</Button>
+        <Button type="submit" loading={saving}>Save role</Button>
+      </div>
+    </form>
+  );
+
+  return (
+    <Card
+      title="Roles"
+      subtitle="Each role is a set of permissions; device sharing still decides which devices a user reaches"
+      padding={false}
+      actions={editing !== 'new' && (
+        <Button size="sm" variant="secondary" onClick={startCreate}>New role</Button>
+      )}
+    >
+      {editing === 'new' && (
+        <div className="px-6 pb-6 border-b border-gray-200">{renderForm()}</div>
+      )}
+      <ul className="divide-y divide-gray-200">
+        {roles.map(role => (
+          <li key={role.name} className="px-6 py-4">
+            {editing === role.name ? renderForm() : (
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {role.name}
+                    {role.isSystem && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">Built-in</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {role.description || 'No description'} · {role.permissions.length} permission(s) · {role.userCount} user(s)
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Button size="sm" variant="ghost" onClick={() => startEdit(role)}>Edit</Button>
+                  {!role.isSystem && (
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      disabled={role.userCount > 0}
+                      title={role.userCount > 0 ? 'Move its users to another role first' : undefined}
+                      onClick={() => handleDelete(role)}
+                    >
+                      Delete
+                    </Button>
+                  )}
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </Card>
+  );
+};
@@ -1,6 +1,17 @@
 import React, { createContext, useState, useEffect } from 'react';
 import { authApi } from '../api/authApi';
-import { getToken, setToken, getUser, setUser, clearStorage } from '../utils/storage';
+import { getPasskeyAssertion, passkeyErrorMessage } from '../utils/passkeys';
+import {
+  getToken,
+  setToken,
+  setRefreshToken,
+  getUser,
+  setUser,
+  clearStorage,
+  getOidcState,
+  setOidcState,
+  removeOidcState,
+} from '../utils/storage';
 
 export const AuthContext = createContext(null);
 
@@ -54,19 +65,34 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Store the tokens from a finished login and mark the user signed in
+   */
+  const completeLogin = ({ token, refreshToken, user: userData }) => {
+    setToken(token);
+    setRefreshToken(refreshToken);
+    setUser(userData);
+    setUserState(userData);
+    setIsAuthenticated(true);
+  };
+
   const login = async (credentials) => {
     try {
       const response = await authApi.login(credentials);
       
+      // Password accepted, but a second factor (or 2FA enrollment) is needed first
+      if (response.data?.twoFactorRequired || response.data?.twoFactorSetupRequired) {
+        return {
+          success: false,
+          twoFactorRequired: !!response.data.twoFactorRequired,
+          twoFactorSetupRequired: !!response.data.twoFactorSetupRequired,
+          challengeToken: response.data.challengeToken,
+        };
+      }
+      
       if (response.data && response.data.token) {
-        const { token, user: userData } = response.data;
-        
-        setToken(token);
-        setUser(userData);
-        setUserState(userData);
-        setIsAuthenticated(true);
-        
-        return { success: true, user: userData };
+        completeLogin(response.data);
+        return { success: true, user: response.data.user };
       }
       
       throw new Error('Invalid response from server');
@@ -79,14 +105,86 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async ({ challengeToken, code, recoveryCode }) => {
+    try {
+      const response = await authApi.verifyTwoFactor({ challengeToken, code, recoveryCode });
+      completeLogin(response.data);
+      return { success: true, user: response.data.user };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || 'Verification failed'
+      };
+    }
+  };
+
+  const loginWithPasskey = async () => {
+    try {
+      const assertion = await getPasskeyAssertion(authApi.passkeyLoginOptions);
+      const response = await authApi.loginWithPasskey(assertion);
+      completeLogin(response.data);
+      return { success: true, user: response.data.user };
+    } catch (error) {
+      return {
+        success: false,
+        error: passkeyErrorMessage(error, 'Passkey sign-in failed')
+      };
+    }
+  };
+
+  // Send the browser to the identity provider; it comes back to /auth/oidc/callback
+  const startOidcLogin = async () => {
+    try {
+      const response = await authApi.oidcAuthorize();
+      setOidcState(response.data.stateToken);
+      window.location.assign(response.data.authorizationUrl);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || 'Single sign-on is unavailable'
+      };
+    }
+  };
+
+  const completeOidcLogin = async ({ code, state }) => {
+    const stateToken = getOidcState();
+    removeOidcState();
+
+    if (!stateToken) {
+      return { success: false, error: 'Sign-in was started in another tab or has expired, please try again' };
+    }
+
+    try {
+      const response = await authApi.oidcCallback({ code, state, stateToken });
+
+      // The identity provider replaced the password, not the second factor
+      if (response.data?.twoFactorRequired || response.data?.twoFactorSetupRequired) {
+        return {
+          success: false,
+          twoFactorRequired: !!response.data.twoFactorRequired,
+          twoFactorSetupRequired: !!response.data.twoFactorSetupRequired,
+          challengeToken: response.data.challengeToken,
+        };
+      }
+
+      completeLogin(response.data);
+      return { success: true, user: response.data.user };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || 'Single sign-on failed'
+      };
+    }
+  };
+
   const logout = async () => {
     // Clear auth state immediately to prevent loops
     const wasAuthenticated = isAuthenticated;
     setUserState(null);
     setIsAuthenticated(false);
-    clearStorage();
     
-    // Only call logout API if we were actually authenticated
+    // Revoke the session server-side while we still hold its token
     if (wasAuthenticated) {
       try {
         await authApi.logout();
@@ -94,6 +192,8 @@ export const AuthProvider = ({ children }) => {
         console.error('Logout error:', error);
       }
     }
+    
+    clearStorage();
   };
 
   const updateUser = (userData) => {
@@ -106,6 +206,11 @@ export const AuthProvider = ({ children }) => {
     loading,
     isAuthenticated,
     login,
+    verifyTwoFactor,
+    loginWithPasskey,
+    startOidcLogin,
+    completeOidcLogin,
+    completeLogin,
     logout,
     updateUser,
     checkAuth,
@@ -210,8 +210,12 @@ export const NotificationProvider = ({ children }) => {
    * Show visitor processed notification
    */
   const visitorProcessed = (visitorName, action) => {
-    const actionText = action === 'approved' ? 'Door unlocked' : 'Access denied';
-    const bgColor = action === 'approved' ? '#10B981' : '#EF4444';
+    const actionText = action === 'approved'
+      ? 'Door unlocked'
+      : action === 'expired' ? 'No response' : 'Access denied';
+    const bgColor = action === 'approved'
+      ? '#10B981'
+      : action === 'expired' ? '#6B7280' : '#EF4444';
     
     toast(
       `${actionText} for ${visitorName || 'visitor'}`,
@@ -225,7 +229,7 @@ export const NotificationProvider = ({ children }) => {
           fontWeight: '500',
         },
         duration: 4000,
-        icon: action === 'approved' ? '✅' : '❌',
+        icon: action === 'approved' ? '✅' : action === 'expired' ? '⌛' : '❌',
       }
     );
   };
@@ -0,0 +1,59 @@
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { StepUpModal } from '../components/security/StepUpModal';
+import { setStepUpHandler } from '../api/axiosClient';
+import { StepUpContext } from './stepUpContextValue';
+
+/**
+ * StepUpProvider
+ * Shows the re-authentication prompt when the backend asks for a step-up
+ * (REST 403 with code STEP_UP_REQUIRED, or the socket step_up_required event)
+ */
+export const StepUpProvider = ({ children }) => {
+  const [prompt, setPrompt] = useState(null);
+  // Callers waiting on the current prompt - concurrent requests share one
+  const waitersRef = useRef([]);
+
+  /**
+   * Ask the user to re-authenticate
+   * @param {string} message - Optional reason shown in the prompt
+   * @returns {Promise<void>} Resolves once confirmed, rejects if cancelled
+   */
+  const requestStepUp = useCallback((message) => {
+    return new Promise((resolve, reject) => {
+      waitersRef.current.push({ resolve, reject });
+      setPrompt(current => current || { message });
+    });
+  }, []);
+
+  const settle = (confirmed) => {
+    const waiters = waitersRef.current;
+    waitersRef.current = [];
+    setPrompt(null);
+    waiters.forEach(({ resolve, reject }) => {
+      if (confirmed) {
+        resolve();
+      } else {
+        reject(new Error('Confirmation cancelled'));
+      }
+    });
+  };
+
+  // Let the API client retry requests after a step-up
+  useEffect(() => {
+    setStepUpHandler(requestStepUp);
+    return () => setStepUpHandler(null);
+  }, [requestStepUp]);
+
+  return (
+    <StepUpContext.Provider value={{ requestStepUp }}>
+      {children}
+      {prompt && (
+        <StepUpModal
+          message={prompt.message}
+          onConfirmed={() => settle(true)}
+          onCancel={() => settle(false)}
+        />
+      )}
+    </StepUpContext.Provider>
+  );
+};
@@ -1,6 +1,7 @@
-import { createContext, useContext, useEffect, useCallback } from 'react';
+import { createContext, useContext, useEffect, useCallback, useRef } from 'react';
 import { useWebSocket, SOCKET_EVENTS } from '../hooks/useWebSocket';
 import { useNotification } from './NotificationContext';
+import { useStepUp } from '../hooks/useStepUp';
 import { useDevices } from '../hooks/useDevices';
 
 const WebSocketContext = createContext(null);
@@ -12,6 +13,9 @@ const WebSocketContext = createContext(null);
 export const WebSocketProvider = ({ children }) => {
   const notification = useNotification();
   const { updateDeviceState, devices, refreshDevices } = useDevices();
+  const { requestStepUp } = useStepUp();
+  // emit comes from useWebSocket below; handlers reach it through this ref
+  const emitRef = useRef(null);
 
   /**
    * Handle device connected event
@@ -93,10 +97,17 @@ export const WebSocketProvider = ({ children }) => {
   const handleVisitorProcessed = useCallback((data) => {
     console.log('📡 Visitor processed:', data);
     
-    const { visitorId, status, deviceName } = data;
+    const { visitorId, status, deviceName, noPairedLock } = data;
     
-    // Show notification
-    notification.visitorProcessed(deviceName || 'visitor', status);
+    // Keep the bell dropdown in sync (e.g. requests that timed out)
+    notification.updateNotificationStatus(visitorId, status);
+    
+    // Show notification - an approval on a device without a paired lock opens nothing
+    if (status === 'approved' && noPairedLock) {
+      notification.warning(`Visitor approved on ${deviceName || 'device'}, but no door lock is paired - nothing was unlocked`);
+    } else {
+      notification.visitorProcessed(deviceName || 'visitor', status);
+    }
     
     // Refresh devices to get updated status
     setTimeout(() => refreshDevices(), 1000);
@@ -108,14 +119,14 @@ export const WebSocketProvider = ({ children }) => {
   const handleCommandStatus = useCallback((data) => {
     console.log('📡 Command status:', data);
     
-    const { deviceId, command, status, message } = data;
+    const { deviceId, command, status, message, errorMessage } = data;
     
     // Find device name
     const device = devices.find(d => d._id === deviceId);
     const deviceName = device?.name || 'Device';
     
     // Show notification
-    notification.commandStatus(deviceName, command, status, message);
+    notification.commandStatus(deviceName, command, status, message || errorMessage);
     
     // If command completed, refresh device state
     if (status === 'completed' || status === 'success') {
@@ -135,6 +146,77 @@ export const WebSocketProvider = ({ children }) => {
     notification.systemAlert(message, severity);
   }, [notification]);
 
+  /**
+   * Handle share invitation event
+   */
+  const handleShareInvitation = useCallback((data) => {
+    console.log('📡 Share invitation:', data);
+    
+    const { deviceName, invitedBy } = data;
+    
+    notification.info(`${invitedBy} invited you to ${deviceName} - see Devices to accept`);
+    
+    // Refreshing the device list also refetches pending invitations
+    refreshDevices();
+  }, [notification, refreshDevices]);
+
+  /**
+   * Handle device access changed event (share granted, updated, revoked or expired)
+   */
+  const handleDeviceAccessChanged = useCallback((data) => {
+    console.log('📡 Device access changed:', data);
+    
+    const { deviceName, action } = data;
+    
+    if (action === 'revoked' || action === 'expired') {
+      notification.warning(`Your access to ${deviceName} has ${action === 'expired' ? 'expired' : 'been revoked'}`);
+    }
+    
+    refreshDevices();
+  }, [notification, refreshDevices]);
+
+  /**
+   * Handle security alert event (suspicious sign-in activity)
+   */
+  const handleSecurityAlert = useCallback((data) => {
+    console.log('📡 Security alert:', data);
+
+    const { type, subject, ipCount, accountCount, lockedFor } = data;
+
+    switch (type) {
+      case 'account_locked':
+        notification.warning(`${subject} was locked for ${Math.ceil(lockedFor / 60)} min after repeated failed sign-ins`);
+        break;
+      case 'distributed_attempts':
+        notification.error(`Failed sign-ins for ${subject} from ${ipCount} different IP addresses`);
+        break;
+      case 'password_spray':
+        notification.error(`${subject} failed to sign in to ${accountCount} different accounts`);
+        break;
+      case 'login_after_failures':
+        notification.warning(`${subject} signed in after a run of failed attempts`);
+        break;
+      default:
+        notification.warning(`Security alert: ${type}`);
+    }
+  }, [notification]);
+
+  /**
+   * Handle step-up required event - prompt, then re-send the held-back event
+   */
+  const handleStepUpRequired = useCallback((data) => {
+    const { event, data: payload, message } = data;
+
+    requestStepUp(message)
+      .then(() => emitRef.current?.(event, payload))
+      .catch(() => {
+        notification.info('Action cancelled');
+        if (event === SOCKET_EVENTS.VISITOR_APPROVAL) {
+          notification.updateNotificationStatus(payload.visitorId, 'pending');
+        }
+      });
+  }, [requestStepUp, notification]);
+
   /**
    * Initialize WebSocket with event handlers
    * Don't auto-connect - we'll connect manually when authenticated
@@ -162,9 +244,17 @@ export const WebSocketProvider = ({ children }) => {
       [SOCKET_EVENTS.VISITOR_PROCESSED]: handleVisitorProcessed,
       [SOCKET_EVENTS.COMMAND_STATUS]: handleCommandStatus,
       [SOCKET_EVENTS.SYSTEM_ALERT]: handleSystemAlert,
+      [SOCKET_EVENTS.SHARE_INVITATION]: handleShareInvitation,
+      [SOCKET_EVENTS.DEVICE_ACCESS_CHANGED]: handleDeviceAccessChanged,
+      [SOCKET_EVENTS.STEP_UP_REQUIRED]: handleStepUpRequired,
+      [SOCKET_EVENTS.SECURITY_ALERT]: handleSecurityAlert,
     },
   });
 
+  useEffect(() => {
+    emitRef.current = emit;
+  }, [emit]);
+
   /**
    * Connect WebSocket when we have devices (means we're authenticated)
    */
@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// Kept apart from StepUpProvider so that file only exports components
+export const StepUpContext = createContext(null);
@@ -0,0 +1,35 @@
+import { useState } from 'react';
+import { devicesApi } from '../api/devicesApi';
+
+/**
+ * Re-provision a device: issue a new device token and onboarding QR.
+ * The old token stops working after the grace period, so the user confirms first.
+ */
+export const useDeviceReprovision = () => {
+  const [qrData, setQrData] = useState(null);
+  const [reprovisioning, setReprovisioning] = useState(false);
+
+  const reprovision = async (device) => {
+    if (!window.confirm(`Re-provision ${device.name}? It gets a new onboarding QR; its current token keeps working for an hour, then the device has to be set up again with the new QR.`)) return;
+
+    setReprovisioning(true);
+    try {
+      const response = await devicesApi.rotateDeviceToken(device._id || device.id);
+      if (response.data) {
+        setQrData(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to re-provision device:', error);
+      alert(error.message || 'Failed to re-provision device');
+    } finally {
+      setReprovisioning(false);
+    }
+  };
+
+  return {
+    qrData,
+    reprovisioning,
+    reprovision,
+    closeQR: () => setQrData(null),
+  };
+};
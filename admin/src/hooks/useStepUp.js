@@ -0,0 +1,12 @@
+import { useContext } from 'react';
+import { StepUpContext } from '../context/stepUpContextValue';
+
+export const useStepUp = () => {
+  const context = useContext(StepUpContext);
+  
+  if (!context) {
+    throw new Error('useStepUp must be used within a StepUpProvider');
+  }
+  
+  return context;
+};
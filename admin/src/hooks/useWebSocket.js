@@ -1,6 +1,7 @@
 import { useEffect, useRef, useCallback, useState } from 'react';
 import { io } from 'socket.io-client';
 import { getToken } from '../utils/storage';
+import { refreshAccessToken } from '../api/axiosClient';
 
 /**
  * WebSocket Events from Backend
@@ -23,6 +24,14 @@ export const SOCKET_EVENTS = {
   // System Events
   SYSTEM_ALERT: 'system_alert',
   
+  // Sharing Events
+  SHARE_INVITATION: 'share_invitation',
+  DEVICE_ACCESS_CHANGED: 'device_access_changed',
+  
+  // Security Events
+  STEP_UP_REQUIRED: 'step_up_required',
+  SECURITY_ALERT: 'security_alert',
+  
   // Client → Server
   SUBSCRIBE_DEVICE: 'subscribe_device',
   UNSUBSCRIBE_DEVICE: 'unsubscribe_device',
@@ -43,6 +52,7 @@ export const useWebSocket = (options = {}) => {
   const { autoConnect = true, handlers = {} } = options;
   
   const socketRef = useRef(null);
+  const authRetriedRef = useRef(false);
   const [isConnected, setIsConnected] = useState(false);
   const [connectionError, setConnectionError] = useState(null);
   const [reconnectAttempts, setReconnectAttempts] = useState(0);
@@ -78,10 +88,11 @@ export const useWebSocket = (options = {}) => {
 
     try {
       socketRef.current = io(serverUrl, {
-        auth: {
-          token,
+        // Read the token on every (re)connect so refreshed tokens are picked up
+        auth: (cb) => cb({
+          token: getToken(),
           clientType: 'dashboard'
-        },
+        }),
         transports: ['websocket', 'polling'],
         reconnection: true,
         reconnectionDelay: 1000,
@@ -93,6 +104,7 @@ export const useWebSocket = (options = {}) => {
       // Connection successful
       socketRef.current.on('connect', () => {
         console.log('✅ WebSocket connected:', socketRef.current.id);
+        authRetriedRef.current = false;
         setIsConnected(true);
         setConnectionError(null);
         setReconnectAttempts(0);
@@ -104,10 +116,19 @@ export const useWebSocket = (options = {}) => {
         setIsConnected(false);
         setConnectionError(error.message);
         
-        // If authentication error, don't retry
+        // If authentication error, refresh the access token once before giving up
         if (error.message === 'Invalid token' || error.message === 'Authentication required') {
-          console.error('🔐 Authentication failed - token may be invalid');
-          socketRef.current?.disconnect();
+          const socket = socketRef.current;
+          socket?.disconnect();
+          
+          if (!authRetriedRef.current) {
+            authRetriedRef.current = true;
+            refreshAccessToken()
+              .then(() => socket?.connect())
+              .catch(() => console.error('🔐 Authentication failed - session may have been revoked'));
+          } else {
+            console.error('🔐 Authentication failed - token may be invalid');
+          }
         }
       });
 
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authApi } from '../../api/authApi';
+import { Button } from '../../components/ui/Button';
+
+export const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      await authApi.forgotPassword(email);
+      setSent(true);
+    } catch (err) {
+      setError(err.message || 'Failed to send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        {/* Logo/Brand */}
+        <div className="text-center mb-8">
+          <div className="inline-block p-4 bg-white rounded-full shadow-lg mb-4 border-4 border-green-500">
+            <svg className="w-12 h-12 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" />
+            </svg>
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Smart Home Dashboard</h1>
+          <p className="text-gray-600">Control your IoT devices from anywhere</p>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-2xl p-8">
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Forgot Password</h2>
+
+          {sent ? (
+            <div className="space-y-4">
+              <div className="p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg text-sm">
+                If an account exists for {email}, we've sent a link to reset your password. It expires shortly, so use it soon.
+              </div>
+              <p className="text-sm text-gray-600">Didn't get it? Check your spam folder or try again in a few minutes.</p>
+            </div>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600 mb-6">Enter your email and we'll send you a link to choose a new password.</p>
+
+              {error && (
+                <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">
+                  {error}
+                </div>
+              )}
+
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                  <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                    Email Address
+                  </label>
+                  <input
+                    type="email"
+                    id="email"
+                    name="email"
+                    value={email}
+                    onChange={(e) => { setEmail(e.target.value); setError(''); }}
+                    required
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none transition"
+                    placeholder="you@example.com"
+                  />
+                </div>
+
+                <Button type="submit" variant="primary" fullWidth loading={loading}>
+                  Send Reset Link
+                </Button>
+              </form>
+            </>
+          )}
+
+          <p className="mt-6 text-center text-sm text-gray-600">
+            Remembered it?{' '}
+            <Link to="/login" className="text-green-600 hover:text-green-700 font-medium">
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
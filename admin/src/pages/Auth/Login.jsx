@@ -1,17 +1,38 @@
-import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import { Button } from '../../components/ui/Button';
+import { TwoFactorEnrollment } from '../../components/security/TwoFactorEnrollment';
+import { RecoveryCodes } from '../../components/security/RecoveryCodes';
+import { passkeysSupported } from '../../utils/passkeys';
+import { authApi } from '../../api/authApi';
+import { KeyRound, Building2 } from 'lucide-react';
 
 export const Login = () => {
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const location = useLocation();
+  const { login, verifyTwoFactor, loginWithPasskey, startOidcLogin, completeLogin } = useAuth();
   const [formData, setFormData] = useState({
     email: '',
     password: '',
   });
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
+  const [error, setError] = useState(location.state?.error || '');
+  const [sso, setSso] = useState(null);
+
+  // Second step: 'verify' (enter code), 'setup' (forced enrollment), 'recovery' (show new codes).
+  // Single sign-on lands here with the step already set.
+  const [step, setStep] = useState(location.state?.twoFactorStep || null);
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrolledLogin, setEnrolledLogin] = useState(null);
+
+  useEffect(() => {
+    authApi.getOidcConfig()
+      .then(response => setSso(response.data))
+      .catch(() => setSso(null));
+  }, []);
 
   const handleChange = (e) => {
     setFormData({
@@ -30,6 +51,12 @@ export const Login = () => {
 
     if (result.success) {
       navigate('/');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      setStep('verify');
+    } else if (result.twoFactorSetupRequired) {
+      setChallengeToken(result.challengeToken);
+      setStep('setup');
     } else {
       setError(result.error || 'Login failed');
     }
@@ -37,6 +64,71 @@ export const Login = () => {
     setLoading(false);
   };
 
+  const handlePasskeyLogin = async () => {
+    setLoading(true);
+    setError('');
+
+    const result = await loginWithPasskey();
+
+    if (result.success) {
+      navigate('/');
+    } else {
+      setError(result.error);
+      setLoading(false);
+    }
+  };
+
+  const handleSsoLogin = async () => {
+    setLoading(true);
+    setError('');
+
+    // On success the browser leaves for the identity provider
+    const result = await startOidcLogin();
+
+    if (!result.success) {
+      setError(result.error);
+      setLoading(false);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await verifyTwoFactor({
+      challengeToken,
+      ...(useRecoveryCode ? { recoveryCode: code } : { code }),
+    });
+
+    if (result.success) {
+      navigate('/');
+    } else {
+      setError(result.error);
+      setCode('');
+      setLoading(false);
+    }
+  };
+
+  // Hold the new session until the recovery codes have been saved
+  const handleEnrolled = (data) => {
+    setEnrolledLogin(data);
+    setStep('recovery');
+  };
+
+  const handleRecoverySaved = () => {
+    completeLogin(enrolledLogin);
+    navigate('/');
+  };
+
+  const handleBackToSignIn = () => {
+    setStep(null);
+    setChallengeToken(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
   return (
     <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4">
       <div className="w-full max-w-md">
@@ -51,114 +143,209 @@ export const Login = () => {
           <p className="text-gray-600">Control your IoT devices from anywhere</p>
         </div>
 
+        {/* Two-Factor Step */}
+        {step && (
+          <div className="bg-white rounded-2xl shadow-2xl p-8">
+            {step === 'verify' && (
+              <>
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">Two-Factor Verification</h2>
+                <p className="text-sm text-gray-600 mb-6">
+                  {useRecoveryCode
+                    ? 'Enter one of your recovery codes.'
+                    : 'Enter the 6-digit code from your authenticator app.'}
+                </p>
+
+                {error && (
+                  <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">
+                    {error}
+                  </div>
+                )}
+
+                <form onSubmit={handleVerify} className="space-y-4">
+                  <input
+                    type="text"
+                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                    autoComplete="one-time-code"
+                    autoFocus
+                    maxLength={useRecoveryCode ? 11 : 6}
+                    value={code}
+                    onChange={(e) => setCode(useRecoveryCode ? e.target.value : e.target.value.replace(/\D/g, ''))}
+                    required
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg text-center text-lg tracking-widest focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none transition"
+                    placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  />
+                  <Button type="submit" variant="primary" fullWidth loading={loading}>
+                    Verify
+                  </Button>
+                </form>
+
+                <div className="mt-4 flex items-center justify-between text-sm">
+                  <button
+                    type="button"
+                    onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); setError(''); }}
+                    className="text-green-600 hover:text-green-700 font-medium"
+                  >
+                    {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+                  </button>
+                  <button type="button" onClick={handleBackToSignIn} className="text-gray-500 hover:text-gray-700">
+                    Back
+                  </button>
+                </div>
+              </>
+            )}
+
+            {step === 'setup' && (
+              <>
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">Set Up Two-Factor</h2>
+                <p className="text-sm text-gray-600 mb-6">
+                  Your administrator requires two-factor authentication before you can sign in.
+                </p>
+                <TwoFactorEnrollment
+                  challengeToken={challengeToken}
+                  onEnabled={handleEnrolled}
+                  onCancel={handleBackToSignIn}
+                />
+              </>
+            )}
+
+            {step === 'recovery' && (
+              <>
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">Recovery Codes</h2>
+                <RecoveryCodes codes={enrolledLogin?.recoveryCodes || []} onDone={handleRecoverySaved} />
+              </>
+            )}
+          </div>
+        )}
+
         {/* Login Form */}
-        <div className="bg-white rounded-2xl shadow-2xl p-8">
-          <h2 className="text-2xl font-bold text-gray-900 mb-6">Sign In</h2>
-
-          {error && (
-            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">
-              {error}
-            </div>
-          )}
-
-          <form onSubmit={handleSubmit} className="space-y-4">
-            {/* Email */}
-            <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
-                Email Address
-              </label>
-              <input
-                type="email"
-                id="email"
-                name="email"
-                value={formData.email}
-                onChange={handleChange}
-                required
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none transition"
-                placeholder="you@example.com"
-              />
-            </div>
-
-            {/* Password */}
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
-                Password
-              </label>
-              <input
-                type="password"
-                id="password"
-                name="password"
-                value={formData.password}
-                onChange={handleChange}
-                required
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none transition"
-                placeholder="••••••••"
-              />
-            </div>
-
-            {/* Remember & Forgot */}
-            <div className="flex items-center justify-between">
-              <label className="flex items-center">
+        {!step && (
+          <div className="bg-white rounded-2xl shadow-2xl p-8">
+            <h2 className="text-2xl font-bold text-gray-900 mb-6">Sign In</h2>
+
+            {location.state?.message && !error && (
+              <div className="mb-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg text-sm">
+                {location.state.message}
+              </div>
+            )}
+
+            {error && (
+              <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">
+                {error}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {/* Email */}
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                  Email Address
+                </label>
                 <input
-                  type="checkbox"
-                  className="w-4 h-4 text-green-600 border-gray-300 rounded focus:ring-green-500"
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  required
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none transition"
+                  placeholder="you@example.com"
                 />
-                <span className="ml-2 text-sm text-gray-600">Remember me</span>
-              </label>
-              <a href="#" className="text-sm text-green-600 hover:text-green-700 font-medium">
-                Forgot password?
-              </a>
-            </div>
-
-            {/* Submit Button */}
-            <Button
-              type="submit"
-              variant="primary"
-              fullWidth
-              loading={loading}
-              className="mt-6"
-            >
-              Sign In
-            </Button>
-          </form>
-
-          {/* Divider */}
-          <div className="relative my-6">
-            <div className="absolute inset-0 flex items-center">
-              <div className="w-full border-t border-gray-300" />
-            </div>
-            <div className="relative flex justify-center text-sm">
-              <span className="px-2 bg-white text-gray-500">Or continue with</span>
-            </div>
-          </div>
+              </div>
 
-          {/* Social Login */}
-          <div className="grid grid-cols-2 gap-3">
-            <button className="flex items-center justify-center px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition">
-              <svg className="w-5 h-5 mr-2" viewBox="0 0 24 24">
-                <path fill="#4285F4" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z" />
-                <path fill="#34A853" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z" />
-                <path fill="#FBBC05" d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z" />
-                <path fill="#EA4335" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z" />
-              </svg>
-              <span className="text-sm font-medium text-gray-700">Google</span>
-            </button>
-            <button className="flex items-center justify-center px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition">
-              <svg className="w-5 h-5 mr-2" fill="currentColor" viewBox="0 0 20 20">
-                <path fillRule="evenodd" d="M10 0C4.477 0 0 4.484 0 10.017c0 4.425 2.865 8.18 6.839 9.504.5.092.682-.217.682-.483 0-.237-.008-.868-.013-1.703-2.782.605-3.369-1.343-3.369-1.343-.454-1.158-1.11-1.466-1.11-1.466-.908-.62.069-.608.069-.608 1.003.07 1.531 1.032 1.531 1.032.892 1.53 2.341 1.088 2.91.832.092-.647.35-1.088.636-1.338-2.22-.253-4.555-1.113-4.555-4.951 0-1.093.39-1.988 1.029-2.688-.103-.253-.446-1.272.098-2.65 0 0 .84-.27 2.75 1.026A9.564 9.564 0 0110 4.844c.85.004 1.705.115 2.504.337 1.909-1.296 2.747-1.027 2.747-1.027.546 1.379.203 2.398.1 2.651.64.7 1.028 1.595 1.028 2.688 0 3.848-2.339 4.695-4.566 4.942.359.31.678.921.678 1.856 0 1.338-.012 2.419-.012 2.747 0 .268.18.58.688.482A10.019 10.019 0 0020 10.017C20 4.484 15.522 0 10 0z" clipRule="evenodd" />
-              </svg>
-              <span className="text-sm font-medium text-gray-700">GitHub</span>
-            </button>
-          </div>
+              {/* Password */}
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                  Password
+                </label>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  required
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none transition"
+                  placeholder="••••••••"
+                />
+              </div>
 
-          {/* Sign Up Link */}
-          <p className="mt-6 text-center text-sm text-gray-600">
-            Don't have an account?{' '}
-            <Link to="/signup" className="text-green-600 hover:text-green-700 font-medium">
-              Sign up
-            </Link>
-          </p>
-        </div>
+              {/* Remember & Forgot */}
+              <div className="flex items-center justify-between">
+                <label className="flex items-center">
+                  <input
+                    type="checkbox"
+                    className="w-4 h-4 text-green-600 border-gray-300 rounded focus:ring-green-500"
+                  />
+                  <span className="ml-2 text-sm text-gray-600">Remember me</span>
+                </label>
+                <Link to="/forgot-password" className="text-sm text-green-600 hover:text-green-700 font-medium">
+                  Forgot password?
+                </Link>
+              </div>
+
+              {/* Submit Button */}
+              <Button
+                type="submit"
+                variant="primary"
+                fullWidth
+                loading={loading}
+                className="mt-6"
+              >
+                Sign In
+              </Button>
+            </form>
+
+            {(passkeysSupported() || sso?.enabled) && (
+              <>
+                {/* Divider */}
+                <div className="relative my-6">
+                  <div className="absolute inset-0 flex items-center">
+                    <div className="w-full border-t border-gray-300" />
+                  </div>
+                  <div className="relative flex justify-center text-sm">
+                    <span className="px-2 bg-white text-gray-500">Or continue with</span>
+                  </div>
+                </div>
+
+                <div className="space-y-3">
+                  {/* Passkey */}
+                  {passkeysSupported() && (
+                    <button
+                      type="button"
+                      onClick={handlePasskeyLogin}
+                      disabled={loading}
+                      className="w-full flex items-center justify-center px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition disabled:opacity-50"
+                    >
+                      <KeyRound className="w-5 h-5 mr-2 text-gray-700" />
+                      <span className="text-sm font-medium text-gray-700">Sign in with passkey</span>
+                    </button>
+                  )}
+
+                  {/* Single sign-on */}
+                  {sso?.enabled && (
+                    <button
+                      type="button"
+                      onClick={handleSsoLogin}
+                      disabled={loading}
+                      className="w-full flex items-center justify-center px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition disabled:opacity-50"
+                    >
+                      <Building2 className="w-5 h-5 mr-2 text-gray-700" />
+                      <span className="text-sm font-medium text-gray-700">Sign in with {sso.providerName}</span>
+                    </button>
+                  )}
+                </div>
+              </>
+            )}
+
+            {/* Sign Up Link */}
+            <p className="mt-6 text-center text-sm text-gray-600">
+              Don't have an account?{' '}
+              <Link to="/signup" className="text-green-600 hover:text-green-700 font-medium">
+                Sign up
+              </Link>
+            </p>
+          </div>
+        )}
       </div>
     </div>
   );
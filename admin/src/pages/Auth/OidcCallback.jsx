@@ -0,0 +1,61 @@
+import React, { useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../hooks/useAuth';
+
+/**
+ * Where the identity provider sends the browser back after single sign-on
+ */
+export const OidcCallback = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { completeOidcLogin } = useAuth();
+  // The code can only be redeemed once - don't post it again on a re-render
+  const handledRef = useRef(false);
+
+  useEffect(() => {
+    if (handledRef.current) return;
+    handledRef.current = true;
+
+    const code = searchParams.get('code');
+    const state = searchParams.get('state');
+    const providerError = searchParams.get('error_description') || searchParams.get('error');
+
+    const finish = async () => {
+      if (providerError || !code) {
+        navigate('/login', { replace: true, state: { error: providerError || 'Single sign-on was cancelled' } });
+        return;
+      }
+
+      const result = await completeOidcLogin({ code, state });
+
+      if (result.success) {
+        navigate('/', { replace: true });
+      } else if (result.twoFactorRequired || result.twoFactorSetupRequired) {
+        // Finish with the second factor on the login page
+        navigate('/login', {
+          replace: true,
+          state: {
+            twoFactorStep: result.twoFactorRequired ? 'verify' : 'setup',
+            challengeToken: result.challengeToken,
+          },
+        });
+      } else {
+        navigate('/login', { replace: true, state: { error: result.error } });
+      }
+    };
+
+    finish();
+  }, [searchParams, completeOidcLogin, navigate]);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-100">
+      <div className="text-center">
+        <svg className="animate-spin h-12 w-12 mx-auto mb-4 text-green-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+        </svg>
+        <p className="text-gray-600">Signing you in...</p>
+      </div>
+    </div>
+  );
+};
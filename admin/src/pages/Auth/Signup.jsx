@@ -57,6 +57,9 @@ export const Signup = () => {
 
         if (loginResult.success) {
           navigate('/');
+        } else if (loginResult.challengeToken) {
+          // 2FA is required - finish signing in from the login page
+          navigate('/login', { state: { message: 'Registration successful! Sign in to set up two-factor authentication.' } });
         } else {
           // Registration successful but login failed, redirect to login page
           navigate('/login', { state: { message: 'Registration successful! Please login.' } });
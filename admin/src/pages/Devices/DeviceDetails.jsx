@@ -4,6 +4,14 @@ import { DashboardLayout } from '../../components/layout/DashboardLayout';
 import { Card } from '../../components/ui/Card';
 import { Button } from '../../components/ui/Button';
 import { DeviceCredentials } from '../../components/devices/DeviceCredentials';
+import { PairedLocks } from '../../components/devices/PairedLocks';
+import { AccessSchedules } from '../../components/devices/AccessSchedules';
+import { GuestPasses } from '../../components/devices/GuestPasses';
+import { VisitorTimeoutSettings } from '../../components/devices/VisitorTimeoutSettings';
+import { EscalationSettings } from '../../components/devices/EscalationSettings';
+import { CommandDeliverySettings } from '../../components/devices/CommandDeliverySettings';
+import { CommandSchedules } from '../../components/devices/CommandSchedules';
+import { PeopleWithAccess } from '../../components/devices/PeopleWithAccess';
 import { devicesApi } from '../../api/devicesApi';
 
 export const DeviceDetails = () => {
@@ -90,8 +98,16 @@ export const DeviceDetails = () => {
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           {/* Device Credentials */}
-          <div className="lg:col-span-2">
+          <div className="lg:col-span-2 space-y-6">
             <DeviceCredentials device={device} />
+            <PeopleWithAccess device={device} />
+            {device.deviceType !== 'door-lock' && <PairedLocks device={device} />}
+            {device.deviceType !== 'door-lock' && <VisitorTimeoutSettings device={device} />}
+            {device.deviceType !== 'door-lock' && <EscalationSettings device={device} />}
+            <CommandDeliverySettings device={device} />
+            <CommandSchedules device={device} />
+            <AccessSchedules device={device} />
+            <GuestPasses device={device} />
           </div>
 
           {/* Device Settings */}
@@ -5,14 +5,14 @@ import { Button } from '../../components/ui/Button';
 import { AddDeviceModal } from '../../components/devices/AddDeviceModal';
 import { QRCodeModal } from '../../components/devices/QRCodeModal';
 import { devicesApi } from '../../api/devicesApi';
+import { useDeviceReprovision } from '../../hooks/useDeviceReprovision';
 import { QrCode, Power, Circle, Wifi, WifiOff } from 'lucide-react';
 
 export const DeviceManagement = () => {
   const [devices, setDevices] = useState([]);
   const [loading, setLoading] = useState(true);
   const [isAddModalOpen, setIsAddModalOpen] = useState(false);
-  const [selectedQRDevice, setSelectedQRDevice] = useState(null);
-  const [showQRModal, setShowQRModal] = useState(false);
+  const { qrData, reprovision, closeQR } = useDeviceReprovision();
   const [searchQuery, setSearchQuery] = useState('');
 
   useEffect(() => {
@@ -31,19 +31,6 @@ export const DeviceManagement = () => {
     }
   };
 
-  const handleViewQR = async (device) => {
-    try {
-      const response = await devicesApi.getDeviceQR(device._id);
-      if (response.data) {
-        setSelectedQRDevice(response.data);
-        setShowQRModal(true);
-      }
-    } catch (error) {
-      console.error('Failed to fetch QR code:', error);
-      alert('Failed to generate QR code');
-    }
-  };
-
   const getDeviceTypeLabel = (type) => {
     const types = {
       'door-lock': 'Door Lock',
@@ -273,9 +260,9 @@ export const DeviceManagement = () => {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                         <button
-                          onClick={() => handleViewQR(device)}
+                          onClick={() => reprovision(device)}
                           className="text-blue-600 hover:text-blue-900 inline-flex items-center"
-                          title="View QR Code"
+                          title="Re-provision (new device token and QR code)"
                         >
                           <QrCode className="w-5 h-5" />
                         </button>
@@ -311,14 +298,11 @@ export const DeviceManagement = () => {
       />
 
       {/* QR Code Modal */}
-      {selectedQRDevice && (
+      {qrData && (
         <QRCodeModal
-          isOpen={showQRModal}
-          onClose={() => {
-            setShowQRModal(false);
-            setSelectedQRDevice(null);
-          }}
-          qrData={selectedQRDevice}
+          isOpen
+          onClose={closeQR}
+          qrData={qrData}
         />
       )}
     </DashboardLayout>
@@ -5,6 +5,7 @@ import { Button } from '../../components/ui/Button';
 import { useDevices } from '../../hooks/useDevices';
 import { UniversalDeviceCard } from '../../components/devices/UniversalDeviceCard';
 import { AddDeviceModal } from '../../components/devices/AddDeviceModal';
+import { PendingInvitations } from '../../components/devices/PendingInvitations';
 
 export const DevicesOverview = () => {
   const { devices, loading, fetchDevices } = useDevices();
@@ -63,6 +64,8 @@ export const DevicesOverview = () => {
           </Button>
         </div>
 
+        <PendingInvitations />
+
         {/* Search Bar */}
         <Card>
           <div className="relative">
@@ -0,0 +1,38 @@
+import React from 'react';
+import { DashboardLayout } from '../../components/layout/DashboardLayout';
+import { ActiveSessions } from '../../components/security/ActiveSessions';
+import { LoginHistory } from '../../components/security/LoginHistory';
+import { TwoFactorSettings } from '../../components/security/TwoFactorSettings';
+import { PasskeySettings } from '../../components/security/PasskeySettings';
+import { ApiKeys } from '../../components/security/ApiKeys';
+import { SecurityPolicySettings } from '../../components/security/SecurityPolicySettings';
+import { useAuth } from '../../hooks/useAuth';
+import { hasPermission, PERMISSIONS } from '../../utils/permissions';
+
+export const Security = () => {
+  const { user } = useAuth();
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Security</h1>
+          <p className="text-gray-500 mt-1">Manage how you sign in and where your account is signed in</p>
+        </div>
+
+        <TwoFactorSettings />
+
+        <PasskeySettings />
+
+        {hasPermission(user, PERMISSIONS.SECURITY_MANAGE) && <SecurityPolicySettings />}
+
+        <ActiveSessions />
+
+        <ApiKeys />
+
+        <LoginHistory />
+      </div>
+    </DashboardLayout>
+  );
+};
@@ -0,0 +1,374 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Navigate } from 'react-router-dom';
+import { DashboardLayout } from '../../components/layout/DashboardLayout';
+import { Card } from '../../components/ui/Card';
+import { Button } from '../../components/ui/Button';
+import { RoleManager } from '../../components/users/RoleManager';
+import { usersApi } from '../../api/usersApi';
+import { rolesApi } from '../../api/rolesApi';
+import { useAuth } from '../../hooks/useAuth';
+import { useNotification } from '../../context/NotificationContext';
+import { formatDateTime, getDeviceTypeName } from '../../utils/format';
+import { hasPermission, PERMISSIONS } from '../../utils/permissions';
+import { ChevronDown, ChevronRight, Search } from 'lucide-react';
+
+const EMPTY_FORM = { username: '', email: '', password: '', role: 'admin' };
+
+const inputClasses = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none text-sm';
+
+/**
+ * Owned and shared devices of one user, loaded when the row is expanded
+ */
+const UserDevices = ({ userId }) => {
+  const [details, setDetails] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    usersApi.getUser(userId)
+      .then(response => { if (!cancelled) setDetails(response.data); })
+      .catch(err => { if (!cancelled) setError(err.message || 'Failed to load devices'); });
+
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  if (error) return <p className="text-sm text-red-600">{error}</p>;
+  if (!details) return <p className="text-sm text-gray-500">Loading devices...</p>;
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <h4 className="text-xs font-semibold text-gray-500 uppercase mb-2">Owned devices</h4>
+        {details.ownedDevices.length === 0 ? (
+          <p className="text-sm text-gray-500">None</p>
+        ) : (
+          <ul className="space-y-1">
+            {details.ownedDevices.map(device => (
+              <li key={device.id} className="text-sm text-gray-900">
+                {device.name}
+                <span className="text-gray-500"> · {getDeviceTypeName(device.deviceType)} · {device.status}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <div>
+        <h4 className="text-xs font-semibold text-gray-500 uppercase mb-2">Shared with this user</h4>
+        {details.sharedDevices.length === 0 ? (
+          <p className="text-sm text-gray-500">None</p>
+        ) : (
+          <ul className="space-y-1">
+            {details.sharedDevices.map(device => (
+              <li key={device.id} className="text-sm text-gray-900">
+                {device.name}
+                <span className="text-gray-500">
+                  {' '}· {device.permissions.join(', ')} · from {device.owner?.username || 'unknown'}
+                  {device.expiresAt && ` · until ${formatDateTime(device.expiresAt)}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export const Users = () => {
+  const { user: currentUser } = useAuth();
+  const notification = useNotification();
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [creating, setCreating] = useState(false);
+
+  const canManageUsers = hasPermission(currentUser, PERMISSIONS.USERS_MANAGE);
+  const canManageRoles = hasPermission(currentUser, PERMISSIONS.ROLES_MANAGE);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const response = await usersApi.getUsers();
+      setUsers(response.data || []);
+    } catch (err) {
+      console.error('Failed to load users:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchRoles = useCallback(async () => {
+    try {
+      const response = await rolesApi.getRoles();
+      setRoles(response.data?.roles || []);
+      setCatalog(response.data?.permissions || []);
+    } catch (err) {
+      console.error('Failed to load roles:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (canManageUsers) {
+      fetchUsers();
+      fetchRoles();
+    }
+  }, [canManageUsers, fetchUsers, fetchRoles]);
+
+  if (currentUser && !canManageUsers) {
+    return <Navigate to="/" replace />;
+  }
+
+  const runAction = async (userId, action, successMessage) => {
+    setBusyId(userId);
+    try {
+      await action();
+      notification.success(successMessage);
+      await Promise.all([fetchUsers(), fetchRoles()]);
+    } catch (err) {
+      notification.error(err.message || 'Action failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRoleChange = (user, role) => runAction(
+    user.id,
+    () => usersApi.updateUser(user.id, { role }),
+    `${user.username} is now ${role}`
+  );
+
+  const handleToggleActive = (user) => {
+    if (user.isActive && !window.confirm(`Deactivate ${user.username}? They will be signed out everywhere immediately.`)) return;
+
+    runAction(
+      user.id,
+      () => usersApi.updateUser(user.id, { isActive: !user.isActive }),
+      user.isActive ? `${user.username} deactivated` : `${user.username} reactivated`
+    );
+  };
+
+  const handleResetTwoFactor = (user) => {
+    if (!window.confirm(`Reset two-factor authentication for ${user.username}? They will need to set it up again.`)) return;
+
+    runAction(
+      user.id,
+      () => usersApi.resetTwoFactor(user.id),
+      `Two-factor authentication reset for ${user.username}`
+    );
+  };
+
+  const handleUnlock = (user) => runAction(
+    user.id,
+    () => usersApi.unlockUser(user.id),
+    `${user.username} can sign in again`
+  );
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      await usersApi.createUser(form);
+      notification.success(`User ${form.username} created`);
+      setForm(EMPTY_FORM);
+      setShowCreate(false);
+      await Promise.all([fetchUsers(), fetchRoles()]);
+    } catch (err) {
+      notification.error(err.message || 'Failed to create user');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const query = search.trim().toLowerCase();
+  const filteredUsers = users.filter(user =>
+    !query || user.username.includes(query) || user.email.includes(query)
+  );
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Users</h1>
+            <p className="text-gray-500 mt-1">Manage who can sign in and what their role lets them do</p>
+          </div>
+          <Button onClick={() => setShowCreate(!showCreate)}>
+            {showCreate ? 'Cancel' : 'Add user'}
+          </Button>
+        </div>
+
+        {showCreate && (
+          <Card title="New user">
+            <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <input
+                type="text"
+                placeholder="Username"
+                value={form.username}
+                onChange={(e) => setForm({ ...form, username: e.target.value })}
+                className={inputClasses}
+                required
+              />
+              <input
+                type="email"
+                placeholder="Email"
+                value={form.email}
+                onChange={(e) => setForm({ ...form, email: e.target.value })}
+                className={inputClasses}
+                required
+              />
+              <input
+                type="password"
+                placeholder="Temporary password"
+                value={form.password}
+                onChange={(e) => setForm({ ...form, password: e.target.value })}
+                className={inputClasses}
+                minLength={6}
+                required
+              />
+              <select
+                value={form.role}
+                onChange={(e) => setForm({ ...form, role: e.target.value })}
+                className={inputClasses}
+              >
+                {roles.map(role => (
+                  <option key={role.name} value={role.name}>{role.name}</option>
+                ))}
+              </select>
+              <div className="md:col-span-2 flex justify-end">
+                <Button type="submit" loading={creating}>Create user</Button>
+              </div>
+            </form>
+          </Card>
+        )}
+
+        {/* Search */}
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search by username or email..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none"
+          />
+        </div>
+
+        <Card padding={false}>
+          {loading ? (
+            <p className="p-6 text-sm text-gray-500">Loading users...</p>
+          ) : filteredUsers.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500">No users found</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {filteredUsers.map(user => {
+                const isSelf = user.id === currentUser?.id;
+                const expanded = expandedId === user.id;
+
+                return (
+                  <li key={user.id} className="px-6 py-4">
+                    <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+                      <button
+                        type="button"
+                        onClick={() => setExpandedId(expanded ? null : user.id)}
+                        className="flex items-start text-left"
+                      >
+                        {expanded
+                          ? <ChevronDown className="w-5 h-5 mt-0.5 mr-2 text-gray-400" />
+                          : <ChevronRight className="w-5 h-5 mt-0.5 mr-2 text-gray-400" />}
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">
+                            {user.username}
+                            {isSelf && (
+                              <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700">You</span>
+                            )}
+                            {!user.isActive && (
+                              <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-200 text-gray-700">Inactive</span>
+                            )}
+                            {user.twoFactorEnabled && (
+                              <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-700">2FA</span>
+                            )}
+                            {user.sso && (
+                              <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-purple-100 text-purple-700">SSO</span>
+                            )}
+                            {user.lockedUntil && (
+                              <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700">
+                                Locked until {formatDateTime(user.lockedUntil)}
+                              </span>
+                            )}
+                          </p>
+                          <p className="text-xs text-gray-500 mt-1">
+                            {user.email} · {user.ownedDevices} owned, {user.sharedDevices} shared · Last login {user.lastLogin ? formatDateTime(user.lastLogin) : 'never'}
+                          </p>
+                        </div>
+                      </button>
+
+                      <div className="flex items-center gap-2 pl-7 lg:pl-0">
+                        <select
+                          value={user.role}
+                          disabled={isSelf || busyId === user.id}
+                          onChange={(e) => handleRoleChange(user, e.target.value)}
+                          className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+                        >
+                          {roles.map(role => (
+                            <option key={role.name} value={role.name}>{role.name}</option>
+                          ))}
+                        </select>
+                        {user.lockedUntil && (
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            disabled={busyId === user.id}
+                            onClick={() => handleUnlock(user)}
+                          >
+                            Unlock
+                          </Button>
+                        )}
+                        {user.twoFactorEnabled && (
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            disabled={busyId === user.id}
+                            onClick={() => handleResetTwoFactor(user)}
+                          >
+                            Reset 2FA
+                          </Button>
+                        )}
+                        {!isSelf && (
+                          <Button
+                            size="sm"
+                            variant={user.isActive ? 'secondary' : 'outline'}
+                            loading={busyId === user.id}
+                            onClick={() => handleToggleActive(user)}
+                          >
+                            {user.isActive ? 'Deactivate' : 'Activate'}
+                          </Button>
+                        )}
+                      </div>
+                    </div>
+
+                    {expanded && (
+                      <div className="mt-4 pl-7">
+                        <UserDevices userId={user.id} />
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </Card>
+
+        {canManageRoles && (
+          <RoleManager roles={roles} catalog={catalog} onChange={fetchRoles} />
+        )}
+      </div>
+    </DashboardLayout>
+  );
+};
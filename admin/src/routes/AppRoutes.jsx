@@ -5,6 +5,9 @@ import { useAuth } from '../hooks/useAuth';
 // Pages
 import { Login } from '../pages/Auth/Login';
 import { Signup } from '../pages/Auth/Signup';
+import { ForgotPassword } from '../pages/Auth/ForgotPassword';
+import { ResetPassword } from '../pages/Auth/ResetPassword';
+import { OidcCallback } from '../pages/Auth/OidcCallback';
 import { Home } from '../pages/Dashboard/Home';
 import { DevicesOverview } from '../pages/Devices/DevicesOverview';
 import { DeviceDetails } from '../pages/Devices/DeviceDetails';
@@ -12,6 +15,8 @@ import { DeviceManagement } from '../pages/Devices/DeviceManagement';
 import { DeviceConnect } from '../pages/Devices/DeviceConnect';
 import { LiveFeed } from '../pages/Camera/LiveFeed';
 import { ActivityLogs } from '../pages/ActivityLogs/ActivityLogs';
+import { Security } from '../pages/Settings/Security';
+import { Users } from '../pages/Users/Users';
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
@@ -86,6 +91,33 @@ export const AppRoutes = () => {
           }
         />
 
+        <Route
+          path="/forgot-password"
+          element={
+            <PublicRoute>
+              <ForgotPassword />
+            </PublicRoute>
+          }
+        />
+
+        <Route
+          path="/reset-password"
+          element={
+            <PublicRoute>
+              <ResetPassword />
+            </PublicRoute>
+          }
+        />
+
+        <Route
+          path="/auth/oidc/callback"
+          element={
+            <PublicRoute>
+              <OidcCallback />
+            </PublicRoute>
+          }
+        />
+
         {/* Protected Routes */}
         <Route
           path="/"
@@ -147,21 +179,25 @@ export const AppRoutes = () => {
           }
         />
 
-        {/* Placeholder routes for future pages */}
+        <Route
+          path="/settings/security"
+          element={
+            <ProtectedRoute>
+              <Security />
+            </ProtectedRoute>
+          }
+        />
+
         <Route
           path="/users"
           element={
             <ProtectedRoute>
-              <div className="flex items-center justify-center min-h-screen">
-                <div className="text-center">
-                  <h1 className="text-2xl font-bold text-gray-900 mb-2">Users Page</h1>
-                  <p className="text-gray-500">Coming soon...</p>
-                </div>
-              </div>
+              <Users />
             </ProtectedRoute>
           }
         />
 
+        {/* Placeholder routes for future pages */}
         <Route
           path="/events"
           element={
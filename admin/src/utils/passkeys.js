@@ -0,0 +1,33 @@
+import { startAuthentication, startRegistration, browserSupportsWebAuthn } from '@simplewebauthn/browser';
+
+// Whether this browser can use passkeys at all
+export const passkeysSupported = () => browserSupportsWebAuthn();
+
+/**
+ * Run a passkey assertion with options fetched from the backend
+ * @param {Function} fetchOptions - API call resolving to { data: { options, challengeToken } }
+ * @returns {Promise<Object>} { challengeToken, response } to post back
+ */
+export const getPasskeyAssertion = async (fetchOptions) => {
+  const { data } = await fetchOptions();
+  const response = await startAuthentication({ optionsJSON: data.options });
+  return { challengeToken: data.challengeToken, response };
+};
+
+/**
+ * Create a passkey with options fetched from the backend
+ * @param {Function} fetchOptions - API call resolving to { data: { options, challengeToken } }
+ * @returns {Promise<Object>} { challengeToken, response } to post back
+ */
+export const createPasskey = async (fetchOptions) => {
+  const { data } = await fetchOptions();
+  const response = await startRegistration({ optionsJSON: data.options });
+  return { challengeToken: data.challengeToken, response };
+};
+
+// Readable message for a failed or cancelled ceremony
+export const passkeyErrorMessage = (error, fallback = 'Passkey failed') => {
+  if (error?.name === 'NotAllowedError') return 'Passkey request was cancelled or timed out';
+  if (error?.name === 'InvalidStateError') return 'This passkey is already registered';
+  return error?.message || fallback;
+};
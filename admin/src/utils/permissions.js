@@ -0,0 +1,22 @@
+// Permission keys checked by the backend (see /api/roles for the full catalog)
+export const PERMISSIONS = {
+  VISITORS_VIEW: 'visitors:view',
+  VISITORS_APPROVE: 'visitors:approve',
+  LOCKS_CONTROL: 'locks:control',
+  DEVICES_VIEW: 'devices:view',
+  DEVICES_MANAGE: 'devices:manage',
+  DEVICES_SHARE: 'devices:share',
+  GUESTS_MANAGE: 'guests:manage',
+  LOGS_VIEW: 'logs:view',
+  LOGS_CLEAR: 'logs:clear',
+  SYSTEM_MONITOR: 'system:monitor',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+  SECURITY_MANAGE: 'security:manage',
+};
+
+// Whether the user's role grants any of the given permissions
+export const hasPermission = (user, ...permissions) => {
+  const granted = user?.permissions || [];
+  return permissions.some(permission => granted.includes(permission));
+};
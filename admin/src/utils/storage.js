@@ -1,7 +1,9 @@
 // Token management
 const TOKEN_KEY = 'smart_home_token';
+const REFRESH_TOKEN_KEY = 'smart_home_refresh_token';
 const USER_KEY = 'smart_home_user';
 const PREFERENCES_KEY = 'smart_home_preferences';
+const OIDC_STATE_KEY = 'smart_home_oidc_state';
 
 export const getToken = () => {
   try {
@@ -28,6 +30,31 @@ export const removeToken = () => {
   }
 };
 
+export const getRefreshToken = () => {
+  try {
+    return localStorage.getItem(REFRESH_TOKEN_KEY);
+  } catch (error) {
+    console.error('Error getting refresh token:', error);
+    return null;
+  }
+};
+
+export const setRefreshToken = (token) => {
+  try {
+    localStorage.setItem(REFRESH_TOKEN_KEY, token);
+  } catch (error) {
+    console.error('Error setting refresh token:', error);
+  }
+};
+
+export const removeRefreshToken = () => {
+  try {
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  } catch (error) {
+    console.error('Error removing refresh token:', error);
+  }
+};
+
 // User management
 export const getUser = () => {
   try {
@@ -83,10 +110,37 @@ export const removePreferences = () => {
   }
 };
 
+// Single sign-on state, kept for this tab while the browser is at the identity provider
+export const getOidcState = () => {
+  try {
+    return sessionStorage.getItem(OIDC_STATE_KEY);
+  } catch (error) {
+    console.error('Error getting SSO state:', error);
+    return null;
+  }
+};
+
+export const setOidcState = (stateToken) => {
+  try {
+    sessionStorage.setItem(OIDC_STATE_KEY, stateToken);
+  } catch (error) {
+    console.error('Error setting SSO state:', error);
+  }
+};
+
+export const removeOidcState = () => {
+  try {
+    sessionStorage.removeItem(OIDC_STATE_KEY);
+  } catch (error) {
+    console.error('Error removing SSO state:', error);
+  }
+};
+
 // Clear all storage
 export const clearStorage = () => {
   try {
     removeToken();
+    removeRefreshToken();
     removeUser();
     removePreferences();
   } catch (error) {
@@ -5,6 +5,7 @@ import { Waiting } from './pages/Waiting';
 import { Approved } from './pages/Approved';
 import { Denied } from './pages/Denied';
 import { DeviceConnect } from './pages/DeviceConnect';
+import { Redeem } from './pages/Redeem';
 import { useWebSocket } from './hooks/useWebSocket';
 import { useSessionStore } from './store/sessionStore';
 import { useEffect } from 'react';
@@ -130,6 +131,7 @@ function App() {
           <Route path="/waiting" element={<Waiting />} />
           <Route path="/approved" element={<Approved />} />
           <Route path="/denied" element={<Denied />} />
+          <Route path="/redeem" element={<Redeem />} />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </BrowserRouter>
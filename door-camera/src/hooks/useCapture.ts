@@ -1,7 +1,7 @@
 import { useState, useCallback } from 'react';
 import Compressor from 'compressorjs';
 import { useSessionStore } from '@/store/sessionStore';
-import { uploadVisitorImage } from '@/lib/api';
+import { uploadVisitorImage, type UploadResponse } from '@/lib/api';
 import { COMPRESSION_CONFIG } from '@/lib/config';
 
 export const useCapture = (videoRef: React.RefObject<HTMLVideoElement | null>) => {
@@ -32,7 +32,7 @@ export const useCapture = (videoRef: React.RefObject<HTMLVideoElement | null>) =
     []
   );
 
-  const capturePhoto = useCallback(async (): Promise<string | null> => {
+  const capturePhoto = useCallback(async (): Promise<UploadResponse['data'] | null> => {
     console.log('📸 capturePhoto called');
     
     if (!videoRef.current) {
@@ -92,7 +92,7 @@ export const useCapture = (videoRef: React.RefObject<HTMLVideoElement | null>) =
       
       console.log('✅ Upload complete, visitor log ID:', logId);
 
-      return logId;
+      return response.data;
     } catch (err) {
       const errorMessage = err instanceof Error ? err.message : 'Failed to capture photo';
       setError(errorMessage);
@@ -1,4 +1,4 @@
-import { useEffect, useCallback } from 'react';
+import { useEffect, useCallback, useRef, useState } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
 import { useSessionStore } from '@/store/sessionStore';
 import { activateDevice, validateDevice } from '@/lib/apiService';
@@ -8,7 +8,10 @@ import { activateDevice, validateDevice } from '@/lib/apiService';
  * Handles device onboarding via QR code URL parameters
  * 
  * Expected URL format:
- * /device/connect?deviceId=xxx&token=yyy&type=camera&room=Entrance
+ * /device/connect?deviceId=xxx&code=ABCDE-FGHJK&type=camera&room=Entrance
+ *
+ * The code is short-lived and single-use; the backend exchanges it for the
+ * device token, which is only ever kept in localStorage.
  */
 export const useQROnboarding = () => {
   const [searchParams] = useSearchParams();
@@ -25,84 +28,83 @@ export const useQROnboarding = () => {
     isActivated,
     setError 
   } = useSessionStore();
+  // errors.code from the backend, e.g. ACTIVATION_CODE_EXPIRED
+  const [errorCode, setErrorCode] = useState<string | null>(null);
+  // A code can only be redeemed once - don't send it again when the effect re-runs
+  const redeemedCodeRef = useRef<string | null>(null);
 
   /**
    * Extract and validate QR parameters from URL
    */
   const processQRParams = useCallback(async () => {
     console.log('🔍 Processing QR parameters from URL...');
-    console.log('📍 Current URL:', window.location.href);
     
     // Handle both camelCase and lowercase parameter names for backwards compatibility
     const deviceIdParam = searchParams.get('deviceId') || searchParams.get('deviceid');
-    const tokenParam = searchParams.get('token');
+    const codeParam = searchParams.get('code');
     const typeParam = searchParams.get('type');
     const roomParam = searchParams.get('room');
 
     console.log('📋 URL Parameters:', {
       deviceId: deviceIdParam ? `Found (${deviceIdParam.substring(0, 8)}...)` : 'Missing',
-      token: tokenParam ? `Found (${tokenParam.substring(0, 8)}...)` : 'Missing',
+      code: codeParam ? 'Found' : 'Missing',
       type: typeParam || 'Missing',
       room: roomParam || 'Not specified'
     });
 
     // If QR params are present, this is a new onboarding request
     // Accept any device type (camera, esp32-cam, door-lock, etc.)
-    if (deviceIdParam && tokenParam && typeParam) {
+    if (deviceIdParam && codeParam) {
+      if (redeemedCodeRef.current === codeParam) {
+        return;
+      }
+      redeemedCodeRef.current = codeParam;
+
       console.log('🔗 QR params detected, initiating device onboarding...');
       console.log('📋 Device ID:', deviceIdParam);
-      console.log('📋 Token:', tokenParam.substring(0, 10) + '...');
-      console.log('📋 Type:', typeParam);
+      console.log('📋 Type:', typeParam || 'Not specified');
       console.log('📋 Room:', roomParam || 'Not specified');
       
       try {
-        // Store values in Zustand (persisted to localStorage)
-        console.log('💾 Storing credentials to localStorage...');
-        setDeviceId(deviceIdParam);
-        setDeviceToken(tokenParam);
-        setDeviceType(typeParam);
-        if (roomParam) {
-          setRoom(roomParam);
-        }
-        
-        // Verify token was stored
-        const storedToken = useSessionStore.getState().deviceToken;
-        console.log('✅ Token stored:', storedToken ? 'Yes (' + storedToken.substring(0, 10) + '...)' : 'NO - FAILED!');
-        
         // Send activation request to backend
         console.log('📤 Sending activation request to backend...');
         const response = await activateDevice({
           deviceId: deviceIdParam,
-          token: tokenParam,
-          type: typeParam,
-          room: roomParam || undefined,
+          code: codeParam,
         });
+        const device = response.data;
         
-        console.log('✅ Device activation response:', response);
+        console.log('✅ Device activation response:', response.message);
+        
+        // Store the credential in Zustand (persisted to localStorage)
+        console.log('💾 Storing credentials to localStorage...');
+        setDeviceId(deviceIdParam);
+        setDeviceToken(device.deviceToken);
+        setDeviceType(device.deviceType || typeParam);
+        setRoom(device.room || roomParam || null);
         
         // If backend returns a JWT, store it
-        if (response.jwt || response.token) {
-          setJwt(response.jwt || response.token);
+        if (response.jwt) {
+          setJwt(response.jwt);
         }
         
         // Mark as activated
         setActivated(true);
         setError(null);
+        setErrorCode(null);
         
         console.log('✅ Device onboarding completed successfully');
         
-        // Redirect to home screen
+        // Redirect to home screen (drops the used code from the address bar)
         navigate('/', { replace: true });
       } catch (error: any) {
         console.error('❌ Device activation failed:', error);
         const errorMessage = error.response?.data?.message || 'Device activation failed';
         setError(errorMessage);
+        setErrorCode(error.response?.data?.errors?.code || null);
         
-        // Clear invalid data
+        // Show error but don't redirect (the user needs a new QR code)
         setActivated(false);
-        
-        // Show error but don't redirect (let user retry)
-        console.error('💡 Please check the QR code and try again');
       }
     } else if (deviceId && deviceToken && !isActivated) {
       // No QR params but we have stored credentials - validate them
@@ -154,5 +156,6 @@ export const useQROnboarding = () => {
 
   return {
     isActivated,
+    errorCode,
   };
 };
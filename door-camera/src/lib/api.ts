@@ -14,12 +14,27 @@ export interface UploadResponse {
     visitorLogId: string; // Backend returns visitorLogId
     imageUrl: string;
     deviceName: string;
-    status: 'pending' | 'granted' | 'denied';
+    status: 'pending' | 'granted' | 'denied' | 'approved';
     timestamp: string;
+    expiresAt?: string; // When the request times out if nobody answers
+    decisionSource?: 'schedule';
+    accessScheduleName?: string;
   };
   timestamp: string;
 }
 
+export interface RedeemResponse {
+  success: boolean;
+  message: string;
+  data: {
+    visitorLogId: string;
+    status: 'approved';
+    guestName: string;
+    remainingUses: number;
+    noPairedLock?: boolean;
+  };
+}
+
 export interface LogResponse {
   success: boolean;
   data: {
@@ -61,9 +76,6 @@ export const uploadVisitorImage = async (imageData: string): Promise<UploadRespo
   const formData = new FormData();
   formData.append('image', blob, 'visitor.jpg');
   formData.append('deviceId', currentDeviceId);
-  if (deviceToken) {
-    formData.append('deviceToken', deviceToken);
-  }
   
   console.log('📨 Sending request...');
 
@@ -71,6 +83,8 @@ export const uploadVisitorImage = async (imageData: string): Promise<UploadRespo
     const response = await api.post<UploadResponse>(API_CONFIG.uploadEndpoint, formData, {
       headers: {
         'Content-Type': 'multipart/form-data',
+        'X-Device-ID': currentDeviceId,
+        'X-Device-Token': deviceToken || '',
       },
     });
     
@@ -94,3 +108,19 @@ export const getLogById = async (logId: string): Promise<LogResponse> => {
   const response = await api.get<LogResponse>(`${API_CONFIG.logsEndpoint}/${logId}`);
   return response.data;
 };
+
+/**
+ * Redeem a guest pass PIN or QR code
+ * Authenticated with the device credentials stored during onboarding
+ */
+export const redeemGuestPass = async (code: string): Promise<RedeemResponse> => {
+  const { deviceId, deviceToken } = useSessionStore.getState();
+
+  const response = await api.post<RedeemResponse>(API_CONFIG.redeemEndpoint, { code }, {
+    headers: {
+      'X-Device-ID': deviceId || API_CONFIG.deviceId,
+      'X-Device-Token': deviceToken || '',
+    },
+  });
+  return response.data;
+};
@@ -220,14 +220,13 @@ export const sendCommand = async (commandData: CommandData): Promise<CommandResp
 
 /**
  * POST device activation (QR onboarding)
- * @param activationData - Device activation data from QR code
- * @returns Promise with activation result
+ * Exchanges the QR's one-time activation code for the device token
+ * @param activationData - Device ID and activation code from the QR code
+ * @returns Promise with activation result (data.deviceToken)
  */
 export const activateDevice = async (activationData: {
   deviceId: string;
-  token: string;
-  type: string;
-  room?: string;
+  code: string;
 }): Promise<any> => {
   try {
     console.log('📤 Activating device:', activationData.deviceId);
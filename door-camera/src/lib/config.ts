@@ -5,6 +5,7 @@ export const API_CONFIG = {
   timeout: 30000,
   uploadEndpoint: '/api/door/upload',
   logsEndpoint: '/api/door/logs',
+  redeemEndpoint: '/api/door/redeem',
   socketPath: '/socket.io',
   // Get device ID dynamically from session store
   get deviceId() {
@@ -32,4 +33,5 @@ export const TIMINGS = {
   approvedRedirectDelay: 5000, // ms
   deniedRedirectDelay: 5000, // ms
   cameraRetryDelay: 2000, // ms
+  responseTimeoutGrace: 5000, // ms to wait for the server's timeout event before giving up locally
 };
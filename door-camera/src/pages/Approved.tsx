@@ -1,5 +1,5 @@
 import { useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { CheckCircle2, DoorOpen } from 'lucide-react';
 import { useSessionStore } from '@/store/sessionStore';
@@ -7,6 +7,8 @@ import { TIMINGS } from '@/lib/config';
 
 export const Approved: React.FC = () => {
   const navigate = useNavigate();
+  const location = useLocation();
+  const noPairedLock = (location.state as { noPairedLock?: boolean } | null)?.noPairedLock;
   const { clearSession } = useSessionStore();
 
   useEffect(() => {
@@ -62,7 +64,9 @@ export const Approved: React.FC = () => {
           className="text-center space-y-4"
         >
           <h2 className="text-white text-4xl font-bold">Access Granted</h2>
-          <p className="text-gray-300 text-xl">Welcome! The door is opening...</p>
+          <p className="text-gray-300 text-xl">
+            {noPairedLock ? 'Welcome! Please wait - someone will open the door for you' : 'Welcome! The door is opening...'}
+          </p>
         </motion.div>
 
         {/* Door animation */}
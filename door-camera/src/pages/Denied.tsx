@@ -1,5 +1,5 @@
 import { useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { XCircle, ShieldX } from 'lucide-react';
 import { useSessionStore } from '@/store/sessionStore';
@@ -7,6 +7,8 @@ import { TIMINGS } from '@/lib/config';
 
 export const Denied: React.FC = () => {
   const navigate = useNavigate();
+  const location = useLocation();
+  const reason = (location.state as { reason?: string } | null)?.reason;
   const { clearSession } = useSessionStore();
 
   useEffect(() => {
@@ -62,7 +64,7 @@ export const Denied: React.FC = () => {
           className="text-center space-y-4"
         >
           <h2 className="text-white text-4xl font-bold">Access Denied</h2>
-          <p className="text-gray-300 text-xl">Sorry, your request was not approved</p>
+          <p className="text-gray-300 text-xl">{reason || 'Sorry, your request was not approved'}</p>
         </motion.div>
 
         {/* Shield animation */}
@@ -1,18 +1,40 @@
 import { motion } from 'framer-motion';
-import { Loader2, CheckCircle, XCircle } from 'lucide-react';
+import { Loader2, CheckCircle, XCircle, Clock, Ban } from 'lucide-react';
 import { useQROnboarding } from '@/hooks/useQROnboarding';
 import { useSessionStore } from '@/store/sessionStore';
 
+const NEW_QR_HINT = 'Ask the device owner to create a new QR code for this device in the dashboard, then scan it again.';
+
+/**
+ * What to show for each activation error code from the backend
+ */
+const ACTIVATION_ERRORS: Record<string, { title: string; description: string; hint: string; Icon: typeof XCircle }> = {
+  ACTIVATION_CODE_EXPIRED: {
+    title: 'QR Code Expired',
+    description: 'Activation codes only work for a short time after they are created.',
+    hint: NEW_QR_HINT,
+    Icon: Clock,
+  },
+  ACTIVATION_CODE_USED: {
+    title: 'QR Code Already Used',
+    description: 'Each QR code can activate a device only once, and creating a new one cancels older codes.',
+    hint: NEW_QR_HINT,
+    Icon: Ban,
+  },
+};
+
 /**
  * Device Connect Page
  * Handles QR code onboarding flow
  * 
  * This page is opened when scanning a QR code with format:
- * /device/connect?deviceId=xxx&token=yyy&type=camera&room=Entrance
+ * /device/connect?deviceId=xxx&code=ABCDE-FGHJK&type=camera&room=Entrance
  */
 export const DeviceConnect: React.FC = () => {
-  const { isActivated } = useQROnboarding();
+  const { isActivated, errorCode } = useQROnboarding();
   const { error, deviceId, room } = useSessionStore();
+  const knownError = errorCode ? ACTIVATION_ERRORS[errorCode] : undefined;
+  const ErrorIcon = knownError?.Icon || XCircle;
 
   return (
     <div className="relative w-full h-full bg-[var(--color-navy)] flex items-center justify-center">
@@ -34,7 +56,7 @@ export const DeviceConnect: React.FC = () => {
                 animate={{ scale: 1 }}
                 transition={{ type: 'spring', stiffness: 200 }}
               >
-                <XCircle className="w-20 h-20 text-red-500" />
+                <ErrorIcon className="w-20 h-20 text-red-500" />
               </motion.div>
             ) : isActivated ? (
               <motion.div
@@ -59,13 +81,13 @@ export const DeviceConnect: React.FC = () => {
             {error ? (
               <>
                 <h2 className="text-2xl font-bold text-red-400">
-                  Activation Failed
+                  {knownError?.title || 'Activation Failed'}
                 </h2>
                 <p className="text-gray-300">
-                  {error}
+                  {knownError?.description || error}
                 </p>
                 <p className="text-sm text-gray-400 mt-4">
-                  Please scan a valid QR code to onboard this device.
+                  {knownError?.hint || 'Please scan a valid QR code to onboard this device.'}
                 </p>
               </>
             ) : isActivated ? (
@@ -1,6 +1,7 @@
 import { useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
+import { KeyRound } from 'lucide-react';
 import { CameraView } from '@/components/CameraView';
 import { RingButton } from '@/components/RingButton';
 import { StatusOverlay } from '@/components/StatusOverlay';
@@ -20,11 +21,19 @@ export const Home: React.FC = () => {
     console.log('Camera ready:', cameraReady);
     console.log('Is capturing:', isCapturing);
     
-    const sessionId = await capturePhoto();
-    console.log('📸 Capture result:', sessionId);
+    const upload = await capturePhoto();
+    console.log('📸 Capture result:', upload?.visitorLogId);
     
-    if (sessionId) {
-      navigate(`/waiting?sessionId=${sessionId}`);
+    if (upload?.status === 'approved') {
+      // Auto-approved by an access schedule - no need to wait for an admin
+      console.log('🗓️ Auto-approved by schedule:', upload.accessScheduleName);
+      navigate('/approved');
+    } else if (upload) {
+      const params = new URLSearchParams({ sessionId: upload.visitorLogId });
+      if (upload.expiresAt) {
+        params.set('expiresAt', upload.expiresAt);
+      }
+      navigate(`/waiting?${params.toString()}`);
     } else {
       console.error('❌ Failed to capture photo');
     }
@@ -65,6 +74,18 @@ export const Home: React.FC = () => {
         <RingButton onRing={handleRing} disabled={!cameraReady || isCapturing} />
       </motion.div>
 
+      {/* Guest pass entry */}
+      <motion.button
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        transition={{ delay: 0.5 }}
+        onClick={() => navigate('/redeem')}
+        className="absolute bottom-28 right-6 z-10 flex items-center gap-2 px-4 py-2 rounded-full backdrop-blur-md bg-[var(--color-navy)]/40 border border-[var(--color-cyan)]/30 text-white text-sm"
+      >
+        <KeyRound className="w-4 h-4" />
+        Guest pass
+      </motion.button>
+
       {/* Instructions */}
       <motion.div
         initial={{ opacity: 0 }}
@@ -0,0 +1,235 @@
+import { useEffect, useRef, useState, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import axios from 'axios';
+import { ArrowLeft, Delete, KeyRound, Loader2, QrCode } from 'lucide-react';
+import { useCamera } from '@/hooks/useCamera';
+import { redeemGuestPass } from '@/lib/api';
+import { cn } from '@/lib/utils';
+
+const PIN_LENGTH = 6;
+const SCAN_INTERVAL = 500; // ms between QR detection attempts
+
+/**
+ * Minimal typing for the Barcode Detection API (not in the TS DOM lib yet)
+ */
+interface DetectedBarcode {
+  rawValue: string;
+}
+
+interface BarcodeDetectorInstance {
+  detect: (source: HTMLVideoElement) => Promise<DetectedBarcode[]>;
+}
+
+type BarcodeDetectorConstructor = new (options: { formats: string[] }) => BarcodeDetectorInstance;
+
+const getBarcodeDetector = (): BarcodeDetectorConstructor | undefined =>
+  (window as unknown as { BarcodeDetector?: BarcodeDetectorConstructor }).BarcodeDetector;
+
+/**
+ * QR scanner - reads guest pass QR codes from the camera feed
+ */
+const QRScanner: React.FC<{ onDetected: (code: string) => void; paused: boolean }> = ({
+  onDetected,
+  paused,
+}) => {
+  const videoRef = useRef<HTMLVideoElement>(null) as React.RefObject<HTMLVideoElement>;
+  const { isLoading, error } = useCamera(videoRef);
+  const Detector = getBarcodeDetector();
+
+  useEffect(() => {
+    if (!Detector || paused || isLoading) return;
+
+    const detector = new Detector({ formats: ['qr_code'] });
+    // Each redemption consumes a use - only report the first detection per scan
+    let detected = false;
+    const interval = setInterval(async () => {
+      const video = videoRef.current;
+      if (detected || !video || video.readyState !== 4) return;
+
+      try {
+        const codes = await detector.detect(video);
+        if (!detected && codes.length > 0 && codes[0].rawValue) {
+          detected = true;
+          console.log('🎫 Guest pass QR detected');
+          onDetected(codes[0].rawValue);
+        }
+      } catch (err) {
+        console.error('QR detection error:', err);
+      }
+    }, SCAN_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [Detector, paused, isLoading, onDetected]);
+
+  if (!Detector) {
+    return (
+      <p className="text-white/70 text-center">
+        QR scanning is not supported on this device. Please enter your PIN instead.
+      </p>
+    );
+  }
+
+  return (
+    <div className="relative w-full max-w-sm aspect-square rounded-2xl overflow-hidden border-2 border-[var(--color-cyan)]/50">
+      <video ref={videoRef} autoPlay playsInline muted className="w-full h-full object-cover" />
+      <div className="absolute inset-8 border-2 border-dashed border-white/60 rounded-xl pointer-events-none" />
+      {error && (
+        <p className="absolute bottom-2 left-0 right-0 text-center text-red-300 text-sm">{error}</p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Guest pass redemption page - PIN keypad or QR scan
+ */
+export const Redeem: React.FC = () => {
+  const navigate = useNavigate();
+  const [mode, setMode] = useState<'pin' | 'qr'>('pin');
+  const [pin, setPin] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const submitCode = useCallback(async (code: string) => {
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await redeemGuestPass(code);
+      console.log('🎫 Guest pass accepted for', response.data.guestName);
+      navigate('/approved', { state: { noPairedLock: response.data.noPairedLock } });
+    } catch (err) {
+      const message = axios.isAxiosError(err)
+        ? err.response?.data?.message || 'Could not verify pass'
+        : 'Could not verify pass';
+      console.error('❌ Guest pass rejected:', message);
+      setError(message);
+      setPin('');
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [navigate]);
+
+  const handleDigit = (digit: string) => {
+    if (isSubmitting || pin.length >= PIN_LENGTH) return;
+    const next = pin + digit;
+    setPin(next);
+    if (next.length === PIN_LENGTH) {
+      submitCode(next);
+    }
+  };
+
+  return (
+    <div className="relative w-full h-full bg-[var(--color-navy)] flex flex-col items-center p-6 gap-6">
+      {/* Header */}
+      <div className="w-full flex items-center">
+        <button
+          onClick={() => navigate('/')}
+          className="p-2 rounded-full text-white/80 hover:bg-white/10"
+          aria-label="Back"
+        >
+          <ArrowLeft className="w-6 h-6" />
+        </button>
+        <h1 className="flex-1 text-center text-white text-2xl font-bold tracking-wider pr-10">
+          GUEST PASS
+        </h1>
+      </div>
+
+      {/* Mode switch */}
+      <div className="flex gap-2 bg-white/10 rounded-full p-1">
+        {([['pin', KeyRound, 'Enter PIN'], ['qr', QrCode, 'Scan QR']] as const).map(([value, Icon, label]) => (
+          <button
+            key={value}
+            onClick={() => { setMode(value); setError(null); }}
+            className={cn(
+              'flex items-center gap-2 px-4 py-2 rounded-full text-sm font-medium transition-colors',
+              mode === value ? 'bg-[var(--color-cyan)] text-[var(--color-navy)]' : 'text-white/70'
+            )}
+          >
+            <Icon className="w-4 h-4" />
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {/* Error */}
+      {error && (
+        <motion.p
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-red-300 text-center font-medium"
+        >
+          {error}
+        </motion.p>
+      )}
+
+      {mode === 'pin' ? (
+        <>
+          {/* PIN display */}
+          <div className="flex gap-3">
+            {Array.from({ length: PIN_LENGTH }).map((_, i) => (
+              <div
+                key={i}
+                className={cn(
+                  'w-10 h-12 rounded-lg border-2 flex items-center justify-center text-white text-2xl',
+                  i < pin.length ? 'border-[var(--color-cyan)]' : 'border-white/20'
+                )}
+              >
+                {i < pin.length ? '•' : ''}
+              </div>
+            ))}
+          </div>
+
+          {/* Keypad */}
+          <div className="grid grid-cols-3 gap-4">
+            {['1', '2', '3', '4', '5', '6', '7', '8', '9'].map((digit) => (
+              <button
+                key={digit}
+                onClick={() => handleDigit(digit)}
+                disabled={isSubmitting}
+                className="w-20 h-20 rounded-full bg-white/10 text-white text-3xl font-semibold active:bg-white/20 disabled:opacity-50"
+              >
+                {digit}
+              </button>
+            ))}
+            <div />
+            <button
+              onClick={() => handleDigit('0')}
+              disabled={isSubmitting}
+              className="w-20 h-20 rounded-full bg-white/10 text-white text-3xl font-semibold active:bg-white/20 disabled:opacity-50"
+            >
+              0
+            </button>
+            <button
+              onClick={() => setPin(pin.slice(0, -1))}
+              disabled={isSubmitting || pin.length === 0}
+              className="w-20 h-20 rounded-full flex items-center justify-center text-white/80 disabled:opacity-30"
+              aria-label="Delete digit"
+            >
+              <Delete className="w-8 h-8" />
+            </button>
+          </div>
+        </>
+      ) : (
+        <QRScanner onDetected={submitCode} paused={isSubmitting || !!error} />
+      )}
+
+      {mode === 'qr' && error && (
+        <button
+          onClick={() => setError(null)}
+          className="px-6 py-2 rounded-full bg-white/10 text-white"
+        >
+          Scan again
+        </button>
+      )}
+
+      {isSubmitting && (
+        <div className="flex items-center gap-2 text-white/80">
+          <Loader2 className="w-5 h-5 animate-spin" />
+          Checking pass...
+        </div>
+      )}
+    </div>
+  );
+};
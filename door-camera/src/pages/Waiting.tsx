@@ -1,15 +1,23 @@
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { Loader2 } from 'lucide-react';
 import { useSessionStore } from '@/store/sessionStore';
 import { useWebSocket } from '@/hooks/useWebSocket';
 import { EVENTS } from '@/lib/websocketEvents';
+import { TIMINGS } from '@/lib/config';
+
+/**
+ * Whole seconds left until an ISO timestamp (null when there is no deadline)
+ */
+const secondsUntil = (deadline: string | null): number | null =>
+  deadline ? Math.max(0, Math.ceil((new Date(deadline).getTime() - Date.now()) / 1000)) : null;
 
 export const Waiting: React.FC = () => {
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
   const sessionId = searchParams.get('sessionId');
+  const expiresAt = searchParams.get('expiresAt');
   const { lastCapturedPhoto } = useSessionStore();
   const { socket, isConnected } = useWebSocket();
 
@@ -20,6 +28,26 @@ export const Waiting: React.FC = () => {
     }
   }, [sessionId, navigate]);
 
+  // Countdown until the request times out on the server
+  const [secondsLeft, setSecondsLeft] = useState<number | null>(() => secondsUntil(expiresAt));
+
+  useEffect(() => {
+    if (!expiresAt) return;
+
+    const interval = setInterval(() => setSecondsLeft(secondsUntil(expiresAt)), 1000);
+
+    // Fallback if the server's timeout event never arrives (e.g. connection lost)
+    const giveUp = setTimeout(() => {
+      console.log('⌛ No response before timeout - leaving waiting screen');
+      navigate('/denied', { state: { reason: 'No one answered in time' } });
+    }, new Date(expiresAt).getTime() - Date.now() + TIMINGS.responseTimeoutGrace);
+
+    return () => {
+      clearInterval(interval);
+      clearTimeout(giveUp);
+    };
+  }, [expiresAt, navigate]);
+
   // Listen for approval/rejection events
   useEffect(() => {
     if (!socket || !sessionId) {
@@ -48,7 +76,7 @@ export const Waiting: React.FC = () => {
       // Check if this is for the current visitor
       if (data.visitorId === sessionId || data._id === sessionId) {
         console.log('🎉 ✅ MATCH FOUND! Navigating to approved page');
-        navigate('/approved');
+        navigate('/approved', { state: { noPairedLock: data.noPairedLock } });
       } else {
         console.log('⚠️ No match - this event is for a different visitor');
         console.log('   Expected:', sessionId);
@@ -69,7 +97,7 @@ export const Waiting: React.FC = () => {
       // Check if this is for the current visitor
       if (data.visitorId === sessionId || data._id === sessionId) {
         console.log('🎉 ✅ MATCH FOUND! Navigating to denied page');
-        navigate('/denied');
+        navigate('/denied', { state: { reason: data.reason } });
       } else {
         console.log('⚠️ No match - this event is for a different visitor');
       }
@@ -125,6 +153,11 @@ export const Waiting: React.FC = () => {
           <p className="text-gray-300 text-lg">
             An administrator will review your request shortly...
           </p>
+          {secondsLeft !== null && (
+            <p className="text-[var(--color-cyan)] text-2xl font-mono">
+              {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, '0')}
+            </p>
+          )}
         </motion.div>
 
         {/* Session info */}
@@ -146,7 +146,8 @@ const routeMQTTMessage = async (topic, data) => {
         await deviceConnectionManager.handleCommandAck(
           data.commandId,
           data.status || 'executed',
-          data.errorMessage
+          data.errorMessage,
+          'mqtt'
         );
       }
       return;
@@ -161,7 +162,8 @@ const routeMQTTMessage = async (topic, data) => {
           await deviceConnectionManager.handleCommandAck(
             data.commandId,
             data.status || 'executed',
-            data.errorMessage
+            data.errorMessage,
+            'mqtt'
           );
         }
         break;
@@ -178,13 +180,6 @@ const routeMQTTMessage = async (topic, data) => {
           
           // Update connection manager
           if (status === 'online') {
-            await deviceConnectionManager.registerDevice(
-              deviceIdStr,
-              'mqtt',
-              mqttClient,
-              metadata || {}
-            );
-            
             // Subscribe to device-specific command topic
             const deviceCommandTopic = MQTT_TOPICS.DEVICE_COMMAND(deviceIdStr);
             const deviceResponseTopic = MQTT_TOPICS.DEVICE_RESPONSE(deviceIdStr);
@@ -193,14 +188,22 @@ const routeMQTTMessage = async (topic, data) => {
             logger.info(`   - Commands: ${deviceCommandTopic}`);
             logger.info(`   - Responses: ${deviceResponseTopic}`);
             
-            mqttClient.subscribe([deviceCommandTopic, deviceResponseTopic], { qos: 1 }, (err, granted) => {
-              if (err) {
-                logger.error(`❌ Failed to subscribe to device topics: ${err.message}`);
-              } else {
-                logger.info(`✅ Subscribed to device ${deviceIdStr} topics`);
-                logger.info(`📋 Granted: ${JSON.stringify(granted)}`);
-              }
-            });
+            try {
+              const granted = await mqttClient.subscribeAsync([deviceCommandTopic, deviceResponseTopic], { qos: 1 });
+              logger.info(`✅ Subscribed to device ${deviceIdStr} topics`);
+              logger.info(`📋 Granted: ${JSON.stringify(granted)}`);
+            } catch (err) {
+              logger.error(`❌ Failed to subscribe to device topics: ${err.message}`);
+            }
+
+            // Registered once the subscription is granted so acks to commands queued
+            // while the device was offline (flushed on registration) aren't missed
+            await deviceConnectionManager.registerDevice(
+              deviceIdStr,
+              'mqtt',
+              mqttClient,
+              metadata || {}
+            );
           } else {
             await deviceConnectionManager.unregisterDevice(
               deviceIdStr,
@@ -0,0 +1,118 @@
+/**
+ * Permission Catalog
+ * Everything a role can grant. Routes and socket handlers check these
+ * instead of role names; device sharing (view/control/admin per device)
+ * still applies on top.
+ */
+
+const PERMISSIONS = {
+  VISITORS_VIEW: 'visitors:view',
+  VISITORS_APPROVE: 'visitors:approve',
+  LOCKS_CONTROL: 'locks:control',
+  DEVICES_VIEW: 'devices:view',
+  DEVICES_MANAGE: 'devices:manage',
+  DEVICES_SHARE: 'devices:share',
+  GUESTS_MANAGE: 'guests:manage',
+  LOGS_VIEW: 'logs:view',
+  LOGS_CLEAR: 'logs:clear',
+  SYSTEM_MONITOR: 'system:monitor',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+  SECURITY_MANAGE: 'security:manage'
+};
+
+/**
+ * Human-readable catalog, returned to the dashboard for the role editor
+ */
+const PERMISSION_CATALOG = [
+  { key: PERMISSIONS.VISITORS_VIEW, label: 'View visitors', description: 'See visitor requests, photos and statistics' },
+  { key: PERMISSIONS.VISITORS_APPROVE, label: 'Approve visitors', description: 'Grant or deny access to visitors at the door' },
+  { key: PERMISSIONS.LOCKS_CONTROL, label: 'Control locks', description: 'Send commands such as unlock to devices' },
+  { key: PERMISSIONS.DEVICES_VIEW, label: 'View devices', description: 'See devices, paired locks, schedules and the dashboard' },
+  { key: PERMISSIONS.DEVICES_MANAGE, label: 'Manage devices', description: 'Register, configure, pair and delete devices' },
+  { key: PERMISSIONS.DEVICES_SHARE, label: 'Share devices', description: 'Invite people to devices and change their access' },
+  { key: PERMISSIONS.GUESTS_MANAGE, label: 'Manage guest passes', description: 'Issue and revoke guest PINs and QR codes' },
+  { key: PERMISSIONS.LOGS_VIEW, label: 'View logs', description: 'Read activity logs and command history' },
+  { key: PERMISSIONS.LOGS_CLEAR, label: 'Clear logs', description: 'Delete old activity logs' },
+  { key: PERMISSIONS.SYSTEM_MONITOR, label: 'Monitor system', description: 'Detailed health checks and server metrics' },
+  { key: PERMISSIONS.USERS_MANAGE, label: 'Manage users', description: 'Create, deactivate and assign roles to users' },
+  { key: PERMISSIONS.ROLES_MANAGE, label: 'Manage roles', description: 'Create and edit roles and their permissions' },
+  { key: PERMISSIONS.SECURITY_MANAGE, label: 'Manage security policy', description: 'Change system-wide sign-in rules such as required 2FA' }
+];
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+/**
+ * Scope only API keys can hold. Keys can't re-authenticate, so step-up protected
+ * actions (unlocking, approving visitors, firmware updates) need it explicitly.
+ * Grantable by roles that can control locks.
+ */
+const SENSITIVE_ACTIONS_SCOPE = {
+  key: 'commands:sensitive',
+  label: 'Sensitive actions',
+  description: 'Unlock doors, approve visitors and update firmware without the re-authentication a person needs'
+};
+
+/**
+ * Roles created on startup. super_admin and admin keep exactly what the old
+ * role checks allowed; the others are starting points that can be edited.
+ */
+const BUILT_IN_ROLES = [
+  {
+    name: 'super_admin',
+    description: 'Full access, including users, roles and security policy',
+    permissions: ALL_PERMISSIONS,
+    isSystem: true
+  },
+  {
+    name: 'admin',
+    description: 'Manages devices, visitors and logs',
+    permissions: ALL_PERMISSIONS.filter(permission => ![
+      PERMISSIONS.USERS_MANAGE,
+      PERMISSIONS.ROLES_MANAGE,
+      PERMISSIONS.SECURITY_MANAGE
+    ].includes(permission)),
+    isSystem: true
+  },
+  {
+    name: 'resident',
+    description: 'Lives here - answers the door, controls locks and invites guests',
+    permissions: [
+      PERMISSIONS.VISITORS_VIEW,
+      PERMISSIONS.VISITORS_APPROVE,
+      PERMISSIONS.LOCKS_CONTROL,
+      PERMISSIONS.DEVICES_VIEW,
+      PERMISSIONS.DEVICES_SHARE,
+      PERMISSIONS.GUESTS_MANAGE,
+      PERMISSIONS.LOGS_VIEW
+    ]
+  },
+  {
+    name: 'guard',
+    description: 'Answers the door and controls locks',
+    permissions: [
+      PERMISSIONS.VISITORS_VIEW,
+      PERMISSIONS.VISITORS_APPROVE,
+      PERMISSIONS.LOCKS_CONTROL,
+      PERMISSIONS.DEVICES_VIEW,
+      PERMISSIONS.LOGS_VIEW
+    ]
+  },
+  {
+    name: 'viewer',
+    description: 'Read-only access to visitors, devices and logs',
+    permissions: [
+      PERMISSIONS.VISITORS_VIEW,
+      PERMISSIONS.DEVICES_VIEW,
+      PERMISSIONS.LOGS_VIEW
+    ]
+  }
+];
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_CATALOG,
+  ALL_PERMISSIONS,
+  SENSITIVE_ACTIONS_SCOPE,
+  BUILT_IN_ROLES
+};
@@ -1,58 +1,55 @@
 const { Server } = require('socket.io');
 const logger = require('../utils/logger');
-const { verifyToken } = require('../utils/jwt');
-const { User, Device } = require('../models');
+const { verifyAccessToken } = require('../services/sessionService');
+const { Device, VisitorLog } = require('../models');
 const deviceConnectionManager = require('../services/deviceConnectionManager');
 const { validateMessage } = require('../validators/messageSchemas');
+const { NO_PAIRED_LOCK_MESSAGE, unlockPairedLocks } = require('../services/lockService');
+const { applyAccessSchedules } = require('../services/accessScheduleService');
+const { getVisitorExpiry } = require('../services/visitorTimeoutService');
+const { startEscalation } = require('../services/visitorEscalationService');
+const { loadVisitorLogWithAccess } = require('../utils/deviceAccess');
+const { isSensitiveCommand, checkStepUp } = require('../services/stepUpService');
+const { hasPermission } = require('../services/roleService');
+const { DEVICE_TOKEN_FIELDS, verifyDeviceToken } = require('../services/deviceTokenService');
+const { PERMISSIONS } = require('../config/permissions');
+const socketEmitter = require('./socketEmitter');
+
+const { emitToRoom, SOCKET_EVENTS } = socketEmitter;
 
 let io = null;
 
 /**
- * Socket.IO Events used in the system
+ * Hold back a sensitive dashboard event until the session has stepped up.
+ * The dashboard re-sends the event once the user confirms it's them.
+ * @returns {Promise<Boolean>} - true when the event may go ahead
  */
-const SOCKET_EVENTS = {
-  // Device → Backend
-  DEVICE_REGISTER: 'device_register',
-  DEVICE_HEARTBEAT: 'device_heartbeat',
-  DOOR_STATUS_CHANGED: 'door_status_changed',
-  SNAPSHOT_READY: 'snapshot_ready',
-  MOTION_DETECTED: 'motion_detected',
-  LOW_BATTERY: 'low_battery',
-  ERROR_OCCURRED: 'error_occurred',
-  COMMAND_ACK: 'command_ack',
-  
-  // Backend → Device
-  LOCK_DOOR: 'lock_door',
-  UNLOCK_DOOR: 'unlock_door',
-  REQUEST_SNAPSHOT: 'request_snapshot',
-  UPDATE_SETTINGS: 'update_settings',
-  RESTART_DEVICE: 'restart_device',
-  FIRMWARE_UPDATE: 'firmware_update',
-  
-  // Backend → Dashboard
-  NEW_VISITOR: 'new_visitor',
-  VISITOR_PROCESSED: 'visitor_processed',
-  DEVICE_CONNECTED: 'device_connected',
-  DEVICE_DISCONNECTED: 'device_disconnected',
-  DEVICE_STATUS: 'device_status',
-  COMMAND_STATUS: 'command_status',
-  SYSTEM_ALERT: 'system_alert',
-  
-  // Dashboard → Backend
-  AUTHENTICATE: 'authenticate',
-  SUBSCRIBE_DEVICE: 'subscribe_device',
-  UNSUBSCRIBE_DEVICE: 'unsubscribe_device',
-  SEND_COMMAND: 'send_command',
-  REQUEST_DEVICE_STATUS: 'request_device_status',
-  VISITOR_APPROVAL: 'visitor_approval',
-  VISITOR_REJECTION: 'visitor_rejection',
-  
-  // Backend → Camera Device (for approval/rejection response)
-  ACCESS_GRANTED: 'access_granted',
-  ACCESS_DENIED: 'access_denied',
-  
-  // Legacy (for backward compatibility)
-  DOOR_DECISION: 'door_decision'
+const ensureStepUp = async (socket, event, data) => {
+  const result = await checkStepUp(socket.sessionId);
+  if (result.error) {
+    socket.emit(SOCKET_EVENTS.STEP_UP_REQUIRED, {
+      event,
+      data,
+      code: result.code,
+      message: result.error
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Check a dashboard socket's role for a permission, answering with an error when missing
+ * @returns {Promise<Boolean>} - true when the event may go ahead
+ */
+const ensurePermission = async (socket, permission) => {
+  if (socket.clientType !== 'device' && await hasPermission(socket.userRole, permission)) {
+    return true;
+  }
+
+  logger.warn(`🚫 Socket ${socket.id} (${socket.username}) lacks permission '${permission}'`);
+  socket.emit('error', { message: 'Insufficient permissions', required: [permission] });
+  return false;
 };
 
 /**
@@ -74,14 +71,14 @@ const authenticateSocket = async (socket, next) => {
     if (clientType === 'device' && deviceId) {
       try {
         // Find device and validate token
-        const device = await Device.findById(deviceId).select('+deviceToken');
+        const device = await Device.findById(deviceId).select(DEVICE_TOKEN_FIELDS);
         
         if (!device) {
           logger.warn(`Socket connection rejected: Device not found (${socket.id})`);
           return next(new Error('Device not found'));
         }
 
-        if (device.deviceToken !== token) {
+        if (!verifyDeviceToken(device, token)) {
           logger.warn(`Socket connection rejected: Invalid device token (${socket.id}) for device ${deviceId}`);
           return next(new Error('Invalid device token'));
         }
@@ -116,17 +113,18 @@ const authenticateSocket = async (socket, next) => {
 
     // Regular user/dashboard authentication with JWT
     try {
-      const decoded = verifyToken(token);
+      // Verify token and that its session has not been revoked
+      const { user, session } = await verifyAccessToken(token);
       
       // Check if user exists and is active
-      const user = await User.findById(decoded.userId);
-      if (!user) {
+      if (!user || !user.isActive) {
         logger.warn(`Socket connection rejected: User not found (${socket.id})`);
         return next(new Error('Invalid user'));
       }
 
       // Attach user info to socket
       socket.userId = user._id.toString();
+      socket.sessionId = session._id.toString();
       socket.userRole = user.role;
       socket.username = user.username;
       socket.clientType = clientType;
@@ -164,6 +162,7 @@ const initSocketIO = (httpServer) => {
     pingInterval: 25000,
     transports: ['websocket', 'polling']
   });
+  socketEmitter.setIO(io);
 
   // Apply authentication middleware
   io.use(authenticateSocket);
@@ -176,6 +175,11 @@ const initSocketIO = (httpServer) => {
       // Join user-specific room
       socket.join(`user:${socket.userId}`);
 
+      // Join session room so revoking the session can drop this connection
+      if (socket.sessionId) {
+        socket.join(`session:${socket.sessionId}`);
+      }
+
       // If device client, handle device registration
       if (socket.clientType === 'device') {
         await handleDeviceConnection(socket);
@@ -264,6 +268,15 @@ const handleDeviceConnection = async (socket) => {
     logger.info(`📍 Device joined room: ${roomName}`);
     logger.info(`🎯 Socket rooms: ${Array.from(socket.rooms).join(', ')}`);
 
+    // Lets commands go out over this socket and delivers those queued while offline
+    try {
+      await deviceConnectionManager.registerDevice(deviceId, 'socket', socket, {
+        ipAddress: socket.handshake.address
+      });
+    } catch (error) {
+      logger.error(`❌ Failed to register device ${deviceId} socket: ${error.message}`);
+    }
+
   } catch (error) {
     logger.error(`Error handling device connection: ${error.message}`);
     socket.disconnect();
@@ -275,11 +288,13 @@ const handleDeviceConnection = async (socket) => {
  */
 const handleDashboardConnection = async (socket) => {
   try {
-    // Join role-based room
-    socket.join(socket.userRole); // 'admin' or 'user'
-    logger.info(`👤 Dashboard ${socket.id} joined role room: '${socket.userRole}'`);
+    // Suspicious sign-in alerts go to whoever manages the security policy
+    if (await hasPermission(socket.userRole, PERMISSIONS.SECURITY_MANAGE)) {
+      socket.join('security');
+    }
 
-    // Join rooms for all user's devices
+    // Join rooms for all user's devices - visitor events are sent there, so
+    // people only see visitors at devices they own or that are shared with them
     const devices = await Device.findByUser(socket.userId);
     devices.forEach(device => {
       socket.join(`device:${device._id}`);
@@ -336,6 +351,10 @@ const setupSocketHandlers = (socket) => {
     try {
       const validated = validateMessage('dashboard', 'send_command', data);
       const { deviceId, command, payload } = validated;
+
+      if (!(await ensurePermission(socket, PERMISSIONS.LOCKS_CONTROL))) {
+        return;
+      }
       
       // Verify control permission
       const device = await Device.findById(deviceId);
@@ -350,6 +369,10 @@ const setupSocketHandlers = (socket) => {
         return;
       }
 
+      if (isSensitiveCommand(command) && !(await ensureStepUp(socket, SOCKET_EVENTS.SEND_COMMAND, data))) {
+        return;
+      }
+
       // Send command via connection manager
       const result = await deviceConnectionManager.sendCommand(
         deviceId,
@@ -382,51 +405,72 @@ const setupSocketHandlers = (socket) => {
   socket.on(SOCKET_EVENTS.VISITOR_APPROVAL, async (data) => {
     try {
       const { visitorId, approved, note, timestamp } = data;
-      const { VisitorLog } = require('../models');
-      
       logger.info(`✅ Visitor ${visitorId} approved by user ${socket.userId}`);
+
+      if (!(await ensurePermission(socket, PERMISSIONS.VISITORS_APPROVE))) {
+        return;
+      }
       
-      // Update visitor log
-      const visitor = await VisitorLog.findById(visitorId).populate('deviceId');
-      if (!visitor) {
-        logger.error(`❌ Visitor log ${visitorId} not found`);
-        socket.emit('error', { message: 'Visitor log not found' });
+      // Only users with control permission on the device may answer
+      const { visitorLog: visitor, device, error } = socket.clientType === 'device'
+        ? { error: 'Devices cannot answer visitor requests' }
+        : await loadVisitorLogWithAccess(visitorId, socket.userId, 'control');
+      if (error) {
+        logger.warn(`🚫 Approval of visitor ${visitorId} by user ${socket.userId} refused: ${error}`);
+        socket.emit('error', { message: error });
         return;
       }
+      visitor.deviceId = device;
 
-      if (!visitor.deviceId) {
-        logger.error(`❌ Visitor log ${visitorId} has no deviceId`);
-        socket.emit('error', { message: 'Device ID missing from visitor log' });
+      // Approving unlocks the door - needs a recent re-authentication
+      if (!(await ensureStepUp(socket, SOCKET_EVENTS.VISITOR_APPROVAL, data))) {
         return;
       }
 
-      visitor.status = 'approved';
-      visitor.note = note;
-      visitor.processedAt = timestamp;
-      visitor.processedBy = socket.userId;
-      await visitor.save();
+      // Atomic update - only a still-pending request is approved, so a repeated
+      // approval doesn't unlock the paired locks again
+      const approvedLog = await VisitorLog.findOneAndUpdate(
+        { _id: visitor._id, status: 'pending' },
+        {
+          $set: {
+            status: 'approved',
+            decisionSource: 'admin',
+            note,
+            processedAt: timestamp,
+            processedBy: socket.userId,
+            decisionTime: new Date()
+          }
+        },
+        { new: true, runValidators: true }
+      );
+
+      if (!approvedLog) {
+        const existing = await VisitorLog.findById(visitor._id).select('status');
+        const currentStatus = existing?.status || 'processed';
+        logger.warn(`⚠️ Visitor ${visitorId} already ${currentStatus} - approval ignored`);
+        socket.emit('error', { message: `Visitor request already ${currentStatus}` });
+        return;
+      }
 
       logger.info(`📝 Visitor log ${visitorId} updated to 'approved' status`);
 
-      // **CRITICAL FIX: Send MQTT unlock command to door lock device**
-      try {
-        const deviceIdStr = visitor.deviceId._id.toString();
-        logger.info(`🔓 Attempting to send unlock command to device ${deviceIdStr} (${visitor.deviceId.name})`);
-        
-        const commandResult = await deviceConnectionManager.sendCommand(
-          deviceIdStr,
-          'unlock_door',
-          { duration: 5000 },
-          socket.userId
-        );
-        
-        logger.info(`✅ MQTT unlock command sent successfully: ${JSON.stringify(commandResult)}`);
-        logger.info(`📡 Command ID: ${commandResult.commandId}, Status: ${commandResult.status}`);
-      } catch (mqttError) {
-        logger.error(`❌ Failed to send MQTT unlock command: ${mqttError.message}`);
-        logger.error(`Stack trace: ${mqttError.stack}`);
-        // Continue execution - visitor is still approved, notify user of command failure
-      }
+      // Unlock the door locks paired with the camera that saw the visitor
+      const unlockResults = await unlockPairedLocks(visitor.deviceId, socket.userId, {
+        visitorLogId: visitor._id
+      });
+
+      const unlockedCount = unlockResults.filter(result => result.success).length;
+      logger.info(`🔓 Unlocked ${unlockedCount}/${unlockResults.length} lock(s) for visitor ${visitorId}`);
+      const noPairedLock = unlockResults.length === 0;
+
+      // Report per-lock results back to the approving dashboard
+      socket.emit(SOCKET_EVENTS.VISITOR_APPROVAL_RESULT, {
+        visitorId,
+        deviceId: visitor.deviceId._id,
+        locks: unlockResults,
+        noPairedLock,
+        ...(noPairedLock && { message: NO_PAIRED_LOCK_MESSAGE })
+      });
 
       // Send ACCESS_GRANTED to camera device
       const deviceRoom = `device:${visitor.deviceId._id}`;
@@ -437,7 +481,8 @@ const setupSocketHandlers = (socket) => {
         note,
         timestamp,
         deviceId: visitor.deviceId._id,
-        deviceName: visitor.deviceName
+        deviceName: visitor.deviceName,
+        noPairedLock
       };
       
       logger.info(`📤 ========== ACCESS_GRANTED EMIT DEBUG ==========`);
@@ -471,13 +516,15 @@ const setupSocketHandlers = (socket) => {
       logger.info(`✅ ACCESS_GRANTED event emitted to room '${deviceRoom}'`);
       logger.info(`📤 ================================================`);
 
-      // Notify all admins about the processed visitor
-      emitToRoom('admin', SOCKET_EVENTS.VISITOR_PROCESSED, {
+      // Notify the device's owner and shared users about the processed visitor
+      emitToRoom(deviceRoom, SOCKET_EVENTS.VISITOR_PROCESSED, {
         visitorId,
         status: 'approved',
         deviceName: visitor.deviceName,
         deviceId: visitor.deviceId._id,
         processedBy: socket.userId,
+        locks: unlockResults,
+        noPairedLock,
         timestamp,
       });
     } catch (error) {
@@ -490,51 +537,77 @@ const setupSocketHandlers = (socket) => {
   socket.on(SOCKET_EVENTS.VISITOR_REJECTION, async (data) => {
     try {
       const { visitorId, approved, reason, timestamp } = data;
-      const { VisitorLog } = require('../models');
-      
       logger.info(`❌ Visitor ${visitorId} rejected by user ${socket.userId}`);
+
+      if (!(await ensurePermission(socket, PERMISSIONS.VISITORS_APPROVE))) {
+        return;
+      }
       
-      // Update visitor log
-      const visitor = await VisitorLog.findById(visitorId);
-      if (visitor) {
-        visitor.status = 'rejected';
-        visitor.note = reason;
-        visitor.processedAt = timestamp;
-        visitor.processedBy = socket.userId;
-        await visitor.save();
-
-        // Send ACCESS_DENIED to camera device
-        const deviceRoom = `device:${visitor.deviceId}`;
-        const deniedPayload = {
-          visitorId,
-          _id: visitorId,  // Include both for compatibility
-          approved: false,
-          reason,
-          timestamp,
-          deviceId: visitor.deviceId,
-          deviceName: visitor.deviceName
-        };
-        
-        logger.info(`📤 Emitting ACCESS_DENIED to room '${deviceRoom}'`);
-        logger.info(`📤 Payload: ${JSON.stringify(deniedPayload)}`);
-        
-        const socketsInRoom = io.sockets.adapter.rooms.get(deviceRoom);
-        logger.info(`📊 Sockets in room '${deviceRoom}': ${socketsInRoom ? socketsInRoom.size : 0}`);
-        
-        io.to(deviceRoom).emit(SOCKET_EVENTS.ACCESS_DENIED, deniedPayload);
-
-        logger.info(`✅ Access denied message sent to device ${visitor.deviceId}`);
-
-        // Notify all admins about the processed visitor
-        emitToRoom('admin', SOCKET_EVENTS.VISITOR_PROCESSED, {
-          visitorId,
-          status: 'rejected',
-          deviceName: visitor.deviceName,
-          deviceId: visitor.deviceId,
-          processedBy: socket.userId,
-          timestamp,
-        });
+      // Only users with control permission on the device may answer
+      const { visitorLog: visitor, error } = socket.clientType === 'device'
+        ? { error: 'Devices cannot answer visitor requests' }
+        : await loadVisitorLogWithAccess(visitorId, socket.userId, 'control');
+      if (error) {
+        logger.warn(`🚫 Rejection of visitor ${visitorId} by user ${socket.userId} refused: ${error}`);
+        socket.emit('error', { message: error });
+        return;
+      }
+
+      // Update visitor log - only while it is still pending
+      const rejectedLog = await VisitorLog.findOneAndUpdate(
+        { _id: visitor._id, status: 'pending' },
+        {
+          $set: {
+            status: 'rejected',
+            decisionSource: 'admin',
+            note: reason,
+            processedAt: timestamp,
+            processedBy: socket.userId,
+            decisionTime: new Date()
+          }
+        },
+        { new: true, runValidators: true }
+      );
+
+      if (!rejectedLog) {
+        const existing = await VisitorLog.findById(visitor._id).select('status');
+        const currentStatus = existing?.status || 'processed';
+        logger.warn(`⚠️ Visitor ${visitorId} already ${currentStatus} - rejection ignored`);
+        socket.emit('error', { message: `Visitor request already ${currentStatus}` });
+        return;
       }
+
+      // Send ACCESS_DENIED to camera device
+      const deviceRoom = `device:${visitor.deviceId}`;
+      const deniedPayload = {
+        visitorId,
+        _id: visitorId,  // Include both for compatibility
+        approved: false,
+        reason,
+        timestamp,
+        deviceId: visitor.deviceId,
+        deviceName: visitor.deviceName
+      };
+      
+      logger.info(`📤 Emitting ACCESS_DENIED to room '${deviceRoom}'`);
+      logger.info(`📤 Payload: ${JSON.stringify(deniedPayload)}`);
+      
+      const socketsInRoom = io.sockets.adapter.rooms.get(deviceRoom);
+      logger.info(`📊 Sockets in room '${deviceRoom}': ${socketsInRoom ? socketsInRoom.size : 0}`);
+      
+      io.to(deviceRoom).emit(SOCKET_EVENTS.ACCESS_DENIED, deniedPayload);
+
+      logger.info(`✅ Access denied message sent to device ${visitor.deviceId}`);
+
+      // Notify the device's owner and shared users about the processed visitor
+      emitToRoom(deviceRoom, SOCKET_EVENTS.VISITOR_PROCESSED, {
+        visitorId,
+        status: 'rejected',
+        deviceName: visitor.deviceName,
+        deviceId: visitor.deviceId,
+        processedBy: socket.userId,
+        timestamp,
+      });
     } catch (error) {
       logger.error(`Visitor rejection error: ${error.message}`);
       socket.emit('error', { message: error.message });
@@ -555,7 +628,7 @@ const setupSocketHandlers = (socket) => {
     try {
       const validated = validateMessage('device', 'command_ack', data);
       const { commandId, status, errorMessage } = validated;
-      await deviceConnectionManager.handleCommandAck(commandId, status, errorMessage);
+      await deviceConnectionManager.handleCommandAck(commandId, status, errorMessage, 'websocket');
     } catch (error) {
       logger.error(`Command ack error: ${error.message}`);
     }
@@ -581,7 +654,15 @@ const setupSocketHandlers = (socket) => {
   // Handle bell-pressed event from camera devices
   socket.on('bell-pressed', async (data) => {
     try {
-      const { deviceId, timestamp, pressedBy, metadata } = data;
+      // A bell press can auto-approve a visitor and unlock the door - only the device itself may report one
+      if (socket.clientType !== 'device' || !socket.deviceId) {
+        logger.warn(`🚫 Bell press rejected from non-device socket ${socket.id} (user ${socket.userId})`);
+        socket.emit('error', { message: 'Only devices can report a bell press' });
+        return;
+      }
+
+      const { deviceId } = socket;
+      const { timestamp, pressedBy, metadata } = data;
       logger.info(`🔔 Bell pressed on device ${deviceId} by ${pressedBy}`);
       
       // Get device info
@@ -593,7 +674,6 @@ const setupSocketHandlers = (socket) => {
       
       // Create a visitor log entry for the bell press
       // This will be updated with a photo when the upload happens
-      const { VisitorLog } = require('../models');
       const visitorLog = new VisitorLog({
         deviceId: device._id,
         deviceName: device.name,
@@ -601,6 +681,7 @@ const setupSocketHandlers = (socket) => {
         bellPressed: true,
         pressedBy,
         pressedAt: new Date(timestamp),
+        expiresAt: getVisitorExpiry(device),
         metadata: {
           source: 'bell-press',
           ...metadata
@@ -610,18 +691,31 @@ const setupSocketHandlers = (socket) => {
       await visitorLog.save();
       logger.info(`📝 Visitor log created for bell press: ${visitorLog._id}`);
       
-      // Notify all admins about the new visitor
-      emitToRoom('admin', SOCKET_EVENTS.NEW_VISITOR, {
+      // Auto-approve when the bell is pressed inside one of the device's access schedules
+      const autoApproval = await applyAccessSchedules(visitorLog, device);
+      if (autoApproval) {
+        return;
+      }
+      
+      // Page the device's escalation chain instead of every admin when it is enabled
+      const escalated = await startEscalation(visitorLog, device);
+      if (escalated) {
+        return;
+      }
+      
+      // Notify the device's owner and shared users about the new visitor
+      emitToRoom(`device:${device._id}`, SOCKET_EVENTS.NEW_VISITOR, {
         visitorId: visitorLog._id,
         deviceId: device._id,
         deviceName: device.name,
         timestamp: visitorLog.timestamp,
         status: 'pending',
+        expiresAt: visitorLog.expiresAt,
         bellPressed: true,
         message: `Bell pressed at ${device.name}`
       });
       
-      logger.info(`📡 Bell press notification sent to admins for device ${device.name}`);
+      logger.info(`📡 Bell press notification sent to viewers of device ${device.name}`);
       
     } catch (error) {
       logger.error(`Bell press handler error: ${error.message}`);
@@ -638,10 +732,10 @@ const handleDisconnection = async (socket, reason) => {
 
     // If device, unregister from connection manager and mark offline
     if (socket.deviceId) {
-      await deviceConnectionManager.unregisterDevice(socket.deviceId, 'socket', reason);
+      const offline = await deviceConnectionManager.unregisterDevice(socket.deviceId, 'socket', reason, socket);
       
-      // Mark device as offline
-      const device = await Device.findById(socket.deviceId);
+      // Mark device as offline, unless it reconnected or is still on MQTT
+      const device = offline ? await Device.findById(socket.deviceId) : null;
       if (device) {
         device.online = false;
         device.status = 'offline';
@@ -669,51 +763,15 @@ const handleDisconnection = async (socket, reason) => {
   }
 };
 
-/**
- * Get Socket.IO instance
- */
-const getIO = () => {
-  if (!io) {
-    throw new Error('Socket.IO not initialized. Call initSocketIO() first.');
-  }
-  return io;
-};
-
-/**
- * Emit event to specific room
- */
-const emitToRoom = (room, event, data) => {
-  if (io) {
-    const socketsInRoom = io.sockets.adapter.rooms.get(room);
-    const clientCount = socketsInRoom ? socketsInRoom.size : 0;
-    
-    logger.info(`📡 Emitting '${event}' to room '${room}' (${clientCount} clients)`);
-    
-    if (clientCount === 0) {
-      logger.warn(`⚠️  No clients in room '${room}' - event will not be received`);
-    }
-    
-    io.to(room).emit(event, data);
-    logger.debug(`✅ Emitted ${event} to room ${room}`);
-  } else {
-    logger.error(`❌ Cannot emit to room '${room}' - Socket.IO not initialized`);
-  }
-};
-
-/**
- * Emit event to all connected clients
- */
-const emitToAll = (event, data) => {
-  if (io) {
-    io.emit(event, data);
-    logger.debug(`Emitted ${event} to all clients`);
-  }
-};
-
 module.exports = {
   initSocketIO,
-  getIO,
-  emitToRoom,
-  emitToAll,
+  getIO: socketEmitter.getIO,
+  emitToRoom: socketEmitter.emitToRoom,
+  emitToAll: socketEmitter.emitToAll,
+  joinDeviceRoom: socketEmitter.joinDeviceRoom,
+  leaveDeviceRoom: socketEmitter.leaveDeviceRoom,
+  disconnectSession: socketEmitter.disconnectSession,
+  disconnectDevice: socketEmitter.disconnectDevice,
+  setUserRole: socketEmitter.setUserRole,
   SOCKET_EVENTS
 };
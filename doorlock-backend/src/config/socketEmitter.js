@@ -0,0 +1,215 @@
+const logger = require('../utils/logger');
+
+/**
+ * Socket.IO instance and the helpers that emit through it.
+ * Kept apart from the socket config, which needs most of the services, so
+ * services can require this module at load time.
+ */
+
+let io = null;
+
+/**
+ * Register the Socket.IO server created by the socket config
+ * @param {Object} server - Socket.IO server instance
+ */
+const setIO = (server) => {
+  io = server;
+};
+
+/**
+ * Socket.IO Events used in the system
+ */
+const SOCKET_EVENTS = {
+  // Device → Backend
+  DEVICE_REGISTER: 'device_register',
+  DEVICE_HEARTBEAT: 'device_heartbeat',
+  DOOR_STATUS_CHANGED: 'door_status_changed',
+  SNAPSHOT_READY: 'snapshot_ready',
+  MOTION_DETECTED: 'motion_detected',
+  LOW_BATTERY: 'low_battery',
+  ERROR_OCCURRED: 'error_occurred',
+  COMMAND_ACK: 'command_ack',
+  
+  // Backend → Device
+  LOCK_DOOR: 'lock_door',
+  UNLOCK_DOOR: 'unlock_door',
+  REQUEST_SNAPSHOT: 'request_snapshot',
+  UPDATE_SETTINGS: 'update_settings',
+  RESTART_DEVICE: 'restart_device',
+  FIRMWARE_UPDATE: 'firmware_update',
+  
+  // Backend → Dashboard
+  NEW_VISITOR: 'new_visitor',
+  VISITOR_PROCESSED: 'visitor_processed',
+  VISITOR_APPROVAL_RESULT: 'visitor_approval_result',
+  DEVICE_CONNECTED: 'device_connected',
+  DEVICE_DISCONNECTED: 'device_disconnected',
+  DEVICE_STATUS: 'device_status',
+  COMMAND_STATUS: 'command_status',
+  SYSTEM_ALERT: 'system_alert',
+  SHARE_INVITATION: 'share_invitation',
+  DEVICE_ACCESS_CHANGED: 'device_access_changed',
+  STEP_UP_REQUIRED: 'step_up_required',
+  SECURITY_ALERT: 'security_alert',
+  
+  // Dashboard → Backend
+  AUTHENTICATE: 'authenticate',
+  SUBSCRIBE_DEVICE: 'subscribe_device',
+  UNSUBSCRIBE_DEVICE: 'unsubscribe_device',
+  SEND_COMMAND: 'send_command',
+  REQUEST_DEVICE_STATUS: 'request_device_status',
+  VISITOR_APPROVAL: 'visitor_approval',
+  VISITOR_REJECTION: 'visitor_rejection',
+  
+  // Backend → Camera Device (for approval/rejection response)
+  ACCESS_GRANTED: 'access_granted',
+  ACCESS_DENIED: 'access_denied',
+  
+  // Legacy (for backward compatibility)
+  DOOR_DECISION: 'door_decision'
+};
+
+/**
+ * Get Socket.IO instance
+ */
+const getIO = () => {
+  if (!io) {
+    throw new Error('Socket.IO not initialized. Call initSocketIO() first.');
+  }
+  return io;
+};
+
+/**
+ * Emit event to specific room
+ */
+const emitToRoom = (room, event, data) => {
+  if (io) {
+    const socketsInRoom = io.sockets.adapter.rooms.get(room);
+    const clientCount = socketsInRoom ? socketsInRoom.size : 0;
+    
+    logger.info(`📡 Emitting '${event}' to room '${room}' (${clientCount} clients)`);
+    
+    if (clientCount === 0) {
+      logger.warn(`⚠️  No clients in room '${room}' - event will not be received`);
+    }
+    
+    io.to(room).emit(event, data);
+    logger.debug(`✅ Emitted ${event} to room ${room}`);
+  } else {
+    logger.error(`❌ Cannot emit to room '${room}' - Socket.IO not initialized`);
+  }
+};
+
+/**
+ * Get a user's connected dashboard sockets
+ * Device sockets share the owner's user room but act as 'device', so they are left out.
+ * @param {String} userId - User ID
+ * @returns {Array} - Socket instances
+ */
+const getUserDashboardSockets = (userId) => {
+  const room = io && io.sockets.adapter.rooms.get(`user:${userId}`);
+  if (!room) {
+    return [];
+  }
+
+  return Array.from(room)
+    .map(socketId => io.sockets.sockets.get(socketId))
+    .filter(socket => socket && socket.clientType !== 'device');
+};
+
+/**
+ * Add all of a user's connected dashboards to a device room
+ */
+const joinDeviceRoom = (userId, deviceId) => {
+  const sockets = getUserDashboardSockets(userId);
+  sockets.forEach(socket => socket.join(`device:${deviceId}`));
+  if (sockets.length > 0) {
+    logger.info(`🔗 User ${userId} sockets joined room 'device:${deviceId}'`);
+  }
+};
+
+/**
+ * Remove all of a user's connected dashboards from a device room
+ */
+const leaveDeviceRoom = (userId, deviceId) => {
+  const sockets = getUserDashboardSockets(userId);
+  sockets.forEach(socket => socket.leave(`device:${deviceId}`));
+  if (sockets.length > 0) {
+    logger.info(`🔗 User ${userId} sockets left room 'device:${deviceId}'`);
+  }
+};
+
+/**
+ * Drop all socket connections opened with a session
+ */
+const disconnectSession = (sessionId) => {
+  if (io) {
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+    logger.info(`🔒 Disconnected sockets of session ${sessionId}`);
+  }
+};
+
+/**
+ * Drop a device's own socket connections (dashboards watching it stay connected)
+ * @param {String} deviceId - Device ID
+ */
+const disconnectDevice = (deviceId) => {
+  if (!io) {
+    return;
+  }
+
+  const room = io.sockets.adapter.rooms.get(`device:${deviceId}`);
+  if (!room) {
+    return;
+  }
+
+  Array.from(room).forEach(socketId => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket && socket.clientType === 'device' && socket.deviceId === String(deviceId)) {
+      socket.disconnect(true);
+    }
+  });
+
+  logger.info(`🔒 Disconnected sockets of device ${deviceId}`);
+};
+
+/**
+ * Apply a user's new role to their connected dashboards
+ * @param {String} userId - User ID
+ * @param {String} role - New role name
+ */
+const setUserRole = (userId, role) => {
+  const sockets = getUserDashboardSockets(userId);
+  if (sockets.length === 0) {
+    return;
+  }
+
+  sockets.forEach(socket => {
+    socket.userRole = role;
+  });
+
+  logger.info(`🛡️ Updated role of connected sockets for user ${userId} to '${role}'`);
+};
+
+/**
+ * Emit event to all connected clients
+ */
+const emitToAll = (event, data) => {
+  if (io) {
+    io.emit(event, data);
+    logger.debug(`Emitted ${event} to all clients`);
+  }
+};
+
+module.exports = {
+  setIO,
+  getIO,
+  emitToRoom,
+  emitToAll,
+  joinDeviceRoom,
+  leaveDeviceRoom,
+  disconnectSession,
+  disconnectDevice,
+  setUserRole,
+  SOCKET_EVENTS
+};
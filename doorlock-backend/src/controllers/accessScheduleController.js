@@ -0,0 +1,160 @@
+const { AccessSchedule } = require('../models');
+const { successResponse, errorResponse } = require('../utils/response');
+const { isValidObjectId, sanitizeInput } = require('../utils/validators');
+const { loadDeviceWithAccess } = require('../utils/deviceAccess');
+const logger = require('../utils/logger');
+
+/**
+ * Access Schedule Controller
+ * Manages recurring auto-approval windows of a device
+ */
+
+/**
+ * Pick the editable schedule fields from a request body
+ */
+const pickScheduleFields = (body) => {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = sanitizeInput(body.name);
+  if (body.daysOfWeek !== undefined) fields.daysOfWeek = body.daysOfWeek;
+  if (body.startTime !== undefined) fields.startTime = body.startTime;
+  if (body.endTime !== undefined) fields.endTime = body.endTime;
+  if (body.timezone !== undefined) fields.timezone = body.timezone;
+  if (body.enabled !== undefined) fields.enabled = !!body.enabled;
+
+  return fields;
+};
+
+/**
+ * Get access schedules of a device
+ * GET /api/device/:id/schedules
+ */
+const getSchedules = async (req, res) => {
+  try {
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId);
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    const schedules = await AccessSchedule.find({ deviceId: device._id })
+      .populate('createdBy', 'username email')
+      .sort({ createdAt: 1 });
+
+    return successResponse(res, schedules, 'Access schedules retrieved successfully');
+
+  } catch (error) {
+    logger.error(`Get access schedules error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Create an access schedule
+ * POST /api/device/:id/schedules
+ */
+const createSchedule = async (req, res) => {
+  try {
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId, 'control');
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    const schedule = new AccessSchedule({
+      ...pickScheduleFields(req.body),
+      deviceId: device._id,
+      createdBy: req.user.userId
+    });
+
+    await schedule.save();
+
+    logger.info(`🗓️ Access schedule "${schedule.name}" created for ${device.name} by ${req.user.username}`);
+
+    return successResponse(res, schedule, 'Access schedule created successfully', 201);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return errorResponse(res, messages.join(', '), 400);
+    }
+    logger.error(`Create access schedule error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Update an access schedule
+ * PUT /api/device/:id/schedules/:scheduleId
+ */
+const updateSchedule = async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId, 'control');
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    if (!isValidObjectId(scheduleId)) {
+      return errorResponse(res, 'Invalid schedule ID', 400);
+    }
+
+    const schedule = await AccessSchedule.findOne({ _id: scheduleId, deviceId: device._id });
+    if (!schedule) {
+      return errorResponse(res, 'Access schedule not found', 404);
+    }
+
+    Object.assign(schedule, pickScheduleFields(req.body));
+    await schedule.save();
+
+    logger.info(`🗓️ Access schedule "${schedule.name}" updated for ${device.name} by ${req.user.username}`);
+
+    return successResponse(res, schedule, 'Access schedule updated successfully');
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return errorResponse(res, messages.join(', '), 400);
+    }
+    logger.error(`Update access schedule error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Delete an access schedule
+ * DELETE /api/device/:id/schedules/:scheduleId
+ */
+const deleteSchedule = async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId, 'control');
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    if (!isValidObjectId(scheduleId)) {
+      return errorResponse(res, 'Invalid schedule ID', 400);
+    }
+
+    const schedule = await AccessSchedule.findOneAndDelete({ _id: scheduleId, deviceId: device._id });
+    if (!schedule) {
+      return errorResponse(res, 'Access schedule not found', 404);
+    }
+
+    logger.info(`🗑️ Access schedule "${schedule.name}" deleted from ${device.name} by ${req.user.username}`);
+
+    return successResponse(res, null, 'Access schedule deleted successfully');
+
+  } catch (error) {
+    logger.error(`Delete access schedule error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  getSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule
+};
@@ -0,0 +1,89 @@
+const { successResponse, errorResponse } = require('../utils/response');
+const { PERMISSION_CATALOG, SENSITIVE_ACTIONS_SCOPE } = require('../config/permissions');
+const { getGrantableScopes, listApiKeys, createApiKey, revokeApiKey } = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+/**
+ * API Key Controller
+ * The current user's keys for scripts and integrations
+ */
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  deviceIds: apiKey.deviceIds,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  createdAt: apiKey.createdAt
+});
+
+/**
+ * List the current user's API keys and the scopes their role lets them grant
+ * GET /api/keys
+ */
+const listKeys = async (req, res) => {
+  try {
+    const [apiKeys, granted] = await Promise.all([
+      listApiKeys(req.user.userId),
+      getGrantableScopes(req.user.role)
+    ]);
+
+    return successResponse(res, {
+      apiKeys: apiKeys.map(formatApiKey),
+      scopes: [...PERMISSION_CATALOG, SENSITIVE_ACTIONS_SCOPE].filter(scope => granted.includes(scope.key))
+    }, 'API keys retrieved successfully');
+  } catch (error) {
+    logger.error(`Get API keys error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Create an API key - the key itself is only returned in this response
+ * POST /api/keys
+ */
+const createKey = async (req, res) => {
+  try {
+    const { name, scopes, deviceIds, expiresInDays } = req.body;
+
+    const result = await createApiKey(req.user.userId, { name, scopes, deviceIds, expiresInDays });
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    return successResponse(res, {
+      ...formatApiKey(result.apiKey),
+      key: result.key
+    }, 'API key created - copy it now, it will not be shown again', 201);
+  } catch (error) {
+    logger.error(`Create API key error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Revoke an API key
+ * DELETE /api/keys/:id
+ */
+const revokeKey = async (req, res) => {
+  try {
+    const result = await revokeApiKey(req.user.userId, req.params.id);
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    return successResponse(res, null, 'API key revoked');
+  } catch (error) {
+    logger.error(`Revoke API key error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  listKeys,
+  createKey,
+  revokeKey
+};
@@ -1,7 +1,41 @@
-const { User } = require('../models');
-const { generateToken } = require('../utils/jwt');
+const { User, Session } = require('../models');
+const {
+  createSession,
+  completeLogin,
+  getUserSessions,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/sessionService');
+const {
+  CHALLENGE_PURPOSES,
+  createChallenge,
+  verifyChallenge,
+  verifySecondFactor,
+  isTwoFactorRequired
+} = require('../services/twoFactorService');
+const { requestPasswordReset, resetPassword: applyPasswordReset } = require('../services/passwordResetService');
+const { getRolePermissions, SUPER_ADMIN_ROLE } = require('../services/roleService');
+const {
+  getLockoutRemaining,
+  recordFailedLogin,
+  recordRejectedLogin,
+  getLoginHistory
+} = require('../services/loginProtectionService');
+const {
+  STEP_UP_WINDOW_SECONDS,
+  getStepUpExpiry,
+  stepUp: performStepUp
+} = require('../services/stepUpService');
+const {
+  PASSKEY_PURPOSES,
+  hasPasskeys,
+  beginAuthentication,
+  verifyAuthentication
+} = require('../services/passkeyService');
+const { getPublicConfig: getOidcConfig, beginLogin: beginOidcLogin, finishLogin: finishOidcLogin } = require('../services/oidcService');
 const { successResponse, errorResponse } = require('../utils/response');
-const { validateRequiredFields, isValidEmail, isValidPassword, isValidUsername } = require('../utils/validators');
+const { validateRequiredFields, isValidEmail, isValidPassword, isValidUsername, isValidObjectId } = require('../utils/validators');
 const logger = require('../utils/logger');
 
 /**
@@ -9,6 +43,28 @@ const logger = require('../utils/logger');
  * Handles user registration, login, and authentication
  */
 
+/**
+ * Client details stored on a session
+ */
+const getClientInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+/**
+ * 429 for a locked account, with Retry-After so clients can show a countdown
+ */
+const accountLockedResponse = (res, lockedFor) => {
+  res.set('Retry-After', String(lockedFor));
+  const minutes = Math.ceil(lockedFor / 60);
+  return errorResponse(
+    res,
+    `Too many failed attempts. Account locked - try again in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+    429,
+    { code: 'ACCOUNT_LOCKED', retryAfter: lockedFor }
+  );
+};
+
 /**
  * Register new admin user
  * POST /api/auth/register
@@ -47,29 +103,46 @@ const register = async (req, res) => {
       return errorResponse(res, 'Username or email already exists', 400);
     }
 
+    // Self-registration may only claim super_admin while none exists (first-run setup);
+    // afterwards super admins are promoted through /api/users
+    let assignedRole = 'admin';
+    if (role === SUPER_ADMIN_ROLE && !(await User.exists({ role: SUPER_ADMIN_ROLE }))) {
+      assignedRole = SUPER_ADMIN_ROLE;
+    }
+
     // Create new user
     const user = new User({
       username: username.toLowerCase(),
       email: email.toLowerCase(),
       passwordHash: password, // Will be hashed by pre-save hook
-      role: role || 'admin'
+      role: assignedRole
     });
 
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken({ userId: user._id, username: user.username, role: user.role });
-
     logger.info(`New user registered: ${user.username}`);
 
+    // The policy may require 2FA before the first session
+    if (await isTwoFactorRequired()) {
+      return successResponse(res, {
+        twoFactorSetupRequired: true,
+        challengeToken: createChallenge(user, CHALLENGE_PURPOSES.SETUP)
+      }, 'User registered - set up two-factor authentication to sign in', 201);
+    }
+
+    // Start a session
+    const { accessToken, refreshToken } = await createSession(user, getClientInfo(req));
+
     return successResponse(res, {
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
-        role: user.role
+        role: user.role,
+        permissions: await getRolePermissions(user.role)
       },
-      token
+      token: accessToken,
+      refreshToken
     }, 'User registered successfully', 201);
 
   } catch (error) {
@@ -92,45 +165,59 @@ const login = async (req, res) => {
       return errorResponse(res, `Missing required fields: ${validation.missing.join(', ')}`, 400);
     }
 
+    const client = getClientInfo(req);
+
     // Find user by email
     const user = await User.findOne({
       email: email.toLowerCase()
     });
 
     if (!user) {
+      await recordRejectedLogin({ identifier: email, reason: 'unknown_user', client });
       return errorResponse(res, 'Invalid credentials', 401);
     }
 
+    // Locked accounts are refused before the password is even checked
+    const lockedFor = getLockoutRemaining(user);
+    if (lockedFor > 0) {
+      await recordRejectedLogin({ user, reason: 'locked', client });
+      return accountLockedResponse(res, lockedFor);
+    }
+
     // Check if user is active
     if (!user.isActive) {
+      await recordRejectedLogin({ user, reason: 'inactive', client });
       return errorResponse(res, 'Account is inactive', 401);
     }
 
     // Compare password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const failure = await recordFailedLogin(user, { reason: 'invalid_password', client });
+      if (failure.lockedFor > 0) {
+        return accountLockedResponse(res, failure.lockedFor);
+      }
       return errorResponse(res, 'Invalid credentials', 401);
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // Password is right - ask for the second factor before starting a session
+    if (user.twoFactor?.enabled) {
+      return successResponse(res, {
+        twoFactorRequired: true,
+        challengeToken: createChallenge(user, CHALLENGE_PURPOSES.VERIFY)
+      }, 'Two-factor verification required');
+    }
 
-    // Generate JWT token
-    const token = generateToken({ userId: user._id, username: user.username, role: user.role });
+    if (await isTwoFactorRequired()) {
+      return successResponse(res, {
+        twoFactorSetupRequired: true,
+        challengeToken: createChallenge(user, CHALLENGE_PURPOSES.SETUP)
+      }, 'Two-factor authentication must be set up before signing in');
+    }
 
-    logger.info(`User logged in: ${user.username}`);
+    const payload = await completeLogin(user, client);
 
-    return successResponse(res, {
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        lastLogin: user.lastLogin
-      },
-      token
-    }, 'Login successful');
+    return successResponse(res, payload, 'Login successful');
 
   } catch (error) {
     logger.error(`Login error: ${error.message}`);
@@ -138,6 +225,280 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * Second login step - check the TOTP or recovery code
+ * POST /api/auth/2fa/verify
+ */
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return errorResponse(res, 'Challenge token and a verification or recovery code are required', 400);
+    }
+
+    const challenge = await verifyChallenge(challengeToken, CHALLENGE_PURPOSES.VERIFY);
+    if (challenge.error) {
+      return errorResponse(res, challenge.error, challenge.statusCode);
+    }
+
+    const client = getClientInfo(req);
+
+    // Guessing codes counts towards the same lockout as guessing passwords
+    const lockedFor = getLockoutRemaining(challenge.user);
+    if (lockedFor > 0) {
+      await recordRejectedLogin({ user: challenge.user, reason: 'locked', client });
+      return accountLockedResponse(res, lockedFor);
+    }
+
+    const result = await verifySecondFactor(challenge.user._id, { code, recoveryCode });
+    if (result.error) {
+      logger.warn(`⚠️ Failed two-factor attempt for user ${challenge.user.username}`);
+      const failure = await recordFailedLogin(challenge.user, { reason: 'invalid_second_factor', client });
+      if (failure.lockedFor > 0) {
+        return accountLockedResponse(res, failure.lockedFor);
+      }
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    const payload = await completeLogin(challenge.user, client, { method: result.method });
+
+    return successResponse(res, payload, 'Login successful');
+
+  } catch (error) {
+    logger.error(`Two-factor verification error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Start a passkey sign-in - any passkey registered for this site is offered
+ * POST /api/auth/passkeys/login/options
+ */
+const passkeyLoginOptions = async (req, res) => {
+  try {
+    const result = await beginAuthentication(PASSKEY_PURPOSES.LOGIN);
+
+    return successResponse(res, result, 'Passkey options generated');
+
+  } catch (error) {
+    logger.error(`Passkey login options error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Sign in with a passkey. The authenticator verifies the user (biometric or
+ * PIN), so this counts as both factors and skips the TOTP step.
+ * POST /api/auth/passkeys/login
+ */
+const loginWithPasskey = async (req, res) => {
+  try {
+    const { challengeToken, response } = req.body;
+    const client = getClientInfo(req);
+
+    const result = await verifyAuthentication(PASSKEY_PURPOSES.LOGIN, { challengeToken, response });
+    const user = result.user;
+
+    if (result.error) {
+      if (user) {
+        const failure = await recordFailedLogin(user, { reason: 'invalid_passkey', client });
+        if (failure.lockedFor > 0) {
+          return accountLockedResponse(res, failure.lockedFor);
+        }
+      }
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    const lockedFor = getLockoutRemaining(user);
+    if (lockedFor > 0) {
+      await recordRejectedLogin({ user, reason: 'locked', client });
+      return accountLockedResponse(res, lockedFor);
+    }
+
+    if (!user.isActive) {
+      await recordRejectedLogin({ user, reason: 'inactive', client });
+      return errorResponse(res, 'Account is inactive', 401);
+    }
+
+    const payload = await completeLogin(user, client, { method: 'passkey' });
+
+    return successResponse(res, payload, 'Login successful');
+
+  } catch (error) {
+    logger.error(`Passkey login error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Whether single sign-on is available, for the login page
+ * GET /api/auth/oidc/config
+ */
+const oidcConfig = async (req, res) => successResponse(res, getOidcConfig(), 'SSO configuration retrieved');
+
+/**
+ * Start single sign-on - returns the provider URL to send the browser to and
+ * a state token the client keeps until the callback
+ * POST /api/auth/oidc/authorize
+ */
+const oidcAuthorize = async (req, res) => {
+  try {
+    const result = await beginOidcLogin();
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    return successResponse(res, result, 'Redirect to the identity provider');
+
+  } catch (error) {
+    logger.error(`SSO authorize error: ${error.message}`);
+    return errorResponse(res, 'Identity provider is unavailable', 502);
+  }
+};
+
+/**
+ * Finish single sign-on with the code from the provider's redirect. The
+ * provider is trusted to have checked every factor, so there's no TOTP step.
+ * POST /api/auth/oidc/callback
+ */
+const oidcCallback = async (req, res) => {
+  try {
+    const { code, state, stateToken } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['code', 'state', 'stateToken']);
+    if (!validation.isValid) {
+      return errorResponse(res, `Missing required fields: ${validation.missing.join(', ')}`, 400);
+    }
+
+    const client = getClientInfo(req);
+
+    const result = await finishOidcLogin({ code, state, stateToken });
+    if (result.error) {
+      if (result.reason) {
+        await recordRejectedLogin({ user: result.user, identifier: result.email, reason: result.reason, client });
+      }
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    const { user } = result;
+
+    // The identity provider stands in for the password only - lockout and
+    // the account's second factor still apply, as in login
+    const lockedFor = getLockoutRemaining(user);
+    if (lockedFor > 0) {
+      await recordRejectedLogin({ user, reason: 'locked', client });
+      return accountLockedResponse(res, lockedFor);
+    }
+
+    if (!user.isActive) {
+      await recordRejectedLogin({ user, reason: 'inactive', client });
+      return errorResponse(res, 'Account is inactive', 401);
+    }
+
+    if (user.twoFactor?.enabled) {
+      return successResponse(res, {
+        twoFactorRequired: true,
+        challengeToken: createChallenge(user, CHALLENGE_PURPOSES.VERIFY)
+      }, 'Two-factor verification required');
+    }
+
+    if (await isTwoFactorRequired()) {
+      return successResponse(res, {
+        twoFactorSetupRequired: true,
+        challengeToken: createChallenge(user, CHALLENGE_PURPOSES.SETUP)
+      }, 'Two-factor authentication must be set up before signing in');
+    }
+
+    const payload = await completeLogin(user, client, { method: 'sso' });
+
+    return successResponse(res, payload, 'Login successful');
+
+  } catch (error) {
+    logger.error(`SSO callback error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /api/auth/refresh
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return errorResponse(res, 'Refresh token is required', 400);
+    }
+
+    const result = await rotateRefreshToken(refreshToken, getClientInfo(req));
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    return successResponse(res, {
+      token: result.accessToken,
+      refreshToken: result.refreshToken
+    }, 'Token refreshed successfully');
+
+  } catch (error) {
+    logger.error(`Refresh token error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Email a password reset link
+ * POST /api/auth/forgot-password
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !isValidEmail(email)) {
+      return errorResponse(res, 'A valid email address is required', 400);
+    }
+
+    // Don't wait - the response must not reveal whether the account exists
+    requestPasswordReset(email, { ipAddress: req.ip })
+      .catch(error => logger.error(`Password reset request error: ${error.message}`));
+
+    return successResponse(res, null, 'If an account exists for that email, a reset link has been sent');
+  } catch (error) {
+    logger.error(`Forgot password error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Set a new password with a reset link token
+ * POST /api/auth/reset-password
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return errorResponse(res, 'Reset token and new password are required', 400);
+    }
+
+    if (!isValidPassword(password)) {
+      return errorResponse(res, 'Password must be at least 6 characters', 400);
+    }
+
+    const result = await applyPasswordReset(token, password);
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    return successResponse(res, null, 'Password has been reset, please sign in');
+  } catch (error) {
+    logger.error(`Reset password error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
 /**
  * Get current user profile
  * GET /api/auth/me
@@ -155,6 +516,7 @@ const getProfile = async (req, res) => {
       username: user.username,
       email: user.email,
       role: user.role,
+      permissions: await getRolePermissions(user.role),
       isActive: user.isActive,
       lastLogin: user.lastLogin,
       createdAt: user.createdAt
@@ -197,9 +559,15 @@ const updatePassword = async (req, res) => {
     user.passwordHash = newPassword; // Will be hashed by pre-save hook
     await user.save();
 
-    logger.info(`Password updated for user: ${user.username}`);
+    // Sign out everywhere else - this session stays valid
+    const revoked = await revokeUserSessions(user._id, {
+      reason: 'password_change',
+      exceptSessionId: req.user.sessionId
+    });
 
-    return successResponse(res, null, 'Password updated successfully');
+    logger.info(`Password updated for user: ${user.username} (${revoked} other session(s) signed out)`);
+
+    return successResponse(res, { revokedSessions: revoked }, 'Password updated successfully');
 
   } catch (error) {
     logger.error(`Update password error: ${error.message}`);
@@ -208,11 +576,17 @@ const updatePassword = async (req, res) => {
 };
 
 /**
- * Logout (client-side token removal, but can log event)
+ * Logout - revokes the current session, or all of them with { allSessions: true }
  * POST /api/auth/logout
  */
 const logout = async (req, res) => {
   try {
+    if (req.body?.allSessions) {
+      await revokeUserSessions(req.user.userId, { reason: 'logout' });
+    } else {
+      await revokeSession(req.user.sessionId, 'logout');
+    }
+
     logger.info(`User logged out: ${req.user.username}`);
     return successResponse(res, null, 'Logout successful');
   } catch (error) {
@@ -221,10 +595,190 @@ const logout = async (req, res) => {
   }
 };
 
+/**
+ * List the current user's active sessions
+ * GET /api/auth/sessions
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await getUserSessions(req.user.userId);
+
+    const data = sessions.map(session => ({
+      id: session._id,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === String(req.user.sessionId)
+    }));
+
+    return successResponse(res, data, 'Sessions retrieved successfully');
+  } catch (error) {
+    logger.error(`Get sessions error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Sign out one of the current user's sessions
+ * DELETE /api/auth/sessions/:sessionId
+ */
+const revokeSessionById = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!isValidObjectId(sessionId)) {
+      return errorResponse(res, 'Session not found', 404);
+    }
+
+    const session = await Session.findOne({ _id: sessionId, userId: req.user.userId });
+    if (!session || !session.isActive()) {
+      return errorResponse(res, 'Session not found', 404);
+    }
+
+    await revokeSession(session._id, 'revoked');
+
+    logger.info(`🔒 Session ${sessionId} of ${req.user.username} signed out remotely`);
+    return successResponse(res, null, 'Session signed out');
+  } catch (error) {
+    logger.error(`Revoke session error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Sign out every session of the current user except this one
+ * DELETE /api/auth/sessions
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revokedSessions = await revokeUserSessions(req.user.userId, {
+      reason: 'revoked',
+      exceptSessionId: req.user.sessionId
+    });
+
+    return successResponse(res, { revokedSessions }, 'Other sessions signed out');
+  } catch (error) {
+    logger.error(`Revoke sessions error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Recent sign-in attempts on the current user's account
+ * GET /api/auth/login-history
+ */
+const getLoginHistoryEntries = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const events = await getLoginHistory(req.user.userId, limit);
+
+    return successResponse(res, events.map(event => ({
+      id: event._id,
+      success: event.success,
+      reason: event.reason,
+      method: event.method || null,
+      ipAddress: event.ipAddress,
+      userAgent: event.userAgent,
+      createdAt: event.createdAt
+    })), 'Login history retrieved successfully');
+
+  } catch (error) {
+    logger.error(`Get login history error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Step-up status of the current session and which methods can be used
+ * GET /api/auth/step-up
+ */
+const getStepUpStatus = async (req, res) => {
+  try {
+    const [session, user, passkeys] = await Promise.all([
+      Session.findById(req.user.sessionId),
+      User.findById(req.user.userId),
+      hasPasskeys(req.user.userId)
+    ]);
+
+    const expiresAt = getStepUpExpiry(session);
+    const methods = user.twoFactor?.enabled ? ['totp', 'password'] : ['password'];
+    if (passkeys) methods.unshift('passkey');
+
+    return successResponse(res, {
+      active: Boolean(expiresAt && expiresAt > new Date()),
+      expiresAt,
+      windowSeconds: STEP_UP_WINDOW_SECONDS,
+      methods
+    }, 'Step-up status retrieved successfully');
+  } catch (error) {
+    logger.error(`Get step-up status error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Passkey challenge for re-authenticating the current session
+ * POST /api/auth/step-up/passkey-options
+ */
+const stepUpPasskeyOptions = async (req, res) => {
+  try {
+    const result = await beginAuthentication(PASSKEY_PURPOSES.STEP_UP, req.user.userId);
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    return successResponse(res, result, 'Passkey options generated');
+  } catch (error) {
+    logger.error(`Step-up passkey options error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Re-authenticate the current session before a sensitive action
+ * POST /api/auth/step-up
+ */
+const stepUp = async (req, res) => {
+  try {
+    const { password, code, passkey } = req.body;
+
+    const result = await performStepUp(req.user.userId, req.user.sessionId, { password, code, passkey });
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    return successResponse(res, {
+      method: result.method,
+      expiresAt: result.expiresAt
+    }, 'Identity confirmed');
+  } catch (error) {
+    logger.error(`Step-up error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
 module.exports = {
   register,
   login,
+  verifyTwoFactor,
+  passkeyLoginOptions,
+  loginWithPasskey,
+  oidcConfig,
+  oidcAuthorize,
+  oidcCallback,
+  refresh,
+  forgotPassword,
+  resetPassword,
   getProfile,
   updatePassword,
-  logout
+  logout,
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+  getLoginHistoryEntries,
+  getStepUpStatus,
+  stepUpPasskeyOptions,
+  stepUp
 };
@@ -2,7 +2,9 @@ const { VisitorLog } = require('../models');
 const { successResponse, errorResponse } = require('../utils/response');
 const { sendOpenCommand, sendDenyCommand } = require('../services/mqttService');
 const { notifyDoorDecision } = require('../services/socketService');
-const { isValidObjectId } = require('../utils/validators');
+const { NO_PAIRED_LOCK_MESSAGE, unlockPairedLocks } = require('../services/lockService');
+const { loadVisitorLogWithAccess, getAccessibleDeviceIds } = require('../utils/deviceAccess');
+const { canCommandDevice } = require('../services/apiKeyService');
 const logger = require('../utils/logger');
 const Joi = require('joi');
 
@@ -37,6 +39,16 @@ const openDoor = async (req, res) => {
 
     const { visitorLogId, notes } = value;
 
+    // Verify user can control the device before touching the request
+    const access = await loadVisitorLogWithAccess(visitorLogId, req.user.userId, 'control');
+    if (access.error) {
+      return errorResponse(res, access.error, access.statusCode);
+    }
+
+    if (!canCommandDevice(req.user.apiKey, access.device._id)) {
+      return errorResponse(res, 'This API key cannot send commands to this device', 403);
+    }
+
     // Atomic update - only update if status is still 'pending'
     const visitorLog = await VisitorLog.findOneAndUpdate(
       { 
@@ -46,6 +58,7 @@ const openDoor = async (req, res) => {
       {
         $set: {
           status: 'granted',
+          decisionSource: 'admin',
           adminId: req.user.userId,
           adminUsername: req.user.username,
           decisionTime: new Date(),
@@ -59,41 +72,18 @@ const openDoor = async (req, res) => {
     ).populate('deviceId');
 
     if (!visitorLog) {
-      // Either doesn't exist or already processed
+      // Already processed
       const existing = await VisitorLog.findById(visitorLogId);
-      if (!existing) {
-        return errorResponse(res, 'Visitor log not found', 404);
-      }
-      return errorResponse(res, `Request already ${existing.status}`, 409);
+      return errorResponse(res, `Request already ${existing?.status || 'processed'}`, 409);
     }
 
-    // Verify user has access to this device
-    const deviceAccess = visitorLog.deviceId.hasAccess(req.user.userId);
-    if (!deviceAccess.hasAccess || !deviceAccess.permissions.includes('control')) {
-      return errorResponse(res, 'No permission to control this device', 403);
-    }
-
-    // Send command to device via connection manager
-    const deviceConnectionManager = require('../services/deviceConnectionManager');
-    let commandResult = null;
-    
-    try {
-      // Check if device is online
-      if (!deviceConnectionManager.isDeviceOnline(visitorLog.deviceId._id.toString())) {
-        logger.warn(`Device ${visitorLog.deviceId.name} is offline, attempting MQTT fallback`);
-      }
-
-      commandResult = await deviceConnectionManager.sendCommand(
-        visitorLog.deviceId._id.toString(),
-        'unlock_door',
-        { duration: 5000 },
-        req.user.userId
-      );
-    } catch (mqttError) {
-      logger.error(`Failed to send command: ${mqttError.message}`);
-      // Continue - log is already updated, notify user of issue
-      commandResult = { error: mqttError.message };
-    }
+    // Unlock the door locks paired with the device that saw the visitor
+    const unlockResults = await unlockPairedLocks(
+      visitorLog.deviceId,
+      req.user.userId,
+      { visitorLogId: visitorLog._id }
+    );
+    const noPairedLock = unlockResults.length === 0;
 
     // Notify DoorApp via Socket.IO
     notifyDoorDecision({
@@ -111,8 +101,13 @@ const openDoor = async (req, res) => {
       adminUsername: visitorLog.adminUsername,
       decisionTime: visitorLog.decisionTime,
       deviceName: visitorLog.deviceId.name,
-      commandStatus: commandResult
-    }, 'Door opened successfully');
+      locks: unlockResults,
+      noPairedLock
+    }, noPairedLock
+      ? `Access granted but nothing was unlocked: ${NO_PAIRED_LOCK_MESSAGE}`
+      : unlockResults.some(result => result.success)
+        ? 'Door opened successfully'
+        : 'Access granted but no lock could be unlocked');
 
   } catch (error) {
     logger.error(`Open door error: ${error.message}`);
@@ -134,6 +129,16 @@ const denyDoor = async (req, res) => {
 
     const { visitorLogId, notes } = value;
 
+    // Verify user can control the device before touching the request
+    const access = await loadVisitorLogWithAccess(visitorLogId, req.user.userId, 'control');
+    if (access.error) {
+      return errorResponse(res, access.error, access.statusCode);
+    }
+
+    if (!canCommandDevice(req.user.apiKey, access.device._id)) {
+      return errorResponse(res, 'This API key cannot send commands to this device', 403);
+    }
+
     // Atomic update - only update if status is still 'pending'
     const visitorLog = await VisitorLog.findOneAndUpdate(
       { 
@@ -143,6 +148,7 @@ const denyDoor = async (req, res) => {
       {
         $set: {
           status: 'denied',
+          decisionSource: 'admin',
           adminId: req.user.userId,
           adminUsername: req.user.username,
           decisionTime: new Date(),
@@ -157,16 +163,7 @@ const denyDoor = async (req, res) => {
 
     if (!visitorLog) {
       const existing = await VisitorLog.findById(visitorLogId);
-      if (!existing) {
-        return errorResponse(res, 'Visitor log not found', 404);
-      }
-      return errorResponse(res, `Request already ${existing.status}`, 409);
-    }
-
-    // Verify user has access to this device
-    const deviceAccess = visitorLog.deviceId.hasAccess(req.user.userId);
-    if (!deviceAccess.hasAccess || !deviceAccess.permissions.includes('control')) {
-      return errorResponse(res, 'No permission to control this device', 403);
+      return errorResponse(res, `Request already ${existing?.status || 'processed'}`, 409);
     }
 
     // Send DENY command (lock door if it's unlocked)
@@ -222,7 +219,12 @@ const getCommandHistory = async (req, res) => {
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
-    const filter = { status: { $ne: 'pending' } }; // Exclude pending
+    const deviceIds = await getAccessibleDeviceIds(req.user.userId);
+
+    const filter = {
+      deviceId: { $in: deviceIds },
+      status: { $ne: 'pending' } // Exclude pending
+    };
 
     const total = await VisitorLog.countDocuments(filter);
 
@@ -0,0 +1,201 @@
+const { CommandSchedule } = require('../models');
+const { successResponse, errorResponse } = require('../utils/response');
+const { isValidObjectId, sanitizeInput } = require('../utils/validators');
+const { loadDeviceWithAccess } = require('../utils/deviceAccess');
+const { isSensitiveCommand } = require('../services/stepUpService');
+const { canCommandDevice } = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+/**
+ * Command Schedule Controller
+ * Manages one-off and weekly commands sent automatically to a device
+ */
+
+/**
+ * Pick the editable schedule fields from a request body
+ */
+const pickScheduleFields = (body) => {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = sanitizeInput(body.name);
+  if (body.command !== undefined) fields.command = body.command;
+  if (body.payload !== undefined) fields.payload = body.payload;
+  if (body.runAt !== undefined) fields.runAt = body.runAt || undefined;
+  if (body.daysOfWeek !== undefined) fields.daysOfWeek = body.daysOfWeek;
+  if (body.time !== undefined) fields.time = body.time || undefined;
+  if (body.timezone !== undefined) fields.timezone = body.timezone;
+  if (body.enabled !== undefined) fields.enabled = !!body.enabled;
+
+  return fields;
+};
+
+/**
+ * Check the caller may schedule a command on the device
+ * @returns {Object|null} - { error, statusCode } or null when allowed
+ */
+const checkCommandAllowed = (req, device, command) => {
+  if (!canCommandDevice(req.user.apiKey, device._id)) {
+    return { error: 'This API key cannot send commands to this device', statusCode: 403 };
+  }
+
+  // A step-up only vouches for the moment it happened, not for every future run
+  if (isSensitiveCommand(command)) {
+    return { error: `${command} cannot be scheduled`, statusCode: 400 };
+  }
+
+  return null;
+};
+
+/**
+ * Get command schedules of a device
+ * GET /api/device/:id/command-schedules
+ */
+const getCommandSchedules = async (req, res) => {
+  try {
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId);
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    const schedules = await CommandSchedule.find({ deviceId: device._id })
+      .populate('createdBy', 'username email')
+      .sort({ createdAt: 1 });
+
+    return successResponse(res, schedules, 'Command schedules retrieved successfully');
+
+  } catch (error) {
+    logger.error(`Get command schedules error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Create a command schedule
+ * POST /api/device/:id/command-schedules
+ */
+const createCommandSchedule = async (req, res) => {
+  try {
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId, 'control');
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    const denied = checkCommandAllowed(req, device, req.body.command);
+    if (denied) {
+      return errorResponse(res, denied.error, denied.statusCode);
+    }
+
+    const schedule = new CommandSchedule({
+      ...pickScheduleFields(req.body),
+      deviceId: device._id,
+      createdBy: req.user.userId
+    });
+
+    await schedule.save();
+
+    logger.info(`⏰ Command schedule "${schedule.name}" (${schedule.command}) created for ${device.name} by ${req.user.username}`);
+
+    return successResponse(res, schedule, 'Command schedule created successfully', 201);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return errorResponse(res, messages.join(', '), 400);
+    }
+    logger.error(`Create command schedule error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Update a command schedule
+ * PUT /api/device/:id/command-schedules/:scheduleId
+ */
+const updateCommandSchedule = async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId, 'control');
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    if (!isValidObjectId(scheduleId)) {
+      return errorResponse(res, 'Invalid schedule ID', 400);
+    }
+
+    const schedule = await CommandSchedule.findOne({ _id: scheduleId, deviceId: device._id });
+    if (!schedule) {
+      return errorResponse(res, 'Command schedule not found', 404);
+    }
+
+    const fields = pickScheduleFields(req.body);
+
+    const denied = checkCommandAllowed(req, device, fields.command || schedule.command);
+    if (denied) {
+      return errorResponse(res, denied.error, denied.statusCode);
+    }
+
+    // Switching between one-off and weekly clears the other kind of timing
+    if (fields.runAt) {
+      fields.daysOfWeek = undefined;
+      fields.time = undefined;
+    } else if (fields.daysOfWeek || fields.time) {
+      fields.runAt = undefined;
+    }
+
+    Object.assign(schedule, fields);
+    await schedule.save();
+
+    logger.info(`⏰ Command schedule "${schedule.name}" updated for ${device.name} by ${req.user.username}`);
+
+    return successResponse(res, schedule, 'Command schedule updated successfully');
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return errorResponse(res, messages.join(', '), 400);
+    }
+    logger.error(`Update command schedule error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Delete a command schedule
+ * DELETE /api/device/:id/command-schedules/:scheduleId
+ */
+const deleteCommandSchedule = async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId, 'control');
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    if (!isValidObjectId(scheduleId)) {
+      return errorResponse(res, 'Invalid schedule ID', 400);
+    }
+
+    const schedule = await CommandSchedule.findOneAndDelete({ _id: scheduleId, deviceId: device._id });
+    if (!schedule) {
+      return errorResponse(res, 'Command schedule not found', 404);
+    }
+
+    logger.info(`🗑️ Command schedule "${schedule.name}" deleted from ${device.name} by ${req.user.username}`);
+
+    return successResponse(res, null, 'Command schedule deleted successfully');
+
+  } catch (error) {
+    logger.error(`Delete command schedule error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  getCommandSchedules,
+  createCommandSchedule,
+  updateCommandSchedule,
+  deleteCommandSchedule
+};
@@ -0,0 +1,72 @@
+const { successResponse, errorResponse } = require('../utils/response');
+const { loadDeviceWithAccess } = require('../utils/deviceAccess');
+const {
+  parseWait,
+  formatCommand,
+  getCommandForUser,
+  listDeviceCommands
+} = require('../services/commandStatusService');
+const deviceConnectionManager = require('../services/deviceConnectionManager');
+const logger = require('../utils/logger');
+
+/**
+ * Command Status Controller
+ * Lets clients follow a device command until the device acknowledges it
+ */
+
+/**
+ * Get a command and its lifecycle
+ * GET /api/commands/:commandId?wait=10s
+ */
+const getCommand = async (req, res) => {
+  try {
+    const { waitMs, error: waitError, statusCode: waitStatus } = parseWait(req.query.wait);
+    if (waitError) {
+      return errorResponse(res, waitError, waitStatus);
+    }
+
+    const { command, error, statusCode } = await getCommandForUser(req.params.commandId, req.user.userId);
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    const latest = waitMs > 0
+      ? await deviceConnectionManager.waitForCommand(command.commandId, waitMs)
+      : command;
+
+    return successResponse(res, formatCommand(latest), 'Command retrieved successfully');
+
+  } catch (error) {
+    logger.error(`Get command error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * List commands sent to a device
+ * GET /api/device/:id/commands?status=&command=&from=&to=&page=&limit=
+ */
+const getDeviceCommands = async (req, res) => {
+  try {
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId);
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    const result = await listDeviceCommands(device._id, req.query);
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    return successResponse(res, result, 'Commands retrieved successfully');
+
+  } catch (error) {
+    logger.error(`Get device commands error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  getCommand,
+  getDeviceCommands
+};
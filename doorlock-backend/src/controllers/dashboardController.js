@@ -1,5 +1,6 @@
 const { Device, DeviceEvent, VisitorLog } = require('../models');
 const { successResponse, errorResponse } = require('../utils/response');
+const { getAccessibleDeviceIds } = require('../utils/deviceAccess');
 const logger = require('../utils/logger');
 
 /**
@@ -115,14 +116,7 @@ const getRecentActivity = async (req, res) => {
     const userId = req.user.userId;
 
     // Get user's devices
-    const userDevices = await Device.find({
-      $or: [
-        { userId },
-        { 'sharedWith.userId': userId }
-      ]
-    }).select('_id');
-
-    const deviceIds = userDevices.map(d => d._id);
+    const deviceIds = await getAccessibleDeviceIds(userId);
 
     // Get recent events and visitor logs
     const [recentEvents, recentVisitors] = await Promise.all([
@@ -244,14 +238,7 @@ const getAlerts = async (req, res) => {
     const userId = req.user.userId;
 
     // Get user's devices
-    const userDevices = await Device.find({
-      $or: [
-        { userId },
-        { 'sharedWith.userId': userId }
-      ]
-    }).select('_id');
-
-    const deviceIds = userDevices.map(d => d._id);
+    const deviceIds = await getAccessibleDeviceIds(userId);
 
     // Get various alert counts
     const [
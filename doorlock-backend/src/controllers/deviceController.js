@@ -1,8 +1,18 @@
-const { Device } = require('../models');
+const { Device, AccessSchedule, CommandSchedule, GuestPass, DeviceShareInvitation } = require('../models');
 const { successResponse, errorResponse } = require('../utils/response');
 const { validateRequiredFields, isValidObjectId } = require('../utils/validators');
 const { notifyDeviceStatus } = require('../services/socketService');
-const { generateDeviceToken, generateDeviceQRData } = require('../services/qrService');
+const { generateDeviceQRData } = require('../services/qrService');
+const {
+  DEFAULT_GRACE_SECONDS,
+  createActivationCode,
+  redeemActivationCode,
+  rotateDeviceToken
+} = require('../services/deviceTokenService');
+const { isSensitiveCommand, checkRequestStepUp } = require('../services/stepUpService');
+const { canCommandDevice } = require('../services/apiKeyService');
+const { parseWait, formatCommand } = require('../services/commandStatusService');
+const { disconnectDevice } = require('../config/socketEmitter');
 const logger = require('../utils/logger');
 
 /**
@@ -10,6 +20,13 @@ const logger = require('../utils/logger');
  * Manages ESP32 devices registration and status
  */
 
+// Response messages for POST /:id/command?wait= by the command's final status
+const COMMAND_WAIT_MESSAGES = {
+  executed: 'Command executed',
+  failed: 'Device could not execute the command',
+  timeout: 'Device did not acknowledge the command in time'
+};
+
 /**
  * Register new device
  * POST /api/device/register
@@ -30,16 +47,12 @@ const registerDevice = async (req, res) => {
       return errorResponse(res, 'Device with this ESP ID already exists', 400);
     }
 
-    // Generate device token for authentication
-    const deviceToken = generateDeviceToken();
-
     // Create new device - assign to current user
     const device = new Device({
       userId: req.user.userId,
       name,
       espId: espId.toUpperCase(),
       deviceType: deviceType || 'door-lock',
-      deviceToken,
       room: room || location, // Use room if provided, fallback to location
       location,
       firmwareVersion,
@@ -52,6 +65,9 @@ const registerDevice = async (req, res) => {
 
     await device.save();
 
+    // The device gets its token by redeeming this code from the onboarding QR
+    const activation = await createActivationCode(device._id, req.user.userId);
+
     logger.info(`New device registered: ${device.name} (${device.espId}) by user ${req.user.username}`);
 
     // Notify clients about new device
@@ -63,14 +79,15 @@ const registerDevice = async (req, res) => {
     });
 
     // Generate QR code data
-    const qrData = await generateDeviceQRData(device);
+    const qrData = await generateDeviceQRData(device, activation);
 
     return successResponse(res, {
       id: device._id,
       name: device.name,
       espId: device.espId,
       deviceType: device.deviceType,
-      deviceToken,
+      activationCode: activation.code,
+      activationCodeExpiresAt: activation.expiresAt,
       room: device.room,
       location: device.location,
       status: device.status,
@@ -154,7 +171,7 @@ const getDeviceById = async (req, res) => {
 const updateDevice = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, location, firmwareVersion, settings, isActive } = req.body;
+    const { name, location, firmwareVersion, settings, commandDelivery, isActive } = req.body;
 
     if (!isValidObjectId(id)) {
       return errorResponse(res, 'Invalid device ID', 400);
@@ -176,6 +193,11 @@ const updateDevice = async (req, res) => {
     if (location) device.location = location;
     if (firmwareVersion) device.firmwareVersion = firmwareVersion;
     if (settings) device.settings = { ...device.settings, ...settings };
+    if (commandDelivery) {
+      ['preferredChannel', 'fallbackEnabled', 'fallbackAfterMs'].forEach(field => {
+        if (commandDelivery[field] !== undefined) device.commandDelivery[field] = commandDelivery[field];
+      });
+    }
     if (isActive !== undefined) device.isActive = isActive;
 
     await device.save();
@@ -262,6 +284,17 @@ const deleteDevice = async (req, res) => {
 
     await Device.findByIdAndDelete(id);
 
+    // Drop the deleted device from any camera it was paired with
+    await Device.updateMany(
+      { 'pairedLocks.lockId': id },
+      { $pull: { pairedLocks: { lockId: id } } }
+    );
+
+    await AccessSchedule.deleteMany({ deviceId: id });
+    await CommandSchedule.deleteMany({ deviceId: id });
+    await GuestPass.deleteMany({ deviceId: id });
+    await DeviceShareInvitation.deleteMany({ deviceId: id });
+
     logger.info(`Device deleted: ${device.name} (${device.espId})`);
 
     return successResponse(res, null, 'Device deleted successfully');
@@ -309,49 +342,63 @@ const getDeviceStats = async (req, res) => {
 };
 
 /**
- * Get device QR code
- * GET /api/device/:id/qr
+ * Issue a new device token and onboarding QR
+ * POST /api/device/:id/rotate-token
  */
-const getDeviceQR = async (req, res) => {
+const rotateToken = async (req, res) => {
   try {
     const { id } = req.params;
+    const { graceSeconds = DEFAULT_GRACE_SECONDS } = req.body;
 
     if (!isValidObjectId(id)) {
       return errorResponse(res, 'Invalid device ID', 400);
     }
 
-    const device = await Device.findById(id).select('+deviceToken');
+    const device = await Device.findById(id);
 
     if (!device) {
       return errorResponse(res, 'Device not found', 404);
     }
 
     const access = device.hasAccess(req.user.userId);
-    if (!access.hasAccess) {
-      return errorResponse(res, 'No access to this device', 403);
+    if (!access.hasAccess || !access.permissions.includes('admin')) {
+      return errorResponse(res, 'No permission to rotate this device token', 403);
     }
 
-    // Generate QR code data
-    const qrData = await generateDeviceQRData(device);
+    const result = await rotateDeviceToken(id, Number(graceSeconds), req.user.userId);
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    // Make the device authenticate again - with the old token only until the grace period ends
+    disconnectDevice(id);
 
-    return successResponse(res, qrData, 'QR code generated successfully');
+    const qrData = await generateDeviceQRData(result.device, result);
+
+    logger.info(`Device token rotated: ${device.name} (${device.espId}) by user ${req.user.username}`);
+
+    return successResponse(res, {
+      ...qrData,
+      previousTokenExpiresAt: result.device.previousTokenExpiresAt || null
+    }, 'Device token rotated - re-provision the device with the new QR code');
 
   } catch (error) {
-    logger.error(`Get device QR error: ${error.message}`);
+    logger.error(`Rotate device token error: ${error.message}`);
     return errorResponse(res, error.message, 500);
   }
 };
 
 /**
- * Activate device (called when QR is scanned)
+ * Activate device (called when QR is scanned) - exchanges the one-time
+ * activation code for the device token
  * POST /api/device/activate
  */
 const activateDevice = async (req, res) => {
   try {
-    const { deviceId, token } = req.body;
+    const { deviceId, code } = req.body;
 
     // Validate required fields
-    const validation = validateRequiredFields(req.body, ['deviceId', 'token']);
+    const validation = validateRequiredFields(req.body, ['deviceId', 'code']);
     if (!validation.isValid) {
       return errorResponse(res, `Missing required fields: ${validation.missing.join(', ')}`, 400);
     }
@@ -360,47 +407,31 @@ const activateDevice = async (req, res) => {
       return errorResponse(res, 'Invalid device ID', 400);
     }
 
-    // Find device with token
-    const device = await Device.findById(deviceId).select('+deviceToken');
-
-    if (!device) {
-      return errorResponse(res, 'Device not found', 404);
+    const result = await redeemActivationCode(deviceId, code, req.ip);
+    if (result.error) {
+      logger.warn(`Device activation refused for ${deviceId}: ${result.code}`);
+      return errorResponse(res, result.error, result.statusCode, { code: result.code });
     }
 
-    // Validate token
-    if (device.deviceToken !== token) {
-      logger.warn(`Invalid token for device activation: ${deviceId}`);
-      return errorResponse(res, 'Invalid device token', 401);
-    }
+    const { device } = result;
+    const firstActivation = !device.activated;
 
-    // Check if already activated
-    if (device.activated) {
-      return successResponse(res, {
+    if (firstActivation) {
+      device.activated = true;
+      device.activatedAt = new Date();
+      device.status = 'offline'; // Will be marked online when WebSocket connects
+      await device.save();
+
+      // Notify clients about device activation
+      notifyDeviceStatus({
         deviceId: device._id,
-        name: device.name,
-        deviceType: device.deviceType,
-        room: device.room,
-        activated: true,
-        activatedAt: device.activatedAt,
-        message: 'Device already activated'
-      }, 'Device already activated');
-    }
-
-    // Activate device
-    device.activated = true;
-    device.activatedAt = new Date();
-    device.status = 'offline'; // Will be marked online when WebSocket connects
-    await device.save();
+        deviceName: device.name,
+        status: 'activated',
+        lastSeen: device.lastSeen
+      });
+    }
 
-    logger.info(`Device activated: ${device.name} (${device.espId})`);
-
-    // Notify clients about device activation
-    notifyDeviceStatus({
-      deviceId: device._id,
-      deviceName: device.name,
-      status: 'activated',
-      lastSeen: device.lastSeen
-    });
+    logger.info(`Device ${firstActivation ? 'activated' : 're-provisioned'}: ${device.name} (${device.espId})`);
 
     return successResponse(res, {
       deviceId: device._id,
@@ -408,8 +439,9 @@ const activateDevice = async (req, res) => {
       deviceType: device.deviceType,
       room: device.room,
       activated: true,
-      activatedAt: device.activatedAt
-    }, 'Device activated successfully');
+      activatedAt: device.activatedAt,
+      deviceToken: result.token
+    }, firstActivation ? 'Device activated successfully' : 'Device re-provisioned successfully');
 
   } catch (error) {
     logger.error(`Activate device error: ${error.message}`);
@@ -432,6 +464,12 @@ const sendDeviceCommand = async (req, res) => {
       return errorResponse(res, 'Invalid device ID', 400);
     }
 
+    // Optionally hold the response until the device acknowledges (?wait=10s)
+    const { waitMs, error: waitError, statusCode: waitStatus } = parseWait(req.query.wait);
+    if (waitError) {
+      return errorResponse(res, waitError, waitStatus);
+    }
+
     // Validate command
     const validCommands = ['lock_door', 'unlock_door', 'request_snapshot', 'update_settings', 'restart_device', 'firmware_update'];
     if (!command || !validCommands.includes(command)) {
@@ -450,6 +488,18 @@ const sendDeviceCommand = async (req, res) => {
       return errorResponse(res, 'No permission to control this device', 403);
     }
 
+    if (!canCommandDevice(req.user.apiKey, deviceId)) {
+      return errorResponse(res, 'This API key cannot send commands to this device', 403);
+    }
+
+    // Unlocking and firmware updates need a recent re-authentication (or a key scoped for them)
+    if (isSensitiveCommand(command)) {
+      const stepUp = await checkRequestStepUp(req.user);
+      if (stepUp.error) {
+        return errorResponse(res, stepUp.error, stepUp.statusCode, { code: stepUp.code });
+      }
+    }
+
     // Send command via connection manager
     const deviceConnectionManager = require('../services/deviceConnectionManager');
     let commandResult = null;
@@ -462,7 +512,20 @@ const sendDeviceCommand = async (req, res) => {
         userId
       );
 
-      logger.info(`Command '${command}' sent to device ${device.name} by user ${req.user.username}`);
+      const queued = commandResult.status === 'queued';
+      logger.info(`Command '${command}' ${queued ? 'queued for' : 'sent to'} device ${device.name} by user ${req.user.username}`);
+
+      if (waitMs > 0 && !queued) {
+        const latest = await deviceConnectionManager.waitForCommand(commandResult.commandId, waitMs);
+        const result = formatCommand(latest);
+
+        // 202 while the device still hasn't finished, so scripts can poll GET /api/commands/:commandId
+        return successResponse(res, {
+          ...result,
+          deviceName: device.name,
+          timestamp: new Date()
+        }, COMMAND_WAIT_MESSAGES[result.status] || 'Command sent - the device has not finished it yet', result.completed ? 200 : 202);
+      }
 
       return successResponse(res, {
         commandId: commandResult.commandId,
@@ -471,8 +534,9 @@ const sendDeviceCommand = async (req, res) => {
         deviceName: device.name,
         command,
         payload,
+        ...(queued && { expiresAt: commandResult.expiresAt }),
         timestamp: new Date()
-      }, 'Command sent successfully');
+      }, queued ? 'Device is offline - command will be delivered when it reconnects' : 'Command sent successfully');
 
     } catch (commandError) {
       logger.error(`Failed to send command to device: ${commandError.message}`);
@@ -485,6 +549,163 @@ const sendDeviceCommand = async (req, res) => {
   }
 };
 
+/**
+ * Get door locks paired with a device
+ * GET /api/device/:id/locks
+ */
+const getPairedLocks = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return errorResponse(res, 'Invalid device ID', 400);
+    }
+
+    const device = await Device.findById(id)
+      .populate('pairedLocks.lockId', 'name espId deviceType status online room location lastSeen');
+
+    if (!device) {
+      return errorResponse(res, 'Device not found', 404);
+    }
+
+    const access = device.hasAccess(req.user.userId);
+    if (!access.hasAccess) {
+      return errorResponse(res, 'No access to this device', 403);
+    }
+
+    const locks = device.pairedLocks
+      .filter(pair => pair.lockId)
+      .map(pair => ({
+        ...pair.lockId.toObject(),
+        pairedAt: pair.pairedAt,
+        pairedBy: pair.pairedBy
+      }));
+
+    return successResponse(res, locks, 'Paired locks retrieved successfully');
+
+  } catch (error) {
+    logger.error(`Get paired locks error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Pair a door lock with a device
+ * POST /api/device/:id/locks
+ */
+const pairLock = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { lockId } = req.body;
+
+    if (!isValidObjectId(id)) {
+      return errorResponse(res, 'Invalid device ID', 400);
+    }
+
+    if (!lockId || !isValidObjectId(lockId)) {
+      return errorResponse(res, 'Valid lock ID is required', 400);
+    }
+
+    if (id === lockId) {
+      return errorResponse(res, 'A device cannot be paired with itself', 400);
+    }
+
+    const [device, lock] = await Promise.all([
+      Device.findById(id),
+      Device.findById(lockId)
+    ]);
+
+    if (!device) {
+      return errorResponse(res, 'Device not found', 404);
+    }
+
+    if (!lock) {
+      return errorResponse(res, 'Lock not found', 404);
+    }
+
+    if (lock.deviceType !== 'door-lock') {
+      return errorResponse(res, 'Only door-lock devices can be paired', 400);
+    }
+
+    // Pairing lets approvals on the device unlock the lock, so control is needed on both
+    const deviceAccess = device.hasAccess(req.user.userId);
+    const lockAccess = lock.hasAccess(req.user.userId);
+    if (!deviceAccess.permissions.includes('control') || !lockAccess.permissions.includes('control')) {
+      return errorResponse(res, 'No permission to pair these devices', 403);
+    }
+
+    if (device.isPairedWith(lockId)) {
+      return errorResponse(res, 'Lock is already paired with this device', 409);
+    }
+
+    device.pairedLocks.push({
+      lockId: lock._id,
+      pairedBy: req.user.userId,
+      pairedAt: new Date()
+    });
+    await device.save();
+
+    logger.info(`Lock ${lock.name} paired with device ${device.name} by user ${req.user.username}`);
+
+    return successResponse(res, {
+      deviceId: device._id,
+      lockId: lock._id,
+      lockName: lock.name,
+      pairedLocks: device.pairedLocks
+    }, 'Lock paired successfully', 201);
+
+  } catch (error) {
+    logger.error(`Pair lock error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Unpair a door lock from a device
+ * DELETE /api/device/:id/locks/:lockId
+ */
+const unpairLock = async (req, res) => {
+  try {
+    const { id, lockId } = req.params;
+
+    if (!isValidObjectId(id) || !isValidObjectId(lockId)) {
+      return errorResponse(res, 'Invalid device ID', 400);
+    }
+
+    const device = await Device.findById(id);
+
+    if (!device) {
+      return errorResponse(res, 'Device not found', 404);
+    }
+
+    const access = device.hasAccess(req.user.userId);
+    if (!access.hasAccess || !access.permissions.includes('control')) {
+      return errorResponse(res, 'No permission to update this device', 403);
+    }
+
+    if (!device.isPairedWith(lockId)) {
+      return errorResponse(res, 'Lock is not paired with this device', 404);
+    }
+
+    device.pairedLocks = device.pairedLocks.filter(
+      pair => pair.lockId.toString() !== lockId
+    );
+    await device.save();
+
+    logger.info(`Lock ${lockId} unpaired from device ${device.name} by user ${req.user.username}`);
+
+    return successResponse(res, {
+      deviceId: device._id,
+      lockId,
+      pairedLocks: device.pairedLocks
+    }, 'Lock unpaired successfully');
+
+  } catch (error) {
+    logger.error(`Unpair lock error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
 module.exports = {
   registerDevice,
   getAllDevices,
@@ -493,7 +714,10 @@ module.exports = {
   deviceHeartbeat,
   deleteDevice,
   getDeviceStats,
-  getDeviceQR,
+  rotateToken,
   activateDevice,
-  sendDeviceCommand
+  sendDeviceCommand,
+  getPairedLocks,
+  pairLock,
+  unpairLock
 };
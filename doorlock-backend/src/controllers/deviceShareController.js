@@ -0,0 +1,385 @@
+const { Device, DeviceShareInvitation } = require('../models');
+const { successResponse, errorResponse } = require('../utils/response');
+const { isValidObjectId } = require('../utils/validators');
+const { loadDeviceWithAccess } = require('../utils/deviceAccess');
+const { findUserByIdentifier, addShare, removeShare, permissionsFor } = require('../services/deviceShareService');
+const { hasPermission } = require('../services/roleService');
+const { PERMISSIONS } = require('../config/permissions');
+const { emitToRoom, SOCKET_EVENTS } = require('../config/socketEmitter');
+const logger = require('../utils/logger');
+
+/**
+ * Device Share Controller
+ * Invitations, acceptance and revocation of shared device access
+ */
+
+const SHARE_PERMISSIONS = ['view', 'control'];
+
+/**
+ * Parse an optional share expiry from a request body
+ * @returns {Object} - { expiresAt } (null clears it) or { error }
+ */
+const parseExpiry = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { expiresAt: null };
+  }
+  const expiresAt = new Date(value);
+  if (isNaN(expiresAt.getTime())) {
+    return { error: 'Invalid expiry date' };
+  }
+  if (expiresAt <= new Date()) {
+    return { error: 'Expiry date must be in the future' };
+  }
+  return { expiresAt };
+};
+
+/**
+ * Emit a socket event to a single user's dashboards
+ */
+const notifyUser = (userId, event, data) => {
+  emitToRoom(`user:${userId}`, SOCKET_EVENTS[event], data);
+};
+
+/**
+ * Get people with access to a device and pending invitations
+ * GET /api/device/:id/shares
+ */
+const getShares = async (req, res) => {
+  try {
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId, 'admin');
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    await device.populate([
+      { path: 'userId', select: 'username email' },
+      { path: 'sharedWith.userId', select: 'username email' },
+      { path: 'sharedWith.sharedBy', select: 'username' }
+    ]);
+
+    const invitations = await DeviceShareInvitation.find({ deviceId: device._id, status: 'pending' })
+      .populate('inviteeId', 'username email')
+      .populate('invitedBy', 'username')
+      .sort({ createdAt: -1 });
+
+    return successResponse(res, {
+      owner: device.userId,
+      shares: device.sharedWith,
+      invitations
+    }, 'Device shares retrieved successfully');
+
+  } catch (error) {
+    logger.error(`Get device shares error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Invite a user to a device by email or username
+ * POST /api/device/:id/shares
+ */
+const inviteUser = async (req, res) => {
+  try {
+    const { user: identifier, permission = 'view' } = req.body;
+
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId, 'admin');
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    if (!identifier) {
+      return errorResponse(res, 'Email or username is required', 400);
+    }
+
+    if (!SHARE_PERMISSIONS.includes(permission)) {
+      return errorResponse(res, 'Permission must be view or control', 400);
+    }
+
+    const expiry = parseExpiry(req.body.expiresAt);
+    if (expiry.error) {
+      return errorResponse(res, expiry.error, 400);
+    }
+
+    const invitee = await findUserByIdentifier(identifier);
+    if (!invitee) {
+      return errorResponse(res, 'No user found with that email or username', 404);
+    }
+
+    if (device.hasAccess(invitee._id).hasAccess) {
+      return errorResponse(res, `${invitee.username} already has access to this device`, 409);
+    }
+
+    const existing = await DeviceShareInvitation.findOne({
+      deviceId: device._id,
+      inviteeId: invitee._id,
+      status: 'pending'
+    });
+    if (existing) {
+      return errorResponse(res, `${invitee.username} already has a pending invitation`, 409);
+    }
+
+    const invitation = await DeviceShareInvitation.create({
+      deviceId: device._id,
+      inviteeId: invitee._id,
+      invitedBy: req.user.userId,
+      permission,
+      expiresAt: expiry.expiresAt || undefined
+    });
+
+    notifyUser(invitee._id, 'SHARE_INVITATION', {
+      invitationId: invitation._id,
+      deviceId: device._id,
+      deviceName: device.name,
+      invitedBy: req.user.username,
+      permission,
+      timestamp: invitation.createdAt
+    });
+
+    logger.info(`✉️ ${req.user.username} invited ${invitee.username} to ${device.name} (${permission})`);
+
+    return successResponse(res, invitation, `Invitation sent to ${invitee.username}`, 201);
+
+  } catch (error) {
+    logger.error(`Invite user error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Change the permission or expiry of an existing share
+ * PUT /api/device/:id/shares/:userId
+ */
+const updateShare = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { permission } = req.body;
+
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId, 'admin');
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    const share = device.sharedWith.find(s => s.userId.toString() === userId);
+    if (!share) {
+      return errorResponse(res, 'Device is not shared with this user', 404);
+    }
+
+    if (permission !== undefined) {
+      if (!SHARE_PERMISSIONS.includes(permission)) {
+        return errorResponse(res, 'Permission must be view or control', 400);
+      }
+      share.permissions = permissionsFor(permission);
+    }
+
+    if (req.body.expiresAt !== undefined) {
+      const expiry = parseExpiry(req.body.expiresAt);
+      if (expiry.error) {
+        return errorResponse(res, expiry.error, 400);
+      }
+      share.expiresAt = expiry.expiresAt || undefined;
+    }
+
+    await device.save();
+
+    notifyUser(userId, 'DEVICE_ACCESS_CHANGED', {
+      deviceId: device._id,
+      deviceName: device.name,
+      action: 'updated',
+      timestamp: new Date()
+    });
+
+    logger.info(`🤝 Share of ${device.name} for user ${userId} updated by ${req.user.username}`);
+
+    return successResponse(res, share, 'Share updated successfully');
+
+  } catch (error) {
+    logger.error(`Update share error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Revoke a user's access - owners can remove anyone, shared users can remove themselves
+ * DELETE /api/device/:id/shares/:userId
+ */
+const revokeShare = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    if (!isValidObjectId(id) || !isValidObjectId(userId)) {
+      return errorResponse(res, 'Invalid ID', 400);
+    }
+
+    const device = await Device.findById(id);
+    if (!device) {
+      return errorResponse(res, 'Device not found', 404);
+    }
+
+    const isSelf = userId === req.user.userId.toString();
+    const access = device.hasAccess(req.user.userId);
+    if (!isSelf && !access.permissions.includes('admin')) {
+      return errorResponse(res, 'No admin permission for this device', 403);
+    }
+
+    // Leaving is always allowed; removing someone else needs the share permission
+    if (!isSelf && !(await hasPermission(req.user.role, PERMISSIONS.DEVICES_SHARE))) {
+      return errorResponse(res, 'Insufficient permissions', 403, { required: [PERMISSIONS.DEVICES_SHARE] });
+    }
+
+    const removed = await removeShare(device, userId);
+    if (!removed) {
+      return errorResponse(res, 'Device is not shared with this user', 404);
+    }
+
+    logger.info(`🤝 ${req.user.username} revoked access to ${device.name} for user ${userId}`);
+
+    return successResponse(res, null, isSelf ? 'You left the device' : 'Access revoked successfully');
+
+  } catch (error) {
+    logger.error(`Revoke share error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Cancel a pending invitation
+ * DELETE /api/device/:id/invitations/:invitationId
+ */
+const cancelInvitation = async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId, 'admin');
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    if (!isValidObjectId(invitationId)) {
+      return errorResponse(res, 'Invalid invitation ID', 400);
+    }
+
+    const invitation = await DeviceShareInvitation.findOneAndUpdate(
+      { _id: invitationId, deviceId: device._id, status: 'pending' },
+      { $set: { status: 'cancelled', respondedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) {
+      return errorResponse(res, 'Pending invitation not found', 404);
+    }
+
+    logger.info(`✉️ Invitation ${invitationId} for ${device.name} cancelled by ${req.user.username}`);
+
+    return successResponse(res, invitation, 'Invitation cancelled successfully');
+
+  } catch (error) {
+    logger.error(`Cancel invitation error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Get pending invitations for the current user
+ * GET /api/device/invitations
+ */
+const getMyInvitations = async (req, res) => {
+  try {
+    const invitations = await DeviceShareInvitation.find({
+      inviteeId: req.user.userId,
+      status: 'pending'
+    })
+      .populate('deviceId', 'name deviceType location')
+      .populate('invitedBy', 'username email')
+      .sort({ createdAt: -1 });
+
+    return successResponse(res, invitations, 'Invitations retrieved successfully');
+
+  } catch (error) {
+    logger.error(`Get invitations error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Accept or decline a pending invitation addressed to the current user
+ */
+const respondToInvitation = async (req, res, accept) => {
+  const { invitationId } = req.params;
+
+  if (!isValidObjectId(invitationId)) {
+    return errorResponse(res, 'Invalid invitation ID', 400);
+  }
+
+  const invitation = await DeviceShareInvitation.findOneAndUpdate(
+    { _id: invitationId, inviteeId: req.user.userId, status: 'pending' },
+    { $set: { status: accept ? 'accepted' : 'declined', respondedAt: new Date() } },
+    { new: true }
+  );
+  if (!invitation) {
+    return errorResponse(res, 'Pending invitation not found', 404);
+  }
+
+  const device = await Device.findById(invitation.deviceId);
+  if (!device) {
+    return errorResponse(res, 'Device no longer exists', 404);
+  }
+
+  if (accept) {
+    if (invitation.expiresAt && invitation.expiresAt <= new Date()) {
+      return errorResponse(res, 'The offered access period has already ended', 410);
+    }
+
+    await addShare(device, req.user.userId, {
+      permission: invitation.permission,
+      expiresAt: invitation.expiresAt,
+      sharedBy: invitation.invitedBy
+    });
+  }
+
+  notifyUser(invitation.invitedBy, 'SYSTEM_ALERT', {
+    severity: 'info',
+    message: `${req.user.username} ${accept ? 'accepted' : 'declined'} access to ${device.name}`,
+    deviceId: device._id,
+    timestamp: invitation.respondedAt
+  });
+
+  logger.info(`✉️ ${req.user.username} ${accept ? 'accepted' : 'declined'} invitation to ${device.name}`);
+
+  return successResponse(res, invitation, accept ? 'Invitation accepted' : 'Invitation declined');
+};
+
+/**
+ * Accept an invitation
+ * POST /api/device/invitations/:invitationId/accept
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    return await respondToInvitation(req, res, true);
+  } catch (error) {
+    logger.error(`Accept invitation error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Decline an invitation
+ * POST /api/device/invitations/:invitationId/decline
+ */
+const declineInvitation = async (req, res) => {
+  try {
+    return await respondToInvitation(req, res, false);
+  } catch (error) {
+    logger.error(`Decline invitation error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  getShares,
+  inviteUser,
+  updateShare,
+  revokeShare,
+  cancelInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation
+};
@@ -2,7 +2,13 @@ const { VisitorLog, Device } = require('../models');
 const { successResponse, errorResponse, paginatedResponse } = require('../utils/response');
 const { uploadImage } = require('../services/cloudinaryService');
 const { notifyNewVisitor } = require('../services/socketService');
-const { validateRequiredFields, isValidObjectId } = require('../utils/validators');
+const { applyAccessSchedules } = require('../services/accessScheduleService');
+const { getVisitorExpiry } = require('../services/visitorTimeoutService');
+const { startEscalation } = require('../services/visitorEscalationService');
+const { getDeviceScope, loadVisitorLogWithAccess } = require('../utils/deviceAccess');
+const { validateRequiredFields } = require('../utils/validators');
+const { hasPermission } = require('../services/roleService');
+const { PERMISSIONS } = require('../config/permissions');
 const logger = require('../utils/logger');
 
 /**
@@ -21,34 +27,12 @@ const uploadVisitorPhoto = async (req, res) => {
       return errorResponse(res, 'No image file uploaded', 400);
     }
 
-    const { deviceId, deviceToken } = req.body;
-
-    // Validate device ID
-    if (!deviceId || !isValidObjectId(deviceId)) {
-      return errorResponse(res, 'Valid device ID is required', 400);
-    }
-
-    // Check if device exists and validate device token if provided
-    const device = await Device.findById(deviceId).select('+deviceToken');
+    // Authenticated by authenticateDevice - a visitor can be auto-approved and the door unlocked
+    const device = await Device.findById(req.device.deviceId);
     if (!device) {
       return errorResponse(res, 'Device not found', 404);
     }
 
-    // If deviceToken is provided, validate it for device authentication
-    if (deviceToken) {
-      if (device.deviceToken !== deviceToken) {
-        logger.warn(`Invalid device token for upload from device ${deviceId}`);
-        return errorResponse(res, 'Invalid device token', 401);
-      }
-      
-      // Check if device is activated
-      if (!device.activated) {
-        return errorResponse(res, 'Device not activated', 403);
-      }
-      
-      logger.info(`Device authenticated for upload: ${device.name} (${device.espId})`);
-    }
-
     // Upload image to Cloudinary
     const uploadResult = await uploadImage(req.file.path);
 
@@ -59,10 +43,11 @@ const uploadVisitorPhoto = async (req, res) => {
       deviceId: device._id,
       deviceName: device.name,
       status: 'pending',
+      expiresAt: getVisitorExpiry(device),
       metadata: {
         ipAddress: req.ip,
         userAgent: req.get('user-agent'),
-        authenticatedViaToken: !!deviceToken
+        authenticatedViaToken: true
       }
     });
 
@@ -74,22 +59,37 @@ const uploadVisitorPhoto = async (req, res) => {
     logger.info(`📸 Visitor photo uploaded: ${visitorLog._id} from device ${device.name} (${device.espId})`);
     logger.info(`📝 Visitor log created with deviceId: ${device._id}`);
 
-    // Send real-time notification to Admin app
-    notifyNewVisitor({
-      _id: visitorLog._id,
-      imageUrl: visitorLog.imageUrl,
-      deviceId: visitorLog.deviceId,
-      deviceName: visitorLog.deviceName,
-      timestamp: visitorLog.timestamp,
-      status: visitorLog.status
-    });
+    // Auto-approve when the visitor arrives inside one of the device's access schedules
+    const autoApproval = await applyAccessSchedules(visitorLog, device);
+
+    // Page the device's escalation chain instead of every admin when it is enabled
+    const escalated = !autoApproval && await startEscalation(visitorLog, device);
+
+    if (!autoApproval && !escalated) {
+      // Send real-time notification to Admin app
+      notifyNewVisitor({
+        _id: visitorLog._id,
+        imageUrl: visitorLog.imageUrl,
+        deviceId: visitorLog.deviceId,
+        deviceName: visitorLog.deviceName,
+        timestamp: visitorLog.timestamp,
+        status: visitorLog.status,
+        expiresAt: visitorLog.expiresAt
+      });
+    }
 
     return successResponse(res, {
       visitorLogId: visitorLog._id,
       imageUrl: visitorLog.imageUrl,
       deviceName: visitorLog.deviceName,
       status: visitorLog.status,
-      timestamp: visitorLog.timestamp
+      timestamp: visitorLog.timestamp,
+      expiresAt: visitorLog.status === 'pending' ? visitorLog.expiresAt : undefined,
+      ...(autoApproval && {
+        decisionSource: visitorLog.decisionSource,
+        accessScheduleName: visitorLog.accessScheduleName,
+        noPairedLock: autoApproval.locks.length === 0
+      })
     }, 'Visitor photo uploaded successfully', 201);
 
   } catch (error) {
@@ -114,16 +114,25 @@ const getVisitorLogs = async (req, res) => {
     } = req.query;
 
     // Build filter query based on authentication type
-    const filter = {};
+    let filter;
 
-    // If device is authenticated, filter by device
     if (req.device) {
-      filter.deviceId = req.device.deviceId;
+      // Devices only ever see their own logs
+      filter = { deviceId: req.device.deviceId };
       logger.info(`Device ${req.device.name} requesting logs for its own device`);
-    } else if (req.user) {
-      // If user is authenticated, filter by devices they own or have access to
-      // For now, we'll get all logs they have access to
-      // TODO: Implement proper device access control
+    } else {
+      // API keys also need the scope
+      const keyAllows = !req.user.apiKey || req.user.apiKey.scopes.includes(PERMISSIONS.VISITORS_VIEW);
+      if (!keyAllows || !(await hasPermission(req.user.role, PERMISSIONS.VISITORS_VIEW))) {
+        return errorResponse(res, 'Insufficient permissions', 403, { required: [PERMISSIONS.VISITORS_VIEW] });
+      }
+
+      // Users see logs of devices they own or that are shared with them
+      const { scope, error, statusCode } = await getDeviceScope(req.user.userId, deviceId);
+      if (error) {
+        return errorResponse(res, error, statusCode);
+      }
+      filter = scope;
       logger.info(`User ${req.user.username} requesting visitor logs`);
     }
 
@@ -131,13 +140,6 @@ const getVisitorLogs = async (req, res) => {
       filter.status = status;
     }
 
-    if (deviceId && isValidObjectId(deviceId)) {
-      // Additional device filter (only if user has access)
-      if (!req.device) { // Only apply if not already filtered by device auth
-        filter.deviceId = deviceId;
-      }
-    }
-
     if (startDate || endDate) {
       filter.timestamp = {};
       if (startDate) {
@@ -181,19 +183,15 @@ const getVisitorLogs = async (req, res) => {
  */
 const getVisitorLogById = async (req, res) => {
   try {
-    const { id } = req.params;
-
-    if (!isValidObjectId(id)) {
-      return errorResponse(res, 'Invalid visitor log ID', 400);
+    const { visitorLog: log, error, statusCode } = await loadVisitorLogWithAccess(req.params.id, req.user.userId);
+    if (error) {
+      return errorResponse(res, error, statusCode);
     }
 
-    const log = await VisitorLog.findById(id)
-      .populate('deviceId', 'name espId status location')
-      .populate('adminId', 'username email role');
-
-    if (!log) {
-      return errorResponse(res, 'Visitor log not found', 404);
-    }
+    await log.populate([
+      { path: 'deviceId', select: 'name espId status location' },
+      { path: 'adminId', select: 'username email role' }
+    ]);
 
     return successResponse(res, log, 'Visitor log retrieved successfully');
 
@@ -209,7 +207,9 @@ const getVisitorLogById = async (req, res) => {
  */
 const getPendingLogs = async (req, res) => {
   try {
-    const logs = await VisitorLog.find({ status: 'pending' })
+    const { scope } = await getDeviceScope(req.user.userId);
+
+    const logs = await VisitorLog.find({ ...scope, status: 'pending' })
       .populate('deviceId', 'name espId status')
       .sort({ timestamp: -1 })
       .limit(50);
@@ -230,7 +230,12 @@ const getVisitorStats = async (req, res) => {
   try {
     const { startDate, endDate, deviceId } = req.query;
 
-    const filter = {};
+    const { scope, error, statusCode } = await getDeviceScope(req.user.userId, deviceId);
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    const filter = { ...scope };
 
     if (startDate || endDate) {
       filter.timestamp = {};
@@ -238,10 +243,6 @@ const getVisitorStats = async (req, res) => {
       if (endDate) filter.timestamp.$lte = new Date(endDate);
     }
 
-    if (deviceId && isValidObjectId(deviceId)) {
-      filter.deviceId = deviceId;
-    }
-
     const stats = await VisitorLog.aggregate([
       { $match: filter },
       {
@@ -0,0 +1,144 @@
+const { User } = require('../models');
+const { successResponse, errorResponse } = require('../utils/response');
+const { isValidObjectId } = require('../utils/validators');
+const { isValidTime, isValidTimezone } = require('../utils/schedule');
+const { loadDeviceWithAccess } = require('../utils/deviceAccess');
+const logger = require('../utils/logger');
+
+/**
+ * Escalation Controller
+ * Manages who is paged about unanswered visitors of a device, and in which order
+ */
+
+/**
+ * Validate an escalation config against the device's members
+ * @returns {Object} - { escalation } or { error }
+ */
+const validateEscalation = (body, device) => {
+  const members = device.getMemberIds();
+  const escalation = {};
+
+  if (body.enabled !== undefined) escalation.enabled = !!body.enabled;
+
+  if (body.stepSeconds !== undefined) {
+    const stepSeconds = Number(body.stepSeconds);
+    if (!Number.isInteger(stepSeconds) || stepSeconds < 5 || stepSeconds > 3600) {
+      return { error: 'Step must be between 5 and 3600 seconds' };
+    }
+    escalation.stepSeconds = stepSeconds;
+  }
+
+  if (body.timezone !== undefined) {
+    if (!isValidTimezone(body.timezone)) {
+      return { error: `Invalid timezone: ${body.timezone}` };
+    }
+    escalation.timezone = body.timezone;
+  }
+
+  if (body.chain !== undefined) {
+    if (!Array.isArray(body.chain)) {
+      return { error: 'Chain must be a list of user IDs' };
+    }
+    for (const userId of body.chain) {
+      if (!isValidObjectId(userId) || !members.includes(String(userId))) {
+        return { error: 'Chain can only contain users with access to this device' };
+      }
+    }
+    escalation.chain = [...new Set(body.chain.map(String))];
+  }
+
+  if (body.onCallRotation !== undefined) {
+    if (!Array.isArray(body.onCallRotation)) {
+      return { error: 'On-call rotation must be a list of shifts' };
+    }
+    for (const shift of body.onCallRotation) {
+      if (!shift || !isValidObjectId(shift.userId) || !members.includes(String(shift.userId))) {
+        return { error: 'On-call shifts can only be assigned to users with access to this device' };
+      }
+      if (!isValidTime(shift.startTime) || !isValidTime(shift.endTime)) {
+        return { error: 'On-call shift times must be in HH:mm format' };
+      }
+      const days = shift.daysOfWeek || [];
+      if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        return { error: 'On-call shift days must be numbers from 0 (Sunday) to 6 (Saturday)' };
+      }
+    }
+    escalation.onCallRotation = body.onCallRotation.map(shift => ({
+      userId: shift.userId,
+      daysOfWeek: shift.daysOfWeek || [],
+      startTime: shift.startTime,
+      endTime: shift.endTime
+    }));
+  }
+
+  return { escalation };
+};
+
+/**
+ * Get the escalation config of a device plus the users it can page
+ * GET /api/device/:id/escalation
+ */
+const getEscalation = async (req, res) => {
+  try {
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId);
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    const ownerId = device.userId.toString();
+    const users = await User.find({ _id: { $in: device.getMemberIds() } }).select('username email');
+    const candidates = users.map(user => ({
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user._id.toString() === ownerId ? 'owner' : 'shared'
+    }));
+
+    return successResponse(res, {
+      escalation: device.escalation,
+      candidates
+    }, 'Escalation settings retrieved successfully');
+
+  } catch (error) {
+    logger.error(`Get escalation error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Update the escalation config of a device
+ * PUT /api/device/:id/escalation
+ */
+const updateEscalation = async (req, res) => {
+  try {
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId, 'admin');
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    const validation = validateEscalation(req.body, device);
+    if (validation.error) {
+      return errorResponse(res, validation.error, 400);
+    }
+
+    Object.assign(device.escalation, validation.escalation);
+    await device.save();
+
+    logger.info(`📟 Escalation ${device.escalation.enabled ? 'enabled' : 'disabled'} for ${device.name} by ${req.user.username}`);
+
+    return successResponse(res, device.escalation, 'Escalation settings updated successfully');
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return errorResponse(res, messages.join(', '), 400);
+    }
+    logger.error(`Update escalation error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  getEscalation,
+  updateEscalation
+};
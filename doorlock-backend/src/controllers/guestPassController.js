@@ -0,0 +1,189 @@
+const { Device, GuestPass } = require('../models');
+const { successResponse, errorResponse } = require('../utils/response');
+const { isValidObjectId, sanitizeInput } = require('../utils/validators');
+const { loadDeviceWithAccess } = require('../utils/deviceAccess');
+const { generateUniquePassCode, redeemGuestPass } = require('../services/guestPassService');
+const { NO_PAIRED_LOCK_MESSAGE } = require('../services/lockService');
+const { generateQRCodeBase64 } = require('../services/qrService');
+const logger = require('../utils/logger');
+
+/**
+ * Guest Pass Controller
+ * Issues, lists and revokes guest passes, and redeems them at the door camera
+ */
+
+/**
+ * Get guest passes of a device (with redemption history)
+ * GET /api/device/:id/passes
+ */
+const getPasses = async (req, res) => {
+  try {
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId);
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    const passes = await GuestPass.find({ deviceId: device._id })
+      .populate('createdBy', 'username email')
+      .populate('revokedBy', 'username email')
+      .sort({ createdAt: -1 });
+
+    return successResponse(res, passes, 'Guest passes retrieved successfully');
+
+  } catch (error) {
+    logger.error(`Get guest passes error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Issue a guest pass
+ * POST /api/device/:id/passes
+ * The plain code (and QR image for QR passes) is only returned here
+ */
+const createPass = async (req, res) => {
+  try {
+    const { guestName, codeType = 'pin', validFrom, validUntil, maxUses, notes } = req.body;
+
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId, 'control');
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    if (!['pin', 'qr'].includes(codeType)) {
+      return errorResponse(res, 'codeType must be "pin" or "qr"', 400);
+    }
+
+    const start = validFrom ? new Date(validFrom) : new Date();
+    const end = new Date(validUntil);
+    if (!validUntil || isNaN(end.getTime()) || isNaN(start.getTime())) {
+      return errorResponse(res, 'Valid validUntil date is required', 400);
+    }
+    if (end <= start) {
+      return errorResponse(res, 'validUntil must be after validFrom', 400);
+    }
+
+    const { code, codeHash } = await generateUniquePassCode(device._id, codeType);
+
+    const pass = new GuestPass({
+      deviceId: device._id,
+      guestName: sanitizeInput(guestName),
+      codeType,
+      codeHash,
+      validFrom: start,
+      validUntil: end,
+      maxUses: maxUses || 1,
+      notes: notes ? sanitizeInput(notes) : undefined,
+      createdBy: req.user.userId
+    });
+
+    await pass.save();
+
+    logger.info(`🎫 Guest pass (${codeType}) issued for ${pass.guestName} on ${device.name} by ${req.user.username}`);
+
+    return successResponse(res, {
+      pass,
+      code,
+      ...(codeType === 'qr' && { qrCode: await generateQRCodeBase64(code) })
+    }, 'Guest pass created successfully', 201);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return errorResponse(res, messages.join(', '), 400);
+    }
+    logger.error(`Create guest pass error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Revoke a guest pass (kept for redemption history)
+ * POST /api/device/:id/passes/:passId/revoke
+ */
+const revokePass = async (req, res) => {
+  try {
+    const { passId } = req.params;
+
+    const { device, error, statusCode } = await loadDeviceWithAccess(req.params.id, req.user.userId, 'control');
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
+
+    if (!isValidObjectId(passId)) {
+      return errorResponse(res, 'Invalid pass ID', 400);
+    }
+
+    const pass = await GuestPass.findOne({ _id: passId, deviceId: device._id });
+    if (!pass) {
+      return errorResponse(res, 'Guest pass not found', 404);
+    }
+
+    if (pass.revoked) {
+      return errorResponse(res, 'Guest pass is already revoked', 409);
+    }
+
+    pass.revoked = true;
+    pass.revokedAt = new Date();
+    pass.revokedBy = req.user.userId;
+    await pass.save();
+
+    logger.info(`🚫 Guest pass for ${pass.guestName} on ${device.name} revoked by ${req.user.username}`);
+
+    return successResponse(res, pass, 'Guest pass revoked successfully');
+
+  } catch (error) {
+    logger.error(`Revoke guest pass error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Redeem a guest pass at the door camera
+ * POST /api/door/redeem
+ */
+const redeemPass = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || typeof code !== 'string' || !code.trim()) {
+      return errorResponse(res, 'Pass code is required', 400);
+    }
+
+    const device = await Device.findById(req.device.deviceId);
+    if (!device) {
+      return errorResponse(res, 'Device not found', 404);
+    }
+
+    const result = await redeemGuestPass(device, code, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (!result.success) {
+      return errorResponse(res, result.reason, 403);
+    }
+
+    return successResponse(res, {
+      visitorLogId: result.visitorLog._id,
+      status: result.visitorLog.status,
+      guestName: result.pass.guestName,
+      remainingUses: result.pass.remainingUses,
+      locks: result.locks,
+      noPairedLock: result.noPairedLock
+    }, result.noPairedLock
+      ? `Guest pass accepted but nothing was unlocked: ${NO_PAIRED_LOCK_MESSAGE}`
+      : 'Guest pass accepted');
+
+  } catch (error) {
+    logger.error(`Redeem guest pass error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  getPasses,
+  createPass,
+  revokePass,
+  redeemPass
+};
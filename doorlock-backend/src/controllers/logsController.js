@@ -1,6 +1,7 @@
 const { DeviceEvent, VisitorLog, Device } = require('../models');
 const { successResponse, errorResponse, paginatedResponse } = require('../utils/response');
 const { validateRequiredFields, isValidObjectId } = require('../utils/validators');
+const { getAccessibleDeviceIds, getDeviceScope } = require('../utils/deviceAccess');
 const logger = require('../utils/logger');
 
 /**
@@ -32,18 +33,14 @@ const getAllLogs = async (req, res) => {
     let total = 0;
 
     // Build filter for device access
-    const userDevices = await Device.find({
-      $or: [
-        { userId: req.user.userId },
-        { 'sharedWith.userId': req.user.userId }
-      ]
-    }).select('_id');
-
-    const deviceIds = userDevices.map(d => d._id);
+    const { scope, error, statusCode } = await getDeviceScope(req.user.userId, deviceId);
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
 
     if (type === 'visitor' || type === 'door') {
       // Get visitor logs
-      const filter = { deviceId: { $in: deviceIds } };
+      const filter = { ...scope };
       
       if (startDate || endDate) {
         filter.timestamp = {};
@@ -51,10 +48,6 @@ const getAllLogs = async (req, res) => {
         if (endDate) filter.timestamp.$lte = new Date(endDate);
       }
 
-      if (deviceId && isValidObjectId(deviceId)) {
-        filter.deviceId = deviceId;
-      }
-
       total = await VisitorLog.countDocuments(filter);
       const visitorLogs = await VisitorLog.find(filter)
         .populate('deviceId', 'name espId deviceType')
@@ -82,16 +75,12 @@ const getAllLogs = async (req, res) => {
       }));
     } else if (type === 'device' || type === 'activity' || !type) {
       // Get device events
-      const filter = { deviceId: { $in: deviceIds } };
+      const filter = { ...scope };
 
       if (eventType) {
         filter.eventType = eventType;
       }
 
-      if (deviceId && isValidObjectId(deviceId)) {
-        filter.deviceId = deviceId;
-      }
-
       if (startDate || endDate) {
         filter.timestamp = {};
         if (startDate) filter.timestamp.$gte = new Date(startDate);
@@ -231,14 +220,7 @@ const getActivityLogs = async (req, res) => {
     const skip = (pageNum - 1) * limitNum;
 
     // Get user's devices
-    const userDevices = await Device.find({
-      $or: [
-        { userId: req.user.userId },
-        { 'sharedWith.userId': req.user.userId }
-      ]
-    }).select('_id');
-
-    const deviceIds = userDevices.map(d => d._id);
+    const deviceIds = await getAccessibleDeviceIds(req.user.userId);
 
     const filter = { deviceId: { $in: deviceIds } };
     if (eventType) {
@@ -287,23 +269,16 @@ const getVisitorLogs = async (req, res) => {
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
-    // Get user's devices
-    const userDevices = await Device.find({
-      $or: [
-        { userId: req.user.userId },
-        { 'sharedWith.userId': req.user.userId }
-      ]
-    }).select('_id');
-
-    const deviceIds = userDevices.map(d => d._id);
+    // Scope to the user's devices
+    const { scope, error, statusCode } = await getDeviceScope(req.user.userId, deviceId);
+    if (error) {
+      return errorResponse(res, error, statusCode);
+    }
 
-    const filter = { deviceId: { $in: deviceIds } };
+    const filter = { ...scope };
     if (status) {
       filter.status = status;
     }
-    if (deviceId && isValidObjectId(deviceId)) {
-      filter.deviceId = deviceId;
-    }
 
     const total = await VisitorLog.countDocuments(filter);
     const logs = await VisitorLog.find(filter)
@@ -335,14 +310,7 @@ const getLogsByType = async (req, res) => {
     const skip = (pageNum - 1) * limitNum;
 
     // Get user's devices
-    const userDevices = await Device.find({
-      $or: [
-        { userId: req.user.userId },
-        { 'sharedWith.userId': req.user.userId }
-      ]
-    }).select('_id');
-
-    const deviceIds = userDevices.map(d => d._id);
+    const deviceIds = await getAccessibleDeviceIds(req.user.userId);
 
     const filter = { 
       deviceId: { $in: deviceIds },
@@ -0,0 +1,103 @@
+const { User } = require('../models');
+const { successResponse, errorResponse } = require('../utils/response');
+const { isValidObjectId } = require('../utils/validators');
+const {
+  getPasskeys,
+  beginRegistration,
+  finishRegistration,
+  deletePasskey
+} = require('../services/passkeyService');
+const logger = require('../utils/logger');
+
+/**
+ * Passkey Controller
+ * Registering and removing the current user's passkeys
+ * (signing in with one lives in the auth controller)
+ */
+
+/**
+ * List the current user's passkeys
+ * GET /api/auth/passkeys
+ */
+const listPasskeys = async (req, res) => {
+  try {
+    const passkeys = await getPasskeys(req.user.userId);
+    return successResponse(res, passkeys, 'Passkeys retrieved successfully');
+  } catch (error) {
+    logger.error(`Get passkeys error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Start registering a passkey - returns the options for navigator.credentials.create()
+ * POST /api/auth/passkeys/register/options
+ */
+const registrationOptions = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    const result = await beginRegistration(user);
+
+    return successResponse(res, result, 'Passkey options generated');
+  } catch (error) {
+    logger.error(`Passkey registration options error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Finish registering a passkey with the authenticator's response
+ * POST /api/auth/passkeys/register
+ */
+const register = async (req, res) => {
+  try {
+    const { challengeToken, response, name } = req.body;
+
+    if (!challengeToken || !response) {
+      return errorResponse(res, 'Challenge token and authenticator response are required', 400);
+    }
+
+    const user = await User.findById(req.user.userId);
+    const result = await finishRegistration(user, { challengeToken, response, name });
+
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    return successResponse(res, result.passkey, 'Passkey registered', 201);
+  } catch (error) {
+    logger.error(`Passkey registration error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Remove one of the current user's passkeys
+ * DELETE /api/auth/passkeys/:id
+ */
+const removePasskey = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return errorResponse(res, 'Invalid passkey ID', 400);
+    }
+
+    const result = await deletePasskey(req.user.userId, id);
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    return successResponse(res, null, 'Passkey removed');
+  } catch (error) {
+    logger.error(`Remove passkey error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  listPasskeys,
+  registrationOptions,
+  register,
+  removePasskey
+};
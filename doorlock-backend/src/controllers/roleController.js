@@ -0,0 +1,115 @@
+const { successResponse, errorResponse } = require('../utils/response');
+const { PERMISSION_CATALOG } = require('../config/permissions');
+const { getRoles, createRole, updateRole, deleteRole } = require('../services/roleService');
+const logger = require('../utils/logger');
+
+/**
+ * Role Controller
+ * Custom roles and the permission catalog
+ */
+
+const formatRole = (role) => ({
+  name: role.name,
+  description: role.description || '',
+  permissions: role.permissions,
+  isSystem: role.isSystem,
+  updatedAt: role.updatedAt
+});
+
+/**
+ * List roles and the permission catalog
+ * GET /api/roles
+ */
+const listRoles = async (req, res) => {
+  try {
+    const roles = await getRoles();
+    return successResponse(res, { roles, permissions: PERMISSION_CATALOG }, 'Roles retrieved successfully');
+  } catch (error) {
+    logger.error(`Get roles error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Create a custom role
+ * POST /api/roles
+ */
+const addRole = async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return errorResponse(res, 'Role name is required', 400);
+    }
+
+    if (!/^[a-z][a-z0-9_]{1,29}$/.test(name.trim().toLowerCase())) {
+      return errorResponse(res, 'Role name must be 2-30 characters: letters, digits and underscore, starting with a letter', 400);
+    }
+
+    const result = await createRole({
+      name: name.trim().toLowerCase(),
+      description,
+      permissions
+    }, req.user.userId);
+
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    return successResponse(res, formatRole(result.role), 'Role created successfully', 201);
+  } catch (error) {
+    logger.error(`Create role error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Change a role's description or permissions
+ * PUT /api/roles/:name
+ */
+const editRole = async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+
+    if (description === undefined && permissions === undefined) {
+      return errorResponse(res, 'Nothing to update - provide description or permissions', 400);
+    }
+
+    const result = await updateRole(req.params.name, { description, permissions }, req.user.userId);
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    logger.info(`🛡️ Role ${result.role.name} updated by ${req.user.username}`);
+    return successResponse(res, formatRole(result.role), 'Role updated successfully');
+  } catch (error) {
+    logger.error(`Update role error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Delete a custom role
+ * DELETE /api/roles/:name
+ */
+const removeRole = async (req, res) => {
+  try {
+    const result = await deleteRole(req.params.name);
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    logger.info(`🛡️ Role ${req.params.name} deleted by ${req.user.username}`);
+    return successResponse(res, null, 'Role deleted successfully');
+  } catch (error) {
+    logger.error(`Delete role error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  listRoles,
+  addRole,
+  editRole,
+  removeRole
+};
@@ -0,0 +1,228 @@
+const { User, SecurityPolicy } = require('../models');
+const { successResponse, errorResponse } = require('../utils/response');
+const { completeLogin, revokeUserSessions } = require('../services/sessionService');
+const {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorStatus
+} = require('../services/twoFactorService');
+const logger = require('../utils/logger');
+
+/**
+ * Two-Factor Controller
+ * TOTP enrollment and management, plus the system-wide security policy
+ */
+
+/**
+ * Get the current user's 2FA status
+ * GET /api/auth/2fa
+ */
+const getStatus = async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.userId);
+    return successResponse(res, status, 'Two-factor status retrieved successfully');
+  } catch (error) {
+    logger.error(`Get two-factor status error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Start enrollment - returns the secret and a QR code for the authenticator app
+ * POST /api/auth/2fa/setup
+ */
+const setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    const result = await beginEnrollment(user);
+
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    return successResponse(res, result, 'Scan the QR code with your authenticator app');
+  } catch (error) {
+    logger.error(`Two-factor setup error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Finish enrollment with a code from the app
+ * When called with a setup challenge (forced enrollment at login) this also
+ * signs the user in
+ * POST /api/auth/2fa/enable
+ */
+const enable = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return errorResponse(res, 'Verification code is required', 400);
+    }
+
+    const result = await confirmEnrollment(req.user.userId, code);
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    if (req.twoFactorChallenge) {
+      const payload = await completeLogin(req.twoFactorChallenge.user, {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { method: 'totp' });
+
+      return successResponse(res, {
+        ...payload,
+        recoveryCodes: result.recoveryCodes
+      }, 'Two-factor authentication enabled');
+    }
+
+    return successResponse(res, {
+      recoveryCodes: result.recoveryCodes
+    }, 'Two-factor authentication enabled');
+  } catch (error) {
+    logger.error(`Two-factor enable error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Turn 2FA off - needs the password and a current code
+ * POST /api/auth/2fa/disable
+ */
+const disable = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return errorResponse(res, 'Password and a verification or recovery code are required', 400);
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!(await user.comparePassword(password))) {
+      // 400 rather than 401 - the caller's session itself is fine
+      return errorResponse(res, 'Password is incorrect', 400);
+    }
+
+    const factor = await verifySecondFactor(user._id, { code, recoveryCode });
+    if (factor.error) {
+      return errorResponse(res, factor.error, 400);
+    }
+
+    const result = await disableTwoFactor(user._id);
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+
+    logger.warn(`⚠️ Two-factor authentication disabled for user ${user.username}`);
+    return successResponse(res, null, 'Two-factor authentication disabled');
+  } catch (error) {
+    logger.error(`Two-factor disable error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Replace the recovery codes - needs a current code
+ * POST /api/auth/2fa/recovery-codes
+ */
+const newRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return errorResponse(res, 'Verification code is required', 400);
+    }
+
+    const factor = await verifySecondFactor(req.user.userId, { code });
+    if (factor.error) {
+      return errorResponse(res, factor.error, 400);
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.userId);
+
+    logger.info(`🔐 Recovery codes regenerated for user ${req.user.username}`);
+    return successResponse(res, { recoveryCodes }, 'Recovery codes regenerated');
+  } catch (error) {
+    logger.error(`Recovery code regeneration error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Get the security policy
+ * GET /api/auth/security-policy
+ */
+const getSecurityPolicy = async (req, res) => {
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+
+    return successResponse(res, {
+      requireTwoFactor: policy.requireTwoFactor,
+      updatedAt: policy.updatedAt || null
+    }, 'Security policy retrieved successfully');
+  } catch (error) {
+    logger.error(`Get security policy error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Update the security policy
+ * Turning on required 2FA signs out everyone who hasn't enrolled yet, so
+ * they hit the enrollment step on their next login
+ * PUT /api/auth/security-policy
+ */
+const updateSecurityPolicy = async (req, res) => {
+  try {
+    const { requireTwoFactor } = req.body;
+
+    if (typeof requireTwoFactor !== 'boolean') {
+      return errorResponse(res, 'requireTwoFactor must be true or false', 400);
+    }
+
+    const previous = await SecurityPolicy.getPolicy();
+
+    const policy = await SecurityPolicy.findOneAndUpdate(
+      { key: 'global' },
+      { $set: { requireTwoFactor, updatedBy: req.user.userId } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    let revokedSessions = 0;
+    if (requireTwoFactor && !previous.requireTwoFactor) {
+      const unenrolled = await User.find({ 'twoFactor.enabled': { $ne: true } }).select('_id');
+      for (const user of unenrolled) {
+        revokedSessions += await revokeUserSessions(user._id, {
+          reason: 'admin',
+          exceptSessionId: req.user.sessionId
+        });
+      }
+    }
+
+    logger.info(`🔐 Security policy updated by ${req.user.username}: requireTwoFactor=${requireTwoFactor}`);
+
+    return successResponse(res, {
+      requireTwoFactor: policy.requireTwoFactor,
+      updatedAt: policy.updatedAt,
+      revokedSessions
+    }, 'Security policy updated');
+  } catch (error) {
+    logger.error(`Update security policy error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  newRecoveryCodes,
+  getSecurityPolicy,
+  updateSecurityPolicy
+};
@@ -0,0 +1,370 @@
+const { User, Device } = require('../models');
+const { successResponse, errorResponse } = require('../utils/response');
+const {
+  validateRequiredFields,
+  isValidEmail,
+  isValidUsername,
+  isValidPassword,
+  isValidObjectId
+} = require('../utils/validators');
+const { revokeUserSessions } = require('../services/sessionService');
+const { revokeAllApiKeys } = require('../services/apiKeyService');
+const { resetTwoFactor } = require('../services/twoFactorService');
+const { roleExists, SUPER_ADMIN_ROLE } = require('../services/roleService');
+const { clearLockout } = require('../services/loginProtectionService');
+const { setUserRole } = require('../config/socketEmitter');
+const logger = require('../utils/logger');
+
+/**
+ * User Controller
+ * User management (users:manage permission)
+ */
+
+const formatUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive,
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  sso: Boolean(user.sso?.subject),
+  lockedUntil: user.lockedUntil > new Date() ? user.lockedUntil : null,
+  failedLoginAttempts: user.failedLoginAttempts || 0,
+  lastLogin: user.lastLogin || null,
+  createdAt: user.createdAt
+});
+
+const formatDevice = (device) => ({
+  id: device._id,
+  name: device.name,
+  espId: device.espId,
+  deviceType: device.deviceType,
+  status: device.status,
+  location: device.location
+});
+
+/**
+ * Whether removing this user from the active super admins would leave none
+ */
+const isLastSuperAdmin = async (user) => {
+  if (user.role !== SUPER_ADMIN_ROLE || !user.isActive) {
+    return false;
+  }
+
+  const others = await User.countDocuments({
+    _id: { $ne: user._id },
+    role: SUPER_ADMIN_ROLE,
+    isActive: true
+  });
+  return others === 0;
+};
+
+/**
+ * Count owned and (unexpired) shared devices per user
+ * @returns {Promise<Object>} - { owned: Map, shared: Map } keyed by user ID
+ */
+const getDeviceCounts = async () => {
+  const now = new Date();
+
+  const [owned, shared] = await Promise.all([
+    Device.aggregate([
+      { $group: { _id: '$userId', count: { $sum: 1 } } }
+    ]),
+    Device.aggregate([
+      { $unwind: '$sharedWith' },
+      {
+        $match: {
+          $or: [
+            { 'sharedWith.expiresAt': null },
+            { 'sharedWith.expiresAt': { $gt: now } }
+          ]
+        }
+      },
+      { $group: { _id: '$sharedWith.userId', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const toMap = (rows) => new Map(rows.map(row => [String(row._id), row.count]));
+  return { owned: toMap(owned), shared: toMap(shared) };
+};
+
+/**
+ * List users
+ * GET /api/users
+ */
+const getUsers = async (req, res) => {
+  try {
+    const { search, role, isActive } = req.query;
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+
+    const [users, counts] = await Promise.all([
+      User.find(filter).sort({ createdAt: -1 }),
+      getDeviceCounts()
+    ]);
+
+    const data = users.map(user => ({
+      ...formatUser(user),
+      ownedDevices: counts.owned.get(String(user._id)) || 0,
+      sharedDevices: counts.shared.get(String(user._id)) || 0
+    }));
+
+    return successResponse(res, data, 'Users retrieved successfully');
+  } catch (error) {
+    logger.error(`Get users error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Get a user with their owned and shared devices
+ * GET /api/users/:id
+ */
+const getUserById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return errorResponse(res, 'Invalid user ID', 400);
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    const [owned, shared] = await Promise.all([
+      Device.find({ userId: id }).select('-deviceToken').sort({ createdAt: -1 }),
+      Device.find({ 'sharedWith.userId': id })
+        .select('-deviceToken')
+        .populate('userId', 'username email')
+        .sort({ createdAt: -1 })
+    ]);
+
+    const sharedDevices = shared
+      .map(device => {
+        const share = device.getActiveShares().find(s => s.userId.toString() === id);
+        if (!share) {
+          return null;
+        }
+        return {
+          ...formatDevice(device),
+          owner: device.userId
+            ? { id: device.userId._id, username: device.userId.username, email: device.userId.email }
+            : null,
+          permissions: share.permissions,
+          sharedAt: share.sharedAt,
+          expiresAt: share.expiresAt || null
+        };
+      })
+      .filter(Boolean);
+
+    return successResponse(res, {
+      ...formatUser(user),
+      ownedDevices: owned.map(formatDevice),
+      sharedDevices
+    }, 'User retrieved successfully');
+  } catch (error) {
+    logger.error(`Get user error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Create a user
+ * POST /api/users
+ */
+const createUser = async (req, res) => {
+  try {
+    const { username, email, password, role = 'admin' } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['username', 'email', 'password']);
+    if (!validation.isValid) {
+      return errorResponse(res, `Missing required fields: ${validation.missing.join(', ')}`, 400);
+    }
+
+    if (!isValidEmail(email)) {
+      return errorResponse(res, 'Invalid email format', 400);
+    }
+
+    if (!isValidUsername(username)) {
+      return errorResponse(res, 'Username must be 3-30 characters, alphanumeric and underscore only', 400);
+    }
+
+    if (!isValidPassword(password)) {
+      return errorResponse(res, 'Password must be at least 6 characters', 400);
+    }
+
+    if (typeof role !== 'string' || !(await roleExists(role))) {
+      return errorResponse(res, `Role '${role}' does not exist`, 400);
+    }
+
+    const existingUser = await User.findOne({
+      $or: [{ username: username.toLowerCase() }, { email: email.toLowerCase() }]
+    });
+
+    if (existingUser) {
+      return errorResponse(res, 'Username or email already exists', 400);
+    }
+
+    const user = new User({
+      username: username.toLowerCase(),
+      email: email.toLowerCase(),
+      passwordHash: password, // Will be hashed by pre-save hook
+      role
+    });
+
+    await user.save();
+
+    logger.info(`👤 User ${user.username} (${role}) created by ${req.user.username}`);
+    return successResponse(res, {
+      ...formatUser(user),
+      ownedDevices: 0,
+      sharedDevices: 0
+    }, 'User created successfully', 201);
+  } catch (error) {
+    logger.error(`Create user error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Change a user's role and/or activate or deactivate them
+ * Deactivating revokes every session, which also drops their sockets
+ * PATCH /api/users/:id
+ */
+const updateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, isActive } = req.body;
+
+    if (!isValidObjectId(id)) {
+      return errorResponse(res, 'Invalid user ID', 400);
+    }
+
+    if (role === undefined && isActive === undefined) {
+      return errorResponse(res, 'Nothing to update - provide role or isActive', 400);
+    }
+
+    if (role !== undefined && (typeof role !== 'string' || !(await roleExists(role)))) {
+      return errorResponse(res, `Role '${role}' does not exist`, 400);
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return errorResponse(res, 'isActive must be true or false', 400);
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    const isSelf = user._id.toString() === req.user.userId.toString();
+    const changingRole = role !== undefined && role.toLowerCase() !== user.role;
+    const demoting = changingRole && user.role === SUPER_ADMIN_ROLE;
+    const deactivating = isActive === false;
+
+    if (isSelf && (changingRole || deactivating)) {
+      return errorResponse(res, 'You cannot change the role of or deactivate your own account', 400);
+    }
+
+    if ((demoting || deactivating) && await isLastSuperAdmin(user)) {
+      return errorResponse(res, 'At least one active super admin is required', 400);
+    }
+
+    const wasActive = user.isActive;
+    if (role !== undefined) user.role = role;
+    if (isActive !== undefined) user.isActive = isActive;
+    await user.save();
+
+    if (changingRole) {
+      // Connected dashboards pick up the new permissions without reconnecting
+      setUserRole(user._id, user.role);
+    }
+
+    let revokedSessions = 0;
+    if (wasActive && !user.isActive) {
+      revokedSessions = await revokeUserSessions(user._id, { reason: 'admin' });
+      await revokeAllApiKeys(user._id);
+      logger.warn(`⚠️ User ${user.username} deactivated by ${req.user.username}`);
+    }
+
+    logger.info(`👤 User ${user.username} updated by ${req.user.username}: role=${user.role}, isActive=${user.isActive}`);
+    return successResponse(res, {
+      ...formatUser(user),
+      revokedSessions
+    }, 'User updated successfully');
+  } catch (error) {
+    logger.error(`Update user error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Remove a user's 2FA enrollment (e.g. lost phone)
+ * DELETE /api/users/:id/2fa
+ */
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return errorResponse(res, 'Invalid user ID', 400);
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    await resetTwoFactor(user._id);
+
+    logger.warn(`⚠️ Two-factor authentication reset for user ${user.username} by ${req.user.username}`);
+    return successResponse(res, null, 'Two-factor authentication reset');
+  } catch (error) {
+    logger.error(`Reset two-factor error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+/**
+ * Lift a sign-in lockout and reset the failed-attempt counter
+ * POST /api/users/:id/unlock
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return errorResponse(res, 'Invalid user ID', 400);
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    await clearLockout(user._id);
+
+    logger.info(`🔓 Sign-in lockout lifted for user ${user.username} by ${req.user.username}`);
+    return successResponse(res, null, 'Account unlocked');
+  } catch (error) {
+    logger.error(`Unlock user error: ${error.message}`);
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserById,
+  createUser,
+  updateUser,
+  resetUserTwoFactor,
+  unlockUser
+};
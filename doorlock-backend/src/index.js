@@ -17,6 +17,13 @@ const { apiLimiter } = require('./middlewares/rateLimiter');
 
 // Import services
 const { setupMessageHandlers } = require('./services/mqttService');
+const { startVisitorTimeoutSweeper, stopVisitorTimeoutSweeper } = require('./services/visitorTimeoutService');
+const { startEscalationSweeper, stopEscalationSweeper } = require('./services/visitorEscalationService');
+const { startShareExpirySweeper, stopShareExpirySweeper } = require('./services/deviceShareService');
+const { startCommandTimeoutSweeper, stopCommandTimeoutSweeper } = require('./services/commandTimeoutService');
+const { startCommandScheduler, stopCommandScheduler } = require('./services/commandScheduleService');
+const { ensureBuiltInRoles } = require('./services/roleService');
+const { migrateLegacyDeviceTokens } = require('./services/deviceTokenService');
 const logger = require('./utils/logger');
 
 /**
@@ -56,6 +63,7 @@ app.use(cors({
     'Authorization',
     'X-Device-ID',
     'X-Device-Token',
+    'X-API-Key',
     'X-Requested-With'
   ]
 }));
@@ -107,6 +115,12 @@ const startServer = async () => {
     // 1. Connect to MongoDB
     await connectDB();
 
+    // Seed built-in roles (existing 'admin'/'super_admin' users map onto them)
+    await ensureBuiltInRoles();
+
+    // Hash device tokens stored in plaintext by older versions
+    await migrateLegacyDeviceTokens();
+
     // 2. Configure Cloudinary
     configureCloudinary();
 
@@ -130,7 +144,22 @@ const startServer = async () => {
     initSocketIO(server);
     logger.info('✅ Socket.IO initialized');
 
-    // 5. Start HTTP server
+    // 5. Resolve visitor requests nobody answered in time
+    startVisitorTimeoutSweeper();
+
+    // 6. Escalate unanswered visitors through each device's on-call chain
+    startEscalationSweeper();
+
+    // 7. Remove device shares past their expiry date
+    startShareExpirySweeper();
+
+    // 8. Time out device commands that were never acknowledged
+    startCommandTimeoutSweeper();
+
+    // 9. Send scheduled device commands
+    startCommandScheduler();
+
+    // 10. Start HTTP server
     server.listen(PORT, () => {
       logger.info(`✅ Server running on port ${PORT} in ${NODE_ENV} mode`);
       logger.info(`📡 API available at http://localhost:${PORT}/api`);
@@ -149,6 +178,12 @@ const startServer = async () => {
 const gracefulShutdown = async (signal) => {
   logger.info(`\n${signal} received. Starting graceful shutdown...`);
   
+  stopVisitorTimeoutSweeper();
+  stopEscalationSweeper();
+  stopShareExpirySweeper();
+  stopCommandTimeoutSweeper();
+  stopCommandScheduler();
+  
   server.close(async () => {
     logger.info('HTTP server closed');
     
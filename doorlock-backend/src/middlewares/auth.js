@@ -1,14 +1,54 @@
-const { verifyToken } = require('../utils/jwt');
+const { verifyAccessToken } = require('../services/sessionService');
+const { CHALLENGE_PURPOSES, verifyChallenge } = require('../services/twoFactorService');
+const { checkRequestStepUp } = require('../services/stepUpService');
+const { hasPermission } = require('../services/roleService');
+const { isApiKey, verifyApiKey } = require('../services/apiKeyService');
+const { DEVICE_TOKEN_FIELDS, verifyDeviceToken } = require('../services/deviceTokenService');
 const { errorResponse } = require('../utils/response');
-const { User, Device } = require('../models');
+const { Device } = require('../models');
 const logger = require('../utils/logger');
 
 /**
- * Authentication Middleware
- * Verifies JWT token and attaches user to request
+ * Get an API key from the X-API-Key header or an "Authorization: Bearer dlk_..." header
+ * @returns {String|null}
  */
-const authenticate = async (req, res, next) => {
+const getPresentedApiKey = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ') && isApiKey(authHeader.substring(7))) {
+    return authHeader.substring(7);
+  }
+
+  return null;
+};
+
+// req.user for a request made with an API key - no session, limited to the key's scopes
+const toApiKeyUser = (user, apiKey) => ({
+  userId: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  apiKey: {
+    id: apiKey._id,
+    scopes: apiKey.scopes,
+    deviceIds: apiKey.deviceIds
+  }
+});
+
+/**
+ * Session Authentication Middleware
+ * Verifies JWT token and attaches user to request. API keys are refused, for
+ * endpoints that manage the account itself (password, sessions, keys...)
+ */
+const authenticateSession = async (req, res, next) => {
   try {
+    if (getPresentedApiKey(req)) {
+      return errorResponse(res, 'API keys cannot be used for this endpoint', 403);
+    }
+
     // Get token from header
     const authHeader = req.headers.authorization;
     
@@ -18,11 +58,10 @@ const authenticate = async (req, res, next) => {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
-    // Verify token
-    const decoded = verifyToken(token);
+    // Verify token and that its session has not been revoked
+    const { user, session } = await verifyAccessToken(token);
 
     // Check if user still exists
-    const user = await User.findById(decoded.userId);
     
     if (!user) {
       return errorResponse(res, 'User not found', 401);
@@ -37,7 +76,8 @@ const authenticate = async (req, res, next) => {
       userId: user._id,
       username: user.username,
       email: user.email,
-      role: user.role
+      role: user.role,
+      sessionId: session._id
     };
 
     next();
@@ -46,6 +86,30 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication Middleware
+ * Accepts a JWT access token or an API key and attaches user to request
+ */
+const authenticate = async (req, res, next) => {
+  const key = getPresentedApiKey(req);
+
+  if (!key) {
+    return authenticateSession(req, res, next);
+  }
+
+  try {
+    const result = await verifyApiKey(key, req.ip);
+    if (result.error) {
+      return errorResponse(res, result.error, 401);
+    }
+
+    req.user = toApiKeyUser(result.user, result.apiKey);
+    next();
+  } catch (error) {
+    return errorResponse(res, 'Invalid API key', 401);
+  }
+};
+
 /**
  * Device Authentication Middleware
  * Verifies device token and attaches device to request
@@ -60,14 +124,14 @@ const authenticateDevice = async (req, res, next) => {
     }
 
     // Find device and validate token
-    const device = await Device.findById(deviceId).select('+deviceToken');
+    const device = await Device.findById(deviceId).select(DEVICE_TOKEN_FIELDS);
     
     if (!device) {
       logger.warn(`Device authentication failed: Device not found (${deviceId})`);
       return errorResponse(res, 'Device not found', 404);
     }
 
-    if (device.deviceToken !== deviceToken) {
+    if (!verifyDeviceToken(device, deviceToken)) {
       logger.warn(`Device authentication failed: Invalid token for device ${deviceId}`);
       return errorResponse(res, 'Invalid device token', 401);
     }
@@ -96,28 +160,39 @@ const authenticateDevice = async (req, res, next) => {
 };
 
 /**
- * Flexible Authentication - supports both JWT and Device Token
- * Tries JWT first, then device token
+ * Flexible Authentication - supports JWT, API key and Device Token
+ * Tries the API key or JWT first, then device token
  */
 const flexAuth = async (req, res, next) => {
   try {
-    // Try JWT authentication first
     const authHeader = req.headers.authorization;
     const deviceId = req.headers['x-device-id'];
     const deviceToken = req.headers['x-device-token'];
+    const key = getPresentedApiKey(req);
+
+    if (key) {
+      const result = await verifyApiKey(key, req.ip);
+      if (result.error) {
+        return errorResponse(res, result.error, 401);
+      }
+
+      req.user = toApiKeyUser(result.user, result.apiKey);
+      return next();
+    }
 
+    // Try JWT authentication first
     if (authHeader && authHeader.startsWith('Bearer ')) {
       // JWT authentication
       const token = authHeader.substring(7);
-      const decoded = verifyToken(token);
-      const user = await User.findById(decoded.userId);
+      const { user, session } = await verifyAccessToken(token);
       
       if (user && user.isActive) {
         req.user = {
           userId: user._id,
           username: user.username,
           email: user.email,
-          role: user.role
+          role: user.role,
+          sessionId: session._id
         };
         return next();
       }
@@ -125,9 +200,9 @@ const flexAuth = async (req, res, next) => {
 
     if (deviceId && deviceToken) {
       // Device token authentication
-      const device = await Device.findById(deviceId).select('+deviceToken');
+      const device = await Device.findById(deviceId).select(DEVICE_TOKEN_FIELDS);
       
-      if (device && device.deviceToken === deviceToken && device.activated) {
+      if (device && verifyDeviceToken(device, deviceToken) && device.activated) {
         req.device = {
           deviceId: device._id,
           userId: device.userId,
@@ -147,21 +222,84 @@ const flexAuth = async (req, res, next) => {
 };
 
 /**
- * Authorization Middleware
- * Checks if user has required role
+ * Permission Middleware
+ * Passes when the user's role grants any of the given permissions (use after authenticate).
+ * With an API key, only the permissions in the key's scopes count.
  */
-const authorize = (...roles) => {
-  return (req, res, next) => {
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return errorResponse(res, 'Unauthorized', 401);
     }
 
-    if (!roles.includes(req.user.role)) {
-      return errorResponse(res, 'Insufficient permissions', 403);
+    try {
+      const usable = req.user.apiKey
+        ? permissions.filter(permission => req.user.apiKey.scopes.includes(permission))
+        : permissions;
+
+      if (usable.length === 0) {
+        return errorResponse(res, 'API key is missing the required scope', 403, { required: permissions });
+      }
+
+      if (!(await hasPermission(req.user.role, ...usable))) {
+        return errorResponse(res, 'Insufficient permissions', 403, { required: permissions });
+      }
+
+      next();
+    } catch (error) {
+      return errorResponse(res, 'Permission check failed', 500);
+    }
+  };
+};
+
+/**
+ * Step-Up Middleware
+ * Requires the session to have re-authenticated recently (use after authenticate).
+ * API keys can't re-authenticate - they need the sensitive-actions scope instead.
+ */
+const requireStepUp = async (req, res, next) => {
+  try {
+    const result = await checkRequestStepUp(req.user);
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode, { code: result.code });
     }
 
     next();
-  };
+  } catch (error) {
+    return errorResponse(res, 'Step-up check failed', 500);
+  }
+};
+
+/**
+ * Two-Factor Enrollment Authentication
+ * Accepts a normal access token, or the setup challenge token returned by
+ * login when the security policy forces enrollment before the first session
+ */
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  const challengeToken = req.body?.challengeToken;
+
+  if (!challengeToken) {
+    return authenticateSession(req, res, next);
+  }
+
+  try {
+    const challenge = await verifyChallenge(challengeToken, CHALLENGE_PURPOSES.SETUP);
+    if (challenge.error) {
+      return errorResponse(res, challenge.error, challenge.statusCode);
+    }
+
+    req.user = {
+      userId: challenge.user._id,
+      username: challenge.user.username,
+      email: challenge.user.email,
+      role: challenge.user.role
+    };
+    req.twoFactorChallenge = challenge;
+
+    next();
+  } catch (error) {
+    return errorResponse(res, 'Authentication failed', 401);
+  }
 };
 
 /**
@@ -174,15 +312,15 @@ const optionalAuth = async (req, res, next) => {
     
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
-      const decoded = verifyToken(token);
-      const user = await User.findById(decoded.userId);
+      const { user, session } = await verifyAccessToken(token);
       
       if (user && user.isActive) {
         req.user = {
           userId: user._id,
           username: user.username,
           email: user.email,
-          role: user.role
+          role: user.role,
+          sessionId: session._id
         };
       }
     }
@@ -195,8 +333,11 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateSession,
   authenticateDevice,
   flexAuth,
-  authorize,
+  requirePermission,
+  authenticateTwoFactorSetup,
+  requireStepUp,
   optionalAuth
 };
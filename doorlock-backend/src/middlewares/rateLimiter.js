@@ -53,8 +53,105 @@ const uploadLimiter = rateLimit({
   },
 });
 
+/**
+ * Guest pass redemption rate limiter
+ * Keeps PIN guessing at the door impractical
+ */
+const redeemLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 attempts per window
+  message: {
+    success: false,
+    message: 'Too many pass attempts, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Two-factor code rate limiter
+ * Six digit codes only hold up if guesses are capped
+ */
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 attempts per window
+  message: {
+    success: false,
+    message: 'Too many verification attempts, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Step-up rate limiter
+ * Re-authentication takes a password or TOTP code, so guesses are capped -
+ * in a bucket of its own, so unlocking doesn't use up the 2FA sign-in attempts
+ */
+const stepUpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 attempts per window
+  message: {
+    success: false,
+    message: 'Too many re-authentication attempts, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Passkey sign-in options rate limiter
+ * Only hands out a challenge - there is nothing to guess, it just can't be flooded
+ */
+const passkeyLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 requests per window
+  message: {
+    success: false,
+    message: 'Too many passkey sign-in requests, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Password reset rate limiter
+ * Stops the forgot-password form being used to flood inboxes
+ */
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 requests per window
+  message: {
+    success: false,
+    message: 'Too many password reset requests, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Device activation rate limiter
+ * Activation codes are short enough to type, so guesses are capped
+ */
+const activationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 attempts per window
+  message: {
+    success: false,
+    message: 'Too many activation attempts, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 module.exports = {
   apiLimiter,
   authLimiter,
-  uploadLimiter
+  uploadLimiter,
+  redeemLimiter,
+  twoFactorLimiter,
+  stepUpLimiter,
+  passkeyLoginLimiter,
+  passwordResetLimiter,
+  activationLimiter
 };
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { isValidTime, isValidTimezone, isWithinWindow } = require('../utils/schedule');
+
+/**
+ * AccessSchedule Schema
+ * Recurring weekly time windows during which visitors at a device are auto-approved
+ */
+const accessScheduleSchema = new mongoose.Schema({
+  deviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: [true, 'Device ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Schedule name is required'],
+    trim: true,
+    maxlength: [100, 'Schedule name cannot exceed 100 characters']
+  },
+  daysOfWeek: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: (days) => days.length > 0 && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+      message: 'daysOfWeek must contain at least one day between 0 (Sunday) and 6 (Saturday)'
+    }
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    validate: {
+      validator: isValidTime,
+      message: 'Start time must be in HH:mm format'
+    }
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: isValidTime,
+      message: 'End time must be in HH:mm format'
+    }
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimezone,
+      message: 'Invalid timezone'
+    }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Method to check if the schedule covers a given instant
+ */
+accessScheduleSchema.methods.isActiveAt = function(date = new Date()) {
+  return this.enabled && isWithinWindow(this, date);
+};
+
+accessScheduleSchema.index({ deviceId: 1, enabled: 1 });
+
+const AccessSchedule = mongoose.model('AccessSchedule', accessScheduleSchema);
+
+module.exports = AccessSchedule;
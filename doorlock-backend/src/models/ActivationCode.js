@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * Activation Code Schema
+ * Short-lived, single-use code in a device's onboarding QR. Redeeming it
+ * issues the device's token, so the QR itself never carries a credential.
+ */
+const activationCodeSchema = new mongoose.Schema({
+  deviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: [true, 'Device ID is required'],
+    index: true
+  },
+  // SHA-256 of the code
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the code is redeemed, or when a newer code replaces it
+  usedAt: {
+    type: Date
+  },
+  usedIp: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Drop codes a day after they expire (until then an expired code gets a clear error)
+activationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const ActivationCode = mongoose.model('ActivationCode', activationCodeSchema);
+
+module.exports = ActivationCode;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * API Key Schema
+ * Long-lived credential for scripts and integrations. Only a hash of the key
+ * is stored; the key itself is shown once when it is created.
+ */
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [60, 'Key name cannot exceed 60 characters']
+  },
+  // First characters of the key, so it can be recognised in the list
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Permissions the key may use - never more than its owner's role grants
+  scopes: [{
+    type: String
+  }],
+  // Devices the key may send commands to (empty = every device the owner can reach)
+  deviceIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device'
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
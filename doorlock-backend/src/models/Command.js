@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const COMMAND_STATUSES = ['queued', 'sent', 'received', 'executing', 'executed', 'failed', 'timeout'];
+
+// Statuses of a command that hasn't finished yet
+const PENDING_COMMAND_STATUSES = ['queued', 'sent', 'received', 'executing'];
+
+/**
+ * Command Schema
+ * A command sent to a device and its lifecycle, so acknowledgments and
+ * timeouts still resolve after a backend restart
+ */
+const commandSchema = new mongoose.Schema({
+  commandId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  deviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: [true, 'Device ID is required']
+  },
+  // Optional - some commands are system-generated
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  command: {
+    type: String,
+    required: [true, 'Command is required']
+  },
+  // Set when the command was sent by a command schedule
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommandSchedule'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: COMMAND_STATUSES,
+    default: 'queued'
+  },
+  // Queued while the device was offline, delivered when it reconnects
+  deferred: {
+    type: Boolean,
+    default: false
+  },
+  // A deferred command still queued after this is failed
+  expiresAt: {
+    type: Date
+  },
+  // Channel picked by the device's delivery strategy
+  channel: {
+    type: String,
+    enum: ['websocket', 'mqtt']
+  },
+  // Channels the command actually went out on, in order ('websocket', 'mqtt')
+  channels: [{
+    type: String
+  }],
+  // Resent once on fallbackChannel if still unacknowledged at fallbackAt
+  fallbackChannel: {
+    type: String,
+    enum: ['websocket', 'mqtt']
+  },
+  fallbackAt: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  },
+  // Marked 'timeout' by the sweeper if still pending after this
+  timeoutAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  errorMessage: {
+    type: String
+  },
+  history: [{
+    _id: false,
+    status: { type: String, enum: COMMAND_STATUSES },
+    errorMessage: String,
+    // Channel the ack arrived on
+    channel: String,
+    at: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+commandSchema.index({ status: 1, timeoutAt: 1 });
+commandSchema.index({ status: 1, expiresAt: 1 });
+commandSchema.index({ status: 1, fallbackAt: 1 });
+commandSchema.index({ deviceId: 1, createdAt: -1 });
+
+// Keep command records as long as the device event audit trail (90 days)
+commandSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7776000 });
+
+const Command = mongoose.model('Command', commandSchema);
+
+Command.STATUSES = COMMAND_STATUSES;
+Command.PENDING_STATUSES = PENDING_COMMAND_STATUSES;
+
+module.exports = Command;
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const { isValidTime, isValidTimezone, getNextOccurrence } = require('../utils/schedule');
+
+// Never unlock_door or firmware_update - they need someone to re-authenticate when they're sent
+const SCHEDULABLE_COMMANDS = ['lock_door', 'request_snapshot', 'update_settings', 'restart_device'];
+
+/**
+ * CommandSchedule Schema
+ * A device command sent automatically, either once at runAt or every week
+ * on daysOfWeek at time
+ */
+const commandScheduleSchema = new mongoose.Schema({
+  deviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: [true, 'Device ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Schedule name is required'],
+    trim: true,
+    maxlength: [100, 'Schedule name cannot exceed 100 characters']
+  },
+  command: {
+    type: String,
+    required: [true, 'Command is required'],
+    enum: SCHEDULABLE_COMMANDS
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // One-off schedule - leave empty for a weekly one
+  runAt: {
+    type: Date
+  },
+  daysOfWeek: {
+    type: [Number],
+    default: undefined,
+    validate: {
+      validator: (days) => days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+      message: 'daysOfWeek must contain days between 0 (Sunday) and 6 (Saturday)'
+    }
+  },
+  time: {
+    type: String,
+    validate: {
+      validator: isValidTime,
+      message: 'Time must be in HH:mm format'
+    }
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimezone,
+      message: 'Invalid timezone'
+    }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Maintained on save and by the scheduler; null while disabled or finished
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastCommandId: {
+    type: String
+  },
+  // 'sent', 'queued', 'failed' or 'skipped' (missed while the backend was down)
+  lastStatus: {
+    type: String
+  },
+  lastError: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Compute when the schedule should run next after a given instant
+ * @param {Date} after - Defaults to now
+ * @returns {Date|null}
+ */
+commandScheduleSchema.methods.computeNextRun = function(after = new Date()) {
+  if (!this.enabled) {
+    return null;
+  }
+  if (this.runAt) {
+    return this.runAt > after ? this.runAt : null;
+  }
+  return getNextOccurrence(this, after);
+};
+
+commandScheduleSchema.pre('validate', function(next) {
+  if (!this.runAt && (!this.daysOfWeek || this.daysOfWeek.length === 0 || !this.time)) {
+    this.invalidate('daysOfWeek', 'Give either runAt, or daysOfWeek and time');
+  }
+  if (this.runAt && this.isModified('runAt') && this.runAt <= new Date()) {
+    this.invalidate('runAt', 'runAt must be in the future');
+  }
+  next();
+});
+
+commandScheduleSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('enabled') || this.isModified('runAt') ||
+      this.isModified('daysOfWeek') || this.isModified('time') || this.isModified('timezone')) {
+    this.nextRunAt = this.computeNextRun();
+  }
+  next();
+});
+
+commandScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+const CommandSchedule = mongoose.model('CommandSchedule', commandScheduleSchema);
+
+module.exports = CommandSchedule;
@@ -24,6 +24,14 @@ const deviceSchema = new mongoose.Schema({
     sharedAt: {
       type: Date,
       default: Date.now
+    },
+    sharedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Access stops at this time; the share is pruned shortly after
+    expiresAt: {
+      type: Date
     }
   }],
   name: {
@@ -44,10 +52,42 @@ const deviceSchema = new mongoose.Schema({
     trim: true,
     uppercase: true
   },
+  pairedLocks: [{
+    // Door locks this device (typically a camera) unlocks when a visitor is approved
+    lockId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      required: true
+    },
+    pairedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    pairedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // SHA-256 of the token the device authenticates with (see deviceTokenService)
+  deviceTokenHash: {
+    type: String,
+    select: false
+  },
+  // Token replaced by the last rotation, accepted until previousTokenExpiresAt
+  previousDeviceTokenHash: {
+    type: String,
+    select: false
+  },
+  previousTokenExpiresAt: {
+    type: Date
+  },
+  tokenRotatedAt: {
+    type: Date
+  },
+  // Plaintext token from before tokens were hashed - hashed and removed on startup
   deviceToken: {
     type: String,
-    // Secure token for device authentication
-    select: false // Don't return in queries by default
+    select: false
   },
   room: {
     type: String,
@@ -115,8 +155,70 @@ const deviceSchema = new mongoose.Schema({
     enableNotifications: {
       type: Boolean,
       default: true
+    },
+    visitorResponseTimeout: {
+      type: Number,
+      default: 0, // seconds - 0 (off) keeps visitors pending until someone answers
+      min: 0,
+      max: 3600
+    },
+    timeoutAction: {
+      type: String,
+      enum: ['expire', 'deny'],
+      default: 'expire'
     }
   },
+  commandDelivery: {
+    // Channel a command is sent on first (when the device is connected on it)
+    preferredChannel: {
+      type: String,
+      enum: ['websocket', 'mqtt'],
+      default: 'websocket'
+    },
+    // Resend on the other channel if the device hasn't acknowledged in time
+    fallbackEnabled: {
+      type: Boolean,
+      default: true
+    },
+    fallbackAfterMs: {
+      type: Number,
+      default: 3000,
+      min: 500,
+      max: 20000
+    }
+  },
+  escalation: {
+    // Who gets paged about unanswered visitors, and in which order
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    stepSeconds: {
+      type: Number,
+      default: 30,
+      min: 5,
+      max: 3600
+    },
+    chain: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    onCallRotation: [{
+      // Weekly shifts - whoever is on call is paged before the chain
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      daysOfWeek: [Number],
+      startTime: String,
+      endTime: String
+    }]
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -188,8 +290,8 @@ deviceSchema.methods.hasAccess = function(userId) {
     return { hasAccess: true, permissions: ['view', 'control', 'admin'] };
   }
   
-  // Check if shared
-  const sharedAccess = this.sharedWith.find(
+  // Check if shared (and the share has not expired)
+  const sharedAccess = this.getActiveShares().find(
     share => share.userId.toString() === userId.toString()
   );
   
@@ -200,11 +302,38 @@ deviceSchema.methods.hasAccess = function(userId) {
   return { hasAccess: false, permissions: [] };
 };
 
+/**
+ * Method to list the owner and shared users of this device
+ */
+deviceSchema.methods.getMemberIds = function() {
+  return [
+    this.userId.toString(),
+    ...this.getActiveShares().map(share => share.userId.toString())
+  ];
+};
+
+/**
+ * Method to list shares that have not expired
+ */
+deviceSchema.methods.getActiveShares = function(date = new Date()) {
+  return this.sharedWith.filter(share => !share.expiresAt || share.expiresAt > date);
+};
+
+/**
+ * Method to check if a lock is paired with this device
+ */
+deviceSchema.methods.isPairedWith = function(lockId) {
+  return this.pairedLocks.some(
+    pair => pair.lockId.toString() === lockId.toString()
+  );
+};
+
 // Indexes for performance
 // Note: espId already has unique index, userId already has index: true in schema
 deviceSchema.index({ status: 1 });
 deviceSchema.index({ lastSeen: -1 });
 deviceSchema.index({ 'sharedWith.userId': 1 });
+deviceSchema.index({ 'pairedLocks.lockId': 1 });
 
 // Enable virtuals in JSON
 deviceSchema.set('toJSON', { virtuals: true });
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * DeviceShareInvitation Schema
+ * Pending offer from a device owner to share the device with another user.
+ * Accepting it adds the invitee to Device.sharedWith.
+ */
+const deviceShareInvitationSchema = new mongoose.Schema({
+  deviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: [true, 'Device ID is required'],
+    index: true
+  },
+  inviteeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Invitee is required'],
+    index: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  permission: {
+    type: String,
+    enum: ['view', 'control'],
+    default: 'view'
+  },
+  // When the resulting share stops granting access (optional)
+  expiresAt: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+deviceShareInvitationSchema.index({ inviteeId: 1, status: 1 });
+deviceShareInvitationSchema.index({ deviceId: 1, inviteeId: 1, status: 1 });
+
+const DeviceShareInvitation = mongoose.model('DeviceShareInvitation', deviceShareInvitationSchema);
+
+module.exports = DeviceShareInvitation;
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * GuestPass Schema
+ * PIN or QR code that lets a guest unlock a device's doors without admin approval.
+ * Only a hash of the code is stored - the plain code is shown once at creation.
+ */
+const guestPassSchema = new mongoose.Schema({
+  deviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: [true, 'Device ID is required'],
+    index: true
+  },
+  guestName: {
+    type: String,
+    required: [true, 'Guest name is required'],
+    trim: true,
+    maxlength: [100, 'Guest name cannot exceed 100 characters']
+  },
+  codeType: {
+    type: String,
+    enum: ['pin', 'qr'],
+    default: 'pin'
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  maxUses: {
+    type: Number,
+    default: 1,
+    min: [1, 'A pass must allow at least one use']
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  revoked: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  redemptions: [{
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    },
+    visitorLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VisitorLog'
+    },
+    ipAddress: String
+  }],
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Hash a pass code - scoped to the device so equal PINs on different devices don't collide
+ */
+guestPassSchema.statics.hashCode = function(deviceId, code) {
+  return crypto
+    .createHash('sha256')
+    .update(`${deviceId}:${String(code).trim()}`)
+    .digest('hex');
+};
+
+/**
+ * Method to check if the pass can be redeemed at a given instant
+ * @returns {Object} - { redeemable, reason }
+ */
+guestPassSchema.methods.checkRedeemable = function(date = new Date()) {
+  if (this.revoked) {
+    return { redeemable: false, reason: 'Pass has been revoked' };
+  }
+  if (date < this.validFrom) {
+    return { redeemable: false, reason: 'Pass is not valid yet' };
+  }
+  if (date > this.validUntil) {
+    return { redeemable: false, reason: 'Pass has expired' };
+  }
+  if (this.useCount >= this.maxUses) {
+    return { redeemable: false, reason: 'Pass has already been used' };
+  }
+  return { redeemable: true };
+};
+
+/**
+ * Virtual for remaining uses
+ */
+guestPassSchema.virtual('remainingUses').get(function() {
+  return Math.max(this.maxUses - this.useCount, 0);
+});
+
+guestPassSchema.index({ deviceId: 1, createdAt: -1 });
+
+// Enable virtuals in JSON
+guestPassSchema.set('toJSON', { virtuals: true });
+guestPassSchema.set('toObject', { virtuals: true });
+
+const GuestPass = mongoose.model('GuestPass', guestPassSchema);
+
+module.exports = GuestPass;
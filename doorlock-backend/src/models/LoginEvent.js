@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Login Event Schema
+ * One record per sign-in attempt, successful or not
+ */
+const loginEventSchema = new mongoose.Schema({
+  // Missing when the email didn't match any account
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Email the attempt was made with
+  identifier: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  // Which step failed, or how the user got in
+  reason: {
+    type: String,
+    enum: [
+      'success',
+      'invalid_password',
+      'invalid_second_factor',
+      'invalid_passkey',
+      'sso_rejected',
+      'unknown_user',
+      'inactive',
+      'locked'
+    ],
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['password', 'totp', 'recovery_code', 'passkey', 'sso']
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+loginEventSchema.index({ identifier: 1, createdAt: -1 });
+
+// Keep the history for LOGIN_HISTORY_TTL_DAYS (default 90)
+loginEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: (parseInt(process.env.LOGIN_HISTORY_TTL_DAYS) || 90) * 24 * 60 * 60 }
+);
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+
+module.exports = LoginEvent;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Passkey Schema
+ * A WebAuthn credential registered by a user. Only the public key is stored;
+ * the private key never leaves the authenticator.
+ */
+const passkeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  // Base64url credential ID chosen by the authenticator
+  credentialId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // COSE-encoded public key
+  publicKey: {
+    type: Buffer,
+    required: true
+  },
+  // Signature counter - a counter that goes backwards points to a cloned authenticator
+  counter: {
+    type: Number,
+    default: 0
+  },
+  transports: [{
+    type: String
+  }],
+  // 'singleDevice' or 'multiDevice' (synced passkey)
+  deviceType: {
+    type: String
+  },
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+  // Label shown in the admin app, e.g. "MacBook Touch ID"
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Passkey name cannot exceed 60 characters']
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+const Passkey = mongoose.model('Passkey', passkeySchema);
+
+module.exports = Passkey;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Password Reset Token Schema
+ * Server-side record of a reset link. The link itself carries a signed,
+ * expiring JWT referencing this record; the record makes it single-use.
+ */
+const passwordResetTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the link is used, or when a newer link replaces it
+  usedAt: {
+    type: Date
+  },
+  requestedIp: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Drop records a day after they expire
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
+module.exports = PasswordResetToken;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Role Schema
+ * A named set of permissions assigned to users through User.role
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]{1,29}$/, 'Role name must be 2-30 characters: lowercase letters, digits and underscore']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: ALL_PERMISSIONS
+  }],
+  // Built-in roles (super_admin, admin) can't be renamed or deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * Security Policy Schema
+ * System-wide authentication rules managed by super admins.
+ * A single document keyed 'global' holds the active policy.
+ */
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  // Users without 2FA must enroll before they can finish logging in
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Get the active policy, falling back to defaults when none was saved yet
+ */
+securityPolicySchema.statics.getPolicy = async function() {
+  const policy = await this.findOne({ key: 'global' });
+  return policy || new this({ key: 'global' });
+};
+
+const SecurityPolicy = mongoose.model('SecurityPolicy', securityPolicySchema);
+
+module.exports = SecurityPolicy;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema
+ * One login of a user. Access tokens carry the session ID (`sid`) and are
+ * only accepted while the session is not revoked; the refresh token is
+ * rotated on every use and only its hash is stored.
+ */
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Hash of the token that was rotated out - presenting it again means it leaked
+  previousRefreshTokenHash: {
+    type: String,
+    index: true,
+    select: false
+  },
+  // When the previous token was rotated out - the reuse grace period runs from here
+  rotatedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Last re-authentication - sensitive commands need one within the step-up window
+  stepUpAt: {
+    type: Date
+  },
+  stepUpMethod: {
+    type: String,
+    enum: ['password', 'totp', 'passkey']
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'password_change', 'token_reuse', 'revoked', 'admin']
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Method to check if the session can still be used
+ */
+sessionSchema.methods.isActive = function(date = new Date()) {
+  return !this.revokedAt && this.expiresAt > date;
+};
+
+// Let MongoDB drop sessions a day after their refresh token expires
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
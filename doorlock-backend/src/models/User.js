@@ -28,9 +28,11 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Name of a Role document - its permissions decide what the user may do
   role: {
     type: String,
-    enum: ['admin', 'super_admin'],
+    trim: true,
+    lowercase: true,
     default: 'admin'
   },
   isActive: {
@@ -40,6 +42,55 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Consecutive failed sign-ins; reset by a successful login
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Sign-in is refused until this time
+  lockedUntil: {
+    type: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during enrollment, promoted to `secret` once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step - a code can't be replayed within its window
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  // Identity provider account linked through OpenID Connect
+  sso: {
+    issuer: {
+      type: String
+    },
+    subject: {
+      type: String
+    },
+    linkedAt: {
+      type: Date
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -83,11 +134,18 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.passwordHash;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.recoveryCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
   delete user.__v;
   return user;
 };
 
 // Note: Indexes already created by unique: true on username and email fields
+userSchema.index({ 'sso.issuer': 1, 'sso.subject': 1 }, { unique: true, sparse: true });
 
 const User = mongoose.model('User', userSchema);
 
@@ -8,8 +8,8 @@ const visitorLogSchema = new mongoose.Schema({
   imageUrl: {
     type: String,
     required: function() {
-      // Image is required unless this is a bell press event
-      return !this.bellPressed;
+      // Image is required unless this is a bell press or guest pass redemption
+      return !this.bellPressed && this.decisionSource !== 'guest_pass';
     }
   },
   imagePublicId: {
@@ -28,7 +28,7 @@ const visitorLogSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'granted', 'denied', 'approved', 'rejected'],
+    enum: ['pending', 'granted', 'denied', 'approved', 'rejected', 'expired'],
     default: 'pending'
   },
   deviceId: {
@@ -56,6 +56,64 @@ const visitorLogSchema = new mongoose.Schema({
   processedAt: {
     type: Date
   },
+  expiresAt: {
+    type: Date // When a pending request times out (unset = never)
+  },
+  escalation: {
+    order: [{
+      // Users to page, in order
+      _id: false,
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: {
+        type: String,
+        enum: ['on_call', 'chain', 'owner']
+      }
+    }],
+    level: {
+      type: Number,
+      default: -1 // Index into order of the last user paged
+    },
+    nextEscalationAt: {
+      type: Date
+    },
+    steps: [{
+      level: Number,
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      username: String,
+      reason: {
+        type: String,
+        enum: ['on_call', 'chain', 'owner', 'broadcast']
+      },
+      notifiedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  decisionSource: {
+    type: String,
+    enum: ['admin', 'schedule', 'guest_pass', 'timeout']
+  },
+  accessScheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AccessSchedule'
+  },
+  accessScheduleName: {
+    type: String
+  },
+  guestPassId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GuestPass'
+  },
+  guestName: {
+    type: String
+  },
   note: {
     type: String,
     maxlength: [500, 'Note cannot exceed 500 characters']
@@ -105,6 +163,8 @@ visitorLogSchema.virtual('responseTime').get(function() {
 visitorLogSchema.index({ deviceId: 1, timestamp: -1 });
 visitorLogSchema.index({ status: 1, timestamp: -1 });
 visitorLogSchema.index({ adminId: 1 });
+visitorLogSchema.index({ status: 1, expiresAt: 1 });
+visitorLogSchema.index({ status: 1, 'escalation.nextEscalationAt': 1 });
 
 // Enable virtuals in JSON
 visitorLogSchema.set('toJSON', { virtuals: true });
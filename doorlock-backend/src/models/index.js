@@ -6,10 +6,36 @@ const User = require('./User');
 const VisitorLog = require('./VisitorLog');
 const Device = require('./Device');
 const DeviceEvent = require('./DeviceEvent');
+const AccessSchedule = require('./AccessSchedule');
+const GuestPass = require('./GuestPass');
+const DeviceShareInvitation = require('./DeviceShareInvitation');
+const Session = require('./Session');
+const SecurityPolicy = require('./SecurityPolicy');
+const PasswordResetToken = require('./PasswordResetToken');
+const Role = require('./Role');
+const LoginEvent = require('./LoginEvent');
+const Passkey = require('./Passkey');
+const ApiKey = require('./ApiKey');
+const ActivationCode = require('./ActivationCode');
+const Command = require('./Command');
+const CommandSchedule = require('./CommandSchedule');
 
 module.exports = {
   User,
   VisitorLog,
   Device,
-  DeviceEvent
+  DeviceEvent,
+  AccessSchedule,
+  GuestPass,
+  DeviceShareInvitation,
+  Session,
+  SecurityPolicy,
+  PasswordResetToken,
+  Role,
+  LoginEvent,
+  Passkey,
+  ApiKey,
+  ActivationCode,
+  Command,
+  CommandSchedule
 };
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const { authenticateSession, requireStepUp } = require('../middlewares/auth');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+/**
+ * API Key Routes
+ * Base path: /api/keys
+ * Managed from a signed-in session only - a key can't create or revoke keys
+ */
+
+/**
+ * @route   GET /api/keys
+ * @desc    List the current user's API keys
+ * @access  Private (session)
+ */
+router.get('/', authenticateSession, asyncHandler(apiKeyController.listKeys));
+
+/**
+ * @route   POST /api/keys
+ * @desc    Create an API key with a set of scopes, optionally limited to some devices
+ * @access  Private (session, recent step-up)
+ */
+router.post('/', authenticateSession, requireStepUp, asyncHandler(apiKeyController.createKey));
+
+/**
+ * @route   DELETE /api/keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (session)
+ */
+router.delete('/:id', authenticateSession, asyncHandler(apiKeyController.revokeKey));
+
+module.exports = router;
@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticate } = require('../middlewares/auth');
-const { authLimiter } = require('../middlewares/rateLimiter');
+const twoFactorController = require('../controllers/twoFactorController');
+const passkeyController = require('../controllers/passkeyController');
+const { authenticate, authenticateSession, requirePermission, requireStepUp, authenticateTwoFactorSetup } = require('../middlewares/auth');
+const { authLimiter, twoFactorLimiter, stepUpLimiter, passkeyLoginLimiter, passwordResetLimiter } = require('../middlewares/rateLimiter');
 const { asyncHandler } = require('../middlewares/errorHandler');
+const { PERMISSIONS } = require('../config/permissions');
 
 /**
  * Authentication Routes
@@ -24,6 +27,69 @@ router.post('/register', authLimiter, asyncHandler(authController.register));
  */
 router.post('/login', authLimiter, asyncHandler(authController.login));
 
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Second login step - exchange a challenge token and TOTP/recovery code for tokens
+ * @access  Public (challenge token)
+ */
+router.post('/2fa/verify', twoFactorLimiter, asyncHandler(authController.verifyTwoFactor));
+
+/**
+ * @route   POST /api/auth/passkeys/login/options
+ * @desc    Start a passkey sign-in (WebAuthn assertion options)
+ * @access  Public
+ */
+router.post('/passkeys/login/options', passkeyLoginLimiter, asyncHandler(authController.passkeyLoginOptions));
+
+/**
+ * @route   POST /api/auth/passkeys/login
+ * @desc    Sign in with a passkey assertion
+ * @access  Public (challenge token)
+ */
+router.post('/passkeys/login', authLimiter, asyncHandler(authController.loginWithPasskey));
+
+/**
+ * @route   GET /api/auth/oidc/config
+ * @desc    Whether single sign-on is configured (and the provider's display name)
+ * @access  Public
+ */
+router.get('/oidc/config', asyncHandler(authController.oidcConfig));
+
+/**
+ * @route   POST /api/auth/oidc/authorize
+ * @desc    Start single sign-on (provider URL + state token)
+ * @access  Public
+ */
+router.post('/oidc/authorize', asyncHandler(authController.oidcAuthorize));
+
+/**
+ * @route   POST /api/auth/oidc/callback
+ * @desc    Finish single sign-on with the provider's authorization code
+ * @access  Public (state token)
+ */
+router.post('/oidc/callback', authLimiter, asyncHandler(authController.oidcCallback));
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public (refresh token)
+ */
+router.post('/refresh', asyncHandler(authController.refresh));
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', passwordResetLimiter, asyncHandler(authController.forgotPassword));
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset link token
+ * @access  Public (reset token)
+ */
+router.post('/reset-password', passwordResetLimiter, asyncHandler(authController.resetPassword));
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user profile
@@ -33,16 +99,142 @@ router.get('/me', authenticate, asyncHandler(authController.getProfile));
 
 /**
  * @route   PUT /api/auth/password
- * @desc    Update user password
+ * @desc    Update user password and sign out other sessions
  * @access  Private
  */
-router.put('/password', authenticate, asyncHandler(authController.updatePassword));
+router.put('/password', authenticateSession, asyncHandler(authController.updatePassword));
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (log event)
+ * @desc    Logout user and revoke the session (or all sessions)
+ * @access  Private
+ */
+router.post('/logout', authenticateSession, asyncHandler(authController.logout));
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions
+ * @access  Private
+ */
+router.get('/sessions', authenticateSession, asyncHandler(authController.getSessions));
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out all other sessions of the current user
+ * @access  Private
+ */
+router.delete('/sessions', authenticateSession, asyncHandler(authController.revokeOtherSessions));
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign out one session of the current user
  * @access  Private
  */
-router.post('/logout', authenticate, asyncHandler(authController.logout));
+router.delete('/sessions/:sessionId', authenticateSession, asyncHandler(authController.revokeSessionById));
+
+/**
+ * @route   GET /api/auth/login-history
+ * @desc    Recent sign-in attempts on the current user's account
+ * @access  Private
+ */
+router.get('/login-history', authenticateSession, asyncHandler(authController.getLoginHistoryEntries));
+
+/**
+ * @route   GET /api/auth/step-up
+ * @desc    Step-up status of the current session
+ * @access  Private
+ */
+router.get('/step-up', authenticateSession, asyncHandler(authController.getStepUpStatus));
+
+/**
+ * @route   POST /api/auth/step-up/passkey-options
+ * @desc    Passkey challenge for re-authenticating the current session
+ * @access  Private
+ */
+router.post('/step-up/passkey-options', authenticateSession, asyncHandler(authController.stepUpPasskeyOptions));
+
+/**
+ * @route   POST /api/auth/step-up
+ * @desc    Re-authenticate (password, TOTP or passkey) before sensitive commands
+ * @access  Private
+ */
+router.post('/step-up', stepUpLimiter, authenticateSession, asyncHandler(authController.stepUp));
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor status of the current user
+ * @access  Private
+ */
+router.get('/2fa', authenticateSession, asyncHandler(twoFactorController.getStatus));
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start TOTP enrollment (returns secret and QR code)
+ * @access  Private (or setup challenge token)
+ */
+router.post('/2fa/setup', twoFactorLimiter, authenticateTwoFactorSetup, asyncHandler(twoFactorController.setup));
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a code and receive recovery codes
+ * @access  Private (or setup challenge token)
+ */
+router.post('/2fa/enable', twoFactorLimiter, authenticateTwoFactorSetup, asyncHandler(twoFactorController.enable));
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/disable', twoFactorLimiter, authenticateSession, asyncHandler(twoFactorController.disable));
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', twoFactorLimiter, authenticateSession, asyncHandler(twoFactorController.newRecoveryCodes));
+
+/**
+ * @route   GET /api/auth/passkeys
+ * @desc    List the current user's passkeys
+ * @access  Private
+ */
+router.get('/passkeys', authenticateSession, asyncHandler(passkeyController.listPasskeys));
+
+/**
+ * @route   POST /api/auth/passkeys/register/options
+ * @desc    Start registering a passkey (WebAuthn creation options)
+ * @access  Private (recent step-up)
+ */
+router.post('/passkeys/register/options', authenticateSession, requireStepUp, asyncHandler(passkeyController.registrationOptions));
+
+/**
+ * @route   POST /api/auth/passkeys/register
+ * @desc    Finish registering a passkey
+ * @access  Private (recent step-up)
+ */
+router.post('/passkeys/register', authenticateSession, requireStepUp, asyncHandler(passkeyController.register));
+
+/**
+ * @route   DELETE /api/auth/passkeys/:id
+ * @desc    Remove a passkey
+ * @access  Private (recent step-up)
+ */
+router.delete('/passkeys/:id', authenticateSession, requireStepUp, asyncHandler(passkeyController.removePasskey));
+
+/**
+ * @route   GET /api/auth/security-policy
+ * @desc    Get the system-wide security policy
+ * @access  Private
+ */
+router.get('/security-policy', authenticate, asyncHandler(twoFactorController.getSecurityPolicy));
+
+/**
+ * @route   PUT /api/auth/security-policy
+ * @desc    Update the security policy (e.g. require 2FA for everyone)
+ * @access  Private (security:manage)
+ */
+router.put('/security-policy', authenticate, requirePermission(PERMISSIONS.SECURITY_MANAGE), asyncHandler(twoFactorController.updateSecurityPolicy));
 
 module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const commandController = require('../controllers/commandController');
-const { authenticate } = require('../middlewares/auth');
+const { authenticate, requirePermission, requireStepUp } = require('../middlewares/auth');
 const { asyncHandler } = require('../middlewares/errorHandler');
+const { PERMISSIONS } = require('../config/permissions');
 
 /**
  * Command Routes
@@ -12,22 +13,22 @@ const { asyncHandler } = require('../middlewares/errorHandler');
 /**
  * @route   POST /api/command/open
  * @desc    Send OPEN command to ESP32 (grant access)
- * @access  Private (Admin only)
+ * @access  Private (visitors:approve, recent step-up)
  */
-router.post('/open', authenticate, asyncHandler(commandController.openDoor));
+router.post('/open', authenticate, requirePermission(PERMISSIONS.VISITORS_APPROVE), requireStepUp, asyncHandler(commandController.openDoor));
 
 /**
  * @route   POST /api/command/deny
  * @desc    Send DENY command to ESP32 (deny access)
- * @access  Private (Admin only)
+ * @access  Private (visitors:approve)
  */
-router.post('/deny', authenticate, asyncHandler(commandController.denyDoor));
+router.post('/deny', authenticate, requirePermission(PERMISSIONS.VISITORS_APPROVE), asyncHandler(commandController.denyDoor));
 
 /**
  * @route   GET /api/command/history
  * @desc    Get command history (all admin decisions)
- * @access  Private
+ * @access  Private (logs:view)
  */
-router.get('/history', authenticate, asyncHandler(commandController.getCommandHistory));
+router.get('/history', authenticate, requirePermission(PERMISSIONS.LOGS_VIEW), asyncHandler(commandController.getCommandHistory));
 
 module.exports = router;
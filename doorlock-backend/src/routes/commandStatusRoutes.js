@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const commandStatusController = require('../controllers/commandStatusController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Command Status Routes
+ * Base path: /api/commands
+ */
+
+/**
+ * @route   GET /api/commands/:commandId
+ * @desc    Get a device command's status and history (?wait=10s holds until it completes)
+ * @access  Private (locks:control or logs:view, access to the command's device)
+ */
+router.get('/:commandId', authenticate, requirePermission(PERMISSIONS.LOCKS_CONTROL, PERMISSIONS.LOGS_VIEW), asyncHandler(commandStatusController.getCommand));
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const dashboardController = require('../controllers/dashboardController');
-const { authenticate } = require('../middlewares/auth');
+const { authenticate, requirePermission } = require('../middlewares/auth');
 const { asyncHandler } = require('../middlewares/errorHandler');
+const { PERMISSIONS } = require('../config/permissions');
 
 /**
  * Dashboard Routes
@@ -12,29 +13,29 @@ const { asyncHandler } = require('../middlewares/errorHandler');
 /**
  * @route   GET /api/dashboard/stats
  * @desc    Get dashboard statistics (devices, visitors, activity)
- * @access  Private
+ * @access  Private (devices:view)
  */
-router.get('/stats', authenticate, asyncHandler(dashboardController.getDashboardStats));
+router.get('/stats', authenticate, requirePermission(PERMISSIONS.DEVICES_VIEW), asyncHandler(dashboardController.getDashboardStats));
 
 /**
  * @route   GET /api/dashboard/activity
  * @desc    Get recent activity for dashboard
- * @access  Private
+ * @access  Private (devices:view)
  */
-router.get('/activity', authenticate, asyncHandler(dashboardController.getRecentActivity));
+router.get('/activity', authenticate, requirePermission(PERMISSIONS.DEVICES_VIEW), asyncHandler(dashboardController.getRecentActivity));
 
 /**
  * @route   GET /api/dashboard/devices-summary
  * @desc    Get devices summary grouped by type
- * @access  Private
+ * @access  Private (devices:view)
  */
-router.get('/devices-summary', authenticate, asyncHandler(dashboardController.getDevicesSummary));
+router.get('/devices-summary', authenticate, requirePermission(PERMISSIONS.DEVICES_VIEW), asyncHandler(dashboardController.getDevicesSummary));
 
 /**
  * @route   GET /api/dashboard/alerts
  * @desc    Get alerts and notifications count
- * @access  Private
+ * @access  Private (devices:view)
  */
-router.get('/alerts', authenticate, asyncHandler(dashboardController.getAlerts));
+router.get('/alerts', authenticate, requirePermission(PERMISSIONS.DEVICES_VIEW), asyncHandler(dashboardController.getAlerts));
 
 module.exports = router;
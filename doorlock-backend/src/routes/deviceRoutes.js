@@ -1,8 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const deviceController = require('../controllers/deviceController');
-const { authenticate, authorize } = require('../middlewares/auth');
+const accessScheduleController = require('../controllers/accessScheduleController');
+const guestPassController = require('../controllers/guestPassController');
+const escalationController = require('../controllers/escalationController');
+const deviceShareController = require('../controllers/deviceShareController');
+const commandStatusController = require('../controllers/commandStatusController');
+const commandScheduleController = require('../controllers/commandScheduleController');
+const { authenticate, authenticateSession, requirePermission } = require('../middlewares/auth');
+const { activationLimiter } = require('../middlewares/rateLimiter');
 const { asyncHandler } = require('../middlewares/errorHandler');
+const { PERMISSIONS } = require('../config/permissions');
 
 /**
  * Device Routes
@@ -12,51 +20,72 @@ const { asyncHandler } = require('../middlewares/errorHandler');
 /**
  * @route   POST /api/device/register
  * @desc    Register new ESP32 device
- * @access  Private (Admin only)
+ * @access  Private (devices:manage)
  */
-router.post('/register', authenticate, asyncHandler(deviceController.registerDevice));
+router.post('/register', authenticate, requirePermission(PERMISSIONS.DEVICES_MANAGE), asyncHandler(deviceController.registerDevice));
 
 /**
  * @route   GET /api/device
  * @desc    Get all devices
- * @access  Private
+ * @access  Private (devices:view)
  */
-router.get('/', authenticate, asyncHandler(deviceController.getAllDevices));
+router.get('/', authenticate, requirePermission(PERMISSIONS.DEVICES_VIEW), asyncHandler(deviceController.getAllDevices));
 
 /**
  * @route   GET /api/device/stats
  * @desc    Get device statistics
+ * @access  Private (devices:view)
+ */
+router.get('/stats', authenticate, requirePermission(PERMISSIONS.DEVICES_VIEW), asyncHandler(deviceController.getDeviceStats));
+
+/**
+ * @route   GET /api/device/invitations
+ * @desc    Get pending share invitations for the current user
  * @access  Private
  */
-router.get('/stats', authenticate, asyncHandler(deviceController.getDeviceStats));
+router.get('/invitations', authenticateSession, asyncHandler(deviceShareController.getMyInvitations));
+
+/**
+ * @route   POST /api/device/invitations/:invitationId/accept
+ * @desc    Accept a share invitation
+ * @access  Private (invitee only)
+ */
+router.post('/invitations/:invitationId/accept', authenticateSession, asyncHandler(deviceShareController.acceptInvitation));
+
+/**
+ * @route   POST /api/device/invitations/:invitationId/decline
+ * @desc    Decline a share invitation
+ * @access  Private (invitee only)
+ */
+router.post('/invitations/:invitationId/decline', authenticateSession, asyncHandler(deviceShareController.declineInvitation));
 
 /**
  * @route   GET /api/device/:id
  * @desc    Get device by ID
- * @access  Private
+ * @access  Private (devices:view)
  */
-router.get('/:id', authenticate, asyncHandler(deviceController.getDeviceById));
+router.get('/:id', authenticate, requirePermission(PERMISSIONS.DEVICES_VIEW), asyncHandler(deviceController.getDeviceById));
 
 /**
  * @route   PUT /api/device/:id
  * @desc    Update device
- * @access  Private (Admin only)
+ * @access  Private (devices:manage)
  */
-router.put('/:id', authenticate, asyncHandler(deviceController.updateDevice));
+router.put('/:id', authenticate, requirePermission(PERMISSIONS.DEVICES_MANAGE), asyncHandler(deviceController.updateDevice));
 
 /**
- * @route   GET /api/device/:id/qr
- * @desc    Get device QR code for onboarding
- * @access  Private
+ * @route   POST /api/device/:id/rotate-token
+ * @desc    Issue a new device token and onboarding QR (old token works for a grace period)
+ * @access  Private (devices:manage, device admin)
  */
-router.get('/:id/qr', authenticate, asyncHandler(deviceController.getDeviceQR));
+router.post('/:id/rotate-token', authenticate, requirePermission(PERMISSIONS.DEVICES_MANAGE), asyncHandler(deviceController.rotateToken));
 
 /**
  * @route   POST /api/device/activate
- * @desc    Activate device using QR code token
- * @access  Public (uses device token for auth)
+ * @desc    Exchange the onboarding QR's one-time activation code for the device token
+ * @access  Public (activation code)
  */
-router.post('/activate', asyncHandler(deviceController.activateDevice));
+router.post('/activate', activationLimiter, asyncHandler(deviceController.activateDevice));
 
 /**
  * @route   POST /api/device/:id/heartbeat
@@ -67,16 +96,170 @@ router.post('/:id/heartbeat', asyncHandler(deviceController.deviceHeartbeat));
 
 /**
  * @route   POST /api/device/:id/command
- * @desc    Send command to device (lock_door, unlock_door, request_snapshot, etc.)
- * @access  Private
+ * @desc    Send command to device (lock_door, unlock_door, request_snapshot, etc.; ?wait=10s holds until it completes)
+ * @access  Private (locks:control, unlock_door and firmware_update need a recent step-up)
+ */
+router.post('/:id/command', authenticate, requirePermission(PERMISSIONS.LOCKS_CONTROL), asyncHandler(deviceController.sendDeviceCommand));
+
+/**
+ * @route   GET /api/device/:id/commands
+ * @desc    List commands sent to a device (filter by status, command, from/to)
+ * @access  Private (locks:control or logs:view)
+ */
+router.get('/:id/commands', authenticate, requirePermission(PERMISSIONS.LOCKS_CONTROL, PERMISSIONS.LOGS_VIEW), asyncHandler(commandStatusController.getDeviceCommands));
+
+/**
+ * @route   GET /api/device/:id/locks
+ * @desc    Get door locks paired with a device
+ * @access  Private (devices:view)
+ */
+router.get('/:id/locks', authenticate, requirePermission(PERMISSIONS.DEVICES_VIEW), asyncHandler(deviceController.getPairedLocks));
+
+/**
+ * @route   POST /api/device/:id/locks
+ * @desc    Pair a door lock with a device (camera approvals unlock paired locks)
+ * @access  Private (devices:manage, control permission on both devices)
+ */
+router.post('/:id/locks', authenticate, requirePermission(PERMISSIONS.DEVICES_MANAGE), asyncHandler(deviceController.pairLock));
+
+/**
+ * @route   DELETE /api/device/:id/locks/:lockId
+ * @desc    Unpair a door lock from a device
+ * @access  Private (devices:manage)
+ */
+router.delete('/:id/locks/:lockId', authenticate, requirePermission(PERMISSIONS.DEVICES_MANAGE), asyncHandler(deviceController.unpairLock));
+
+/**
+ * @route   GET /api/device/:id/schedules
+ * @desc    Get access schedules (auto-approval windows) of a device
+ * @access  Private (devices:view)
+ */
+router.get('/:id/schedules', authenticate, requirePermission(PERMISSIONS.DEVICES_VIEW), asyncHandler(accessScheduleController.getSchedules));
+
+/**
+ * @route   POST /api/device/:id/schedules
+ * @desc    Create access schedule
+ * @access  Private (devices:manage, control permission)
+ */
+router.post('/:id/schedules', authenticate, requirePermission(PERMISSIONS.DEVICES_MANAGE), asyncHandler(accessScheduleController.createSchedule));
+
+/**
+ * @route   PUT /api/device/:id/schedules/:scheduleId
+ * @desc    Update access schedule
+ * @access  Private (devices:manage, control permission)
+ */
+router.put('/:id/schedules/:scheduleId', authenticate, requirePermission(PERMISSIONS.DEVICES_MANAGE), asyncHandler(accessScheduleController.updateSchedule));
+
+/**
+ * @route   DELETE /api/device/:id/schedules/:scheduleId
+ * @desc    Delete access schedule
+ * @access  Private (devices:manage, control permission)
+ */
+router.delete('/:id/schedules/:scheduleId', authenticate, requirePermission(PERMISSIONS.DEVICES_MANAGE), asyncHandler(accessScheduleController.deleteSchedule));
+
+/**
+ * @route   GET /api/device/:id/command-schedules
+ * @desc    Get scheduled commands (one-off and weekly) of a device
+ * @access  Private (devices:view)
+ */
+router.get('/:id/command-schedules', authenticate, requirePermission(PERMISSIONS.DEVICES_VIEW), asyncHandler(commandScheduleController.getCommandSchedules));
+
+/**
+ * @route   POST /api/device/:id/command-schedules
+ * @desc    Create command schedule
+ * @access  Private (locks:control, control permission)
+ */
+router.post('/:id/command-schedules', authenticate, requirePermission(PERMISSIONS.LOCKS_CONTROL), asyncHandler(commandScheduleController.createCommandSchedule));
+
+/**
+ * @route   PUT /api/device/:id/command-schedules/:scheduleId
+ * @desc    Update command schedule
+ * @access  Private (locks:control, control permission)
+ */
+router.put('/:id/command-schedules/:scheduleId', authenticate, requirePermission(PERMISSIONS.LOCKS_CONTROL), asyncHandler(commandScheduleController.updateCommandSchedule));
+
+/**
+ * @route   DELETE /api/device/:id/command-schedules/:scheduleId
+ * @desc    Delete command schedule
+ * @access  Private (locks:control, control permission)
+ */
+router.delete('/:id/command-schedules/:scheduleId', authenticate, requirePermission(PERMISSIONS.LOCKS_CONTROL), asyncHandler(commandScheduleController.deleteCommandSchedule));
+
+/**
+ * @route   GET /api/device/:id/escalation
+ * @desc    Get the escalation chain and on-call rotation of a device
+ * @access  Private (devices:view)
+ */
+router.get('/:id/escalation', authenticate, requirePermission(PERMISSIONS.DEVICES_VIEW), asyncHandler(escalationController.getEscalation));
+
+/**
+ * @route   PUT /api/device/:id/escalation
+ * @desc    Update the escalation chain and on-call rotation
+ * @access  Private (devices:manage, admin permission)
+ */
+router.put('/:id/escalation', authenticate, requirePermission(PERMISSIONS.DEVICES_MANAGE), asyncHandler(escalationController.updateEscalation));
+
+/**
+ * @route   GET /api/device/:id/shares
+ * @desc    Get people with access to a device and pending invitations
+ * @access  Private (devices:view, admin permission)
+ */
+router.get('/:id/shares', authenticate, requirePermission(PERMISSIONS.DEVICES_VIEW), asyncHandler(deviceShareController.getShares));
+
+/**
+ * @route   POST /api/device/:id/shares
+ * @desc    Invite a user by email or username with view or control permission
+ * @access  Private (devices:share, admin permission)
+ */
+router.post('/:id/shares', authenticate, requirePermission(PERMISSIONS.DEVICES_SHARE), asyncHandler(deviceShareController.inviteUser));
+
+/**
+ * @route   PUT /api/device/:id/shares/:userId
+ * @desc    Change permission or expiry of a share
+ * @access  Private (devices:share, admin permission)
+ */
+router.put('/:id/shares/:userId', authenticateSession, requirePermission(PERMISSIONS.DEVICES_SHARE), asyncHandler(deviceShareController.updateShare));
+
+/**
+ * @route   DELETE /api/device/:id/shares/:userId
+ * @desc    Revoke a user's access (or leave a device shared with you)
+ * @access  Private (devices:share and admin permission, or the shared user)
+ */
+router.delete('/:id/shares/:userId', authenticateSession, asyncHandler(deviceShareController.revokeShare));
+
+/**
+ * @route   DELETE /api/device/:id/invitations/:invitationId
+ * @desc    Cancel a pending share invitation
+ * @access  Private (devices:share, admin permission)
+ */
+router.delete('/:id/invitations/:invitationId', authenticate, requirePermission(PERMISSIONS.DEVICES_SHARE), asyncHandler(deviceShareController.cancelInvitation));
+
+/**
+ * @route   GET /api/device/:id/passes
+ * @desc    Get guest passes of a device with redemption history
+ * @access  Private (guests:manage)
+ */
+router.get('/:id/passes', authenticate, requirePermission(PERMISSIONS.GUESTS_MANAGE), asyncHandler(guestPassController.getPasses));
+
+/**
+ * @route   POST /api/device/:id/passes
+ * @desc    Issue a guest pass (PIN or QR) - the code is only returned once
+ * @access  Private (guests:manage, control permission)
+ */
+router.post('/:id/passes', authenticate, requirePermission(PERMISSIONS.GUESTS_MANAGE), asyncHandler(guestPassController.createPass));
+
+/**
+ * @route   POST /api/device/:id/passes/:passId/revoke
+ * @desc    Revoke a guest pass
+ * @access  Private (guests:manage, control permission)
  */
-router.post('/:id/command', authenticate, asyncHandler(deviceController.sendDeviceCommand));
+router.post('/:id/passes/:passId/revoke', authenticate, requirePermission(PERMISSIONS.GUESTS_MANAGE), asyncHandler(guestPassController.revokePass));
 
 /**
  * @route   DELETE /api/device/:id
  * @desc    Delete device
- * @access  Private (Admin only)
+ * @access  Private (devices:manage)
  */
-router.delete('/:id', authenticate, asyncHandler(deviceController.deleteDevice));
+router.delete('/:id', authenticate, requirePermission(PERMISSIONS.DEVICES_MANAGE), asyncHandler(deviceController.deleteDevice));
 
 module.exports = router;
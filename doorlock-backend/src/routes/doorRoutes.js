@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const doorController = require('../controllers/doorController');
-const { authenticate, flexAuth, optionalAuth } = require('../middlewares/auth');
+const guestPassController = require('../controllers/guestPassController');
+const { authenticate, requirePermission, authenticateDevice, flexAuth, optionalAuth } = require('../middlewares/auth');
 const { upload } = require('../middlewares/upload');
-const { uploadLimiter } = require('../middlewares/rateLimiter');
+const { uploadLimiter, redeemLimiter } = require('../middlewares/rateLimiter');
 const { asyncHandler } = require('../middlewares/errorHandler');
+const { PERMISSIONS } = require('../config/permissions');
 
 /**
  * Door Routes
@@ -14,41 +16,54 @@ const { asyncHandler } = require('../middlewares/errorHandler');
 /**
  * @route   POST /api/door/upload
  * @desc    Upload visitor photo from DoorApp
- * @access  Public (can be secured with device token)
+ * @access  Device (x-device-id / x-device-token headers)
  */
 router.post(
   '/upload',
   uploadLimiter,
+  authenticateDevice,
   upload.single('image'),
   asyncHandler(doorController.uploadVisitorPhoto)
 );
 
+/**
+ * @route   POST /api/door/redeem
+ * @desc    Redeem a guest pass PIN or QR code at the door camera
+ * @access  Device (x-device-id / x-device-token headers)
+ */
+router.post(
+  '/redeem',
+  redeemLimiter,
+  authenticateDevice,
+  asyncHandler(guestPassController.redeemPass)
+);
+
 /**
  * @route   GET /api/door/logs
  * @desc    Get all visitor logs with pagination and filters
- * @access  Private (JWT) or Device (device token)
+ * @access  Private (JWT, visitors:view) or Device (device token)
  */
 router.get('/logs', flexAuth, asyncHandler(doorController.getVisitorLogs));
 
 /**
  * @route   GET /api/door/logs/pending
  * @desc    Get pending visitor logs
- * @access  Private
+ * @access  Private (visitors:view)
  */
-router.get('/logs/pending', authenticate, asyncHandler(doorController.getPendingLogs));
+router.get('/logs/pending', authenticate, requirePermission(PERMISSIONS.VISITORS_VIEW), asyncHandler(doorController.getPendingLogs));
 
 /**
  * @route   GET /api/door/logs/:id
  * @desc    Get single visitor log by ID
- * @access  Private
+ * @access  Private (visitors:view)
  */
-router.get('/logs/:id', authenticate, asyncHandler(doorController.getVisitorLogById));
+router.get('/logs/:id', authenticate, requirePermission(PERMISSIONS.VISITORS_VIEW), asyncHandler(doorController.getVisitorLogById));
 
 /**
  * @route   GET /api/door/stats
  * @desc    Get visitor statistics
- * @access  Private
+ * @access  Private (visitors:view)
  */
-router.get('/stats', authenticate, asyncHandler(doorController.getVisitorStats));
+router.get('/stats', authenticate, requirePermission(PERMISSIONS.VISITORS_VIEW), asyncHandler(doorController.getVisitorStats));
 
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middlewares/auth');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const { successResponse, errorResponse } = require('../utils/response');
 const { getMQTTClient } = require('../config/mqtt');
 const { getIO } = require('../config/socket');
@@ -25,7 +26,7 @@ router.get('/', (req, res) => {
  * Detailed health check (authenticated)
  * GET /api/health/detailed
  */
-router.get('/detailed', authenticate, async (req, res) => {
+router.get('/detailed', authenticate, requirePermission(PERMISSIONS.SYSTEM_MONITOR), async (req, res) => {
   try {
     const health = {
       timestamp: new Date(),
@@ -129,7 +130,7 @@ router.get('/detailed', authenticate, async (req, res) => {
  * Get device connection details
  * GET /api/health/devices
  */
-router.get('/devices', authenticate, async (req, res) => {
+router.get('/devices', authenticate, requirePermission(PERMISSIONS.SYSTEM_MONITOR), async (req, res) => {
   try {
     const connectedDevices = deviceConnectionManager.getAllConnectedDevices();
     
@@ -164,7 +165,7 @@ router.get('/devices', authenticate, async (req, res) => {
  * Get system metrics
  * GET /api/health/metrics
  */
-router.get('/metrics', authenticate, async (req, res) => {
+router.get('/metrics', authenticate, requirePermission(PERMISSIONS.SYSTEM_MONITOR), async (req, res) => {
   try {
     const DeviceEvent = require('../models/DeviceEvent');
     const { VisitorLog } = require('../models');
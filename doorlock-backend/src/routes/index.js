@@ -5,10 +5,14 @@ const router = express.Router();
 const authRoutes = require('./authRoutes');
 const doorRoutes = require('./doorRoutes');
 const commandRoutes = require('./commandRoutes');
+const commandStatusRoutes = require('./commandStatusRoutes');
 const deviceRoutes = require('./deviceRoutes');
 const healthRoutes = require('./healthRoutes');
 const logsRoutes = require('./logsRoutes');
 const dashboardRoutes = require('./dashboardRoutes');
+const userRoutes = require('./userRoutes');
+const roleRoutes = require('./roleRoutes');
+const apiKeyRoutes = require('./apiKeyRoutes');
 
 /**
  * Central Route Index
@@ -19,9 +23,13 @@ const dashboardRoutes = require('./dashboardRoutes');
 router.use('/auth', authRoutes);
 router.use('/door', doorRoutes);
 router.use('/command', commandRoutes);
+router.use('/commands', commandStatusRoutes);
 router.use('/device', deviceRoutes);
 router.use('/health', healthRoutes);
 router.use('/logs', logsRoutes);
 router.use('/dashboard', dashboardRoutes);
+router.use('/users', userRoutes);
+router.use('/roles', roleRoutes);
+router.use('/keys', apiKeyRoutes);
 
 module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const logsController = require('../controllers/logsController');
-const { authenticate } = require('../middlewares/auth');
+const { authenticate, requirePermission } = require('../middlewares/auth');
 const { asyncHandler } = require('../middlewares/errorHandler');
+const { PERMISSIONS } = require('../config/permissions');
 
 /**
  * Logs Routes
@@ -12,43 +13,43 @@ const { asyncHandler } = require('../middlewares/errorHandler');
 /**
  * @route   GET /api/logs
  * @desc    Get all logs (device events and visitor logs combined)
- * @access  Private
+ * @access  Private (logs:view)
  */
-router.get('/', authenticate, asyncHandler(logsController.getAllLogs));
+router.get('/', authenticate, requirePermission(PERMISSIONS.LOGS_VIEW), asyncHandler(logsController.getAllLogs));
 
 /**
  * @route   GET /api/logs/activity
  * @desc    Get activity logs (device events only)
- * @access  Private
+ * @access  Private (logs:view)
  */
-router.get('/activity', authenticate, asyncHandler(logsController.getActivityLogs));
+router.get('/activity', authenticate, requirePermission(PERMISSIONS.LOGS_VIEW), asyncHandler(logsController.getActivityLogs));
 
 /**
  * @route   GET /api/logs/visitors
  * @desc    Get visitor logs
- * @access  Private
+ * @access  Private (visitors:view)
  */
-router.get('/visitors', authenticate, asyncHandler(logsController.getVisitorLogs));
+router.get('/visitors', authenticate, requirePermission(PERMISSIONS.VISITORS_VIEW), asyncHandler(logsController.getVisitorLogs));
 
 /**
  * @route   GET /api/logs/device/:deviceId
  * @desc    Get logs for a specific device
- * @access  Private
+ * @access  Private (logs:view)
  */
-router.get('/device/:deviceId', authenticate, asyncHandler(logsController.getLogsByDevice));
+router.get('/device/:deviceId', authenticate, requirePermission(PERMISSIONS.LOGS_VIEW), asyncHandler(logsController.getLogsByDevice));
 
 /**
  * @route   GET /api/logs/type/:type
  * @desc    Get logs by event type
- * @access  Private
+ * @access  Private (logs:view)
  */
-router.get('/type/:type', authenticate, asyncHandler(logsController.getLogsByType));
+router.get('/type/:type', authenticate, requirePermission(PERMISSIONS.LOGS_VIEW), asyncHandler(logsController.getLogsByType));
 
 /**
  * @route   DELETE /api/logs
  * @desc    Clear old logs
- * @access  Private
+ * @access  Private (logs:clear)
  */
-router.delete('/', authenticate, asyncHandler(logsController.clearLogs));
+router.delete('/', authenticate, requirePermission(PERMISSIONS.LOGS_CLEAR), asyncHandler(logsController.clearLogs));
 
 module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/roleController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Role Routes
+ * Base path: /api/roles
+ */
+
+/**
+ * @route   GET /api/roles
+ * @desc    List roles (with user counts) and the permission catalog
+ * @access  Private (roles:manage or users:manage)
+ */
+router.get('/', authenticate, requirePermission(PERMISSIONS.ROLES_MANAGE, PERMISSIONS.USERS_MANAGE), asyncHandler(roleController.listRoles));
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a custom role
+ * @access  Private (roles:manage)
+ */
+router.post('/', authenticate, requirePermission(PERMISSIONS.ROLES_MANAGE), asyncHandler(roleController.addRole));
+
+/**
+ * @route   PUT /api/roles/:name
+ * @desc    Change a role's description or permissions
+ * @access  Private (roles:manage)
+ */
+router.put('/:name', authenticate, requirePermission(PERMISSIONS.ROLES_MANAGE), asyncHandler(roleController.editRole));
+
+/**
+ * @route   DELETE /api/roles/:name
+ * @desc    Delete a custom role nobody holds
+ * @access  Private (roles:manage)
+ */
+router.delete('/:name', authenticate, requirePermission(PERMISSIONS.ROLES_MANAGE), asyncHandler(roleController.removeRole));
+
+module.exports = router;
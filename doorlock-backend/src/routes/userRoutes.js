@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * User Routes
+ * Base path: /api/users
+ */
+
+/**
+ * @route   GET /api/users
+ * @desc    List users (filters: search, role, isActive)
+ * @access  Private (users:manage)
+ */
+router.get('/', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), asyncHandler(userController.getUsers));
+
+/**
+ * @route   POST /api/users
+ * @desc    Create a user
+ * @access  Private (users:manage)
+ */
+router.post('/', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), asyncHandler(userController.createUser));
+
+/**
+ * @route   GET /api/users/:id
+ * @desc    Get a user with their owned and shared devices
+ * @access  Private (users:manage)
+ */
+router.get('/:id', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), asyncHandler(userController.getUserById));
+
+/**
+ * @route   PATCH /api/users/:id
+ * @desc    Change a user's role or activate/deactivate them
+ * @access  Private (users:manage)
+ */
+router.patch('/:id', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), asyncHandler(userController.updateUser));
+
+/**
+ * @route   DELETE /api/users/:id/2fa
+ * @desc    Reset a user's two-factor authentication
+ * @access  Private (users:manage)
+ */
+router.delete('/:id/2fa', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), asyncHandler(userController.resetUserTwoFactor));
+
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Lift a sign-in lockout
+ * @access  Private (users:manage)
+ */
+router.post('/:id/unlock', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), asyncHandler(userController.unlockUser));
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const { AccessSchedule } = require('../models');
+const { unlockPairedLocks } = require('./lockService');
+const { emitToRoom, SOCKET_EVENTS } = require('../config/socketEmitter');
+const { checkActingUserAccess } = require('../utils/deviceAccess');
+const logger = require('../utils/logger');
+
+/**
+ * Access Schedule Service
+ * Auto-approves visitors that arrive inside one of a device's access schedules
+ */
+
+/**
+ * Find the first enabled schedule of a device that covers a given instant
+ * @param {String} deviceId - Device ID
+ * @param {Date} date - Instant to check (defaults to now)
+ * @returns {Promise<Object|null>} - Matching schedule or null
+ */
+const findMatchingSchedule = async (deviceId, date = new Date()) => {
+  const schedules = await AccessSchedule.find({ deviceId, enabled: true }).sort({ createdAt: 1 });
+  return schedules.find(schedule => schedule.isActiveAt(date)) || null;
+};
+
+/**
+ * Find the first schedule covering an instant whose creator may still unlock the device
+ * The unlock runs as the creator, so a schedule whose creator lost control
+ * of the device (share revoked or downgraded, role changed, deactivated) is disabled.
+ * @param {Object} device - Device document
+ * @param {Date} date - Instant to check
+ * @returns {Promise<Object|null>} - Matching schedule or null
+ */
+const findAuthorizedSchedule = async (device, date) => {
+  const schedules = await AccessSchedule.find({ deviceId: device._id, enabled: true }).sort({ createdAt: 1 });
+
+  for (const schedule of schedules.filter(s => s.isActiveAt(date))) {
+    const { error } = await checkActingUserAccess(device, schedule.createdBy);
+    if (!error) {
+      return schedule;
+    }
+
+    await AccessSchedule.updateOne({ _id: schedule._id }, { $set: { enabled: false } });
+    logger.warn(`🗓️ Access schedule "${schedule.name}" on ${device.name} disabled - its creator can no longer unlock it: ${error}`);
+  }
+
+  return null;
+};
+
+/**
+ * Auto-approve a freshly created visitor log when a schedule matches
+ * Approves the log, unlocks the paired locks and notifies the camera and dashboards.
+ * Failures are logged and leave the visitor pending for manual approval.
+ * @param {Object} visitorLog - Pending VisitorLog document
+ * @param {Object} device - Device document the visitor was seen on
+ * @returns {Promise<Object|null>} - { schedule, locks } when auto-approved, otherwise null
+ */
+const applyAccessSchedules = async (visitorLog, device) => {
+  try {
+    const schedule = await findAuthorizedSchedule(device, visitorLog.timestamp);
+    if (!schedule) {
+      return null;
+    }
+
+    visitorLog.status = 'approved';
+    visitorLog.decisionSource = 'schedule';
+    visitorLog.accessScheduleId = schedule._id;
+    visitorLog.accessScheduleName = schedule.name;
+    visitorLog.processedAt = new Date();
+    visitorLog.note = `Auto-approved by schedule "${schedule.name}"`;
+    await visitorLog.save();
+
+    logger.info(`🗓️ Visitor ${visitorLog._id} auto-approved by schedule "${schedule.name}" on ${device.name}`);
+
+    const locks = await unlockPairedLocks(device, schedule.createdBy, {
+      visitorLogId: visitorLog._id
+    });
+
+    const unlockedCount = locks.filter(result => result.success).length;
+    logger.info(`🔓 Unlocked ${unlockedCount}/${locks.length} lock(s) for visitor ${visitorLog._id}`);
+    const noPairedLock = locks.length === 0;
+
+    const visitorId = visitorLog._id.toString();
+
+    emitToRoom(`device:${device._id}`, SOCKET_EVENTS.ACCESS_GRANTED, {
+      visitorId,
+      _id: visitorId,  // Include both for compatibility
+      approved: true,
+      note: visitorLog.note,
+      timestamp: visitorLog.processedAt,
+      deviceId: device._id,
+      deviceName: device.name,
+      decisionSource: 'schedule',
+      scheduleName: schedule.name,
+      noPairedLock
+    });
+
+    emitToRoom(`device:${device._id}`, SOCKET_EVENTS.VISITOR_PROCESSED, {
+      visitorId,
+      status: 'approved',
+      imageUrl: visitorLog.imageUrl,
+      deviceName: device.name,
+      deviceId: device._id,
+      decisionSource: 'schedule',
+      scheduleId: schedule._id,
+      scheduleName: schedule.name,
+      locks,
+      noPairedLock,
+      timestamp: visitorLog.processedAt
+    });
+
+    return { schedule, locks };
+  } catch (error) {
+    logger.error(`❌ Access schedule check failed for visitor ${visitorLog._id}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  findMatchingSchedule,
+  findAuthorizedSchedule,
+  applyAccessSchedules
+};
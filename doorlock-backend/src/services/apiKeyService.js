@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const { ApiKey, User } = require('../models');
+const { PERMISSIONS, ALL_PERMISSIONS, SENSITIVE_ACTIONS_SCOPE } = require('../config/permissions');
+const { getRolePermissions } = require('./roleService');
+const { getAccessibleDeviceIds } = require('../utils/deviceAccess');
+const { isValidObjectId } = require('../utils/validators');
+const logger = require('../utils/logger');
+
+/**
+ * API Key Service
+ * Long-lived keys for scripts and integrations. A key acts as its owner, but
+ * only with the scopes it was given, and can be limited to some devices.
+ */
+
+// Every key starts with this, so it can be told apart from a JWT
+const API_KEY_PREFIX = 'dlk_';
+const MAX_KEYS_PER_USER = 25;
+const MAX_EXPIRY_DAYS = 365;
+// Don't write lastUsedAt on every request from a busy script
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const isApiKey = (value) => typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+
+/**
+ * Scopes a role can put on a key: its permissions, plus the sensitive-actions
+ * scope when it can control locks
+ * @param {String} role - Role name
+ * @returns {Promise<Array<String>>}
+ */
+const getGrantableScopes = async (role) => {
+  const granted = await getRolePermissions(role);
+  return granted.includes(PERMISSIONS.LOCKS_CONTROL)
+    ? [...granted, SENSITIVE_ACTIONS_SCOPE.key]
+    : granted;
+};
+
+/**
+ * List a user's keys that have not been revoked
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} - ApiKey documents, newest first
+ */
+const listApiKeys = async (userId) => ApiKey.find({ userId, revokedAt: null }).sort({ createdAt: -1 });
+
+/**
+ * Create a key
+ * @param {String} userId - Owner
+ * @param {Object} data - { name, scopes, deviceIds, expiresInDays }
+ * @returns {Promise<Object>} - { apiKey, key } (the key is only returned here) or { error, statusCode }
+ */
+const createApiKey = async (userId, { name, scopes, deviceIds = [], expiresInDays }) => {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return { error: 'Key name is required', statusCode: 400 };
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: 'Select at least one scope', statusCode: 400 };
+  }
+
+  const unknown = scopes.filter(scope => !ALL_PERMISSIONS.includes(scope) && scope !== SENSITIVE_ACTIONS_SCOPE.key);
+  if (unknown.length > 0) {
+    return { error: `Unknown scope(s): ${unknown.join(', ')}`, statusCode: 400 };
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return { error: 'User not found', statusCode: 404 };
+  }
+
+  // A key can't do more than its owner
+  const granted = await getGrantableScopes(user.role);
+  const notGranted = scopes.filter(scope => !granted.includes(scope));
+  if (notGranted.length > 0) {
+    return { error: `Your role does not grant: ${notGranted.join(', ')}`, statusCode: 403 };
+  }
+
+  if (!Array.isArray(deviceIds) || deviceIds.some(id => !isValidObjectId(id))) {
+    return { error: 'Invalid device list', statusCode: 400 };
+  }
+
+  const uniqueDeviceIds = [...new Set(deviceIds.map(String))];
+  if (uniqueDeviceIds.length > 0) {
+    const accessible = (await getAccessibleDeviceIds(userId)).map(String);
+    if (uniqueDeviceIds.some(id => !accessible.includes(id))) {
+      return { error: 'You do not have access to one or more of the selected devices', statusCode: 403 };
+    }
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      return { error: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`, statusCode: 400 };
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const keyCount = await ApiKey.countDocuments({ userId, revokedAt: null });
+  if (keyCount >= MAX_KEYS_PER_USER) {
+    return { error: `You can have at most ${MAX_KEYS_PER_USER} API keys`, statusCode: 400 };
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const apiKey = await ApiKey.create({
+    userId,
+    name: name.trim(),
+    prefix: key.substring(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashKey(key),
+    scopes: [...new Set(scopes)],
+    deviceIds: uniqueDeviceIds,
+    expiresAt
+  });
+
+  logger.info(`🔑 API key "${apiKey.name}" created for ${user.username}`);
+  return { apiKey, key };
+};
+
+/**
+ * Revoke one of a user's keys
+ * @param {String} userId - Owner
+ * @param {String} keyId - ApiKey ID
+ * @returns {Promise<Object>} - {} or { error, statusCode }
+ */
+const revokeApiKey = async (userId, keyId) => {
+  if (!isValidObjectId(keyId)) {
+    return { error: 'Invalid key ID', statusCode: 400 };
+  }
+
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: keyId, userId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+
+  if (!apiKey) {
+    return { error: 'API key not found', statusCode: 404 };
+  }
+
+  logger.info(`🔑 API key "${apiKey.name}" revoked`);
+  return {};
+};
+
+/**
+ * Revoke every key a user owns, e.g. when the account is deactivated
+ * @param {String} userId - Owner
+ * @returns {Promise<Number>} - Number of keys revoked
+ */
+const revokeAllApiKeys = async (userId) => {
+  const result = await ApiKey.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+/**
+ * Look up the key presented on a request
+ * @param {String} key - Plaintext key
+ * @param {String} ipAddress - Caller IP, recorded as last used
+ * @returns {Promise<Object>} - { user, apiKey } or { error }
+ */
+const verifyApiKey = async (key, ipAddress) => {
+  if (!isApiKey(key)) {
+    return { error: 'Invalid API key' };
+  }
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+  if (!apiKey || apiKey.revokedAt) {
+    return { error: 'Invalid API key' };
+  }
+
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return { error: 'API key has expired' };
+  }
+
+  const user = await User.findById(apiKey.userId);
+  if (!user || !user.isActive) {
+    return { error: 'User account is inactive' };
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ipAddress });
+  }
+
+  return { user, apiKey };
+};
+
+/**
+ * Whether a key may send commands to a device
+ * @param {Object} apiKey - req.user.apiKey
+ * @param {String} deviceId - Device ID
+ * @returns {Boolean}
+ */
+const canCommandDevice = (apiKey, deviceId) => {
+  if (!apiKey || apiKey.deviceIds.length === 0) return true;
+  return apiKey.deviceIds.some(id => String(id) === String(deviceId));
+};
+
+module.exports = {
+  API_KEY_PREFIX,
+  isApiKey,
+  getGrantableScopes,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  revokeAllApiKeys,
+  verifyApiKey,
+  canCommandDevice
+};
@@ -0,0 +1,188 @@
+const { CommandSchedule, Device, DeviceEvent, User } = require('../models');
+const deviceConnectionManager = require('./deviceConnectionManager');
+const { hasPermission } = require('./roleService');
+const { isSensitiveCommand } = require('./stepUpService');
+const { checkDeviceAccess } = require('../utils/deviceAccess');
+const { PERMISSIONS } = require('../config/permissions');
+const { createSweeper } = require('../utils/sweeper');
+const logger = require('../utils/logger');
+
+/**
+ * Command Schedule Service
+ * Sends scheduled device commands. Due schedules are found in Mongo by
+ * nextRunAt, so runs survive a restart and are claimed exactly once.
+ */
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.COMMAND_SCHEDULE_SWEEP_INTERVAL_MS) || 15000;
+
+// Runs missed by more than this (e.g. while the backend was down) are skipped, not sent late
+const MISSED_RUN_GRACE_MS = (parseInt(process.env.COMMAND_SCHEDULE_GRACE_SECONDS) || 600) * 1000;
+
+/**
+ * Check the schedule's creator may still send its command to the device
+ * Runs act as the creator, so losing access or locks:control stops them.
+ * @param {Object} schedule - CommandSchedule document
+ * @param {Object} device - Device document
+ * @returns {Promise<String|null>} - Why the run isn't allowed, or null
+ */
+const checkCreatorAccess = async (schedule, device) => {
+  const user = schedule.createdBy && await User.findById(schedule.createdBy).select('role isActive');
+  if (!user || !user.isActive) {
+    return 'The schedule creator is missing or inactive';
+  }
+
+  if (!(await hasPermission(user.role, PERMISSIONS.LOCKS_CONTROL))) {
+    return 'The schedule creator no longer has locks:control';
+  }
+
+  const { error } = checkDeviceAccess(device, user._id.toString(), 'control');
+  return error ? `The schedule creator lost access: ${error}` : null;
+};
+
+/**
+ * Record a run that never reached the device
+ * @param {Object} schedule - CommandSchedule document
+ * @param {String} status - 'failed' or 'skipped'
+ * @param {String} reason - Why it wasn't sent
+ */
+const logRunFailure = (schedule, status, reason) => DeviceEvent.logEvent({
+  deviceId: schedule.deviceId,
+  eventType: 'command_failed',
+  userId: schedule.createdBy,
+  payload: {
+    command: schedule.command,
+    status,
+    errorMessage: reason,
+    scheduleId: schedule._id
+  }
+});
+
+/**
+ * Send a schedule's command on behalf of its creator and record the outcome
+ * @param {Object} schedule - CommandSchedule document
+ * @returns {Promise<Object>} - { status, commandId?, error? }
+ */
+const runSchedule = async (schedule) => {
+  const device = await Device.findById(schedule.deviceId).select('name isActive userId sharedWith');
+  let refused = null;
+  if (!device || !device.isActive) {
+    refused = 'Device is missing or inactive';
+  } else if (isSensitiveCommand(schedule.command)) {
+    refused = `${schedule.command} cannot be scheduled`;
+  } else {
+    refused = await checkCreatorAccess(schedule, device);
+  }
+
+  if (refused) {
+    logger.warn(`⏰ Schedule "${schedule.name}" not run: ${refused}`);
+    await logRunFailure(schedule, 'failed', refused);
+    return { status: 'failed', error: refused };
+  }
+
+  try {
+    const result = await deviceConnectionManager.sendCommand(
+      schedule.deviceId.toString(),
+      schedule.command,
+      schedule.payload || {},
+      schedule.createdBy,
+      { scheduleId: schedule._id }
+    );
+
+    logger.info(`⏰ Schedule "${schedule.name}" sent ${schedule.command} to ${device.name} (${result.status})`);
+    return { status: result.status, commandId: result.commandId };
+  } catch (error) {
+    logger.error(`❌ Schedule "${schedule.name}" failed to send ${schedule.command} to ${device.name}: ${error.message}`);
+    return { status: 'failed', commandId: error.commandId, error: error.message };
+  }
+};
+
+/**
+ * Claim and run a single due schedule
+ * Moving nextRunAt forward first means another sweep (or instance) can't run it twice.
+ * @param {Object} schedule - Due CommandSchedule document
+ * @param {Date} now - Sweep time
+ * @returns {Promise<Boolean>} - Whether this call ran (or skipped) the schedule
+ */
+const processDueSchedule = async (schedule, now) => {
+  const dueAt = schedule.nextRunAt;
+  const nextRunAt = schedule.runAt ? null : schedule.computeNextRun(now);
+
+  const claimed = await CommandSchedule.findOneAndUpdate(
+    { _id: schedule._id, enabled: true, nextRunAt: dueAt },
+    {
+      $set: {
+        nextRunAt,
+        lastRunAt: now,
+        // One-off schedules are done after their run
+        ...(schedule.runAt && { enabled: false })
+      }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return false;
+  }
+
+  let outcome;
+  if (now - dueAt > MISSED_RUN_GRACE_MS) {
+    logger.warn(`⏰ Schedule "${schedule.name}" missed its run at ${dueAt.toISOString()} - skipped`);
+    outcome = { status: 'skipped', error: `Missed the run at ${dueAt.toISOString()}` };
+    await logRunFailure(claimed, 'skipped', outcome.error);
+  } else {
+    outcome = await runSchedule(claimed);
+  }
+
+  await CommandSchedule.updateOne(
+    { _id: schedule._id },
+    {
+      $set: {
+        lastStatus: outcome.status,
+        lastCommandId: outcome.commandId || null,
+        lastError: outcome.error || null
+      }
+    }
+  );
+
+  return true;
+};
+
+/**
+ * Run every enabled schedule whose nextRunAt has passed
+ * @returns {Promise<Number>} - Number of schedules processed
+ */
+const runDueSchedules = async () => {
+  const now = new Date();
+  const due = await CommandSchedule.find({
+    enabled: true,
+    nextRunAt: { $ne: null, $lte: now }
+  })
+    .sort({ nextRunAt: 1 })
+    .limit(100);
+
+  let processed = 0;
+  for (const schedule of due) {
+    try {
+      if (await processDueSchedule(schedule, now)) {
+        processed++;
+      }
+    } catch (error) {
+      logger.error(`❌ Failed to run command schedule ${schedule._id}: ${error.message}`);
+    }
+  }
+
+  return processed;
+};
+
+const sweeper = createSweeper({
+  name: 'Command scheduler',
+  icon: '⏰',
+  intervalMs: SWEEP_INTERVAL_MS,
+  sweep: runDueSchedules
+});
+
+module.exports = {
+  runDueSchedules: sweeper.run,
+  startCommandScheduler: sweeper.start,
+  stopCommandScheduler: sweeper.stop
+};
@@ -0,0 +1,149 @@
+const { Command, Device } = require('../models');
+const { checkDeviceAccess } = require('../utils/deviceAccess');
+
+/**
+ * Command Status Service
+ * Looks up stored device commands and their lifecycle for the REST API
+ */
+
+// Longest a request may hold its response waiting for a device
+const MAX_COMMAND_WAIT_MS = 30000;
+
+/**
+ * Parse a ?wait= value such as "10s", "500ms" or "10" (seconds)
+ * @param {String} value - Query value
+ * @returns {Object} - { waitMs } (0 when not given) or { error, statusCode }
+ */
+const parseWait = (value) => {
+  if (value === undefined || value === '') {
+    return { waitMs: 0 };
+  }
+
+  const match = /^(\d+(?:\.\d+)?)(ms|s)?$/.exec(String(value).trim());
+  if (!match) {
+    return { error: 'wait must look like 10s, 500ms or 10', statusCode: 400 };
+  }
+
+  const amount = parseFloat(match[1]);
+  const waitMs = Math.round(match[2] === 'ms' ? amount : amount * 1000);
+
+  if (waitMs > MAX_COMMAND_WAIT_MS) {
+    return { error: `wait can be at most ${MAX_COMMAND_WAIT_MS / 1000}s`, statusCode: 400 };
+  }
+
+  return { waitMs };
+};
+
+/**
+ * Shape a command for API responses
+ * @param {Object} command - Command document
+ * @returns {Object}
+ */
+const formatCommand = (command) => ({
+  commandId: command.commandId,
+  deviceId: command.deviceId,
+  userId: command.userId,
+  command: command.command,
+  payload: command.payload,
+  status: command.status,
+  completed: !Command.PENDING_STATUSES.includes(command.status),
+  errorMessage: command.errorMessage,
+  deferred: command.deferred,
+  scheduleId: command.scheduleId,
+  expiresAt: command.expiresAt,
+  channel: command.channel,
+  channels: command.channels,
+  sentAt: command.sentAt,
+  completedAt: command.completedAt,
+  history: command.history,
+  createdAt: command.createdAt
+});
+
+/**
+ * Load a command the user can see (they need access to its device)
+ * @param {String} commandId - Command ID
+ * @param {String} userId - Authenticated user ID
+ * @returns {Promise<Object>} - { command } or { error, statusCode }
+ */
+const getCommandForUser = async (commandId, userId) => {
+  const command = await Command.findOne({ commandId });
+  if (!command) {
+    return { error: 'Command not found', statusCode: 404 };
+  }
+
+  const device = await Device.findById(command.deviceId).select('userId sharedWith');
+  if (!device) {
+    return { error: 'Command not found', statusCode: 404 };
+  }
+
+  const { error } = checkDeviceAccess(device, userId);
+  if (error) {
+    // Don't reveal commands on other people's devices
+    return { error: 'Command not found', statusCode: 404 };
+  }
+
+  return { command };
+};
+
+/**
+ * List a device's commands, newest first
+ * @param {ObjectId} deviceId - ID of a device the caller has access to
+ * @param {Object} query - { status (comma-separated), command, from, to, page, limit }
+ * @returns {Promise<Object>} - { commands, pagination } or { error, statusCode }
+ */
+const listDeviceCommands = async (deviceId, query = {}) => {
+  const { status, command, from, to, page = 1, limit = 20 } = query;
+
+  const filter = { deviceId };
+
+  if (status) {
+    const statuses = String(status).split(',').map(s => s.trim());
+    const unknown = statuses.filter(s => !Command.STATUSES.includes(s));
+    if (unknown.length > 0) {
+      return { error: `Unknown status: ${unknown.join(', ')}`, statusCode: 400 };
+    }
+    filter.status = { $in: statuses };
+  }
+
+  if (command) {
+    filter.command = String(command);
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+    if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+      return { error: 'from and to must be valid dates', statusCode: 400 };
+    }
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [total, commands] = await Promise.all([
+    Command.countDocuments(filter),
+    Command.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+  ]);
+
+  return {
+    commands: commands.map(formatCommand),
+    pagination: {
+      currentPage: pageNum,
+      itemsPerPage: limitNum,
+      totalItems: total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  };
+};
+
+module.exports = {
+  MAX_COMMAND_WAIT_MS,
+  parseWait,
+  formatCommand,
+  getCommandForUser,
+  listDeviceCommands
+};
@@ -0,0 +1,36 @@
+const deviceConnectionManager = require('./deviceConnectionManager');
+const { createSweeper } = require('../utils/sweeper');
+
+/**
+ * Command Timeout Service
+ * Marks device commands that were never acknowledged in time as 'timeout',
+ * fails commands queued for an offline device once they expire, and sends
+ * channel fallbacks whose in-process timer was lost.
+ * Commands are stored in Mongo, so this also resolves commands sent before a restart.
+ */
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.COMMAND_TIMEOUT_SWEEP_INTERVAL_MS) || 5000;
+
+/**
+ * Time out all pending commands past their deadline and expire stale queued ones
+ * @returns {Promise<Number>} - Number of commands resolved
+ */
+const sweepTimedOutCommands = async () => {
+  await deviceConnectionManager.sendDueFallbacks();
+  const timedOut = await deviceConnectionManager.expireTimedOutCommands();
+  const expired = await deviceConnectionManager.expireQueuedCommands();
+  return timedOut + expired;
+};
+
+const sweeper = createSweeper({
+  name: 'Command timeout sweeper',
+  icon: '⌛',
+  intervalMs: SWEEP_INTERVAL_MS,
+  sweep: sweepTimedOutCommands
+});
+
+module.exports = {
+  sweepTimedOutCommands: sweeper.run,
+  startCommandTimeoutSweeper: sweeper.start,
+  stopCommandTimeoutSweeper: sweeper.stop
+};
@@ -1,8 +1,36 @@
 const logger = require('../utils/logger');
-const { Device } = require('../models');
+const { Device, Command } = require('../models');
 const DeviceEvent = require('../models/DeviceEvent');
-const { getIO } = require('../config/socket');
 const { v4: uuidv4 } = require('uuid');
+const { EventEmitter } = require('events');
+const { getIO } = require('../config/socketEmitter');
+
+// How long a device has to finish a command before the sweeper marks it 'timeout'
+const COMMAND_TIMEOUT_MS = parseInt(process.env.COMMAND_TIMEOUT_MS) || 30000;
+
+// Commands that are stored and delivered later when sent to an offline device.
+// Never unlock_door - a door must not open long after someone asked.
+const DEFERRABLE_COMMANDS = ['lock_door', 'update_settings'];
+
+// How long a deferred command waits for its device to come back online
+const COMMAND_QUEUE_TTL_MS = (parseInt(process.env.COMMAND_QUEUE_TTL_SECONDS) || 24 * 60 * 60) * 1000;
+
+// Default wait for an ack before a command is resent on the device's other channel
+const DEFAULT_FALLBACK_AFTER_MS = 3000;
+
+const COMMAND_QUEUE_EXPIRED_MESSAGE = 'Device did not come back online before the command expired';
+
+// Order of the command lifecycle - a command only moves forward. A late
+// 'executed'/'failed' ack still replaces 'timeout' since it is the real outcome.
+const COMMAND_STATUS_RANK = {
+  queued: 0,
+  sent: 1,
+  received: 2,
+  executing: 3,
+  timeout: 4,
+  executed: 5,
+  failed: 5
+};
 
 /**
  * Device Connection Manager
@@ -11,7 +39,9 @@ const { v4: uuidv4 } = require('uuid');
 class DeviceConnectionManager {
   constructor() {
     this.connections = new Map(); // deviceId -> { socket, mqtt, status, metadata }
-    this.commandQueue = new Map(); // commandId -> { deviceId, command, status, timestamp }
+    this.flushing = new Set(); // deviceIds whose queued commands are being delivered
+    this.commandEvents = new EventEmitter(); // commandId -> updated command, for waiting requests
+    this.commandEvents.setMaxListeners(0);
   }
 
   /**
@@ -80,6 +110,10 @@ class DeviceConnectionManager {
       }
 
       logger.info(`Device ${deviceId} registered via ${connectionType}`);
+
+      // Deliver anything sent while it was offline
+      await this.flushQueuedCommands(deviceId);
+
       return true;
 
     } catch (error) {
@@ -93,14 +127,21 @@ class DeviceConnectionManager {
    * @param {String} deviceId - MongoDB device ID
    * @param {String} connectionType - 'socket' or 'mqtt'
    * @param {String} reason - Disconnection reason
+   * @param {Object} connection - Connection that went away; a newer one registered since is kept
+   * @returns {Promise<Boolean>} Whether the device has no connection left
    */
-  async unregisterDevice(deviceId, connectionType, reason = 'unknown') {
+  async unregisterDevice(deviceId, connectionType, reason = 'unknown', connection = null) {
     try {
       const conn = this.connections.get(deviceId);
       
       if (!conn) {
         logger.warn(`Attempted to unregister unknown device: ${deviceId}`);
-        return;
+        return true;
+      }
+
+      if (connection && conn[connectionType] && conn[connectionType] !== connection) {
+        logger.info(`Device ${deviceId} ${connectionType} connection replaced, keeping the newer one`);
+        return false;
       }
 
       // Remove specific connection type
@@ -147,120 +188,350 @@ class DeviceConnectionManager {
         }
 
         logger.info(`Device ${deviceId} unregistered (${connectionType}): ${reason}`);
-      } else {
-        logger.info(`Device ${deviceId} ${connectionType} connection removed, other connection remains`);
+        return true;
       }
 
+      logger.info(`Device ${deviceId} ${connectionType} connection removed, other connection remains`);
+      return false;
+
     } catch (error) {
       logger.error(`Failed to unregister device: ${error.message}`);
+      return false;
     }
   }
 
   /**
    * Send command to device
+   * Deferrable commands for an offline device are stored and delivered when it reconnects.
    * @param {String} deviceId - MongoDB device ID
    * @param {String} command - Command type
    * @param {Object} payload - Command payload
    * @param {String} userId - User who initiated the command
-   * @returns {Promise<Object>} Command result with commandId
+   * @param {Object} options - { deliverLater: queue if offline (defaults by command), ttlMs: how long it may wait,
+   *                            scheduleId: command schedule that sent it }
+   * @returns {Promise<Object>} Command result with commandId and status ('sent' or 'queued')
    */
-  async sendCommand(deviceId, command, payload = {}, userId = null) {
+  async sendCommand(deviceId, command, payload = {}, userId = null, options = {}) {
+    const commandId = uuidv4();
+    const deliverLater = options.deliverLater ?? DEFERRABLE_COMMANDS.includes(command);
+    const scheduleId = options.scheduleId || undefined;
+
     try {
-      const conn = this.connections.get(deviceId);
-      
-      const commandId = uuidv4();
-      const commandData = {
+      if (deliverLater && !(await this.isDeviceReachable(deviceId))) {
+        const expiresAt = new Date(Date.now() + (options.ttlMs || COMMAND_QUEUE_TTL_MS));
+
+        await Command.create({
+          commandId,
+          deviceId,
+          userId,
+          command,
+          payload,
+          scheduleId,
+          status: 'queued',
+          deferred: true,
+          expiresAt,
+          history: [{ status: 'queued' }]
+        });
+
+        logger.info(`📥 Device ${deviceId} is offline - command ${commandId} (${command}) queued until ${expiresAt.toISOString()}`);
+        return { commandId, status: 'queued', expiresAt };
+      }
+
+      // Persist the command so acks and timeouts survive a restart
+      const cmd = await Command.create({
         commandId,
+        deviceId,
+        userId,
         command,
         payload,
-        timestamp: new Date().toISOString()
-      };
+        scheduleId,
+        status: 'queued',
+        timeoutAt: new Date(Date.now() + COMMAND_TIMEOUT_MS),
+        history: [{ status: 'queued' }]
+      });
 
-      // Store command in queue for tracking
-      this.commandQueue.set(commandId, {
-        deviceId,
+      try {
+        await this.deliverCommand(cmd);
+      } catch (deliveryError) {
+        await this.updateCommandStatus(commandId, 'failed', deliveryError.message).catch(() => {});
+        // Let callers find the stored 'failed' command
+        deliveryError.commandId = commandId;
+        throw deliveryError;
+      }
+
+      return { commandId, status: 'sent' };
+
+    } catch (error) {
+      logger.error(`Failed to send command to device ${deviceId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a stored command on the channel picked by the device's delivery
+   * strategy and mark it 'sent'. The command goes out on one channel only;
+   * the other is kept as a fallback if the device doesn't acknowledge in time.
+   * @param {Object} cmd - Command document
+   * @throws {Error} If no channel accepted the command
+   */
+  async deliverCommand(cmd) {
+    const { commandId, command } = cmd;
+    const deviceId = cmd.deviceId.toString();
+
+    const device = await Device.findById(deviceId).select('name espId commandDelivery');
+    const deviceInfo = device ? `${device.name} (ESP ID: ${device.espId})` : deviceId;
+    const strategy = device?.commandDelivery || {};
+
+    const channels = this.getAvailableChannels(deviceId, strategy.preferredChannel);
+    let channel = null;
+    let lastError = null;
+
+    for (const candidate of channels) {
+      try {
+        await this.emitCommand(deviceId, cmd, candidate);
+        channel = candidate;
+        break;
+      } catch (error) {
+        lastError = error;
+        logger.error(`❌ ${candidate} delivery failed for device ${deviceInfo}: ${error.message}`);
+      }
+    }
+
+    if (!channel) {
+      throw new Error(lastError
+        ? `Failed to send command via any channel: ${lastError.message}`
+        : 'No active connection for device');
+    }
+
+    logger.info(`✅ Command ${commandId} (${command}) sent via ${channel} to ${deviceInfo}`);
+
+    // Log event
+    await DeviceEvent.logEvent({
+      deviceId,
+      eventType: 'command_sent',
+      commandId,
+      userId: cmd.userId,
+      payload: {
         command,
-        status: 'sent',
-        sentAt: new Date(),
-        userId
-      });
+        payload: cmd.payload,
+        channel,
+        ...(cmd.deferred && { deferred: true }),
+        ...(cmd.scheduleId && { scheduleId: cmd.scheduleId })
+      },
+      metadata: { source: channel }
+    });
+
+    const fallbackEnabled = strategy.fallbackEnabled !== false;
+    const fallbackChannel = fallbackEnabled ? channels.find(c => c !== channel) : undefined;
+    const fallbackAfterMs = strategy.fallbackAfterMs || DEFAULT_FALLBACK_AFTER_MS;
+
+    // The timeout sweeper marks the command 'timeout' if no final ack arrives by timeoutAt
+    const sentAt = new Date();
+    await Command.updateOne(
+      { commandId },
+      {
+        $set: {
+          channel,
+          channels: [channel],
+          sentAt,
+          timeoutAt: new Date(sentAt.getTime() + COMMAND_TIMEOUT_MS),
+          ...(fallbackChannel && {
+            fallbackChannel,
+            fallbackAt: new Date(sentAt.getTime() + fallbackAfterMs)
+          })
+        }
+      }
+    );
+    // A fast device may already have acknowledged it
+    await Command.updateOne(
+      { commandId, status: 'queued' },
+      { $set: { status: 'sent' }, $push: { history: { status: 'sent', at: sentAt } } }
+    );
+
+    // The sweeper picks the fallback up too if this timer is lost to a restart
+    if (fallbackChannel) {
+      setTimeout(() => {
+        this.sendFallback(commandId).catch(error => {
+          logger.error(`❌ Fallback for command ${commandId} failed: ${error.message}`);
+        });
+      }, fallbackAfterMs).unref();
+    }
+  }
 
-      // Log event
-      await DeviceEvent.logEvent({
-        deviceId,
-        eventType: 'command_sent',
-        commandId,
-        userId,
-        payload: { command, payload },
-        metadata: { source: conn ? 'websocket+mqtt' : 'mqtt-only' }
-      });
+  /**
+   * Channels a command can go out on right now, preferred first
+   * @param {String} deviceId - MongoDB device ID
+   * @param {String} preferredChannel - 'websocket' or 'mqtt'
+   * @returns {Array<String>}
+   */
+  getAvailableChannels(deviceId, preferredChannel = 'websocket') {
+    const conn = this.connections.get(deviceId);
+    const socketConnected = !!(conn && conn.socket && conn.socket.connected);
 
-      // Try WebSocket first if available
-      let sent = false;
+    // MQTT goes through the broker, so it is always worth a try
+    const order = preferredChannel === 'mqtt' ? ['mqtt', 'websocket'] : ['websocket', 'mqtt'];
+    return order.filter(channel => channel === 'mqtt' || socketConnected);
+  }
 
-      if (conn && conn.socket && conn.socket.connected) {
-        conn.socket.emit(command, commandData);
-        sent = true;
-        logger.info(`Command ${commandId} sent via WebSocket to device ${deviceId}`);
+  /**
+   * Emit a command on a single channel
+   * @param {String} deviceId - MongoDB device ID
+   * @param {Object} cmd - Command document
+   * @param {String} channel - 'websocket' or 'mqtt'
+   */
+  async emitCommand(deviceId, cmd, channel) {
+    const commandData = {
+      commandId: cmd.commandId,
+      command: cmd.command,
+      payload: cmd.payload,
+      timestamp: new Date().toISOString()
+    };
+
+    if (channel === 'websocket') {
+      const conn = this.connections.get(deviceId);
+      if (!conn || !conn.socket || !conn.socket.connected) {
+        throw new Error('Device socket is not connected');
       }
+      conn.socket.emit(cmd.command, commandData);
+      return;
+    }
+
+    // Publish to device-specific topic: iot/commands/{deviceId}
+    const { publishMessage, MQTT_TOPICS } = require('../config/mqtt');
+    const deviceSpecificTopic = MQTT_TOPICS.DEVICE_COMMAND(deviceId);
+
+    logger.info(`📡 Publishing MQTT command to device-specific topic: ${deviceSpecificTopic}`);
+    logger.info(`📦 Payload: ${JSON.stringify(commandData)}`);
 
-      // ALWAYS send via MQTT as well (ESP32 devices primarily use MQTT)
+    await publishMessage(deviceSpecificTopic, JSON.stringify(commandData));
+  }
+
+  /**
+   * Resend an unacknowledged command on its fallback channel, at most once.
+   * The device dedupes on commandId, so a late ack on the first channel
+   * doesn't lead to a second execution. Called by the fallback timer, or by
+   * the sweeper once fallbackAt has passed.
+   * @param {String} commandId - Command ID
+   * @returns {Promise<Boolean>} Whether the fallback was sent
+   */
+  async sendFallback(commandId) {
+    // Claim the fallback - only one caller (timer or sweeper) gets it
+    const cmd = await Command.findOneAndUpdate(
+      { commandId, status: 'sent', fallbackAt: { $ne: null } },
+      { $unset: { fallbackAt: 1 } },
+      { new: true }
+    );
+
+    if (!cmd) {
+      return false;
+    }
+
+    const deviceId = cmd.deviceId.toString();
+    const channel = cmd.fallbackChannel;
+
+    try {
+      await this.emitCommand(deviceId, cmd, channel);
+    } catch (error) {
+      logger.warn(`Fallback for command ${commandId} via ${channel} not sent: ${error.message}`);
+      return false;
+    }
+
+    await Command.updateOne({ commandId }, { $push: { channels: channel } });
+
+    await DeviceEvent.logEvent({
+      deviceId,
+      eventType: 'command_sent',
+      commandId,
+      userId: cmd.userId,
+      payload: {
+        command: cmd.command,
+        payload: cmd.payload,
+        channel,
+        fallback: true,
+        ...(cmd.scheduleId && { scheduleId: cmd.scheduleId })
+      },
+      metadata: { source: channel }
+    });
+
+    logger.warn(`↪️ No ack for command ${commandId} from device ${deviceId} - resent via ${channel}`);
+    return true;
+  }
+
+  /**
+   * Send fallbacks that are due but whose timer was lost (e.g. to a restart)
+   * @returns {Promise<Number>} Number of fallbacks sent
+   */
+  async sendDueFallbacks() {
+    const due = await Command.find({
+      status: 'sent',
+      fallbackAt: { $lte: new Date() }
+    })
+      .select('commandId')
+      .limit(100);
+
+    let count = 0;
+    for (const cmd of due) {
       try {
-        const { publishMessage, MQTT_TOPICS } = require('../config/mqtt');
-        
-        // Get device info for logging
-        const device = await Device.findById(deviceId).select('name espId');
-        const deviceInfo = device ? `${device.name} (ESP ID: ${device.espId})` : deviceId;
-        
-        // Publish to device-specific topic: iot/commands/{deviceId}
-        const deviceSpecificTopic = MQTT_TOPICS.DEVICE_COMMAND(deviceId);
-        
-        logger.info(`📡 Publishing MQTT command to device-specific topic: ${deviceSpecificTopic}`);
-        logger.info(`📦 Device: ${deviceInfo}`);
-        logger.info(`📦 Command: ${command}`);
-        logger.info(`📦 Payload: ${JSON.stringify(commandData)}`);
-        
-        await publishMessage(deviceSpecificTopic, JSON.stringify(commandData));
-        sent = true;
-        
-        logger.info(`✅ Command ${commandId} published successfully via MQTT to ${deviceSpecificTopic}`);
-        logger.info(`🎯 Target device: ${deviceInfo}`);
-      } catch (mqttError) {
-        logger.error(`❌ MQTT publish failed for device ${deviceId}: ${mqttError.message}`);
-        logger.error(`Stack trace: ${mqttError.stack}`);
-        if (!sent) {
-          throw new Error(`Failed to send command via any channel: ${mqttError.message}`);
+        if (await this.sendFallback(cmd.commandId)) {
+          count++;
         }
+      } catch (error) {
+        logger.error(`❌ Fallback for command ${cmd.commandId} failed: ${error.message}`);
       }
+    }
 
-      if (!sent) {
-        throw new Error('No active connection for device');
-      }
+    return count;
+  }
 
-      // Set timeout to mark command as failed if no ack received
-      setTimeout(() => {
-        const cmd = this.commandQueue.get(commandId);
-        if (cmd && cmd.status === 'sent') {
-          cmd.status = 'timeout';
-          logger.warn(`Command ${commandId} timed out for device ${deviceId}`);
-          
-          // Log timeout event
-          DeviceEvent.logEvent({
-            deviceId,
-            eventType: 'command_failed',
-            commandId,
-            userId,
-            payload: { command, reason: 'timeout' }
-          });
+  /**
+   * Deliver commands queued while the device was offline, oldest first
+   * Expired ones are failed instead. If a delivery fails the rest stay
+   * queued, in order, for the next time the device registers.
+   * @param {String} deviceId - MongoDB device ID
+   * @returns {Promise<Number>} Number of commands delivered
+   */
+  async flushQueuedCommands(deviceId) {
+    // Socket and MQTT can register at the same time - flush once
+    if (this.flushing.has(deviceId)) {
+      return 0;
+    }
+    this.flushing.add(deviceId);
+
+    let delivered = 0;
+
+    try {
+      const queued = await Command.find({ deviceId, status: 'queued', deferred: true })
+        .sort({ createdAt: 1 });
+
+      for (const cmd of queued) {
+        if (cmd.expiresAt && cmd.expiresAt <= new Date()) {
+          await this.updateCommandStatus(cmd.commandId, 'failed', COMMAND_QUEUE_EXPIRED_MESSAGE);
+          continue;
         }
-      }, 30000); // 30 second timeout
 
-      return { commandId, status: 'sent' };
+        if (!this.isDeviceOnline(deviceId)) {
+          break;
+        }
+
+        try {
+          await this.deliverCommand(cmd);
+          delivered++;
+        } catch (error) {
+          logger.error(`❌ Failed to deliver queued command ${cmd.commandId} to device ${deviceId}: ${error.message}`);
+          break;
+        }
+      }
 
+      if (delivered > 0) {
+        logger.info(`📤 Delivered ${delivered} queued command(s) to device ${deviceId}`);
+      }
     } catch (error) {
-      logger.error(`Failed to send command to device ${deviceId}: ${error.message}`);
-      throw error;
+      logger.error(`Failed to flush queued commands for device ${deviceId}: ${error.message}`);
+    } finally {
+      this.flushing.delete(deviceId);
     }
+
+    return delivered;
   }
 
   /**
@@ -268,53 +539,202 @@ class DeviceConnectionManager {
    * @param {String} commandId - Command ID
    * @param {String} status - 'received', 'executing', 'executed', 'failed'
    * @param {String} errorMessage - Error message if failed
+   * @param {String} channel - Channel the ack arrived on ('websocket' or 'mqtt')
    */
-  async handleCommandAck(commandId, status, errorMessage = null) {
+  async handleCommandAck(commandId, status, errorMessage = null, channel = null) {
     try {
-      const cmd = this.commandQueue.get(commandId);
-      
-      if (!cmd) {
+      const cmd = await this.updateCommandStatus(commandId, status, errorMessage, channel);
+
+      if (cmd) {
+        logger.info(`Command ${commandId} status updated: ${status}`);
+      }
+
+    } catch (error) {
+      logger.error(`Failed to handle command ack: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a stored command to a new status, log it and notify the device owner.
+   * Updates that would move the command backwards (a duplicate ack, or 'received'
+   * after it already executed) are ignored.
+   * @param {String} commandId - Command ID
+   * @param {String} status - New status
+   * @param {String} errorMessage - Error message if failed or timed out
+   * @param {String} channel - Channel the update arrived on, if it came from the device
+   * @returns {Promise<Object|null>} Updated command, or null if it was not updated
+   */
+  async updateCommandStatus(commandId, status, errorMessage = null, channel = null) {
+    const rank = COMMAND_STATUS_RANK[status];
+    if (rank === undefined) {
+      logger.warn(`Ignoring unknown status '${status}' for command ${commandId}`);
+      return null;
+    }
+
+    const earlierStatuses = Object.keys(COMMAND_STATUS_RANK)
+      .filter(s => COMMAND_STATUS_RANK[s] < rank);
+    const now = new Date();
+    const isFinal = !Command.PENDING_STATUSES.includes(status);
+
+    const cmd = await Command.findOneAndUpdate(
+      { commandId, status: { $in: earlierStatuses } },
+      {
+        $set: {
+          status,
+          ...(errorMessage && { errorMessage }),
+          ...(isFinal && { completedAt: now })
+        },
+        $push: { history: { status, errorMessage, channel, at: now } }
+      },
+      { new: true }
+    );
+
+    if (!cmd) {
+      const existing = await Command.findOne({ commandId }).select('status');
+      if (existing) {
+        logger.info(`Ignoring '${status}' for command ${commandId}, already '${existing.status}'`);
+      } else {
         logger.warn(`Received ack for unknown command: ${commandId}`);
-        return;
       }
+      return null;
+    }
+
+    // Log event
+    const eventType = status === 'executed'
+      ? 'command_executed'
+      : (status === 'failed' || status === 'timeout') ? 'command_failed' : 'command_received';
+
+    await DeviceEvent.logEvent({
+      deviceId: cmd.deviceId,
+      eventType,
+      commandId,
+      userId: cmd.userId,
+      payload: {
+        command: cmd.command,
+        status,
+        errorMessage,
+        ...(status === 'timeout' && { reason: 'timeout' }),
+        ...(cmd.scheduleId && { scheduleId: cmd.scheduleId })
+      }
+    });
 
-      cmd.status = status;
-      cmd.lastUpdate = new Date();
+    this.commandEvents.emit(commandId, cmd);
 
-      // Log event
-      await DeviceEvent.logEvent({
-        deviceId: cmd.deviceId,
-        eventType: status === 'failed' ? 'command_failed' : 'command_executed',
+    // Notify the device owner and whoever issued the command
+    const io = getIO();
+    const device = await Device.findById(cmd.deviceId).select('userId');
+    const rooms = new Set();
+    if (device) rooms.add(`user:${device.userId}`);
+    if (cmd.userId) rooms.add(`user:${cmd.userId}`);
+    
+    if (rooms.size > 0) {
+      io.to([...rooms]).emit('command_status', {
         commandId,
-        userId: cmd.userId,
-        payload: { command: cmd.command, status, errorMessage }
+        deviceId: cmd.deviceId,
+        command: cmd.command,
+        status,
+        errorMessage,
+        timestamp: now
       });
+    }
 
-      // Notify dashboard
-      const io = getIO();
-      const device = await Device.findById(cmd.deviceId).select('userId');
-      
-      if (device) {
-        io.to(`user:${device.userId}`).emit('command_status', {
-          commandId,
-          deviceId: cmd.deviceId,
-          command: cmd.command,
-          status,
-          errorMessage,
-          timestamp: new Date()
-        });
+    return cmd;
+  }
+
+  /**
+   * Wait until a command reaches a final status (executed, failed or timeout)
+   * @param {String} commandId - Command ID
+   * @param {Number} waitMs - Longest time to wait
+   * @returns {Promise<Object|null>} Latest command (final unless the wait ran out), or null if unknown
+   */
+  async waitForCommand(commandId, waitMs) {
+    const isFinal = cmd => cmd && !Command.PENDING_STATUSES.includes(cmd.status);
+    let onUpdate;
+    let timer;
+
+    // Listen before reading so an update in between isn't missed
+    const finished = new Promise(resolve => {
+      onUpdate = (cmd) => {
+        if (isFinal(cmd)) resolve(cmd);
+      };
+      this.commandEvents.on(commandId, onUpdate);
+      timer = setTimeout(() => resolve(null), waitMs);
+    });
+
+    try {
+      const current = await Command.findOne({ commandId });
+      if (!current || isFinal(current)) {
+        return current;
       }
 
-      // Remove from queue if completed or failed
-      if (status === 'executed' || status === 'failed') {
-        this.commandQueue.delete(commandId);
+      return (await finished) || await Command.findOne({ commandId });
+    } finally {
+      clearTimeout(timer);
+      this.commandEvents.off(commandId, onUpdate);
+    }
+  }
+
+  /**
+   * Mark commands still pending past their timeoutAt as 'timeout'
+   * Driven by the command timeout sweeper, so it also catches commands
+   * sent before a restart.
+   * @returns {Promise<Number>} Number of commands timed out
+   */
+  async expireTimedOutCommands() {
+    const expired = await Command.find({
+      status: { $in: Command.PENDING_STATUSES },
+      timeoutAt: { $lte: new Date() }
+    })
+      .select('commandId deviceId')
+      .limit(100);
+
+    let count = 0;
+    for (const cmd of expired) {
+      try {
+        const updated = await this.updateCommandStatus(
+          cmd.commandId,
+          'timeout',
+          'No acknowledgment from device'
+        );
+        if (updated) {
+          count++;
+          logger.warn(`Command ${cmd.commandId} timed out for device ${cmd.deviceId}`);
+        }
+      } catch (error) {
+        logger.error(`❌ Failed to time out command ${cmd.commandId}: ${error.message}`);
       }
+    }
 
-      logger.info(`Command ${commandId} status updated: ${status}`);
+    return count;
+  }
 
-    } catch (error) {
-      logger.error(`Failed to handle command ack: ${error.message}`);
+  /**
+   * Fail deferred commands whose device stayed offline past their expiry
+   * @returns {Promise<Number>} Number of commands expired
+   */
+  async expireQueuedCommands() {
+    const expired = await Command.find({
+      status: 'queued',
+      deferred: true,
+      expiresAt: { $lte: new Date() }
+    })
+      .select('commandId deviceId')
+      .limit(100);
+
+    let count = 0;
+    for (const cmd of expired) {
+      try {
+        const updated = await this.updateCommandStatus(cmd.commandId, 'failed', COMMAND_QUEUE_EXPIRED_MESSAGE);
+        if (updated) {
+          count++;
+          logger.warn(`Queued command ${cmd.commandId} for device ${cmd.deviceId} expired`);
+        }
+      } catch (error) {
+        logger.error(`❌ Failed to expire queued command ${cmd.commandId}: ${error.message}`);
+      }
     }
+
+    return count;
   }
 
   /**
@@ -431,6 +851,23 @@ class DeviceConnectionManager {
     const conn = this.connections.get(deviceId);
     return conn && conn.status === 'online';
   }
+
+  /**
+   * Check if a command sent now can reach the device
+   * A device missing from the connection map isn't necessarily offline - an
+   * MQTT device that came online before a restart doesn't announce itself
+   * again - so the stored online flag decides then.
+   * @param {String} deviceId - MongoDB device ID
+   * @returns {Promise<Boolean>}
+   */
+  async isDeviceReachable(deviceId) {
+    if (this.connections.has(deviceId)) {
+      return this.isDeviceOnline(deviceId);
+    }
+
+    const device = await Device.findById(deviceId).select('online status');
+    return !!device && (device.online === true || device.status === 'online');
+  }
 }
 
 // Singleton instance
@@ -0,0 +1,140 @@
+const { Device, User } = require('../models');
+const { emitToRoom, joinDeviceRoom, leaveDeviceRoom, SOCKET_EVENTS } = require('../config/socketEmitter');
+const { createSweeper } = require('../utils/sweeper');
+const logger = require('../utils/logger');
+
+/**
+ * Device Share Service
+ * Adds and removes entries of Device.sharedWith and keeps the shared users'
+ * socket room membership in step with them
+ */
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.DEVICE_SHARE_SWEEP_INTERVAL_MS) || 60000;
+
+/**
+ * Map a share permission level to the permissions stored on the device
+ * @param {String} permission - 'view' or 'control'
+ * @returns {Array} - Permissions list
+ */
+const permissionsFor = (permission) => (
+  permission === 'control' ? ['view', 'control'] : ['view']
+);
+
+/**
+ * Find an active user by email or username
+ * @param {String} identifier - Email address or username
+ * @returns {Promise<Object|null>} - User document
+ */
+const findUserByIdentifier = (identifier) => {
+  const value = String(identifier).trim().toLowerCase();
+  return User.findOne({
+    $or: [{ email: value }, { username: value }],
+    isActive: true
+  });
+};
+
+/**
+ * Tell a user's dashboards that their access to a device changed
+ */
+const notifyAccessChanged = (userId, device, action) => {
+  emitToRoom(`user:${userId}`, SOCKET_EVENTS.DEVICE_ACCESS_CHANGED, {
+    deviceId: device._id,
+    deviceName: device.name,
+    action,
+    timestamp: new Date()
+  });
+};
+
+/**
+ * Share a device with a user, replacing any existing share for them
+ * @param {Object} device - Device document
+ * @param {String} userId - User to share with
+ * @param {Object} options - { permission, expiresAt, sharedBy }
+ */
+const addShare = async (device, userId, { permission = 'view', expiresAt, sharedBy } = {}) => {
+  device.sharedWith = device.sharedWith.filter(share => share.userId.toString() !== userId.toString());
+  device.sharedWith.push({
+    userId,
+    permissions: permissionsFor(permission),
+    sharedBy,
+    expiresAt: expiresAt || undefined
+  });
+  await device.save();
+
+  joinDeviceRoom(userId, device._id);
+  notifyAccessChanged(userId, device, 'granted');
+
+  logger.info(`🤝 Device ${device.name} shared with user ${userId} (${permission})`);
+};
+
+/**
+ * Stop sharing a device with a user
+ * @param {Object} device - Device document
+ * @param {String} userId - User to remove
+ * @returns {Promise<Boolean>} - false when the user had no share
+ */
+const removeShare = async (device, userId) => {
+  const before = device.sharedWith.length;
+  device.sharedWith = device.sharedWith.filter(share => share.userId.toString() !== userId.toString());
+
+  if (device.sharedWith.length === before) {
+    return false;
+  }
+
+  await device.save();
+
+  leaveDeviceRoom(userId, device._id);
+  notifyAccessChanged(userId, device, 'revoked');
+
+  logger.info(`🤝 Device ${device.name} no longer shared with user ${userId}`);
+  return true;
+};
+
+/**
+ * Remove expired shares from all devices
+ * @returns {Promise<Number>} - Number of shares removed
+ */
+const pruneExpiredShares = async () => {
+  const now = new Date();
+  const devices = await Device.find({ 'sharedWith.expiresAt': { $lte: now } })
+    .select('name sharedWith');
+
+  let removed = 0;
+  for (const device of devices) {
+    const expired = device.sharedWith.filter(share => share.expiresAt && share.expiresAt <= now);
+
+    await Device.updateOne(
+      { _id: device._id },
+      { $pull: { sharedWith: { expiresAt: { $lte: now } } } }
+    );
+
+    expired.forEach(share => {
+      leaveDeviceRoom(share.userId, device._id);
+      notifyAccessChanged(share.userId, device, 'expired');
+    });
+
+    removed += expired.length;
+  }
+
+  if (removed > 0) {
+    logger.info(`⌛ Removed ${removed} expired device share(s)`);
+  }
+  return removed;
+};
+
+const sweeper = createSweeper({
+  name: 'Device share expiry sweeper',
+  icon: '🤝',
+  intervalMs: SWEEP_INTERVAL_MS,
+  sweep: pruneExpiredShares
+});
+
+module.exports = {
+  permissionsFor,
+  findUserByIdentifier,
+  addShare,
+  removeShare,
+  pruneExpiredShares: sweeper.run,
+  startShareExpirySweeper: sweeper.start,
+  stopShareExpirySweeper: sweeper.stop
+};
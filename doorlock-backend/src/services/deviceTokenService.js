@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { Device, ActivationCode } = require('../models');
+const { generateDeviceToken } = require('./qrService');
+const logger = require('../utils/logger');
+
+/**
+ * Device Token Service
+ * Devices authenticate with a random token. The onboarding QR only carries a
+ * short-lived, single-use activation code; the device redeems it for the token.
+ * Only SHA-256 hashes are stored. Rotating revokes the token (after a grace
+ * period, long enough to re-provision the device) and issues a new code.
+ */
+
+// How long a rotated-out token still works (seconds)
+const DEFAULT_GRACE_SECONDS = parseInt(process.env.DEVICE_TOKEN_GRACE_SECONDS, 10) || 3600;
+const MAX_GRACE_SECONDS = 7 * 24 * 60 * 60;
+// How long an activation code can be redeemed (minutes)
+const ACTIVATION_CODE_TTL_MINUTES = parseInt(process.env.ACTIVATION_CODE_TTL_MINUTES, 10) || 30;
+// Crockford base32 - no I, L, O or U, so codes survive being read aloud or typed
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 10;
+
+/**
+ * Why an activation code was refused (errors.code in the response)
+ */
+const ACTIVATION_ERRORS = {
+  INVALID: 'ACTIVATION_CODE_INVALID',
+  EXPIRED: 'ACTIVATION_CODE_EXPIRED',
+  USED: 'ACTIVATION_CODE_USED'
+};
+
+// Select these when the token will be checked
+const DEVICE_TOKEN_FIELDS = '+deviceTokenHash +previousDeviceTokenHash';
+
+const hashDeviceToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Accept codes typed in lower case, with or without the dash, and with O/I/L for 0/1
+const normalizeCode = (code) => String(code)
+  .toUpperCase()
+  .replace(/[^0-9A-Z]/g, '')
+  .replace(/O/g, '0')
+  .replace(/[IL]/g, '1');
+
+const generateActivationCode = () => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return `${code.substring(0, 5)}-${code.substring(5)}`;
+};
+
+const hashesMatch = (hash, token) => {
+  if (!hash || !token) return false;
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(hashDeviceToken(token), 'hex'));
+};
+
+/**
+ * Check a token presented by a device - the current one, or the previous one
+ * while its grace period lasts. Load the device with DEVICE_TOKEN_FIELDS.
+ * @param {Object} device - Device document
+ * @param {String} token - Presented token
+ * @returns {Boolean}
+ */
+const verifyDeviceToken = (device, token) => {
+  if (!device || typeof token !== 'string' || !token) {
+    return false;
+  }
+
+  if (hashesMatch(device.deviceTokenHash, token)) {
+    return true;
+  }
+
+  return Boolean(device.previousTokenExpiresAt && device.previousTokenExpiresAt > new Date()
+    && hashesMatch(device.previousDeviceTokenHash, token));
+};
+
+/**
+ * Create an activation code for a device's onboarding QR, replacing any unused one
+ * @param {String} deviceId - Device ID
+ * @param {String} userId - User creating it
+ * @returns {Promise<Object>} - { code, expiresAt }
+ */
+const createActivationCode = async (deviceId, userId) => {
+  await ActivationCode.updateMany({ deviceId, usedAt: null }, { usedAt: new Date() });
+
+  const code = generateActivationCode();
+  const expiresAt = new Date(Date.now() + ACTIVATION_CODE_TTL_MINUTES * 60 * 1000);
+  await ActivationCode.create({
+    deviceId,
+    codeHash: hashDeviceToken(normalizeCode(code)),
+    expiresAt,
+    createdBy: userId
+  });
+
+  return { code, expiresAt };
+};
+
+/**
+ * Exchange an activation code for a new device token
+ * @param {String} deviceId - Device ID
+ * @param {String} code - Code from the onboarding QR
+ * @param {String} ipAddress - Caller IP
+ * @returns {Promise<Object>} - { device, token } or { error, statusCode, code }
+ */
+const redeemActivationCode = async (deviceId, code, ipAddress) => {
+  const codeHash = hashDeviceToken(normalizeCode(code));
+
+  // Single use - only one request can flip usedAt
+  const activation = await ActivationCode.findOneAndUpdate(
+    { deviceId, codeHash, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date(), usedIp: ipAddress },
+    { new: true }
+  );
+
+  if (!activation) {
+    const existing = await ActivationCode.findOne({ deviceId, codeHash });
+    if (existing?.usedAt) {
+      return { error: 'This activation code has already been used or replaced by a newer one', statusCode: 410, code: ACTIVATION_ERRORS.USED };
+    }
+    if (existing) {
+      return { error: 'This activation code has expired', statusCode: 410, code: ACTIVATION_ERRORS.EXPIRED };
+    }
+    return { error: 'Invalid activation code', statusCode: 401, code: ACTIVATION_ERRORS.INVALID };
+  }
+
+  const device = await Device.findById(deviceId).select(DEVICE_TOKEN_FIELDS);
+  if (!device) {
+    return { error: 'Device not found', statusCode: 404, code: ACTIVATION_ERRORS.INVALID };
+  }
+
+  // A rotated-out token keeps its grace period
+  const token = generateDeviceToken();
+  device.deviceTokenHash = hashDeviceToken(token);
+  await device.save();
+
+  return { device, token };
+};
+
+/**
+ * Revoke a device's token, keeping it valid for a while, and create a new activation code
+ * @param {String} deviceId - Device ID
+ * @param {Number} graceSeconds - How long the old token keeps working (0 = revoke it now)
+ * @param {String} userId - User rotating it
+ * @returns {Promise<Object>} - { device, code, expiresAt } or { error, statusCode }
+ */
+const rotateDeviceToken = async (deviceId, graceSeconds = DEFAULT_GRACE_SECONDS, userId) => {
+  if (!Number.isInteger(graceSeconds) || graceSeconds < 0 || graceSeconds > MAX_GRACE_SECONDS) {
+    return { error: `Grace period must be between 0 and ${MAX_GRACE_SECONDS} seconds`, statusCode: 400 };
+  }
+
+  const device = await Device.findById(deviceId).select(DEVICE_TOKEN_FIELDS);
+  if (!device) {
+    return { error: 'Device not found', statusCode: 404 };
+  }
+
+  if (graceSeconds === 0) {
+    device.previousDeviceTokenHash = undefined;
+    device.previousTokenExpiresAt = undefined;
+  } else if (device.deviceTokenHash) {
+    device.previousDeviceTokenHash = device.deviceTokenHash;
+    device.previousTokenExpiresAt = new Date(Date.now() + graceSeconds * 1000);
+  }
+  // (rotated again before the last code was redeemed - the earlier grace period carries on)
+
+  // No current token until the new code is redeemed
+  device.deviceTokenHash = undefined;
+  device.tokenRotatedAt = new Date();
+  await device.save();
+
+  const { code, expiresAt } = await createActivationCode(device._id, userId);
+
+  logger.info(`🔑 Token rotated for device ${device.name} (old token valid for ${graceSeconds}s)`);
+  return { device, code, expiresAt };
+};
+
+/**
+ * Hash tokens of devices registered before tokens were hashed
+ * @returns {Promise<Number>} - Number of devices migrated
+ */
+const migrateLegacyDeviceTokens = async () => {
+  const devices = await Device.find({ deviceToken: { $exists: true, $ne: null } }).select('+deviceToken');
+
+  for (const device of devices) {
+    device.deviceTokenHash = hashDeviceToken(device.deviceToken);
+    device.deviceToken = undefined;
+    await device.save();
+  }
+
+  if (devices.length > 0) {
+    logger.info(`🔑 Hashed the tokens of ${devices.length} device(s)`);
+  }
+  return devices.length;
+};
+
+module.exports = {
+  DEFAULT_GRACE_SECONDS,
+  DEVICE_TOKEN_FIELDS,
+  ACTIVATION_ERRORS,
+  verifyDeviceToken,
+  createActivationCode,
+  redeemActivationCode,
+  rotateDeviceToken,
+  migrateLegacyDeviceTokens
+};
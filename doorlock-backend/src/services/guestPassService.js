@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { GuestPass, VisitorLog } = require('../models');
+const { unlockPairedLocks } = require('./lockService');
+const { checkActingUserAccess } = require('../utils/deviceAccess');
+const { emitToRoom, SOCKET_EVENTS } = require('../config/socketEmitter');
+const logger = require('../utils/logger');
+
+/**
+ * Guest Pass Service
+ * Generates pass codes and redeems them at the door camera
+ */
+
+const PIN_LENGTH = 6;
+
+/**
+ * Generate a plain pass code
+ * @param {String} codeType - 'pin' (numeric, typed on the camera) or 'qr' (long token shown as QR)
+ * @returns {String}
+ */
+const generatePassCode = (codeType) => {
+  if (codeType === 'qr') {
+    return `gp_${crypto.randomBytes(18).toString('hex')}`;
+  }
+  return crypto.randomInt(0, 10 ** PIN_LENGTH).toString().padStart(PIN_LENGTH, '0');
+};
+
+/**
+ * Generate a code that is not already used on the device
+ * @returns {Promise<Object>} - { code, codeHash }
+ */
+const generateUniquePassCode = async (deviceId, codeType) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generatePassCode(codeType);
+    const codeHash = GuestPass.hashCode(deviceId, code);
+    const exists = await GuestPass.exists({ codeHash });
+    if (!exists) {
+      return { code, codeHash };
+    }
+  }
+  throw new Error('Failed to generate a unique pass code');
+};
+
+/**
+ * Redeem a pass code on a device
+ * Checks the creator can still unlock the device, claims one use atomically, writes a guest_pass VisitorLog and unlocks the paired locks
+ * @param {Object} device - Device document the code was entered on
+ * @param {String} code - Plain PIN or QR token
+ * @param {Object} options - { ipAddress, userAgent }
+ * @returns {Promise<Object>} - { success, reason } or { success, pass, visitorLog, locks, noPairedLock }
+ */
+const redeemGuestPass = async (device, code, options = {}) => {
+  const now = new Date();
+  const codeHash = GuestPass.hashCode(device._id, code);
+
+  const pass = await GuestPass.findOne({ deviceId: device._id, codeHash });
+  if (!pass) {
+    logger.warn(`🎫 Invalid pass code entered on ${device.name}`);
+    return { success: false, reason: 'Invalid pass code' };
+  }
+
+  const { redeemable, reason } = pass.checkRedeemable(now);
+  if (!redeemable) {
+    logger.warn(`🎫 Pass ${pass._id} rejected on ${device.name}: ${reason}`);
+    return { success: false, reason };
+  }
+
+  // The door is unlocked as the pass creator - a creator who lost access takes the pass with them
+  const { error } = await checkActingUserAccess(device, pass.createdBy);
+  if (error) {
+    await GuestPass.updateOne({ _id: pass._id }, { $set: { revoked: true, revokedAt: now } });
+    logger.warn(`🎫 Pass ${pass._id} revoked on ${device.name} - its creator can no longer unlock it: ${error}`);
+    return { success: false, reason: 'Pass has been revoked' };
+  }
+
+  // Claim one use - guards against the same code being redeemed twice concurrently
+  const claimed = await GuestPass.findOneAndUpdate(
+    {
+      _id: pass._id,
+      revoked: false,
+      useCount: { $lt: pass.maxUses }
+    },
+    { $inc: { useCount: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return { success: false, reason: 'Pass has already been used' };
+  }
+
+  const visitorLog = new VisitorLog({
+    deviceId: device._id,
+    deviceName: device.name,
+    status: 'approved',
+    decisionSource: 'guest_pass',
+    guestPassId: claimed._id,
+    guestName: claimed.guestName,
+    processedAt: now,
+    note: `Guest pass redeemed by ${claimed.guestName}`,
+    metadata: {
+      ipAddress: options.ipAddress,
+      userAgent: options.userAgent
+    }
+  });
+  await visitorLog.save();
+
+  claimed.redemptions.push({
+    redeemedAt: now,
+    visitorLogId: visitorLog._id,
+    ipAddress: options.ipAddress
+  });
+  await claimed.save();
+
+  logger.info(`🎫 Guest pass for ${claimed.guestName} redeemed on ${device.name} (${claimed.useCount}/${claimed.maxUses})`);
+
+  const locks = await unlockPairedLocks(device, claimed.createdBy, {
+    visitorLogId: visitorLog._id
+  });
+
+  const unlockedCount = locks.filter(result => result.success).length;
+  logger.info(`🔓 Unlocked ${unlockedCount}/${locks.length} lock(s) for guest ${claimed.guestName}`);
+  const noPairedLock = locks.length === 0;
+
+  emitToRoom(`device:${device._id}`, SOCKET_EVENTS.VISITOR_PROCESSED, {
+    visitorId: visitorLog._id,
+    status: 'approved',
+    deviceName: device.name,
+    deviceId: device._id,
+    decisionSource: 'guest_pass',
+    guestPassId: claimed._id,
+    guestName: claimed.guestName,
+    locks,
+    noPairedLock,
+    timestamp: now
+  });
+
+  return { success: true, pass: claimed, visitorLog, locks, noPairedLock };
+};
+
+module.exports = {
+  generateUniquePassCode,
+  redeemGuestPass
+};
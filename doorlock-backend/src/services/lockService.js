@@ -0,0 +1,97 @@
+const { Device } = require('../models');
+const logger = require('../utils/logger');
+
+/**
+ * Lock Service
+ * Resolves which door locks a device controls and sends unlock commands to them
+ */
+
+// Reported with an approval that had no lock to unlock
+const NO_PAIRED_LOCK_MESSAGE = 'No active door lock is paired with this device';
+
+/**
+ * Resolve the door locks that should be unlocked for a device
+ * A door lock with nothing paired unlocks itself; any other device needs a paired lock.
+ * @param {Object} device - Device document (camera or lock)
+ * @returns {Promise<Array>} - Lock device documents, empty when there is nothing to unlock
+ */
+const resolveUnlockTargets = async (device) => {
+  const lockIds = (device.pairedLocks || []).map(pair => pair.lockId);
+
+  if (lockIds.length === 0) {
+    if (device.deviceType === 'door-lock') {
+      return [device];
+    }
+    logger.warn(`⚠️ Device ${device.name} has no paired locks - nothing to unlock`);
+    return [];
+  }
+
+  const locks = await Device.find({
+    _id: { $in: lockIds },
+    deviceType: 'door-lock',
+    isActive: true
+  });
+
+  if (locks.length < lockIds.length) {
+    logger.warn(`⚠️ ${lockIds.length - locks.length} paired lock(s) of ${device.name} are missing or inactive`);
+  }
+
+  return locks;
+};
+
+/**
+ * Send unlock_door to every lock paired with a device
+ * @param {Object} device - Device document the visitor was seen on
+ * @param {String} userId - User who approved access
+ * @param {Object} options - { visitorLogId }
+ * @returns {Promise<Array>} - Per-lock results: { lockId, lockName, success, commandId, status, error },
+ *   empty when no lock is paired (see NO_PAIRED_LOCK_MESSAGE)
+ */
+const unlockPairedLocks = async (device, userId, options = {}) => {
+  const deviceConnectionManager = require('./deviceConnectionManager');
+  const locks = await resolveUnlockTargets(device);
+
+  const results = await Promise.all(locks.map(async (lock) => {
+    const lockId = lock._id.toString();
+    const payload = {
+      duration: lock.settings?.autoLockTimeout || 5000,
+      ...(options.visitorLogId && { visitorLogId: options.visitorLogId.toString() })
+    };
+
+    try {
+      const commandResult = await deviceConnectionManager.sendCommand(
+        lockId,
+        'unlock_door',
+        payload,
+        userId
+      );
+
+      logger.info(`🔓 Unlock sent to ${lock.name} (${lockId}) - Command ID: ${commandResult.commandId}`);
+
+      return {
+        lockId,
+        lockName: lock.name,
+        success: true,
+        commandId: commandResult.commandId,
+        status: commandResult.status
+      };
+    } catch (error) {
+      logger.error(`❌ Failed to unlock ${lock.name} (${lockId}): ${error.message}`);
+
+      return {
+        lockId,
+        lockName: lock.name,
+        success: false,
+        error: error.message
+      };
+    }
+  }));
+
+  return results;
+};
+
+module.exports = {
+  NO_PAIRED_LOCK_MESSAGE,
+  resolveUnlockTargets,
+  unlockPairedLocks
+};
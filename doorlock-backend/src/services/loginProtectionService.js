@@ -0,0 +1,229 @@
+const { User, LoginEvent } = require('../models');
+const { emitToRoom, SOCKET_EVENTS } = require('../config/socketEmitter');
+const logger = require('../utils/logger');
+
+/**
+ * Login Protection Service
+ * Per-account failed-attempt counters with progressive lockout, the login
+ * history, and security alerts for suspicious sign-in patterns.
+ *
+ * authLimiter slows down one IP; this slows down one account no matter how
+ * many IPs the guesses come from.
+ */
+
+// Failures before the first lockout
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+// First lockout length; doubles with every further failure
+const LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60;
+const LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600;
+
+// Window and thresholds for spotting distributed guessing and password spraying
+const SUSPICIOUS_WINDOW_MS = 15 * 60 * 1000;
+const DISTINCT_IP_THRESHOLD = 3;
+const DISTINCT_ACCOUNT_THRESHOLD = 5;
+const ALERT_COOLDOWN_MS = 15 * 60 * 1000;
+
+const recentAlerts = new Map();
+
+/**
+ * Lockout length after a given number of consecutive failures
+ * @param {Number} failures - Consecutive failed attempts
+ * @returns {Number} - Seconds (0 = not locked)
+ */
+const getLockoutSeconds = (failures) => {
+  if (failures < LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+  return Math.min(LOCKOUT_BASE_SECONDS * 2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_SECONDS);
+};
+
+/**
+ * Seconds left on an account's lockout
+ * @param {Object} user - User document
+ * @returns {Number} - 0 when the account may sign in
+ */
+const getLockoutRemaining = (user) => {
+  if (!user.lockedUntil) {
+    return 0;
+  }
+  return Math.max(0, Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000));
+};
+
+/**
+ * Tell connected super admins about a suspicious pattern (at most once per
+ * cooldown for the same pattern and subject)
+ * @param {String} type - Alert type
+ * @param {String} subject - Account or IP the alert is about
+ * @param {Object} details - Extra data for the dashboard
+ */
+const raiseSecurityAlert = (type, subject, details = {}) => {
+  const key = `${type}:${subject}`;
+  const lastRaised = recentAlerts.get(key);
+  if (lastRaised && Date.now() - lastRaised < ALERT_COOLDOWN_MS) {
+    return;
+  }
+  recentAlerts.set(key, Date.now());
+
+  logger.warn(`🚨 Security alert (${type}) for ${subject}: ${JSON.stringify(details)}`);
+
+  emitToRoom('security', SOCKET_EVENTS.SECURITY_ALERT, {
+    type,
+    subject,
+    ...details,
+    timestamp: new Date()
+  });
+};
+
+/**
+ * Save a login history entry
+ */
+const recordEvent = ({ user, identifier, success, reason, method, client = {} }) => LoginEvent.create({
+  userId: user?._id,
+  identifier: identifier || user?.email,
+  success,
+  reason,
+  method,
+  ipAddress: client.ipAddress,
+  userAgent: client.userAgent
+});
+
+/**
+ * Look for failures against one account from several IPs, and for one IP
+ * failing against several accounts
+ */
+const detectSuspiciousFailures = async ({ user, identifier, client }) => {
+  const since = new Date(Date.now() - SUSPICIOUS_WINDOW_MS);
+  const subject = user?.email || identifier;
+
+  if (subject) {
+    const ips = await LoginEvent.distinct('ipAddress', {
+      identifier: subject,
+      success: false,
+      createdAt: { $gte: since }
+    });
+
+    if (ips.length >= DISTINCT_IP_THRESHOLD) {
+      raiseSecurityAlert('distributed_attempts', subject, {
+        userId: user?._id,
+        ipCount: ips.length,
+        ipAddresses: ips.slice(0, 10)
+      });
+    }
+  }
+
+  if (client.ipAddress) {
+    const accounts = await LoginEvent.distinct('identifier', {
+      ipAddress: client.ipAddress,
+      success: false,
+      createdAt: { $gte: since }
+    });
+
+    if (accounts.length >= DISTINCT_ACCOUNT_THRESHOLD) {
+      raiseSecurityAlert('password_spray', client.ipAddress, {
+        ipAddress: client.ipAddress,
+        accountCount: accounts.length
+      });
+    }
+  }
+};
+
+/**
+ * Record a failed attempt against an existing account and lock it when the
+ * threshold is reached
+ * @param {Object} user - User document
+ * @param {Object} options - { reason, client }
+ * @returns {Promise<Object>} - { lockedFor } seconds (0 = not locked)
+ */
+const recordFailedLogin = async (user, { reason = 'invalid_password', client } = {}) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  const lockedFor = getLockoutSeconds(updated.failedLoginAttempts);
+  if (lockedFor > 0) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { lockedUntil: new Date(Date.now() + lockedFor * 1000) } }
+    );
+
+    logger.warn(`🔒 Account ${user.username} locked for ${lockedFor}s after ${updated.failedLoginAttempts} failed attempts`);
+    raiseSecurityAlert('account_locked', user.email, {
+      userId: user._id,
+      failedAttempts: updated.failedLoginAttempts,
+      lockedFor,
+      ipAddress: client?.ipAddress
+    });
+  }
+
+  await recordEvent({ user, success: false, reason, client });
+  await detectSuspiciousFailures({ user, client: client || {} });
+
+  return { lockedFor };
+};
+
+/**
+ * Record an attempt that was refused before the password was checked
+ * (unknown email, inactive or locked account)
+ * @param {Object} options - { user, identifier, reason, client }
+ */
+const recordRejectedLogin = async ({ user, identifier, reason, client }) => {
+  await recordEvent({ user, identifier, success: false, reason, client });
+  await detectSuspiciousFailures({ user, identifier, client: client || {} });
+};
+
+/**
+ * Reset an account's failure counter and lift any lockout
+ * @param {String} userId - User ID
+ */
+const clearLockout = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockedUntil: '' } }
+  );
+};
+
+/**
+ * Record a successful sign-in and clear the failure counter
+ * @param {Object} user - User document
+ * @param {Object} options - { method, client }
+ */
+const recordSuccessfulLogin = async (user, { method = 'password', client } = {}) => {
+  const previousFailures = user.failedLoginAttempts || 0;
+
+  if (previousFailures > 0 || user.lockedUntil) {
+    await clearLockout(user._id);
+
+    if (previousFailures >= LOCKOUT_THRESHOLD) {
+      raiseSecurityAlert('login_after_failures', user.email, {
+        userId: user._id,
+        failedAttempts: previousFailures,
+        ipAddress: client?.ipAddress
+      });
+    }
+  }
+
+  await recordEvent({ user, success: true, reason: 'success', method, client });
+};
+
+/**
+ * Most recent sign-in attempts on an account
+ * @param {String} userId - User ID
+ * @param {Number} limit - Max entries
+ * @returns {Promise<Array>}
+ */
+const getLoginHistory = (userId, limit = 20) => LoginEvent.find({ userId })
+  .sort({ createdAt: -1 })
+  .limit(limit)
+  .lean();
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  getLockoutRemaining,
+  recordFailedLogin,
+  recordRejectedLogin,
+  recordSuccessfulLogin,
+  clearLockout,
+  getLoginHistory
+};
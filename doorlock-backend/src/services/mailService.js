@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Mail Service
+ * Sends email through a pluggable transport selected with MAIL_TRANSPORT:
+ *   - smtp:    real delivery via nodemailer (SMTP_* settings)
+ *   - file:    writes each message to MAIL_FILE_DIR as JSON (local development)
+ *   - console: logs each message (local development)
+ *   - test:    keeps messages in memory, read them with getSentMail()
+ *
+ * A transport is any object with `name` and `send(message)` returning
+ * a promise of `{ messageId }`.
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Smart Home <no-reply@localhost>';
+
+const generateMessageId = () => `<${crypto.randomUUID()}@doorlock-system>`;
+
+/**
+ * SMTP transport (nodemailer)
+ */
+const createSmtpTransport = () => {
+  // Required lazily so other transports work without SMTP configured
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+/**
+ * File transport - one JSON file per message
+ */
+const createFileTransport = () => {
+  const directory = path.resolve(process.env.MAIL_FILE_DIR || 'logs/mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const messageId = generateMessageId();
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+      const filePath = path.join(directory, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify({ messageId, ...message }, null, 2));
+
+      logger.info(`📧 Mail to ${message.to} written to ${filePath}`);
+      return { messageId };
+    }
+  };
+};
+
+/**
+ * Console transport - logs the whole message
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    const messageId = generateMessageId();
+    logger.info(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId };
+  }
+});
+
+/**
+ * Test transport - captures messages in memory
+ */
+const sentMail = [];
+
+const createTestTransport = () => ({
+  name: 'test',
+  send: async (message) => {
+    const messageId = generateMessageId();
+    sentMail.push({ messageId, ...message, sentAt: new Date() });
+    return { messageId };
+  }
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+  test: createTestTransport
+};
+
+let transport = null;
+
+/**
+ * Build a transport by name
+ * @param {String} name - smtp, file, console or test
+ * @returns {Object} - Transport
+ */
+const createTransport = (name) => {
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}. Must be one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return factory();
+};
+
+/**
+ * Get the active transport, creating it from MAIL_TRANSPORT on first use
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT
+      || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    transport = createTransport(name);
+    logger.info(`📧 Mail transport: ${transport.name}`);
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. with a custom one)
+ * @param {Object} customTransport - Transport object
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - { messageId }
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const result = await getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+  logger.info(`📧 Mail "${subject}" sent to ${to} (${result.messageId})`);
+  return result;
+};
+
+/**
+ * Messages captured by the test transport
+ * @returns {Array}
+ */
+const getSentMail = () => [...sentMail];
+
+/**
+ * Clear messages captured by the test transport
+ */
+const clearSentMail = () => {
+  sentMail.length = 0;
+};
+
+module.exports = {
+  createTransport,
+  setTransport,
+  sendMail,
+  getSentMail,
+  clearSentMail
+};
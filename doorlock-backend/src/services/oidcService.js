@@ -0,0 +1,409 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const { generateToken, verifyToken } = require('../utils/jwt');
+const { roleExists, SUPER_ADMIN_ROLE } = require('./roleService');
+const { setUserRole } = require('../config/socketEmitter');
+const logger = require('../utils/logger');
+
+/**
+ * OIDC Service
+ * OpenID Connect single sign-on (authorization code flow with PKCE) against
+ * any provider that publishes /.well-known/openid-configuration.
+ *
+ * The admin app starts the flow, keeps the signed state token while the
+ * browser is at the provider, and posts the code back from its callback page,
+ * so no server-side state or cookies are needed.
+ */
+
+const ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/$/, '');
+const CLIENT_ID = process.env.OIDC_CLIENT_ID;
+// Leave empty for public clients - PKCE protects the code exchange
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET;
+const REDIRECT_URI = process.env.OIDC_REDIRECT_URI
+  || `${process.env.ADMIN_APP_URL || 'http://localhost:5173'}/auth/oidc/callback`;
+const SCOPES = process.env.OIDC_SCOPES || 'openid email profile';
+const PROVIDER_NAME = process.env.OIDC_PROVIDER_NAME || 'Single sign-on';
+
+// Create accounts on first sign-in instead of only linking existing ones
+const AUTO_PROVISION = process.env.OIDC_AUTO_PROVISION === 'true';
+const DEFAULT_ROLE = process.env.OIDC_DEFAULT_ROLE || 'viewer';
+// Claim holding the user's groups/roles, e.g. "groups" or "realm_access.roles"
+const ROLE_CLAIM = process.env.OIDC_ROLE_CLAIM;
+// "idp-group:role,other-group:other-role" - first match wins
+const ROLE_MAP = (process.env.OIDC_ROLE_MAP || '')
+  .split(',')
+  .map(entry => {
+    // Split on the last colon so group names may contain colons (URNs)
+    const separator = entry.lastIndexOf(':');
+    return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+  })
+  .filter(([claimValue, role]) => claimValue && role);
+
+const STATE_TTL = '10m';
+const STATE_PURPOSE = 'oidc_state';
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+let discoveryCache = null;
+let jwksCache = null;
+
+/**
+ * Whether SSO is configured
+ * @returns {Boolean}
+ */
+const isEnabled = () => Boolean(ISSUER && CLIENT_ID);
+
+/**
+ * What the login page needs to show the SSO button
+ * @returns {Object} - { enabled, providerName }
+ */
+const getPublicConfig = () => ({
+  enabled: isEnabled(),
+  providerName: PROVIDER_NAME
+});
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const detail = body.error_description || body.error || response.statusText;
+    throw new Error(`${url} responded ${response.status}: ${detail}`);
+  }
+
+  return body;
+};
+
+/**
+ * The provider's discovery document (cached for an hour)
+ * @returns {Promise<Object>}
+ */
+const getDiscovery = async () => {
+  if (discoveryCache && Date.now() - discoveryCache.fetchedAt < DISCOVERY_TTL_MS) {
+    return discoveryCache.document;
+  }
+
+  const document = await fetchJson(`${ISSUER}/.well-known/openid-configuration`);
+  if (document.issuer?.replace(/\/$/, '') !== ISSUER) {
+    throw new Error(`Discovery issuer ${document.issuer} does not match OIDC_ISSUER`);
+  }
+
+  discoveryCache = { document, fetchedAt: Date.now() };
+  return document;
+};
+
+/**
+ * Public key for a token's key ID - refetches the key set once when the
+ * provider has rotated its keys
+ * @param {String} kid - Key ID from the token header
+ * @returns {Promise<KeyObject>}
+ */
+const getSigningKey = async (kid) => {
+  const findKey = () => jwksCache?.keys.find(key => key.kid === kid || (!kid && key.use !== 'enc'));
+
+  if (!findKey()) {
+    const { jwks_uri: jwksUri } = await getDiscovery();
+    jwksCache = await fetchJson(jwksUri);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error(`No signing key ${kid} published by the provider`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Build the provider's authorization URL
+ * @returns {Promise<Object>} - { authorizationUrl, stateToken } or { error, statusCode }
+ */
+const beginLogin = async () => {
+  if (!isEnabled()) {
+    return { error: 'Single sign-on is not configured', statusCode: 404 };
+  }
+
+  const discovery = await getDiscovery();
+
+  const state = base64url(crypto.randomBytes(16));
+  const nonce = base64url(crypto.randomBytes(16));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const url = new URL(discovery.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: CLIENT_ID,
+    redirect_uri: REDIRECT_URI,
+    scope: SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return {
+    authorizationUrl: url.toString(),
+    stateToken: generateToken(
+      { purpose: STATE_PURPOSE, state, nonce, codeVerifier },
+      { expiresIn: STATE_TTL }
+    )
+  };
+};
+
+/**
+ * Swap the authorization code for tokens
+ */
+const exchangeCode = async (code, codeVerifier) => {
+  const discovery = await getDiscovery();
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: REDIRECT_URI,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  const authMethods = discovery.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (CLIENT_SECRET && authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(CLIENT_ID)}:${encodeURIComponent(CLIENT_SECRET)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    params.set('client_id', CLIENT_ID);
+    if (CLIENT_SECRET) {
+      params.set('client_secret', CLIENT_SECRET);
+    }
+  }
+
+  return fetchJson(discovery.token_endpoint, { method: 'POST', headers, body: params });
+};
+
+/**
+ * Check the ID token's signature, issuer, audience, expiry and nonce
+ * @returns {Promise<Object>} - Token claims
+ */
+const verifyIdToken = async (idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Provider returned a malformed ID token');
+  }
+
+  const { alg, kid } = decoded.header;
+  const discovery = await getDiscovery();
+  const allowedAlgorithms = discovery.id_token_signing_alg_values_supported || ['RS256'];
+  if (alg === 'none' || !allowedAlgorithms.includes(alg)) {
+    throw new Error(`Unsupported ID token algorithm ${alg}`);
+  }
+
+  const key = alg.startsWith('HS') ? CLIENT_SECRET : await getSigningKey(kid);
+  if (!key) {
+    throw new Error(`Cannot verify ${alg} ID token without OIDC_CLIENT_SECRET`);
+  }
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: [alg],
+    issuer: [ISSUER, `${ISSUER}/`],
+    audience: CLIENT_ID,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+
+  return claims;
+};
+
+/**
+ * Read a possibly nested claim such as "realm_access.roles"
+ */
+const getClaim = (claims, path) => path
+  .split('.')
+  .reduce((value, key) => (value == null ? undefined : value[key]), claims);
+
+/**
+ * Role for the user's IdP groups, or null when none of them is mapped
+ * @param {Object} claims - ID token and userinfo claims
+ * @returns {Promise<String|null>}
+ */
+const mapRole = async (claims) => {
+  if (!ROLE_CLAIM) {
+    return null;
+  }
+
+  const value = getClaim(claims, ROLE_CLAIM);
+  const values = (Array.isArray(value) ? value : [value]).filter(Boolean).map(String);
+
+  for (const [claimValue, role] of ROLE_MAP) {
+    if (values.includes(claimValue) && await roleExists(role)) {
+      return role.toLowerCase();
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Free username derived from the IdP's preferred username or the email
+ */
+const generateUsername = async (claims) => {
+  const source = claims.preferred_username || claims.email.split('@')[0];
+  const base = source.toLowerCase().replace(/[^a-z0-9_]/g, '_').slice(0, 24).padEnd(3, '_');
+
+  let username = base;
+  for (let i = 1; await User.exists({ username }); i++) {
+    username = `${base}${i}`;
+  }
+
+  return username;
+};
+
+/**
+ * Find the account for a set of claims, linking by verified email or
+ * creating one when provisioning is on
+ * @returns {Promise<Object>} - { user, created } or { error, statusCode, reason, user? }
+ */
+const resolveUser = async (claims, role) => {
+  let user = await User.findOne({ 'sso.issuer': ISSUER, 'sso.subject': claims.sub });
+  if (user) {
+    return { user, created: false };
+  }
+
+  if (!claims.email) {
+    return { error: 'The identity provider did not share an email address', statusCode: 403, reason: 'sso_rejected' };
+  }
+
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  const unverifiedError = { error: 'Your email address is not verified with the identity provider', statusCode: 403, reason: 'sso_rejected' };
+
+  user = await User.findOne({ email: claims.email.toLowerCase() });
+  if (user) {
+    // Linking on an email the IdP doesn't vouch for would let anyone claim an
+    // existing account - a missing email_verified claim counts as unverified
+    if (!emailVerified) {
+      return { ...unverifiedError, user };
+    }
+
+    if (user.sso?.subject) {
+      return { error: 'This account is linked to a different identity', statusCode: 403, reason: 'sso_rejected', user };
+    }
+
+    user.sso = { issuer: ISSUER, subject: claims.sub, linkedAt: new Date() };
+    await user.save();
+    logger.info(`🔗 User ${user.username} linked to ${PROVIDER_NAME} (${claims.sub})`);
+    return { user, created: false };
+  }
+
+  if (!AUTO_PROVISION) {
+    return { error: 'No account exists for this identity - ask an administrator to create one', statusCode: 403, reason: 'unknown_user' };
+  }
+
+  if (claims.email_verified === false || claims.email_verified === 'false') {
+    return unverifiedError;
+  }
+
+  const newRole = role || DEFAULT_ROLE;
+  if (!(await roleExists(newRole))) {
+    return { error: `Default SSO role '${newRole}' does not exist`, statusCode: 500, reason: 'sso_rejected' };
+  }
+
+  user = await User.create({
+    username: await generateUsername(claims),
+    email: claims.email.toLowerCase(),
+    // Random password - SSO users can set a real one through "forgot password"
+    passwordHash: crypto.randomBytes(32).toString('hex'),
+    role: newRole,
+    sso: { issuer: ISSUER, subject: claims.sub, linkedAt: new Date() }
+  });
+
+  logger.info(`👤 User ${user.username} (${user.role}) provisioned from ${PROVIDER_NAME}`);
+  return { user, created: true };
+};
+
+/**
+ * Bring the user's role in line with their IdP groups. The last active
+ * super admin is never demoted this way.
+ */
+const syncRole = async (user, role) => {
+  if (!role || role === user.role) {
+    return;
+  }
+
+  if (user.role === SUPER_ADMIN_ROLE) {
+    const others = await User.countDocuments({ _id: { $ne: user._id }, role: SUPER_ADMIN_ROLE, isActive: true });
+    if (others === 0) {
+      logger.warn(`⚠️ Not changing role of ${user.username} from ${PROVIDER_NAME}: last super admin`);
+      return;
+    }
+  }
+
+  logger.info(`👤 Role of ${user.username} changed from ${user.role} to ${role} by ${PROVIDER_NAME} groups`);
+  user.role = role;
+  await user.save();
+
+  setUserRole(user._id, user.role);
+};
+
+/**
+ * Finish the flow: check state, exchange the code and find the user
+ * @param {Object} data - { code, state, stateToken }
+ * @returns {Promise<Object>} - { user, created, email } or { error, statusCode, reason, email }
+ */
+const finishLogin = async ({ code, state, stateToken }) => {
+  if (!isEnabled()) {
+    return { error: 'Single sign-on is not configured', statusCode: 404 };
+  }
+
+  let saved;
+  try {
+    saved = verifyToken(stateToken);
+  } catch (error) {
+    return { error: 'Sign-in request has expired, please try again', statusCode: 401 };
+  }
+
+  if (saved.purpose !== STATE_PURPOSE || !state || saved.state !== state) {
+    return { error: 'Invalid sign-in request', statusCode: 401 };
+  }
+
+  let claims;
+  try {
+    const tokens = await exchangeCode(code, saved.codeVerifier);
+    claims = await verifyIdToken(tokens.id_token, saved.nonce);
+
+    // Some providers only put email/groups in userinfo
+    const { userinfo_endpoint: userinfoEndpoint } = await getDiscovery();
+    if (userinfoEndpoint && tokens.access_token) {
+      const userinfo = await fetchJson(userinfoEndpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+      if (userinfo.sub === claims.sub) {
+        claims = { ...userinfo, ...claims };
+      }
+    }
+  } catch (error) {
+    logger.warn(`⚠️ ${PROVIDER_NAME} sign-in failed: ${error.message}`);
+    return { error: 'Sign-in with the identity provider failed', statusCode: 401 };
+  }
+
+  const role = await mapRole(claims);
+  const result = await resolveUser(claims, role);
+  if (result.error) {
+    return { ...result, email: claims.email };
+  }
+
+  if (!result.created) {
+    await syncRole(result.user, role);
+  }
+
+  return result;
+};
+
+module.exports = {
+  getPublicConfig,
+  beginLogin,
+  finishLogin
+};
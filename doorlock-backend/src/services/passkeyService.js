@@ -0,0 +1,293 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { User, Passkey } = require('../models');
+const { generateToken, verifyToken } = require('../utils/jwt');
+const logger = require('../utils/logger');
+
+/**
+ * Passkey Service
+ * WebAuthn registration and assertion ceremonies. The challenge travels in a
+ * short-lived signed token (like the 2FA login challenge), so nothing has to
+ * be kept server-side between the options request and the response.
+ */
+
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || process.env.TOTP_ISSUER || 'Smart Home';
+// Domain the passkeys are bound to - the admin app's hostname without port
+const RP_ID = process.env.WEBAUTHN_RP_ID || 'localhost';
+// Comma-separated origins allowed to run the ceremonies
+const ORIGINS = (process.env.WEBAUTHN_ORIGINS || process.env.ADMIN_APP_URL || 'http://localhost:5173')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+const CHALLENGE_TTL = '5m';
+
+/**
+ * What a ceremony challenge may be used for
+ */
+const PASSKEY_PURPOSES = {
+  REGISTER: 'passkey_register',
+  LOGIN: 'passkey_login',
+  STEP_UP: 'passkey_step_up'
+};
+
+const createChallengeToken = (challenge, purpose, userId) => generateToken(
+  { challenge, purpose, userId },
+  { expiresIn: CHALLENGE_TTL }
+);
+
+/**
+ * Read a ceremony challenge token
+ * @returns {Object} - { challenge, userId } or { error, statusCode }
+ */
+const readChallengeToken = (challengeToken, purpose) => {
+  let decoded;
+  try {
+    decoded = verifyToken(challengeToken);
+  } catch (error) {
+    return { error: 'Passkey request has expired, please try again', statusCode: 401 };
+  }
+
+  if (decoded.purpose !== purpose || !decoded.challenge) {
+    return { error: 'Invalid passkey request', statusCode: 401 };
+  }
+
+  return { challenge: decoded.challenge, userId: decoded.userId };
+};
+
+const toDescriptor = (passkey) => ({
+  id: passkey.credentialId,
+  transports: passkey.transports
+});
+
+const formatPasskey = (passkey) => ({
+  id: passkey._id,
+  name: passkey.name,
+  deviceType: passkey.deviceType,
+  backedUp: passkey.backedUp,
+  lastUsedAt: passkey.lastUsedAt || null,
+  createdAt: passkey.createdAt
+});
+
+/**
+ * Whether a user has registered at least one passkey
+ * @param {String} userId - User ID
+ * @returns {Promise<Boolean>}
+ */
+const hasPasskeys = async (userId) => Boolean(await Passkey.exists({ userId }));
+
+/**
+ * List a user's passkeys
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>}
+ */
+const getPasskeys = async (userId) => {
+  const passkeys = await Passkey.find({ userId }).sort({ createdAt: -1 });
+  return passkeys.map(formatPasskey);
+};
+
+/**
+ * Options for registering a new passkey
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - { options, challengeToken }
+ */
+const beginRegistration = async (user) => {
+  const existing = await Passkey.find({ userId: user._id });
+
+  const options = await generateRegistrationOptions({
+    rpName: RP_NAME,
+    rpID: RP_ID,
+    userID: new Uint8Array(Buffer.from(user._id.toString(), 'hex')),
+    userName: user.email,
+    userDisplayName: user.username,
+    attestationType: 'none',
+    // Don't register the same authenticator twice
+    excludeCredentials: existing.map(toDescriptor),
+    authenticatorSelection: {
+      // Discoverable, so the login page doesn't need the email first
+      residentKey: 'required',
+      userVerification: 'required'
+    }
+  });
+
+  return {
+    options,
+    challengeToken: createChallengeToken(options.challenge, PASSKEY_PURPOSES.REGISTER, user._id)
+  };
+};
+
+/**
+ * Check the authenticator's response and store the new passkey
+ * @param {Object} user - User document
+ * @param {Object} data - { challengeToken, response, name }
+ * @returns {Promise<Object>} - { passkey } or { error, statusCode }
+ */
+const finishRegistration = async (user, { challengeToken, response, name }) => {
+  const challenge = readChallengeToken(challengeToken, PASSKEY_PURPOSES.REGISTER);
+  if (challenge.error) {
+    return challenge;
+  }
+
+  if (String(challenge.userId) !== user._id.toString()) {
+    return { error: 'Invalid passkey request', statusCode: 401 };
+  }
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: ORIGINS,
+      expectedRPID: RP_ID,
+      requireUserVerification: true
+    });
+  } catch (error) {
+    logger.warn(`⚠️ Passkey registration failed for user ${user.username}: ${error.message}`);
+    return { error: 'Passkey could not be verified', statusCode: 400 };
+  }
+
+  if (!verification.verified) {
+    return { error: 'Passkey could not be verified', statusCode: 400 };
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+  if (await Passkey.exists({ credentialId: credential.id })) {
+    return { error: 'This passkey is already registered', statusCode: 400 };
+  }
+
+  const passkey = await Passkey.create({
+    userId: user._id,
+    credentialId: credential.id,
+    publicKey: Buffer.from(credential.publicKey),
+    counter: credential.counter,
+    transports: credential.transports || response.response?.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    name: name || 'Passkey'
+  });
+
+  logger.info(`🔑 Passkey "${passkey.name}" registered for user ${user.username}`);
+  return { passkey: formatPasskey(passkey) };
+};
+
+/**
+ * Options for signing in (any discoverable passkey) or for a step-up
+ * (only the user's own passkeys)
+ * @param {String} purpose - PASSKEY_PURPOSES.LOGIN or PASSKEY_PURPOSES.STEP_UP
+ * @param {String} userId - Required for step-up
+ * @returns {Promise<Object>} - { options, challengeToken } or { error, statusCode }
+ */
+const beginAuthentication = async (purpose, userId) => {
+  let allowCredentials;
+
+  if (purpose === PASSKEY_PURPOSES.STEP_UP) {
+    const passkeys = await Passkey.find({ userId });
+    if (passkeys.length === 0) {
+      return { error: 'No passkeys registered', statusCode: 400 };
+    }
+    allowCredentials = passkeys.map(toDescriptor);
+  }
+
+  const options = await generateAuthenticationOptions({
+    rpID: RP_ID,
+    allowCredentials,
+    userVerification: 'required'
+  });
+
+  return {
+    options,
+    challengeToken: createChallengeToken(options.challenge, purpose, userId)
+  };
+};
+
+/**
+ * Check a signed assertion
+ * @param {String} purpose - PASSKEY_PURPOSES.LOGIN or PASSKEY_PURPOSES.STEP_UP
+ * @param {Object} data - { challengeToken, response }
+ * @returns {Promise<Object>} - { user, passkey } or { error, statusCode, user? }
+ *   (user is set when the credential is known but the signature failed)
+ */
+const verifyAuthentication = async (purpose, { challengeToken, response } = {}) => {
+  if (!challengeToken || !response?.id) {
+    return { error: 'Passkey response is required', statusCode: 400 };
+  }
+
+  const challenge = readChallengeToken(challengeToken, purpose);
+  if (challenge.error) {
+    return challenge;
+  }
+
+  const passkey = await Passkey.findOne({ credentialId: response.id });
+  if (!passkey || (challenge.userId && passkey.userId.toString() !== String(challenge.userId))) {
+    return { error: 'Passkey is not registered', statusCode: 401 };
+  }
+
+  const user = await User.findById(passkey.userId);
+  if (!user) {
+    return { error: 'Passkey is not registered', statusCode: 401 };
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: ORIGINS,
+      expectedRPID: RP_ID,
+      credential: {
+        id: passkey.credentialId,
+        publicKey: new Uint8Array(passkey.publicKey),
+        counter: passkey.counter,
+        transports: passkey.transports
+      },
+      requireUserVerification: true
+    });
+  } catch (error) {
+    logger.warn(`⚠️ Passkey assertion failed for user ${user.username}: ${error.message}`);
+    return { error: 'Passkey could not be verified', statusCode: 401, user };
+  }
+
+  if (!verification.verified) {
+    return { error: 'Passkey could not be verified', statusCode: 401, user };
+  }
+
+  const { newCounter, credentialBackedUp } = verification.authenticationInfo;
+  passkey.counter = newCounter;
+  passkey.backedUp = credentialBackedUp;
+  passkey.lastUsedAt = new Date();
+  await passkey.save();
+
+  return { user, passkey };
+};
+
+/**
+ * Remove one of a user's passkeys
+ * @param {String} userId - User ID
+ * @param {String} passkeyId - Passkey ID
+ * @returns {Promise<Object>} - {} or { error, statusCode }
+ */
+const deletePasskey = async (userId, passkeyId) => {
+  const passkey = await Passkey.findOneAndDelete({ _id: passkeyId, userId });
+  if (!passkey) {
+    return { error: 'Passkey not found', statusCode: 404 };
+  }
+
+  logger.info(`🔑 Passkey "${passkey.name}" removed for user ${userId}`);
+  return {};
+};
+
+module.exports = {
+  PASSKEY_PURPOSES,
+  hasPasskeys,
+  getPasskeys,
+  beginRegistration,
+  finishRegistration,
+  beginAuthentication,
+  verifyAuthentication,
+  deletePasskey
+};
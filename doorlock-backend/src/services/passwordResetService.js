@@ -0,0 +1,141 @@
+const { User, PasswordResetToken } = require('../models');
+const { generateToken, verifyToken } = require('../utils/jwt');
+const { sendMail } = require('./mailService');
+const { revokeUserSessions } = require('./sessionService');
+const { clearLockout } = require('./loginProtectionService');
+const logger = require('../utils/logger');
+
+/**
+ * Password Reset Service
+ * Forgot-password links: a signed JWT with a short lifetime, backed by a
+ * PasswordResetToken record so each link works once
+ */
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const ADMIN_APP_URL = process.env.ADMIN_APP_URL || 'http://localhost:5173';
+const TOKEN_PURPOSE = 'password_reset';
+
+/**
+ * Email a reset link if the address belongs to an active user.
+ * Always resolves the same way so callers can't probe for accounts.
+ * @param {String} email - Email address
+ * @param {Object} client - { ipAddress }
+ */
+const requestPasswordReset = async (email, { ipAddress } = {}) => {
+  const user = await User.findOne({ email: String(email).toLowerCase(), isActive: true });
+  if (!user) {
+    logger.info(`Password reset requested for unknown email ${email}`);
+    return;
+  }
+
+  // Only the newest link should work
+  await PasswordResetToken.updateMany(
+    { userId: user._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  const record = await PasswordResetToken.create({
+    userId: user._id,
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+    requestedIp: ipAddress
+  });
+
+  const token = generateToken(
+    { userId: user._id, purpose: TOKEN_PURPOSE, rid: record._id },
+    { expiresIn: `${RESET_TOKEN_TTL_MINUTES}m` }
+  );
+  const resetUrl = `${ADMIN_APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Smart Home password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your Smart Home account.',
+      `Open this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new one:`,
+      '',
+      resetUrl,
+      '',
+      'If this wasn\'t you, ignore this email - your password stays the same.'
+    ].join('\n'),
+    html: `<p>Hi ${user.username},</p>
+<p>Someone asked to reset the password for your Smart Home account.
+Open this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new one:</p>
+<p><a href="${resetUrl}">Reset password</a></p>
+<p>If this wasn't you, ignore this email - your password stays the same.</p>`
+  });
+
+  logger.info(`🔑 Password reset link sent to user ${user.username}`);
+};
+
+/**
+ * Set a new password using a reset link token
+ * @param {String} token - Token from the reset link
+ * @param {String} newPassword - New password (already validated)
+ * @returns {Promise<Object>} - { user } or { error, statusCode }
+ */
+const resetPassword = async (token, newPassword) => {
+  const invalid = { error: 'Reset link is invalid or has expired', statusCode: 400 };
+
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    return invalid;
+  }
+
+  if (decoded.purpose !== TOKEN_PURPOSE) {
+    return invalid;
+  }
+
+  // Claim the link atomically so it can't be used twice
+  const record = await PasswordResetToken.findOneAndUpdate(
+    {
+      _id: decoded.rid,
+      userId: decoded.userId,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!record) {
+    return invalid;
+  }
+
+  const user = await User.findById(record.userId);
+  if (!user || !user.isActive) {
+    return invalid;
+  }
+
+  user.passwordHash = newPassword; // Will be hashed by pre-save hook
+  await user.save();
+
+  // Proving access to the mailbox lifts a lockout
+  await clearLockout(user._id);
+
+  // Whoever had the old password shouldn't stay signed in
+  const revoked = await revokeUserSessions(user._id, { reason: 'password_change' });
+
+  logger.info(`🔑 Password reset for user ${user.username} (${revoked} session(s) signed out)`);
+
+  sendMail({
+    to: user.email,
+    subject: 'Your Smart Home password was changed',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'The password for your Smart Home account was just reset and all devices were signed out.',
+      'If this wasn\'t you, contact your administrator right away.'
+    ].join('\n')
+  }).catch(error => logger.error(`Password change notice failed: ${error.message}`));
+
+  return { user };
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword
+};
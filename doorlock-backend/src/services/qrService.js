@@ -22,12 +22,13 @@ const generateDeviceToken = () => {
  */
 const generateOnboardingURL = (deviceData) => {
   const cameraAppUrl = process.env.CAMERA_APP_URL || 'http://localhost:5173';
-  const { deviceId, deviceToken, deviceType, room } = deviceData;
+  const { deviceId, activationCode, deviceType, room } = deviceData;
   
-  // Build URL with query parameters
+  // Build URL with query parameters - the code is single-use and short-lived,
+  // so a leaked URL or screenshot can't be used to impersonate the device
   const url = new URL(`${cameraAppUrl}/device/connect`);
   url.searchParams.append('deviceId', deviceId);
-  url.searchParams.append('token', deviceToken);
+  url.searchParams.append('code', activationCode);
   url.searchParams.append('type', deviceType);
   if (room) {
     url.searchParams.append('room', room);
@@ -87,13 +88,14 @@ const generateQRCodeBuffer = async (url) => {
 /**
  * Generate complete QR onboarding data for device
  * @param {Object} device - Device document
+ * @param {Object} activation - { code, expiresAt } from deviceTokenService.createActivationCode
  * @returns {Promise<Object>} - QR data including URL and base64 image
  */
-const generateDeviceQRData = async (device) => {
+const generateDeviceQRData = async (device, activation) => {
   try {
     const onboardingURL = generateOnboardingURL({
       deviceId: device._id.toString(),
-      deviceToken: device.deviceToken,
+      activationCode: activation.code,
       deviceType: device.deviceType,
       room: device.room
     });
@@ -107,6 +109,8 @@ const generateDeviceQRData = async (device) => {
       room: device.room,
       onboardingURL,
       qrCode: qrCodeBase64,
+      activationCode: activation.code,
+      activationCodeExpiresAt: activation.expiresAt,
       activated: device.activated,
       activatedAt: device.activatedAt
     };
@@ -0,0 +1,222 @@
+const { Role, User } = require('../models');
+const { ALL_PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+/**
+ * Role Service
+ * Resolves role names to permission sets and manages custom roles.
+ * Permission lookups are cached in memory and dropped whenever a role changes.
+ */
+
+const SUPER_ADMIN_ROLE = 'super_admin';
+
+const permissionCache = new Map();
+
+const clearCache = () => permissionCache.clear();
+
+/**
+ * Make sure the built-in roles exist. Existing users keep their role name,
+ * so 'admin' and 'super_admin' map straight onto the seeded permission sets.
+ * super_admin is always reset to every permission in the catalog.
+ */
+const ensureBuiltInRoles = async () => {
+  for (const role of BUILT_IN_ROLES) {
+    const update = role.name === SUPER_ADMIN_ROLE
+      ? {
+        $set: { permissions: ALL_PERMISSIONS, isSystem: true },
+        $setOnInsert: { description: role.description }
+      }
+      : {
+        $setOnInsert: {
+          description: role.description,
+          permissions: role.permissions,
+          isSystem: Boolean(role.isSystem)
+        }
+      };
+
+    await Role.updateOne({ name: role.name }, update, { upsert: true });
+  }
+
+  clearCache();
+  logger.info(`🛡️ Roles ready (${BUILT_IN_ROLES.map(role => role.name).join(', ')})`);
+};
+
+/**
+ * Permissions granted by a role
+ * @param {String} roleName - Role name
+ * @returns {Promise<Array>} - Permission keys (empty for unknown roles)
+ */
+const getRolePermissions = async (roleName) => {
+  if (!roleName) {
+    return [];
+  }
+
+  if (!permissionCache.has(roleName)) {
+    const role = await Role.findOne({ name: roleName }).select('permissions').lean();
+    permissionCache.set(roleName, role ? role.permissions : []);
+  }
+
+  return permissionCache.get(roleName);
+};
+
+/**
+ * Whether a role grants any of the given permissions
+ * @param {String} roleName - Role name
+ * @param {...String} permissions - Permission keys
+ * @returns {Promise<Boolean>}
+ */
+const hasPermission = async (roleName, ...permissions) => {
+  const granted = await getRolePermissions(roleName);
+  return permissions.some(permission => granted.includes(permission));
+};
+
+/**
+ * Whether a role with this name exists
+ * @param {String} roleName - Role name
+ * @returns {Promise<Boolean>}
+ */
+const roleExists = async (roleName) => Boolean(await Role.exists({ name: String(roleName).toLowerCase() }));
+
+/**
+ * List roles with how many users hold each
+ * @returns {Promise<Array>}
+ */
+const getRoles = async () => {
+  const [roles, counts] = await Promise.all([
+    Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+    User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+  ]);
+
+  const userCounts = new Map(counts.map(row => [row._id, row.count]));
+
+  return roles.map(role => ({
+    name: role.name,
+    description: role.description || '',
+    permissions: role.permissions,
+    isSystem: role.isSystem,
+    userCount: userCounts.get(role.name) || 0,
+    updatedAt: role.updatedAt
+  }));
+};
+
+/**
+ * Check a permission list against the catalog
+ * @returns {String|null} - Error message
+ */
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return 'Permissions must be a list';
+  }
+
+  const unknown = permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    return `Unknown permission(s): ${unknown.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Create a custom role
+ * @param {Object} data - { name, description, permissions }
+ * @param {String} userId - User making the change
+ * @returns {Promise<Object>} - { role } or { error, statusCode }
+ */
+const createRole = async ({ name, description, permissions = [] }, userId) => {
+  const permissionError = validatePermissions(permissions);
+  if (permissionError) {
+    return { error: permissionError, statusCode: 400 };
+  }
+
+  if (await roleExists(name)) {
+    return { error: 'A role with this name already exists', statusCode: 400 };
+  }
+
+  const role = await Role.create({
+    name,
+    description,
+    permissions: [...new Set(permissions)],
+    updatedBy: userId
+  });
+
+  clearCache();
+  logger.info(`🛡️ Role ${role.name} created with ${role.permissions.length} permission(s)`);
+  return { role };
+};
+
+/**
+ * Change a role's description and/or permissions
+ * @param {String} roleName - Role name
+ * @param {Object} changes - { description, permissions }
+ * @param {String} userId - User making the change
+ * @returns {Promise<Object>} - { role } or { error, statusCode }
+ */
+const updateRole = async (roleName, { description, permissions }, userId) => {
+  const role = await Role.findOne({ name: roleName });
+  if (!role) {
+    return { error: 'Role not found', statusCode: 404 };
+  }
+
+  if (permissions !== undefined) {
+    if (role.name === SUPER_ADMIN_ROLE) {
+      return { error: 'The super_admin role always has every permission', statusCode: 400 };
+    }
+
+    const permissionError = validatePermissions(permissions);
+    if (permissionError) {
+      return { error: permissionError, statusCode: 400 };
+    }
+
+    role.permissions = [...new Set(permissions)];
+  }
+
+  if (description !== undefined) {
+    role.description = description;
+  }
+
+  role.updatedBy = userId;
+  await role.save();
+
+  clearCache();
+  logger.info(`🛡️ Role ${role.name} updated`);
+  return { role };
+};
+
+/**
+ * Delete a custom role that no user holds
+ * @param {String} roleName - Role name
+ * @returns {Promise<Object>} - {} or { error, statusCode }
+ */
+const deleteRole = async (roleName) => {
+  const role = await Role.findOne({ name: roleName });
+  if (!role) {
+    return { error: 'Role not found', statusCode: 404 };
+  }
+
+  if (role.isSystem) {
+    return { error: 'Built-in roles cannot be deleted', statusCode: 400 };
+  }
+
+  const holders = await User.countDocuments({ role: role.name });
+  if (holders > 0) {
+    return { error: `Role is assigned to ${holders} user(s) - move them to another role first`, statusCode: 400 };
+  }
+
+  await role.deleteOne();
+
+  clearCache();
+  logger.info(`🛡️ Role ${role.name} deleted`);
+  return {};
+};
+
+module.exports = {
+  SUPER_ADMIN_ROLE,
+  ensureBuiltInRoles,
+  getRolePermissions,
+  hasPermission,
+  roleExists,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const { Session, User } = require('../models');
+const { generateToken, verifyToken } = require('../utils/jwt');
+const { getRolePermissions } = require('./roleService');
+const { recordSuccessfulLogin } = require('./loginProtectionService');
+const { disconnectSession } = require('../config/socketEmitter');
+const logger = require('../utils/logger');
+
+/**
+ * Session Service
+ * Issues short-lived access tokens bound to a server-side session and rotates
+ * the session's refresh token on every use
+ */
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Two tabs refreshing at once present the same token - don't treat that as theft
+const REUSE_GRACE_MS = 10 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Avoid a write on every request - last-used time only needs minute precision
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const getRefreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign an access token for a user's session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {String} - JWT carrying the session ID as `sid`
+ */
+const issueAccessToken = (user, session) => generateToken({
+  userId: user._id,
+  username: user.username,
+  role: user.role,
+  sid: session._id
+});
+
+/**
+ * Start a new session for a user
+ * @param {Object} user - User document
+ * @param {Object} client - { ipAddress, userAgent }
+ * @returns {Promise<Object>} - { session, accessToken, refreshToken }
+ */
+const createSession = async (user, { ipAddress, userAgent } = {}) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: getRefreshExpiry(),
+    ipAddress,
+    userAgent
+  });
+
+  return {
+    session,
+    accessToken: issueAccessToken(user, session),
+    refreshToken
+  };
+};
+
+/**
+ * Finish a login once every required factor has been checked
+ * @param {Object} user - User document
+ * @param {Object} client - { ipAddress, userAgent }
+ * @param {Object} options - { method } the factor that finished the login, for the login history
+ * @returns {Promise<Object>} - Login response payload { user, token, refreshToken }
+ */
+const completeLogin = async (user, client, { method = 'password' } = {}) => {
+  await recordSuccessfulLogin(user, { method, client });
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { accessToken, refreshToken } = await createSession(user, client);
+
+  logger.info(`User logged in: ${user.username}`);
+
+  return {
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      permissions: await getRolePermissions(user.role),
+      lastLogin: user.lastLogin
+    },
+    token: accessToken,
+    refreshToken
+  };
+};
+
+/**
+ * Disconnect the Socket.IO connections opened with a session
+ */
+const disconnectSessions = (sessionIds) => {
+  sessionIds.forEach(sessionId => disconnectSession(sessionId));
+};
+
+/**
+ * Revoke a single session
+ * @param {String} sessionId - Session ID
+ * @param {String} reason - Revocation reason
+ * @returns {Promise<Boolean>} - false when it was already revoked
+ */
+const revokeSession = async (sessionId, reason = 'revoked') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  disconnectSessions([sessionId]);
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke all active sessions of a user
+ * @param {String} userId - User ID
+ * @param {Object} options - { reason, exceptSessionId }
+ * @returns {Promise<Number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, { reason = 'revoked', exceptSessionId } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await Session.find(filter).select('_id');
+  if (sessions.length === 0) {
+    return 0;
+  }
+
+  const sessionIds = sessions.map(session => session._id);
+  await Session.updateMany(
+    { _id: { $in: sessionIds } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  disconnectSessions(sessionIds);
+  logger.info(`🔒 Revoked ${sessionIds.length} session(s) of user ${userId} (${reason})`);
+  return sessionIds.length;
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {String} refreshToken - Refresh token from the client
+ * @param {Object} client - { ipAddress, userAgent }
+ * @returns {Promise<Object>} - { user, session, accessToken, refreshToken } or { error, statusCode }
+ */
+const rotateRefreshToken = async (refreshToken, { ipAddress, userAgent } = {}) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    // A rotated-out token coming back means it was copied - kill the session
+    const reused = await Session.findOne({ previousRefreshTokenHash: tokenHash, revokedAt: null });
+    if (reused && (!reused.rotatedAt || Date.now() - reused.rotatedAt.getTime() > REUSE_GRACE_MS)) {
+      await revokeSession(reused._id, 'token_reuse');
+      logger.warn(`⚠️ Refresh token reuse detected - session ${reused._id} of user ${reused.userId} revoked`);
+    }
+    return { error: 'Invalid refresh token', statusCode: 401 };
+  }
+
+  if (!session.isActive()) {
+    return { error: 'Session has expired or been revoked', statusCode: 401 };
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    await revokeSession(session._id, 'revoked');
+    return { error: 'User account is inactive', statusCode: 401 };
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  const now = new Date();
+
+  // Only rotate if no concurrent refresh got there first
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        previousRefreshTokenHash: tokenHash,
+        rotatedAt: now,
+        expiresAt: getRefreshExpiry(),
+        lastUsedAt: now,
+        ...(ipAddress && { ipAddress }),
+        ...(userAgent && { userAgent })
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return { error: 'Invalid refresh token', statusCode: 401 };
+  }
+
+  return {
+    user,
+    session: rotated,
+    accessToken: issueAccessToken(user, rotated),
+    refreshToken: nextRefreshToken
+  };
+};
+
+/**
+ * Verify an access token and check its session is still active
+ * @param {String} token - JWT access token
+ * @returns {Promise<Object>} - { decoded, user, session }
+ * @throws {Error} - When the token is invalid or its session was revoked
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = verifyToken(token);
+
+  if (!decoded.sid) {
+    throw new Error('Token is not bound to a session');
+  }
+
+  const [session, user] = await Promise.all([
+    Session.findById(decoded.sid),
+    User.findById(decoded.userId)
+  ]);
+
+  if (!session || !session.isActive() || session.userId.toString() !== String(decoded.userId)) {
+    throw new Error('Session has expired or been revoked');
+  }
+
+  if (Date.now() - session.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => logger.error(`Error updating session last-used time: ${error.message}`));
+  }
+
+  return { decoded, user, session };
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} - Session documents
+ */
+const getUserSessions = async (userId) => {
+  return Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  createSession,
+  completeLogin,
+  getUserSessions,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken
+};
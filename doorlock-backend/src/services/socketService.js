@@ -1,4 +1,4 @@
-const { getIO, emitToRoom, emitToAll, SOCKET_EVENTS } = require('../config/socket');
+const { getIO, emitToRoom, emitToAll, SOCKET_EVENTS } = require('../config/socketEmitter');
 const logger = require('../utils/logger');
 
 /**
@@ -7,7 +7,7 @@ const logger = require('../utils/logger');
  */
 
 /**
- * Emit new visitor event to Admin app
+ * Emit new visitor event to the dashboards of the device's owner and shared users
  * @param {Object} visitorData - Visitor log data
  */
 const notifyNewVisitor = (visitorData) => {
@@ -18,15 +18,17 @@ const notifyNewVisitor = (visitorData) => {
       deviceId: visitorData.deviceId,
       deviceName: visitorData.deviceName,
       timestamp: visitorData.timestamp,
-      status: visitorData.status
+      status: visitorData.status,
+      expiresAt: visitorData.expiresAt
     };
     
-    logger.info(`📡 Emitting NEW_VISITOR event to 'admin' room`);
+    const room = `device:${visitorData.deviceId}`;
+    logger.info(`📡 Emitting NEW_VISITOR event to '${room}' room`);
     logger.info(`Event data: ${JSON.stringify(eventData)}`);
     
-    emitToRoom('admin', SOCKET_EVENTS.NEW_VISITOR, eventData);
+    emitToRoom(room, SOCKET_EVENTS.NEW_VISITOR, eventData);
 
-    logger.info(`✅ New visitor notification sent to admins: ${visitorData._id}`);
+    logger.info(`✅ New visitor notification sent to device viewers: ${visitorData._id}`);
   } catch (error) {
     logger.error(`❌ Failed to notify new visitor: ${error.message}`);
   }
@@ -0,0 +1,143 @@
+const { Session, User } = require('../models');
+const { verifySecondFactor } = require('./twoFactorService');
+const { PASSKEY_PURPOSES, verifyAuthentication } = require('./passkeyService');
+const { SENSITIVE_ACTIONS_SCOPE } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+/**
+ * Step-Up Service
+ * Sensitive actions (unlocking, firmware updates) need a fresh
+ * re-authentication on the current session, not just a valid access token
+ */
+
+const STEP_UP_WINDOW_SECONDS = parseInt(process.env.STEP_UP_WINDOW_SECONDS) || 300;
+
+// Error code clients look for to show the re-authentication prompt
+const STEP_UP_REQUIRED = 'STEP_UP_REQUIRED';
+
+// Error code for an API key without the sensitive-actions scope
+const API_KEY_SCOPE_REQUIRED = 'API_KEY_SCOPE_REQUIRED';
+
+// Device commands that need a recent step-up
+const SENSITIVE_COMMANDS = ['unlock_door', 'firmware_update'];
+
+/**
+ * Whether a device command needs a recent step-up
+ * @param {String} command - Command name
+ * @returns {Boolean}
+ */
+const isSensitiveCommand = (command) => SENSITIVE_COMMANDS.includes(command);
+
+/**
+ * When a session's step-up lapses
+ * @param {Object} session - Session document
+ * @returns {Date|null}
+ */
+const getStepUpExpiry = (session) => {
+  if (!session?.stepUpAt) {
+    return null;
+  }
+  return new Date(session.stepUpAt.getTime() + STEP_UP_WINDOW_SECONDS * 1000);
+};
+
+/**
+ * Check a session re-authenticated within the step-up window
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Object>} - {} or { error, statusCode, code }
+ */
+const checkStepUp = async (sessionId) => {
+  const session = sessionId ? await Session.findById(sessionId) : null;
+  const expiresAt = getStepUpExpiry(session);
+
+  if (!expiresAt || expiresAt <= new Date()) {
+    return {
+      error: 'Please confirm it\'s you to continue',
+      statusCode: 403,
+      code: STEP_UP_REQUIRED
+    };
+  }
+
+  return {};
+};
+
+/**
+ * Check the caller of a request may do a step-up protected action. A session
+ * needs a recent step-up; an API key can't re-authenticate, so it needs the
+ * sensitive-actions scope instead.
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} - {} or { error, statusCode, code }
+ */
+const checkRequestStepUp = async (user) => {
+  if (user?.apiKey) {
+    if (user.apiKey.scopes.includes(SENSITIVE_ACTIONS_SCOPE.key)) {
+      return {};
+    }
+    return {
+      error: `This API key needs the '${SENSITIVE_ACTIONS_SCOPE.key}' scope for this action`,
+      statusCode: 403,
+      code: API_KEY_SCOPE_REQUIRED
+    };
+  }
+
+  return checkStepUp(user?.sessionId);
+};
+
+/**
+ * Re-authenticate the current session
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Session ID
+ * @param {Object} credentials - { password }, { code } or { passkey: { challengeToken, response } }
+ * @returns {Promise<Object>} - { method, expiresAt } or { error, statusCode }
+ */
+const stepUp = async (userId, sessionId, { password, code, passkey } = {}) => {
+  let method;
+
+  if (passkey) {
+    const result = await verifyAuthentication(PASSKEY_PURPOSES.STEP_UP, passkey);
+    if (result.error) {
+      return { error: result.error, statusCode: 400 };
+    }
+    if (result.user._id.toString() !== String(userId)) {
+      return { error: 'Passkey belongs to another account', statusCode: 400 };
+    }
+    method = 'passkey';
+  } else if (code) {
+    const result = await verifySecondFactor(userId, { code });
+    if (result.error) {
+      return { error: result.error, statusCode: 400 };
+    }
+    method = 'totp';
+  } else if (password) {
+    const user = await User.findById(userId);
+    if (!user || !(await user.comparePassword(password))) {
+      return { error: 'Password is incorrect', statusCode: 400 };
+    }
+    method = 'password';
+  } else {
+    return { error: 'Password, verification code or passkey is required', statusCode: 400 };
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { $set: { stepUpAt: new Date(), stepUpMethod: method } },
+    { new: true }
+  );
+
+  if (!session) {
+    return { error: 'Session has expired or been revoked', statusCode: 401 };
+  }
+
+  logger.info(`🔐 Session ${sessionId} re-authenticated with ${method}`);
+  return { method, expiresAt: getStepUpExpiry(session) };
+};
+
+module.exports = {
+  STEP_UP_WINDOW_SECONDS,
+  STEP_UP_REQUIRED,
+  API_KEY_SCOPE_REQUIRED,
+  isSensitiveCommand,
+  getStepUpExpiry,
+  checkStepUp,
+  checkRequestStepUp,
+  stepUp
+};
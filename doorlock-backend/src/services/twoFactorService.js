@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { User, SecurityPolicy } = require('../models');
+const { generateToken, verifyToken } = require('../utils/jwt');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+const { generateQRCodeBase64 } = require('./qrService');
+const logger = require('../utils/logger');
+
+/**
+ * Two-Factor Service
+ * TOTP enrollment, login challenges and recovery codes
+ */
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Smart Home';
+const CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Purposes of the short-lived token handed out between password and second factor
+ */
+const CHALLENGE_PURPOSES = {
+  VERIFY: '2fa_verify',
+  SETUP: '2fa_setup'
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} - { codes, hashes }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Whether the security policy forces 2FA on every account
+ * @returns {Promise<Boolean>}
+ */
+const isTwoFactorRequired = async () => {
+  const policy = await SecurityPolicy.getPolicy();
+  return policy.requireTwoFactor;
+};
+
+/**
+ * Issue a login challenge token for a user who passed the password check
+ * @param {Object} user - User document
+ * @param {String} purpose - One of CHALLENGE_PURPOSES
+ * @returns {String} - Short-lived JWT
+ */
+const createChallenge = (user, purpose) => generateToken(
+  { userId: user._id, purpose },
+  { expiresIn: CHALLENGE_TTL }
+);
+
+/**
+ * Resolve the user behind a login challenge token
+ * @param {String} challengeToken - Token from createChallenge
+ * @param {String} purpose - Expected purpose
+ * @returns {Promise<Object>} - { user } or { error, statusCode }
+ */
+const verifyChallenge = async (challengeToken, purpose) => {
+  let decoded;
+  try {
+    decoded = verifyToken(challengeToken);
+  } catch (error) {
+    return { error: 'Login challenge has expired, please sign in again', statusCode: 401 };
+  }
+
+  if (decoded.purpose !== purpose) {
+    return { error: 'Invalid login challenge', statusCode: 401 };
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.isActive) {
+    return { error: 'User account is inactive', statusCode: 401 };
+  }
+
+  return { user };
+};
+
+/**
+ * Start (or restart) TOTP enrollment
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode } or { error, statusCode }
+ */
+const beginEnrollment = async (user) => {
+  if (user.twoFactor?.enabled) {
+    return { error: 'Two-factor authentication is already enabled', statusCode: 400 };
+  }
+
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+  const otpauthUrl = buildOtpauthUrl(secret, user.email, TOTP_ISSUER);
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await generateQRCodeBase64(otpauthUrl)
+  };
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {String} userId - User ID
+ * @param {String} code - Six digit code
+ * @returns {Promise<Object>} - { recoveryCodes } or { error, statusCode }
+ */
+const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor?.enabled) {
+    return { error: 'Two-factor authentication is already enabled', statusCode: 400 };
+  }
+
+  const secret = user.twoFactor?.pendingSecret;
+  if (!secret) {
+    return { error: 'Start two-factor setup first', statusCode: 400 };
+  }
+
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    return { error: 'Invalid verification code', statusCode: 400 };
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.secret': secret,
+      'twoFactor.recoveryCodes': hashes,
+      'twoFactor.lastUsedStep': step,
+      'twoFactor.enabledAt': new Date()
+    },
+    $unset: { 'twoFactor.pendingSecret': '' }
+  });
+
+  logger.info(`🔐 Two-factor authentication enabled for user ${user.username}`);
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Check a second factor - either a TOTP code or a single-use recovery code
+ * @param {String} userId - User ID
+ * @param {Object} factor - { code, recoveryCode }
+ * @returns {Promise<Object>} - { method } or { error, statusCode }
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode } = {}) => {
+  const user = await User.findById(userId).select('+twoFactor.secret');
+
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) {
+    return { error: 'Two-factor authentication is not enabled', statusCode: 400 };
+  }
+
+  if (recoveryCode) {
+    // Pull the hash so each recovery code works exactly once
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) },
+      { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return { error: 'Invalid recovery code', statusCode: 401 };
+    }
+
+    logger.warn(`⚠️ Recovery code used by user ${user.username}`);
+    return { method: 'recovery_code' };
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step === null) {
+    return { error: 'Invalid verification code', statusCode: 401 };
+  }
+
+  // Only accept a step newer than the last one used
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+        { 'twoFactor.lastUsedStep': null }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return { error: 'Verification code already used, wait for the next one', statusCode: 401 };
+  }
+
+  return { method: 'totp' };
+};
+
+/**
+ * Remove a user's 2FA enrollment regardless of policy (admin reset for a lost phone).
+ * If the policy requires 2FA the user enrolls again at their next login.
+ * @param {String} userId - User ID
+ */
+const resetTwoFactor = async (userId) => {
+  await User.updateOne({ _id: userId }, {
+    $set: { 'twoFactor.enabled': false },
+    $unset: {
+      'twoFactor.secret': '',
+      'twoFactor.pendingSecret': '',
+      'twoFactor.recoveryCodes': '',
+      'twoFactor.lastUsedStep': '',
+      'twoFactor.enabledAt': ''
+    }
+  });
+};
+
+/**
+ * Turn 2FA off for a user
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} - {} or { error, statusCode }
+ */
+const disableTwoFactor = async (userId) => {
+  if (await isTwoFactorRequired()) {
+    return { error: 'Two-factor authentication is required by the security policy', statusCode: 403 };
+  }
+
+  await resetTwoFactor(userId);
+  return {};
+};
+
+/**
+ * Replace a user's recovery codes
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} - New plain-text codes
+ */
+const regenerateRecoveryCodes = async (userId) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+  return codes;
+};
+
+/**
+ * 2FA state for the settings screen
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} - { enabled, enabledAt, recoveryCodesRemaining, required }
+ */
+const getTwoFactorStatus = async (userId) => {
+  const [user, required] = await Promise.all([
+    User.findById(userId).select('+twoFactor.recoveryCodes'),
+    isTwoFactorRequired()
+  ]);
+
+  return {
+    enabled: Boolean(user.twoFactor?.enabled),
+    enabledAt: user.twoFactor?.enabledAt || null,
+    recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+    required
+  };
+};
+
+module.exports = {
+  CHALLENGE_PURPOSES,
+  isTwoFactorRequired,
+  createChallenge,
+  verifyChallenge,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  resetTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorStatus
+};
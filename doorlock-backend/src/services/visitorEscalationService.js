@@ -0,0 +1,227 @@
+const { VisitorLog, User } = require('../models');
+const { isWithinWindow } = require('../utils/schedule');
+const { emitToRoom, SOCKET_EVENTS } = require('../config/socketEmitter');
+const { createSweeper } = require('../utils/sweeper');
+const logger = require('../utils/logger');
+
+/**
+ * Visitor Escalation Service
+ * Pages device members one at a time about a new visitor, moving to the next
+ * person every `stepSeconds` until someone answers or the chain runs out
+ */
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.VISITOR_ESCALATION_SWEEP_INTERVAL_MS) || 5000;
+
+/**
+ * Build the ordered list of users to page for a device
+ * On-call users come first, then the configured chain. Users that no longer
+ * have access to the device are skipped; the owner is the last resort.
+ * @param {Object} device - Device document
+ * @param {Date} date - Visitor arrival time
+ * @returns {Array} - [{ userId, reason }]
+ */
+const buildEscalationOrder = (device, date = new Date()) => {
+  const members = new Set(device.getMemberIds());
+  const { chain = [], onCallRotation = [], timezone = 'UTC' } = device.escalation || {};
+  const order = [];
+  const seen = new Set();
+
+  const add = (userId, reason) => {
+    const id = userId.toString();
+    if (!members.has(id) || seen.has(id)) return;
+    seen.add(id);
+    order.push({ userId: id, reason });
+  };
+
+  onCallRotation
+    .filter(shift => isWithinWindow({
+      daysOfWeek: shift.daysOfWeek,
+      startTime: shift.startTime,
+      endTime: shift.endTime,
+      timezone
+    }, date))
+    .forEach(shift => add(shift.userId, 'on_call'));
+
+  chain.forEach(userId => add(userId, 'chain'));
+
+  if (order.length === 0) {
+    add(device.userId, 'owner');
+  }
+
+  return order;
+};
+
+/**
+ * NEW_VISITOR payload for a visitor log
+ */
+const buildVisitorEvent = (log, device) => ({
+  visitorId: log._id,
+  imageUrl: log.imageUrl,
+  deviceId: device._id,
+  deviceName: log.deviceName || device.name,
+  timestamp: log.timestamp,
+  status: log.status,
+  expiresAt: log.expiresAt,
+  bellPressed: log.bellPressed
+});
+
+/**
+ * Work out the next escalation step of a visitor log
+ * @returns {Object} - { level, step, nextEscalationAt }
+ */
+const getNextStep = async (log, device) => {
+  const level = log.escalation.level + 1;
+  const entry = log.escalation.order[level];
+
+  if (!entry) {
+    // Chain exhausted - fall back to everyone in the admin room
+    return {
+      level,
+      step: { level, reason: 'broadcast', notifiedAt: new Date() },
+      nextEscalationAt: undefined
+    };
+  }
+
+  const user = await User.findById(entry.userId).select('username');
+  const stepSeconds = device.escalation?.stepSeconds || 30;
+
+  return {
+    level,
+    step: {
+      level,
+      userId: entry.userId,
+      username: user?.username,
+      reason: entry.reason,
+      notifiedAt: new Date()
+    },
+    nextEscalationAt: new Date(Date.now() + stepSeconds * 1000)
+  };
+};
+
+/**
+ * Emit the notification for an escalation step
+ */
+const notifyStep = (log, device, step) => {
+  const event = {
+    ...buildVisitorEvent(log, device),
+    escalation: { level: step.level, reason: step.reason }
+  };
+
+  if (step.reason === 'broadcast') {
+    emitToRoom(`device:${device._id}`, SOCKET_EVENTS.NEW_VISITOR, event);
+    logger.info(`📣 Visitor ${log._id} escalation chain exhausted - broadcast to everyone with access`);
+    return;
+  }
+
+  const room = `user:${step.userId}`;
+  emitToRoom(room, SOCKET_EVENTS.NEW_VISITOR, event);
+
+  if (step.level > 0) {
+    emitToRoom(room, SOCKET_EVENTS.SYSTEM_ALERT, {
+      severity: 'warning',
+      message: `Unanswered visitor at ${event.deviceName} escalated to you`,
+      deviceId: device._id,
+      visitorId: log._id,
+      timestamp: step.notifiedAt
+    });
+  }
+
+  logger.info(`📟 Visitor ${log._id} paged to ${step.username || step.userId} (level ${step.level}, ${step.reason})`);
+};
+
+/**
+ * Start escalation for a freshly created pending visitor log
+ * @param {Object} visitorLog - Pending VisitorLog document
+ * @param {Object} device - Device document
+ * @returns {Promise<Boolean>} - true when escalation took over notifying, false to broadcast as usual
+ */
+const startEscalation = async (visitorLog, device) => {
+  if (!device.escalation?.enabled) {
+    return false;
+  }
+
+  try {
+    visitorLog.escalation = {
+      order: buildEscalationOrder(device, visitorLog.timestamp),
+      level: -1,
+      steps: []
+    };
+
+    const { level, step, nextEscalationAt } = await getNextStep(visitorLog, device);
+    visitorLog.escalation.level = level;
+    visitorLog.escalation.nextEscalationAt = nextEscalationAt;
+    visitorLog.escalation.steps.push(step);
+    await visitorLog.save();
+
+    notifyStep(visitorLog, device, step);
+    return true;
+  } catch (error) {
+    logger.error(`❌ Failed to start escalation for visitor ${visitorLog._id}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Move a pending visitor log one step up its escalation chain
+ * @param {Object} log - VisitorLog with deviceId populated
+ */
+const escalateVisitor = async (log) => {
+  const device = log.deviceId;
+  const { level, step, nextEscalationAt } = await getNextStep(log, device);
+
+  // Only escalate if nobody answered and no other sweep moved it in the meantime
+  const updated = await VisitorLog.findOneAndUpdate(
+    { _id: log._id, status: 'pending', 'escalation.level': log.escalation.level },
+    {
+      $set: {
+        'escalation.level': level,
+        'escalation.nextEscalationAt': nextEscalationAt
+      },
+      $push: { 'escalation.steps': step }
+    },
+    { new: true }
+  );
+
+  if (updated) {
+    notifyStep(updated, device, step);
+  }
+};
+
+/**
+ * Find and escalate all pending visitor logs whose current step has run out
+ * @returns {Promise<Number>} - Number of logs processed
+ */
+const sweepEscalations = async () => {
+  const due = await VisitorLog.find({
+    status: 'pending',
+    'escalation.nextEscalationAt': { $lte: new Date() }
+  })
+    .populate('deviceId', 'name escalation')
+    .limit(100);
+
+  for (const log of due) {
+    try {
+      if (!log.deviceId) continue;
+      await escalateVisitor(log);
+    } catch (error) {
+      logger.error(`❌ Failed to escalate visitor ${log._id}: ${error.message}`);
+    }
+  }
+
+  return due.length;
+};
+
+const sweeper = createSweeper({
+  name: 'Visitor escalation sweeper',
+  icon: '📟',
+  intervalMs: SWEEP_INTERVAL_MS,
+  sweep: sweepEscalations
+});
+
+module.exports = {
+  buildEscalationOrder,
+  startEscalation,
+  sweepEscalations: sweeper.run,
+  startEscalationSweeper: sweeper.start,
+  stopEscalationSweeper: sweeper.stop
+};
@@ -0,0 +1,129 @@
+const { VisitorLog } = require('../models');
+const { emitToRoom, SOCKET_EVENTS } = require('../config/socketEmitter');
+const { createSweeper } = require('../utils/sweeper');
+const logger = require('../utils/logger');
+
+/**
+ * Visitor Timeout Service
+ * Resolves pending visitor requests nobody answered within the device's response timeout
+ */
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.VISITOR_TIMEOUT_SWEEP_INTERVAL_MS) || 5000;
+
+/**
+ * Compute when a new pending request on a device should time out
+ * @param {Object} device - Device document
+ * @param {Date} from - Request time (defaults to now)
+ * @returns {Date|undefined} - Expiry, or undefined when the device has no timeout
+ */
+const getVisitorExpiry = (device, from = new Date()) => {
+  const timeoutSeconds = device.settings?.visitorResponseTimeout;
+  if (!timeoutSeconds) {
+    return undefined;
+  }
+  return new Date(from.getTime() + timeoutSeconds * 1000);
+};
+
+/**
+ * Resolve a single timed-out visitor log and notify the camera and dashboards
+ * @param {Object} log - Pending VisitorLog with deviceId populated
+ */
+const expireVisitor = async (log) => {
+  const device = log.deviceId;
+  const action = device?.settings?.timeoutAction || 'expire';
+  const status = action === 'deny' ? 'denied' : 'expired';
+  const now = new Date();
+  const reason = action === 'deny'
+    ? 'No one answered in time - access denied'
+    : 'No one answered in time';
+
+  // Only resolve if nobody decided in the meantime
+  const resolved = await VisitorLog.findOneAndUpdate(
+    { _id: log._id, status: 'pending' },
+    {
+      $set: {
+        status,
+        decisionSource: 'timeout',
+        decisionTime: now,
+        processedAt: now,
+        note: reason
+      }
+    },
+    { new: true }
+  );
+
+  if (!resolved) {
+    return;
+  }
+
+  logger.info(`⌛ Visitor ${log._id} on ${log.deviceName} timed out - marked '${status}'`);
+
+  const visitorId = log._id.toString();
+  const deviceId = device?._id || log.deviceId;
+
+  emitToRoom(`device:${deviceId}`, SOCKET_EVENTS.ACCESS_DENIED, {
+    visitorId,
+    _id: visitorId,  // Include both for compatibility
+    approved: false,
+    status,
+    reason,
+    timedOut: true,
+    timestamp: now,
+    deviceId,
+    deviceName: log.deviceName
+  });
+
+  emitToRoom(`device:${deviceId}`, SOCKET_EVENTS.VISITOR_PROCESSED, {
+    visitorId,
+    status,
+    deviceName: log.deviceName,
+    deviceId,
+    decisionSource: 'timeout',
+    timestamp: now
+  });
+
+  emitToRoom(`device:${deviceId}`, SOCKET_EVENTS.SYSTEM_ALERT, {
+    severity: 'warning',
+    message: `Visitor at ${log.deviceName || 'the door'} was not answered in time`,
+    deviceId,
+    visitorId,
+    timestamp: now
+  });
+};
+
+/**
+ * Find and resolve all pending visitor logs past their expiry
+ * @returns {Promise<Number>} - Number of logs processed
+ */
+const sweepExpiredVisitors = async () => {
+  const expired = await VisitorLog.find({
+    status: 'pending',
+    expiresAt: { $lte: new Date() }
+  })
+    .populate('deviceId', 'name settings')
+    .limit(100);
+
+  for (const log of expired) {
+    try {
+      await expireVisitor(log);
+    } catch (error) {
+      logger.error(`❌ Failed to expire visitor ${log._id}: ${error.message}`);
+    }
+  }
+
+  return expired.length;
+};
+
+const sweeper = createSweeper({
+  name: 'Visitor timeout sweeper',
+  icon: '⌛',
+  intervalMs: SWEEP_INTERVAL_MS,
+  sweep: sweepExpiredVisitors
+});
+
+module.exports = {
+  getVisitorExpiry,
+  sweepExpiredVisitors: sweeper.run,
+  startVisitorTimeoutSweeper: sweeper.start,
+  stopVisitorTimeoutSweeper: sweeper.stop
+};
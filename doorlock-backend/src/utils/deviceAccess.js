@@ -0,0 +1,155 @@
+const { Device, VisitorLog, User } = require('../models');
+const { hasPermission } = require('../services/roleService');
+const { PERMISSIONS } = require('../config/permissions');
+const { isValidObjectId } = require('./validators');
+
+/**
+ * Device Access Utilities
+ * Shared authorization policy for device-scoped REST endpoints and socket handlers.
+ * A user can see a device (and its visitor logs) when they own it or it is
+ * shared with them; acting on it requires the matching permission.
+ */
+
+/**
+ * Check a user's permission on an already loaded device
+ * @param {Object} device - Device document
+ * @param {String} userId - User ID
+ * @param {String} permission - Required permission ('view', 'control', 'admin'), optional
+ * @returns {Object} - {} when allowed, { error, statusCode } otherwise
+ */
+const checkDeviceAccess = (device, userId, permission) => {
+  const access = device.hasAccess(userId);
+  if (!access.hasAccess) {
+    return { error: 'No access to this device', statusCode: 403 };
+  }
+
+  if (permission && !access.permissions.includes(permission)) {
+    return { error: `No ${permission} permission for this device`, statusCode: 403 };
+  }
+
+  return {};
+};
+
+/**
+ * Load a device and check the caller's permission on it
+ * @param {String} deviceId - Device ID from the route
+ * @param {String} userId - Authenticated user ID
+ * @param {String} permission - Required permission ('view', 'control', 'admin'), optional
+ * @returns {Promise<Object>} - { device } or { error, statusCode }
+ */
+const loadDeviceWithAccess = async (deviceId, userId, permission) => {
+  if (!isValidObjectId(deviceId)) {
+    return { error: 'Invalid device ID', statusCode: 400 };
+  }
+
+  const device = await Device.findById(deviceId);
+  if (!device) {
+    return { error: 'Device not found', statusCode: 404 };
+  }
+
+  const { error, statusCode } = checkDeviceAccess(device, userId, permission);
+  if (error) {
+    return { error, statusCode };
+  }
+
+  return { device };
+};
+
+/**
+ * Get the IDs of all devices a user owns or has been shared
+ * @param {String} userId - User ID
+ * @param {String} permission - Only include devices with this permission, optional
+ * @returns {Promise<Array>} - Device ObjectIds
+ */
+const getAccessibleDeviceIds = async (userId, permission) => {
+  const devices = await Device.find({
+    $or: [
+      { userId },
+      { 'sharedWith.userId': userId }
+    ]
+  }).select('userId sharedWith');
+
+  return devices
+    .filter(device => !checkDeviceAccess(device, userId, permission).error)
+    .map(device => device._id);
+};
+
+/**
+ * Build the deviceId part of a query, limited to the user's devices
+ * @param {String} userId - User ID
+ * @param {String} requestedDeviceId - Optional device filter from the query string
+ * @returns {Promise<Object>} - { scope } to merge into a filter, or { error, statusCode }
+ */
+const getDeviceScope = async (userId, requestedDeviceId) => {
+  const deviceIds = await getAccessibleDeviceIds(userId);
+
+  if (requestedDeviceId && isValidObjectId(requestedDeviceId)) {
+    const deviceId = deviceIds.find(id => id.equals(requestedDeviceId));
+    if (!deviceId) {
+      return { error: 'No access to this device', statusCode: 403 };
+    }
+    return { scope: { deviceId } };
+  }
+
+  return { scope: { deviceId: { $in: deviceIds } } };
+};
+
+/**
+ * Load a visitor log and check the caller's permission on its device
+ * @param {String} visitorLogId - Visitor log ID
+ * @param {String} userId - User ID
+ * @param {String} permission - Required permission ('view', 'control', 'admin'), optional
+ * @returns {Promise<Object>} - { visitorLog, device } or { error, statusCode }
+ */
+const loadVisitorLogWithAccess = async (visitorLogId, userId, permission) => {
+  if (!isValidObjectId(visitorLogId)) {
+    return { error: 'Invalid visitor log ID', statusCode: 400 };
+  }
+
+  const visitorLog = await VisitorLog.findById(visitorLogId);
+  if (!visitorLog) {
+    return { error: 'Visitor log not found', statusCode: 404 };
+  }
+
+  // Logs of deleted devices are not visible to anyone
+  const device = await Device.findById(visitorLog.deviceId);
+  if (!device) {
+    return { error: 'No access to this device', statusCode: 403 };
+  }
+
+  const { error, statusCode } = checkDeviceAccess(device, userId, permission);
+  if (error) {
+    return { error, statusCode };
+  }
+
+  return { visitorLog, device };
+};
+
+/**
+ * Check a user may still unlock a device on their own, e.g. before a schedule
+ * or guest pass they created acts for them
+ * @param {Object} device - Device document (with userId and sharedWith)
+ * @param {String} userId - User the action runs as
+ * @returns {Promise<Object>} - {} when allowed, { error, statusCode } otherwise
+ */
+const checkActingUserAccess = async (device, userId) => {
+  const user = userId && await User.findById(userId).select('role isActive');
+  if (!user || !user.isActive) {
+    return { error: 'User is missing or inactive', statusCode: 403 };
+  }
+
+  if (!(await hasPermission(user.role, PERMISSIONS.LOCKS_CONTROL))) {
+    return { error: `No ${PERMISSIONS.LOCKS_CONTROL} permission`, statusCode: 403 };
+  }
+
+  return checkDeviceAccess(device, user._id.toString(), 'control');
+};
+
+module.exports = {
+  checkDeviceAccess,
+  checkActingUserAccess,
+  loadDeviceWithAccess,
+  getAccessibleDeviceIds,
+  getDeviceScope,
+  loadVisitorLogWithAccess
+};
@@ -3,15 +3,17 @@ const jwt = require('jsonwebtoken');
 /**
  * Generate JWT Token
  * @param {Object} payload - Data to encode in token
+ * @param {Object} options - Overrides for jwt.sign options (e.g. expiresIn)
  * @returns {String} JWT token
  */
-const generateToken = (payload) => {
+const generateToken = (payload, options = {}) => {
   return jwt.sign(
     payload,
     process.env.JWT_SECRET,
     { 
-      expiresIn: process.env.JWT_EXPIRATION || '7d',
-      issuer: 'doorlock-system'
+      expiresIn: process.env.JWT_EXPIRATION || '15m',
+      issuer: 'doorlock-system',
+      ...options
     }
   );
 };
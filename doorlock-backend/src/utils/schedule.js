@@ -0,0 +1,163 @@
+/**
+ * Schedule Utilities
+ * Time-of-day and weekday helpers for recurring, timezone-aware windows
+ */
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Validate 'HH:mm' time string (24h)
+ */
+const isValidTime = (time) => {
+  return typeof time === 'string' && TIME_REGEX.test(time);
+};
+
+/**
+ * Validate IANA timezone name (e.g. 'Africa/Kigali')
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Convert 'HH:mm' to minutes since midnight
+ */
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Get weekday (0 = Sunday) and minutes since midnight for a date in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {String} timezone - IANA timezone name
+ * @returns {Object} - { dayOfWeek, minutes }
+ */
+const getLocalTime = (date, timezone = 'UTC') => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (type) => parts.find(p => p.type === type).value;
+
+  return {
+    dayOfWeek: WEEKDAYS[part('weekday')],
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+};
+
+/**
+ * Check whether a date falls inside a recurring weekly window
+ * Windows that end before they start (e.g. 22:00-06:00) run overnight and
+ * belong to the day they start on
+ * @param {Object} window - { daysOfWeek, startTime, endTime, timezone }
+ * @param {Date} date - Instant to check
+ * @returns {Boolean}
+ */
+const isWithinWindow = (window, date = new Date()) => {
+  const { daysOfWeek = [], startTime, endTime, timezone = 'UTC' } = window;
+  const { dayOfWeek, minutes } = getLocalTime(date, timezone);
+  const start = timeToMinutes(startTime);
+  const end = timeToMinutes(endTime);
+
+  if (start <= end) {
+    return daysOfWeek.includes(dayOfWeek) && minutes >= start && minutes < end;
+  }
+
+  // Overnight window
+  if (minutes >= start) {
+    return daysOfWeek.includes(dayOfWeek);
+  }
+  if (minutes < end) {
+    return daysOfWeek.includes((dayOfWeek + 6) % 7);
+  }
+  return false;
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+const getTimezoneOffset = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant of a wall-clock date and time in a timezone
+ * Times repeated by a DST change resolve to the first one; times skipped
+ * by it resolve to the same offset past the gap (02:30 becomes 03:30)
+ */
+const zonedTimeToDate = (year, month, day, minutes, timezone) => {
+  const wallClock = Date.UTC(year, month, day, 0, minutes);
+  const before = wallClock - getTimezoneOffset(new Date(wallClock), timezone);
+  const candidates = [before, wallClock - getTimezoneOffset(new Date(before), timezone)];
+
+  const exact = candidates.find(instant => instant + getTimezoneOffset(new Date(instant), timezone) === wallClock);
+  return new Date(exact ?? Math.max(...candidates));
+};
+
+/**
+ * Next time a weekly recurring moment happens after a given instant
+ * @param {Object} recurrence - { daysOfWeek, time ('HH:mm'), timezone }
+ * @param {Date} after - Start looking after this instant (defaults to now)
+ * @returns {Date|null} - Next occurrence, or null when no day is selected
+ */
+const getNextOccurrence = (recurrence, after = new Date()) => {
+  const { daysOfWeek = [], time, timezone = 'UTC' } = recurrence;
+  if (daysOfWeek.length === 0) {
+    return null;
+  }
+
+  const minutes = timeToMinutes(time);
+  // Local calendar date of 'after' in the schedule's timezone
+  const local = new Date(after.getTime() + getTimezoneOffset(after, timezone));
+
+  for (let i = 0; i <= 7; i++) {
+    const day = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + i));
+    if (!daysOfWeek.includes(day.getUTCDay())) {
+      continue;
+    }
+
+    const occurrence = zonedTimeToDate(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), minutes, timezone);
+    if (occurrence > after) {
+      return occurrence;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  isValidTime,
+  isValidTimezone,
+  timeToMinutes,
+  getLocalTime,
+  isWithinWindow,
+  getNextOccurrence
+};
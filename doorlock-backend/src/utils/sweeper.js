@@ -0,0 +1,60 @@
+const logger = require('./logger');
+
+/**
+ * Sweeper Utility
+ * Runs a background job on a fixed interval, e.g. expiring records found in Mongo
+ */
+
+/**
+ * Create a sweeper for a background job
+ * A run is skipped while the previous one is still going, and a failed run is
+ * logged and counted as 0.
+ * @param {Object} options
+ * @param {String} options.name - Name used in logs, e.g. 'Command timeout sweeper'
+ * @param {String} options.icon - Emoji logged when the sweeper starts
+ * @param {Number} options.intervalMs - Time between runs
+ * @param {Function} options.sweep - async () => Number of items processed
+ * @returns {Object} - { run, start, stop }
+ */
+const createSweeper = ({ name, icon, intervalMs, sweep }) => {
+  let timer = null;
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return 0;
+    }
+    running = true;
+
+    try {
+      return await sweep();
+    } catch (error) {
+      logger.error(`❌ ${name} failed: ${error.message}`);
+      return 0;
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) {
+      return;
+    }
+    timer = setInterval(run, intervalMs);
+    logger.info(`${icon} ${name} started (every ${intervalMs}ms)`);
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+      logger.info(`${name} stopped`);
+    }
+  };
+
+  return { run, start, stop };
+};
+
+module.exports = {
+  createSweeper
+};
@@ -63,12 +63,15 @@ const deviceEventSchemas = {
     metadata: Joi.object()
   }),
 
+  // Acknowledgment contract - see "Backend → Device Commands" below
   command_ack: Joi.object({
     commandId: Joi.string().required(),
     deviceId: Joi.string().required(),
     status: Joi.string().valid('received', 'executing', 'executed', 'failed').required(),
     timestamp: Joi.date().iso().required(),
-    errorMessage: Joi.string()
+    errorMessage: Joi.string(),
+    // Set when the commandId was seen before and the command was not run again
+    duplicate: Joi.boolean()
   })
 };
 
@@ -101,6 +104,20 @@ const dashboardEventSchemas = {
 };
 
 // Backend → Device Commands
+//
+// Every command is sent as { commandId, command, payload, timestamp } on one
+// channel - the device's commandDelivery.preferredChannel when it is connected
+// there. If no ack arrives within commandDelivery.fallbackAfterMs, the same
+// command (same commandId) is resent once on the other channel. Devices must:
+//   1. Ack 'received' as soon as a command arrives, on the channel it came in on
+//      (socket `command_ack`, or MQTT iot/responses/{deviceId} with the same fields).
+//   2. Remember the commandIds of at least the last 10 minutes. A command whose
+//      commandId was already seen must not run again - re-send the last ack for it
+//      with `duplicate: true` instead.
+//   3. Ack 'executing' (optional) and then exactly one of 'executed' or 'failed'
+//      (with errorMessage).
+// The backend ignores acks that would move a command backwards, so repeated or
+// out-of-order acks are harmless.
 const deviceCommandSchemas = {
   lock_door: Joi.object({
     commandId: Joi.string().required(),
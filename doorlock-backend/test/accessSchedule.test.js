@@ -0,0 +1,186 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { AccessSchedule, Device, Role, User } = require('../src/models');
+const deviceConnectionManager = require('../src/services/deviceConnectionManager');
+const { applyAccessSchedules } = require('../src/services/accessScheduleService');
+const { authenticateDevice } = require('../src/middlewares/auth');
+const doorRoutes = require('../src/routes/doorRoutes');
+const { query, createResponse } = require('./helpers');
+
+/**
+ * Automatic visitor approval by access schedules: it unlocks the door, so it
+ * only runs for an authenticated device and for schedules whose creator can
+ * still unlock that door
+ */
+
+const { ObjectId } = mongoose.Types;
+
+// Monday 12:00 UTC, inside the all-day schedule
+const ARRIVAL = new Date('2026-10-19T12:00:00Z');
+
+describe('access schedule auto-approval', () => {
+  let ownerId;
+  let guestId;
+  let camera;
+  let lock;
+  let users;
+  let unlocks;
+  let disabled;
+
+  const createSchedule = (createdBy, overrides = {}) => new AccessSchedule({
+    deviceId: camera._id,
+    name: 'Cleaner',
+    daysOfWeek: [0, 1, 2, 3, 4, 5, 6],
+    startTime: '08:00',
+    endTime: '18:00',
+    createdBy,
+    ...overrides
+  });
+
+  const createVisitorLog = () => ({
+    _id: new ObjectId(),
+    timestamp: ARRIVAL,
+    status: 'pending',
+    save: async () => {}
+  });
+
+  beforeEach(() => {
+    ownerId = new ObjectId();
+    guestId = new ObjectId();
+    lock = new Device({ name: 'Front lock', deviceType: 'door-lock', userId: ownerId });
+    camera = new Device({
+      name: 'Front camera',
+      deviceType: 'camera',
+      userId: ownerId,
+      pairedLocks: [{ lockId: lock._id }],
+      sharedWith: [{ userId: guestId, permissions: ['view', 'control'] }]
+    });
+    users = new Map([
+      [ownerId.toString(), { _id: ownerId, role: 'schedule-test-admin', isActive: true }],
+      [guestId.toString(), { _id: guestId, role: 'schedule-test-admin', isActive: true }]
+    ]);
+    unlocks = [];
+    disabled = [];
+
+    mock.method(User, 'findById', (id) => query(users.get(id.toString()) || null));
+    mock.method(Role, 'findOne', () => query({ permissions: ['locks:control'] }));
+    mock.method(Device, 'find', () => query([lock]));
+    mock.method(AccessSchedule, 'updateOne', async (filter, update) => {
+      disabled.push({ filter, update });
+    });
+    mock.method(deviceConnectionManager, 'sendCommand', async (deviceId, command, payload, userId) => {
+      unlocks.push({ deviceId, command, userId });
+      return { commandId: 'cmd-1', status: 'sent' };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('approves the visitor and unlocks the paired lock as the schedule creator', async () => {
+    const schedule = createSchedule(guestId);
+    mock.method(AccessSchedule, 'find', () => query([schedule]));
+    const visitorLog = createVisitorLog();
+
+    const result = await applyAccessSchedules(visitorLog, camera);
+
+    assert.equal(result.schedule, schedule);
+    assert.equal(visitorLog.status, 'approved');
+    assert.equal(visitorLog.decisionSource, 'schedule');
+    assert.deepEqual(unlocks, [{ deviceId: lock._id.toString(), command: 'unlock_door', userId: guestId }]);
+    assert.equal(disabled.length, 0);
+  });
+
+  it('leaves the visitor pending outside every window', async () => {
+    mock.method(AccessSchedule, 'find', () => query([createSchedule(ownerId, { startTime: '20:00', endTime: '22:00' })]));
+    const visitorLog = createVisitorLog();
+
+    const result = await applyAccessSchedules(visitorLog, camera);
+
+    assert.equal(result, null);
+    assert.equal(visitorLog.status, 'pending');
+    assert.equal(unlocks.length, 0);
+  });
+
+  it('disables the schedule of a creator whose share was downgraded to view', async () => {
+    camera.sharedWith[0].permissions = ['view'];
+    const schedule = createSchedule(guestId);
+    mock.method(AccessSchedule, 'find', () => query([schedule]));
+    const visitorLog = createVisitorLog();
+
+    const result = await applyAccessSchedules(visitorLog, camera);
+
+    assert.equal(result, null);
+    assert.equal(visitorLog.status, 'pending');
+    assert.equal(unlocks.length, 0);
+    assert.deepEqual(disabled, [{ filter: { _id: schedule._id }, update: { $set: { enabled: false } } }]);
+  });
+
+  it('disables the schedule of a creator whose share was revoked', async () => {
+    camera.sharedWith = [];
+    mock.method(AccessSchedule, 'find', () => query([createSchedule(guestId)]));
+
+    const result = await applyAccessSchedules(createVisitorLog(), camera);
+
+    assert.equal(result, null);
+    assert.equal(unlocks.length, 0);
+    assert.equal(disabled.length, 1);
+  });
+
+  it('skips a deactivated creator and falls through to the next matching schedule', async () => {
+    users.get(guestId.toString()).isActive = false;
+    const stale = createSchedule(guestId);
+    const current = createSchedule(ownerId, { name: 'Owner' });
+    mock.method(AccessSchedule, 'find', () => query([stale, current]));
+
+    const result = await applyAccessSchedules(createVisitorLog(), camera);
+
+    assert.equal(result.schedule, current);
+    assert.equal(unlocks[0].userId, ownerId);
+    assert.deepEqual(disabled.map(entry => entry.filter._id), [stale._id]);
+  });
+});
+
+describe('visitor photo upload authentication', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('authenticates the device before the upload is accepted', () => {
+    const layer = doorRoutes.stack.find(l => l.route && l.route.path === '/upload' && l.route.methods.post);
+    const handlers = layer.route.stack.map(l => l.handle);
+
+    const authIndex = handlers.indexOf(authenticateDevice);
+    const uploadIndex = handlers.findIndex(handle => handle.name === 'multerMiddleware');
+    assert.ok(authIndex !== -1, 'authenticateDevice is on the route');
+    assert.ok(authIndex < uploadIndex, 'the device is authenticated before the file is stored');
+  });
+
+  it('refuses a request without device credentials', async () => {
+    const res = createResponse();
+    const next = mock.fn();
+
+    await authenticateDevice({ headers: { 'x-device-id': new ObjectId().toString() } }, res, next);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  it('refuses a wrong device token', async () => {
+    const device = new Device({ name: 'Front camera', activated: true });
+    device.deviceTokenHash = 'a'.repeat(64);
+    mock.method(Device, 'findById', () => query(device));
+    const res = createResponse();
+    const next = mock.fn();
+
+    await authenticateDevice({
+      headers: { 'x-device-id': device._id.toString(), 'x-device-token': 'not-the-token' }
+    }, res, next);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(next.mock.callCount(), 0);
+  });
+});
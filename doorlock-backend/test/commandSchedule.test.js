@@ -0,0 +1,155 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { CommandSchedule, Device, DeviceEvent, Role, User } = require('../src/models');
+const deviceConnectionManager = require('../src/services/deviceConnectionManager');
+const { runDueSchedules } = require('../src/services/commandScheduleService');
+const { query } = require('./helpers');
+
+/**
+ * Command scheduler sweeps: a due run is claimed once, runs missed while the
+ * backend was down are skipped, and runs the creator may no longer send are
+ * refused
+ */
+
+const { ObjectId } = mongoose.Types;
+
+const MINUTE = 60 * 1000;
+
+describe('command scheduler', () => {
+  let ownerId;
+  let device;
+  let user;
+  let schedule;
+  let stored;
+  let sent;
+  let events;
+  let statusUpdates;
+
+  const createSchedule = (overrides = {}) => new CommandSchedule({
+    deviceId: device._id,
+    name: 'Nightly lock',
+    command: 'lock_door',
+    daysOfWeek: [0, 1, 2, 3, 4, 5, 6],
+    time: '22:00',
+    createdBy: ownerId,
+    nextRunAt: new Date(Date.now() - MINUTE),
+    ...overrides
+  });
+
+  // What the collection holds - the sweep reads `schedule`, which may be stale
+  const setSchedule = (overrides) => {
+    schedule = createSchedule(overrides);
+    stored = { enabled: schedule.enabled, nextRunAt: schedule.nextRunAt };
+  };
+
+  beforeEach(() => {
+    ownerId = new ObjectId();
+    device = new Device({ name: 'Front lock', deviceType: 'door-lock', userId: ownerId, isActive: true });
+    user = { _id: ownerId, role: 'command-schedule-test-admin', isActive: true };
+    setSchedule();
+    sent = [];
+    events = [];
+    statusUpdates = [];
+
+    mock.method(CommandSchedule, 'find', () => query([schedule]));
+    // Mirrors the claim: only matches while the stored nextRunAt is still the one that was read
+    mock.method(CommandSchedule, 'findOneAndUpdate', async (filter, update) => {
+      if (!stored.enabled || stored.nextRunAt?.getTime() !== filter.nextRunAt?.getTime()) return null;
+      Object.assign(stored, update.$set);
+      return new CommandSchedule({ ...schedule.toObject(), ...update.$set });
+    });
+    mock.method(CommandSchedule, 'updateOne', async (filter, update) => {
+      statusUpdates.push(update.$set);
+    });
+    mock.method(Device, 'findById', () => query(device));
+    mock.method(User, 'findById', () => query(user));
+    mock.method(Role, 'findOne', () => query({ permissions: ['locks:control'] }));
+    mock.method(DeviceEvent, 'logEvent', async (event) => {
+      events.push(event);
+    });
+    mock.method(deviceConnectionManager, 'sendCommand', async (deviceId, command, payload, userId) => {
+      sent.push({ deviceId, command, userId });
+      return { commandId: 'cmd-1', status: 'sent' };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('claims a due weekly run, sends it as the creator and moves on to the next run', async () => {
+    const processed = await runDueSchedules();
+
+    assert.equal(processed, 1);
+    assert.deepEqual(sent, [{ deviceId: device._id.toString(), command: 'lock_door', userId: ownerId }]);
+    assert.ok(stored.nextRunAt > new Date());
+    assert.equal(stored.enabled, true);
+    assert.deepEqual(statusUpdates, [{ lastStatus: 'sent', lastCommandId: 'cmd-1', lastError: null }]);
+  });
+
+  it('sends a run once when another sweep already claimed it', async () => {
+    await runDueSchedules();
+    // A second instance read the schedule before the claim moved nextRunAt
+    const processed = await runDueSchedules();
+
+    assert.equal(processed, 0);
+    assert.equal(sent.length, 1);
+  });
+
+  it('finishes a one-off schedule after its run', async () => {
+    setSchedule({ runAt: new Date(Date.now() - MINUTE), daysOfWeek: undefined, time: undefined });
+
+    await runDueSchedules();
+
+    assert.equal(sent.length, 1);
+    assert.equal(stored.enabled, false);
+    assert.equal(stored.nextRunAt, null);
+  });
+
+  it('skips a run missed by more than the grace period instead of sending it late', async () => {
+    setSchedule({ nextRunAt: new Date(Date.now() - 60 * MINUTE) });
+
+    const processed = await runDueSchedules();
+
+    assert.equal(processed, 1);
+    assert.equal(sent.length, 0);
+    assert.ok(stored.nextRunAt > new Date());
+    assert.equal(statusUpdates[0].lastStatus, 'skipped');
+    assert.equal(events[0].payload.status, 'skipped');
+    assert.equal(events[0].payload.scheduleId.toString(), schedule._id.toString());
+  });
+
+  it('refuses a sensitive command', async () => {
+    setSchedule({ command: 'unlock_door' });
+
+    await runDueSchedules();
+
+    assert.equal(sent.length, 0);
+    assert.equal(statusUpdates[0].lastStatus, 'failed');
+    assert.equal(events[0].eventType, 'command_failed');
+  });
+
+  it('refuses to run for a creator who lost control of the device', async () => {
+    const sharedUserId = new ObjectId();
+    device.sharedWith = [{ userId: sharedUserId, permissions: ['view'] }];
+    user = { _id: sharedUserId, role: 'command-schedule-test-admin', isActive: true };
+    setSchedule({ createdBy: sharedUserId });
+
+    await runDueSchedules();
+
+    assert.equal(sent.length, 0);
+    assert.equal(statusUpdates[0].lastStatus, 'failed');
+    assert.match(statusUpdates[0].lastError, /lost access/);
+  });
+
+  it('refuses to run for a deactivated creator', async () => {
+    user.isActive = false;
+
+    await runDueSchedules();
+
+    assert.equal(sent.length, 0);
+    assert.equal(statusUpdates[0].lastStatus, 'failed');
+  });
+});
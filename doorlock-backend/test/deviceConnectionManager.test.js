@@ -0,0 +1,159 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Device, Command } = require('../src/models');
+const DeviceEvent = require('../src/models/DeviceEvent');
+const mqttConfig = require('../src/config/mqtt');
+const socketEmitter = require('../src/config/socketEmitter');
+const deviceConnectionManager = require('../src/services/deviceConnectionManager');
+
+/**
+ * Command channel selection: which channel a command goes out on first,
+ * and that the fallback resends it on the other one
+ */
+
+const DEVICE_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const createSocket = () => ({
+  connected: true,
+  emitted: [],
+  emit(event, data) {
+    this.emitted.push({ event, data });
+  }
+});
+
+const createCommand = (overrides = {}) => ({
+  commandId: 'cmd-1',
+  deviceId: DEVICE_ID,
+  command: 'lock_door',
+  payload: {},
+  ...overrides
+});
+
+// Device documents are read as Device.findById(id).select(fields)
+const stubDevice = (commandDelivery) => {
+  mock.method(Device, 'findById', () => ({
+    select: async () => ({ _id: DEVICE_ID, name: 'Front door', espId: 'ESP-1', userId: 'owner-1', commandDelivery })
+  }));
+};
+
+describe('deviceConnectionManager channel selection', () => {
+  let published;
+  let commandUpdates;
+
+  beforeEach(() => {
+    published = [];
+    commandUpdates = [];
+
+    socketEmitter.setIO({ to: () => ({ emit: () => {} }) });
+    mock.method(mqttConfig, 'publishMessage', async (topic, message) => {
+      published.push({ topic, message: JSON.parse(message) });
+    });
+    mock.method(DeviceEvent, 'logEvent', async () => {});
+    mock.method(Device, 'findByIdAndUpdate', async () => {});
+    mock.method(Command, 'find', () => ({ sort: async () => [] }));
+    mock.method(Command, 'updateOne', async (filter, update) => {
+      commandUpdates.push({ filter, update });
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    deviceConnectionManager.connections.clear();
+    socketEmitter.setIO(null);
+  });
+
+  it('sends over a registered socket when websocket is preferred, keeping MQTT as fallback', async () => {
+    stubDevice({ preferredChannel: 'websocket', fallbackAfterMs: 60000 });
+    const socket = createSocket();
+    await deviceConnectionManager.registerDevice(DEVICE_ID, 'socket', socket);
+
+    assert.equal(deviceConnectionManager.isDeviceOnline(DEVICE_ID), true);
+    assert.deepEqual(deviceConnectionManager.getAvailableChannels(DEVICE_ID, 'websocket'), ['websocket', 'mqtt']);
+
+    await deviceConnectionManager.deliverCommand(createCommand());
+
+    assert.equal(socket.emitted.length, 1);
+    assert.equal(socket.emitted[0].event, 'lock_door');
+    assert.equal(published.length, 0);
+    assert.equal(commandUpdates[0].update.$set.channel, 'websocket');
+    assert.equal(commandUpdates[0].update.$set.fallbackChannel, 'mqtt');
+  });
+
+  it('publishes over MQTT first when the device prefers it, keeping the socket as fallback', async () => {
+    stubDevice({ preferredChannel: 'mqtt', fallbackAfterMs: 60000 });
+    const socket = createSocket();
+    await deviceConnectionManager.registerDevice(DEVICE_ID, 'socket', socket);
+
+    await deviceConnectionManager.deliverCommand(createCommand());
+
+    assert.equal(socket.emitted.length, 0);
+    assert.equal(published.length, 1);
+    assert.equal(published[0].topic, mqttConfig.MQTT_TOPICS.DEVICE_COMMAND(DEVICE_ID));
+    assert.equal(commandUpdates[0].update.$set.channel, 'mqtt');
+    assert.equal(commandUpdates[0].update.$set.fallbackChannel, 'websocket');
+  });
+
+  it('uses MQTT only, without a fallback, when the device has no socket', async () => {
+    stubDevice({ preferredChannel: 'websocket', fallbackAfterMs: 60000 });
+
+    assert.deepEqual(deviceConnectionManager.getAvailableChannels(DEVICE_ID, 'websocket'), ['mqtt']);
+
+    await deviceConnectionManager.deliverCommand(createCommand());
+
+    assert.equal(published.length, 1);
+    assert.equal(commandUpdates[0].update.$set.channel, 'mqtt');
+    assert.equal(commandUpdates[0].update.$set.fallbackChannel, undefined);
+  });
+
+  it('moves on to MQTT when the socket emit fails', async () => {
+    stubDevice({ preferredChannel: 'websocket', fallbackEnabled: false });
+    const socket = createSocket();
+    socket.emit = () => {
+      throw new Error('transport closed');
+    };
+    await deviceConnectionManager.registerDevice(DEVICE_ID, 'socket', socket);
+
+    await deviceConnectionManager.deliverCommand(createCommand());
+
+    assert.equal(published.length, 1);
+    assert.equal(commandUpdates[0].update.$set.channel, 'mqtt');
+  });
+
+  it('resends an unacknowledged command on its fallback channel', async () => {
+    const socket = createSocket();
+    stubDevice({ preferredChannel: 'websocket' });
+    await deviceConnectionManager.registerDevice(DEVICE_ID, 'socket', socket);
+
+    mock.method(Command, 'findOneAndUpdate', async () => createCommand({ status: 'sent', fallbackChannel: 'mqtt' }));
+
+    const sent = await deviceConnectionManager.sendFallback('cmd-1');
+
+    assert.equal(sent, true);
+    assert.equal(published.length, 1);
+    assert.equal(published[0].message.commandId, 'cmd-1');
+    assert.deepEqual(commandUpdates[0].update, { $push: { channels: 'mqtt' } });
+  });
+
+  it('does not resend a command that was already acknowledged', async () => {
+    mock.method(Command, 'findOneAndUpdate', async () => null);
+
+    const sent = await deviceConnectionManager.sendFallback('cmd-1');
+
+    assert.equal(sent, false);
+    assert.equal(published.length, 0);
+  });
+
+  it('keeps a newer socket when the one it replaced disconnects', async () => {
+    stubDevice({});
+    const oldSocket = createSocket();
+    const newSocket = createSocket();
+    await deviceConnectionManager.registerDevice(DEVICE_ID, 'socket', oldSocket);
+    await deviceConnectionManager.registerDevice(DEVICE_ID, 'socket', newSocket);
+
+    const offline = await deviceConnectionManager.unregisterDevice(DEVICE_ID, 'socket', 'transport close', oldSocket);
+
+    assert.equal(offline, false);
+    assert.deepEqual(deviceConnectionManager.getAvailableChannels(DEVICE_ID, 'websocket'), ['websocket', 'mqtt']);
+  });
+});
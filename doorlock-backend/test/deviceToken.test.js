@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { ActivationCode, Device } = require('../src/models');
+const {
+  verifyDeviceToken,
+  rotateDeviceToken,
+  redeemActivationCode
+} = require('../src/services/deviceTokenService');
+const { query } = require('./helpers');
+
+/**
+ * Device token rotation: the old token keeps working for the grace period,
+ * so the device can be re-provisioned, and stops working after it
+ */
+
+const OLD_TOKEN = 'old-device-token';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('device token rotation', () => {
+  let device;
+  let activationCodes;
+
+  beforeEach(() => {
+    device = new Device({ name: 'Front camera', deviceType: 'camera' });
+    device.deviceTokenHash = sha256(OLD_TOKEN);
+    activationCodes = [];
+
+    mock.method(Device, 'findById', () => query(device));
+    mock.method(Device.prototype, 'save', async function() { return this; });
+    mock.method(ActivationCode, 'updateMany', async (filter, update) => {
+      activationCodes.filter(code => !code.usedAt).forEach(code => Object.assign(code, update));
+    });
+    mock.method(ActivationCode, 'create', async (fields) => {
+      activationCodes.push({ ...fields });
+    });
+    mock.method(ActivationCode, 'findOneAndUpdate', async (filter, update) => {
+      const code = activationCodes.find(c => c.codeHash === filter.codeHash && !c.usedAt && c.expiresAt > new Date());
+      if (code) Object.assign(code, update);
+      return code || null;
+    });
+    mock.method(ActivationCode, 'findOne', async (filter) => activationCodes.find(c => c.codeHash === filter.codeHash) || null);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps the old token working during the grace period', async () => {
+    const result = await rotateDeviceToken(device._id, 600);
+
+    assert.ok(result.code);
+    assert.equal(device.deviceTokenHash, undefined);
+    assert.equal(verifyDeviceToken(device, OLD_TOKEN), true);
+    assert.equal(verifyDeviceToken(device, 'some-other-token'), false);
+  });
+
+  it('refuses the old token once the grace period is over', async () => {
+    await rotateDeviceToken(device._id, 600);
+    device.previousTokenExpiresAt = new Date(Date.now() - 1000);
+
+    assert.equal(verifyDeviceToken(device, OLD_TOKEN), false);
+  });
+
+  it('revokes the old token straight away without a grace period', async () => {
+    await rotateDeviceToken(device._id, 0);
+
+    assert.equal(verifyDeviceToken(device, OLD_TOKEN), false);
+  });
+
+  it('accepts both tokens between redeeming the new code and the end of the grace period', async () => {
+    const { code } = await rotateDeviceToken(device._id, 600);
+
+    const { token } = await redeemActivationCode(device._id, code.toLowerCase(), '10.0.0.2');
+
+    assert.equal(verifyDeviceToken(device, token), true);
+    assert.equal(verifyDeviceToken(device, OLD_TOKEN), true);
+
+    // The code is single use
+    const again = await redeemActivationCode(device._id, code, '10.0.0.2');
+    assert.equal(again.statusCode, 410);
+  });
+
+  it('does not extend or drop the grace period when rotated again before the code is redeemed', async () => {
+    await rotateDeviceToken(device._id, 600);
+    const graceEnd = device.previousTokenExpiresAt;
+
+    await rotateDeviceToken(device._id, 3600);
+
+    assert.equal(device.previousTokenExpiresAt, graceEnd);
+    assert.equal(verifyDeviceToken(device, OLD_TOKEN), true);
+    // Only the latest activation code can still be redeemed
+    assert.equal(activationCodes.filter(code => !code.usedAt).length, 1);
+  });
+
+  it('refuses a grace period outside the allowed range', async () => {
+    assert.equal((await rotateDeviceToken(device._id, -1)).statusCode, 400);
+    assert.equal((await rotateDeviceToken(device._id, 8 * 24 * 60 * 60)).statusCode, 400);
+    assert.equal(verifyDeviceToken(device, OLD_TOKEN), true);
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { Device, GuestPass, Role, User, VisitorLog } = require('../src/models');
+const deviceConnectionManager = require('../src/services/deviceConnectionManager');
+const { redeemGuestPass } = require('../src/services/guestPassService');
+const { query } = require('./helpers');
+
+/**
+ * Guest pass redemption: a pass unlocks the door only inside its validity
+ * window, no more often than its use limit and while its creator can still
+ * unlock the door
+ */
+
+const { ObjectId } = mongoose.Types;
+
+const HOUR = 60 * 60 * 1000;
+
+describe('guest pass redemption', () => {
+  let ownerId;
+  let camera;
+  let lock;
+  let pass;
+  let user;
+  let unlocks;
+  let revocations;
+
+  const createPass = (overrides = {}) => new GuestPass({
+    deviceId: camera._id,
+    guestName: 'Alice',
+    codeHash: GuestPass.hashCode(camera._id, '123456'),
+    validFrom: new Date(Date.now() - HOUR),
+    validUntil: new Date(Date.now() + HOUR),
+    createdBy: ownerId,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    ownerId = new ObjectId();
+    lock = new Device({ name: 'Front lock', deviceType: 'door-lock', userId: ownerId });
+    camera = new Device({
+      name: 'Front camera',
+      deviceType: 'camera',
+      userId: ownerId,
+      pairedLocks: [{ lockId: lock._id }]
+    });
+    pass = createPass();
+    user = { _id: ownerId, role: 'guest-pass-test-admin', isActive: true };
+    unlocks = [];
+    revocations = [];
+
+    mock.method(GuestPass, 'findOne', async (filter) => (filter.codeHash === pass.codeHash ? pass : null));
+    // Mirrors the atomic claim: only matches while the pass is not revoked and has uses left
+    mock.method(GuestPass, 'findOneAndUpdate', async (filter) => {
+      if (pass.revoked || pass.useCount >= filter.useCount.$lt) return null;
+      pass.useCount += 1;
+      return pass;
+    });
+    mock.method(GuestPass, 'updateOne', async (filter, update) => {
+      revocations.push(update.$set);
+      Object.assign(pass, update.$set);
+    });
+    mock.method(GuestPass.prototype, 'save', async function() { return this; });
+    mock.method(VisitorLog.prototype, 'save', async function() { return this; });
+    mock.method(User, 'findById', () => query(user));
+    mock.method(Role, 'findOne', () => query({ permissions: ['locks:control'] }));
+    mock.method(Device, 'find', () => query([lock]));
+    mock.method(deviceConnectionManager, 'sendCommand', async (deviceId, command, payload, userId) => {
+      unlocks.push({ deviceId, command, userId });
+      return { commandId: 'cmd-1', status: 'sent' };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('unlocks the paired lock as the pass creator and records the redemption', async () => {
+    const result = await redeemGuestPass(camera, ' 123456 ');
+
+    assert.equal(result.success, true);
+    assert.equal(result.visitorLog.decisionSource, 'guest_pass');
+    assert.equal(pass.useCount, 1);
+    assert.equal(pass.redemptions.length, 1);
+    assert.deepEqual(unlocks, [{ deviceId: lock._id.toString(), command: 'unlock_door', userId: ownerId }]);
+  });
+
+  it('refuses a wrong code', async () => {
+    const result = await redeemGuestPass(camera, '654321');
+
+    assert.deepEqual(result, { success: false, reason: 'Invalid pass code' });
+    assert.equal(unlocks.length, 0);
+  });
+
+  it('stops at the use limit', async () => {
+    pass = createPass({ maxUses: 2 });
+
+    assert.equal((await redeemGuestPass(camera, '123456')).success, true);
+    assert.equal((await redeemGuestPass(camera, '123456')).success, true);
+    const third = await redeemGuestPass(camera, '123456');
+
+    assert.deepEqual(third, { success: false, reason: 'Pass has already been used' });
+    assert.equal(pass.useCount, 2);
+    assert.equal(unlocks.length, 2);
+  });
+
+  it('lets only one of two concurrent redemptions of a single-use pass through', async () => {
+    const results = await Promise.all([
+      redeemGuestPass(camera, '123456'),
+      redeemGuestPass(camera, '123456')
+    ]);
+
+    assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+    assert.equal(unlocks.length, 1);
+  });
+
+  it('refuses a pass outside its validity window', async () => {
+    pass = createPass({ validFrom: new Date(Date.now() + HOUR), validUntil: new Date(Date.now() + 2 * HOUR) });
+    assert.equal((await redeemGuestPass(camera, '123456')).reason, 'Pass is not valid yet');
+
+    pass = createPass({ validFrom: new Date(Date.now() - 2 * HOUR), validUntil: new Date(Date.now() - HOUR) });
+    assert.equal((await redeemGuestPass(camera, '123456')).reason, 'Pass has expired');
+
+    assert.equal(unlocks.length, 0);
+  });
+
+  it('refuses a revoked pass', async () => {
+    pass = createPass({ revoked: true });
+
+    const result = await redeemGuestPass(camera, '123456');
+
+    assert.deepEqual(result, { success: false, reason: 'Pass has been revoked' });
+    assert.equal(unlocks.length, 0);
+  });
+
+  it('revokes the pass without using it when its creator was deactivated', async () => {
+    user.isActive = false;
+
+    const result = await redeemGuestPass(camera, '123456');
+
+    assert.deepEqual(result, { success: false, reason: 'Pass has been revoked' });
+    assert.equal(pass.useCount, 0);
+    assert.equal(revocations.length, 1);
+    assert.equal(revocations[0].revoked, true);
+    assert.equal(unlocks.length, 0);
+  });
+
+  it('revokes the pass when its creator only has view access to the device', async () => {
+    const sharedUserId = new ObjectId();
+    camera.sharedWith = [{ userId: sharedUserId, permissions: ['view'] }];
+    user = { _id: sharedUserId, role: 'guest-pass-test-admin', isActive: true };
+    pass = createPass({ createdBy: sharedUserId });
+
+    const result = await redeemGuestPass(camera, '123456');
+
+    assert.equal(result.success, false);
+    assert.equal(pass.revoked, true);
+    assert.equal(unlocks.length, 0);
+  });
+});
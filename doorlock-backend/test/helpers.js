@@ -0,0 +1,41 @@
+/**
+ * Test Helpers
+ * Stand-ins for Mongoose queries and Express responses, so services can be
+ * tested with their model methods mocked and no database
+ */
+
+/**
+ * A chainable query that resolves to a fixed result
+ * e.g. Model.findById(id).select('name').lean()
+ * @param {*} result - What awaiting the query gives
+ */
+const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  ['select', 'lean', 'sort', 'limit', 'skip', 'populate'].forEach(method => {
+    chain[method] = () => chain;
+  });
+  return chain;
+};
+
+/**
+ * An Express response that records the status and JSON body
+ */
+const createResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+module.exports = {
+  query,
+  createResponse
+};
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isWithinWindow, getNextOccurrence } = require('../src/utils/schedule');
+
+/**
+ * Weekly windows (access schedules, on-call rotation) and recurring moments
+ * (command schedules) across midnight, timezones and DST changes
+ */
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+describe('isWithinWindow', () => {
+  it('covers a same-day window on the selected days only', () => {
+    const window = { daysOfWeek: [1], startTime: '09:00', endTime: '17:00', timezone: 'UTC' };
+
+    assert.equal(isWithinWindow(window, new Date('2026-10-19T09:00:00Z')), true); // Monday
+    assert.equal(isWithinWindow(window, new Date('2026-10-19T17:00:00Z')), false); // end is exclusive
+    assert.equal(isWithinWindow(window, new Date('2026-10-20T12:00:00Z')), false); // Tuesday
+  });
+
+  it('runs an overnight window into the next day, belonging to the day it starts on', () => {
+    const window = { daysOfWeek: [5], startTime: '22:00', endTime: '06:00', timezone: 'UTC' };
+
+    assert.equal(isWithinWindow(window, new Date('2026-10-23T23:30:00Z')), true); // Friday night
+    assert.equal(isWithinWindow(window, new Date('2026-10-24T05:59:00Z')), true); // Saturday morning
+    assert.equal(isWithinWindow(window, new Date('2026-10-24T06:00:00Z')), false);
+    assert.equal(isWithinWindow(window, new Date('2026-10-24T23:00:00Z')), false); // Saturday night
+    assert.equal(isWithinWindow(window, new Date('2026-10-23T05:00:00Z')), false); // Friday morning
+  });
+
+  it('uses the weekday and time of the window timezone', () => {
+    const window = { daysOfWeek: [1], startTime: '00:00', endTime: '02:00', timezone: 'Africa/Kigali' };
+
+    // Sunday 22:30 UTC is Monday 00:30 in Kigali (UTC+2)
+    assert.equal(isWithinWindow(window, new Date('2026-10-18T22:30:00Z')), true);
+    assert.equal(isWithinWindow(window, new Date('2026-10-19T00:30:00Z')), false);
+  });
+
+  it('follows the wall clock across a DST change', () => {
+    const window = { daysOfWeek: EVERY_DAY, startTime: '01:00', endTime: '03:00', timezone: 'America/New_York' };
+
+    // 2026-03-08: clocks go from 02:00 EST straight to 03:00 EDT
+    assert.equal(isWithinWindow(window, new Date('2026-03-08T06:30:00Z')), true); // 01:30 EST
+    assert.equal(isWithinWindow(window, new Date('2026-03-08T07:30:00Z')), false); // 03:30 EDT
+    // 2026-11-01: 01:00-02:00 happens twice
+    assert.equal(isWithinWindow(window, new Date('2026-11-01T05:30:00Z')), true); // 01:30 EDT
+    assert.equal(isWithinWindow(window, new Date('2026-11-01T06:30:00Z')), true); // 01:30 EST
+  });
+});
+
+describe('getNextOccurrence', () => {
+  it('keeps the local time when the UTC offset changes', () => {
+    const recurrence = { daysOfWeek: [6], time: '22:00', timezone: 'America/New_York' };
+
+    const first = getNextOccurrence(recurrence, new Date('2026-03-02T00:00:00Z'));
+    assert.equal(first.toISOString(), '2026-03-08T03:00:00.000Z'); // Sat 22:00 EST
+
+    const second = getNextOccurrence(recurrence, first);
+    assert.equal(second.toISOString(), '2026-03-15T02:00:00.000Z'); // Sat 22:00 EDT
+  });
+
+  it('moves a time skipped by DST past the gap', () => {
+    const recurrence = { daysOfWeek: [0], time: '02:30', timezone: 'America/New_York' };
+
+    const next = getNextOccurrence(recurrence, new Date('2026-03-07T12:00:00Z'));
+    assert.equal(next.toISOString(), '2026-03-08T07:30:00.000Z'); // 03:30 EDT
+  });
+
+  it('runs a time repeated by DST once, at the first one', () => {
+    const recurrence = { daysOfWeek: [0], time: '01:30', timezone: 'America/New_York' };
+
+    const next = getNextOccurrence(recurrence, new Date('2026-10-31T12:00:00Z'));
+    assert.equal(next.toISOString(), '2026-11-01T05:30:00.000Z'); // 01:30 EDT
+
+    const after = getNextOccurrence(recurrence, next);
+    assert.equal(after.toISOString(), '2026-11-08T06:30:00.000Z'); // a week later, 01:30 EST
+  });
+
+  it('returns null without any selected day', () => {
+    assert.equal(getNextOccurrence({ daysOfWeek: [], time: '10:00' }), null);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'session-test-secret';
+
+const { Session, User } = require('../src/models');
+const {
+  createSession,
+  rotateRefreshToken,
+  verifyAccessToken
+} = require('../src/services/sessionService');
+
+/**
+ * Refresh token rotation: every refresh hands out a new token, and a
+ * rotated-out token coming back after the grace period revokes the session
+ */
+
+const { ObjectId } = mongoose.Types;
+
+const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000);
+
+describe('refresh token rotation', () => {
+  let user;
+  let sessions;
+
+  const matches = (session, filter) => Object.entries(filter).every(([field, value]) => {
+    if (value === null) return session[field] == null;
+    return String(session[field]) === String(value);
+  });
+
+  const findSession = (filter) => sessions.find(session => matches(session, filter)) || null;
+
+  // Pretend the last rotation, and the last request, happened some seconds ago
+  const backdate = (seconds) => {
+    sessions[0].rotatedAt = secondsAgo(seconds);
+    sessions[0].lastUsedAt = secondsAgo(seconds);
+  };
+
+  beforeEach(() => {
+    user = { _id: new ObjectId(), username: 'alice', role: 'admin', isActive: true };
+    sessions = [];
+
+    mock.method(User, 'findById', async () => user);
+    mock.method(Session, 'create', async (fields) => {
+      const session = new Session(fields);
+      sessions.push(session);
+      return session;
+    });
+    mock.method(Session, 'findOne', async (filter) => findSession(filter));
+    mock.method(Session, 'findById', async (id) => findSession({ _id: id }));
+    mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+      const session = findSession(filter);
+      if (session) Object.assign(session, update.$set);
+      return session;
+    });
+    mock.method(Session, 'updateOne', async (filter, update) => {
+      const session = findSession(filter);
+      if (session) Object.assign(session, update.$set);
+      return { modifiedCount: session ? 1 : 0 };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('hands out a new refresh token and retires the old one', async () => {
+    const { refreshToken } = await createSession(user);
+
+    const rotated = await rotateRefreshToken(refreshToken);
+    assert.ok(rotated.accessToken);
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    assert.ok(sessions[0].rotatedAt);
+
+    const next = await rotateRefreshToken(rotated.refreshToken);
+    assert.ok(next.refreshToken);
+  });
+
+  it('revokes the session when a rotated-out token comes back after the grace period', async () => {
+    const { refreshToken } = await createSession(user);
+    const rotated = await rotateRefreshToken(refreshToken);
+    backdate(30);
+
+    const replay = await rotateRefreshToken(refreshToken);
+
+    assert.equal(replay.statusCode, 401);
+    assert.equal(sessions[0].revokedReason, 'token_reuse');
+    // The legitimate holder is logged out too
+    assert.equal((await rotateRefreshToken(rotated.refreshToken)).statusCode, 401);
+  });
+
+  it('keeps the session when a second tab refreshes with the same token at once', async () => {
+    const { refreshToken } = await createSession(user);
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    const racing = await rotateRefreshToken(refreshToken);
+
+    assert.equal(racing.statusCode, 401);
+    assert.equal(sessions[0].revokedAt, undefined);
+    assert.ok((await rotateRefreshToken(rotated.refreshToken)).refreshToken);
+  });
+
+  it('does not extend the grace period when the session is used for requests', async () => {
+    const { refreshToken } = await createSession(user);
+    const rotated = await rotateRefreshToken(refreshToken);
+    backdate(120);
+
+    // An API request with the new access token touches lastUsedAt
+    await verifyAccessToken(rotated.accessToken);
+    assert.ok(Date.now() - sessions[0].lastUsedAt.getTime() < 1000);
+
+    await rotateRefreshToken(refreshToken);
+
+    assert.equal(sessions[0].revokedReason, 'token_reuse');
+  });
+
+  it('refuses to refresh for a deactivated user and revokes the session', async () => {
+    const { refreshToken } = await createSession(user);
+    user.isActive = false;
+
+    const result = await rotateRefreshToken(refreshToken);
+
+    assert.equal(result.statusCode, 401);
+    assert.equal(sessions[0].revokedReason, 'revoked');
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { Device, Session, User } = require('../src/models');
+const deviceConnectionManager = require('../src/services/deviceConnectionManager');
+const { STEP_UP_WINDOW_SECONDS, STEP_UP_REQUIRED, API_KEY_SCOPE_REQUIRED, stepUp } = require('../src/services/stepUpService');
+const { requireStepUp } = require('../src/middlewares/auth');
+const { sendDeviceCommand } = require('../src/controllers/deviceController');
+const commandRoutes = require('../src/routes/commandRoutes');
+const { createResponse } = require('./helpers');
+
+/**
+ * Step-up: unlocking and firmware updates need a re-authentication on the
+ * current session within the step-up window, or an API key scoped for them
+ */
+
+const { ObjectId } = mongoose.Types;
+
+const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000);
+
+describe('step-up enforcement', () => {
+  let userId;
+  let session;
+
+  const callRequireStepUp = async (user) => {
+    const res = createResponse();
+    const next = mock.fn();
+    await requireStepUp({ user }, res, next);
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    userId = new ObjectId();
+    session = new Session({ userId, refreshTokenHash: 'hash', expiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+    mock.method(Session, 'findById', async (id) => (String(id) === String(session._id) ? session : null));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('asks a session that never re-authenticated to step up', async () => {
+    const { res, next } = await callRequireStepUp({ userId, sessionId: session._id });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.errors.code, STEP_UP_REQUIRED);
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  it('accepts a step-up inside the window and refuses one that has lapsed', async () => {
+    session.stepUpAt = secondsAgo(STEP_UP_WINDOW_SECONDS - 30);
+    assert.equal((await callRequireStepUp({ userId, sessionId: session._id })).next.mock.callCount(), 1);
+
+    session.stepUpAt = secondsAgo(STEP_UP_WINDOW_SECONDS + 1);
+    const { res, next } = await callRequireStepUp({ userId, sessionId: session._id });
+    assert.equal(res.statusCode, 403);
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  it('does not let a step-up on one session count for another', async () => {
+    session.stepUpAt = new Date();
+
+    const { res } = await callRequireStepUp({ userId, sessionId: new ObjectId() });
+
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('lets an API key through only with the sensitive-actions scope', async () => {
+    const unscoped = await callRequireStepUp({ userId, apiKey: { scopes: ['locks:control'] } });
+    assert.equal(unscoped.res.statusCode, 403);
+    assert.equal(unscoped.res.body.errors.code, API_KEY_SCOPE_REQUIRED);
+
+    const scoped = await callRequireStepUp({ userId, apiKey: { scopes: ['locks:control', 'commands:sensitive'] } });
+    assert.equal(scoped.next.mock.callCount(), 1);
+  });
+
+  it('guards visitor approval over REST', () => {
+    const layer = commandRoutes.stack.find(l => l.route && l.route.path === '/open');
+    const handlers = layer.route.stack.map(l => l.handle);
+
+    assert.ok(handlers.includes(requireStepUp));
+  });
+
+  it('records a password step-up on the session and refuses a wrong password', async () => {
+    const user = { _id: userId, comparePassword: async (password) => password === 'correct horse' };
+    mock.method(User, 'findById', async () => user);
+    mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+      Object.assign(session, update.$set);
+      return session;
+    });
+
+    const wrong = await stepUp(userId, session._id, { password: 'guess' });
+    assert.equal(wrong.statusCode, 400);
+    assert.equal(session.stepUpAt, undefined);
+
+    const result = await stepUp(userId, session._id, { password: 'correct horse' });
+    assert.equal(result.method, 'password');
+    assert.equal(session.stepUpMethod, 'password');
+
+    const { next } = await callRequireStepUp({ userId, sessionId: session._id });
+    assert.equal(next.mock.callCount(), 1);
+  });
+});
+
+describe('device commands and step-up', () => {
+  let userId;
+  let session;
+  let device;
+  let sent;
+
+  const send = async (command, user = { userId, username: 'alice', sessionId: session._id }) => {
+    const res = createResponse();
+    await sendDeviceCommand({ params: { id: device._id.toString() }, body: { command }, query: {}, user }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    userId = new ObjectId();
+    session = new Session({ userId, refreshTokenHash: 'hash', expiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+    device = new Device({ name: 'Front lock', deviceType: 'door-lock', userId });
+    sent = [];
+
+    mock.method(Session, 'findById', async () => session);
+    mock.method(Device, 'findById', async () => device);
+    mock.method(deviceConnectionManager, 'sendCommand', async (deviceId, command) => {
+      sent.push(command);
+      return { commandId: 'cmd-1', status: 'sent' };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('sends a lock command without a step-up', async () => {
+    const res = await send('lock_door');
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(sent, ['lock_door']);
+  });
+
+  it('holds back unlock and firmware update until the session steps up', async () => {
+    for (const command of ['unlock_door', 'firmware_update']) {
+      const res = await send(command);
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.body.errors.code, STEP_UP_REQUIRED);
+    }
+    assert.equal(sent.length, 0);
+
+    session.stepUpAt = new Date();
+    const res = await send('unlock_door');
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(sent, ['unlock_door']);
+  });
+});